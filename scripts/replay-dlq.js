@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+
+/**
+ * Dead-letter queue replay tool
+ * Lists failed export messages from the ${FunctionName}-dlq queue and re-submits selected ones
+ *
+ * Usage:
+ *   node scripts/replay-dlq.js list   --queue-url <url>
+ *   node scripts/replay-dlq.js replay --queue-url <url> --ids <id1,id2> [--dry-run]
+ *   node scripts/replay-dlq.js replay --queue-url <url> --all [--local] [--function-name <name>]
+ *
+ * The queue URL defaults to DLQ_URL, the function name to FUNCTION_NAME.
+ */
+
+require("dotenv").config();
+
+/**
+ * How long received messages stay hidden from other consumers, in seconds
+ */
+const VISIBILITY_TIMEOUT_S = 60;
+
+/**
+ * Most messages SQS returns per receive
+ */
+const RECEIVE_BATCH_SIZE = 10;
+
+/**
+ * SQS-backed queue adapter (the test suite swaps in an in-memory stub with the same interface)
+ */
+class SqsQueue {
+  constructor(queueUrl, region) {
+    const { SQSClient } = require("@aws-sdk/client-sqs");
+
+    this.queueUrl = queueUrl;
+    this.client = new SQSClient({ region });
+  }
+
+  async receive(maxMessages) {
+    const { ReceiveMessageCommand } = require("@aws-sdk/client-sqs");
+
+    const response = await this.client.send(
+      new ReceiveMessageCommand({
+        QueueUrl: this.queueUrl,
+        MaxNumberOfMessages: Math.min(maxMessages, RECEIVE_BATCH_SIZE),
+        VisibilityTimeout: VISIBILITY_TIMEOUT_S,
+        WaitTimeSeconds: 1,
+        AttributeNames: ["All"],
+        MessageAttributeNames: ["All"],
+      })
+    );
+
+    return (response.Messages || []).map((message) => ({
+      messageId: message.MessageId,
+      receiptHandle: message.ReceiptHandle,
+      body: message.Body,
+      attributes: message.Attributes || {},
+      messageAttributes: message.MessageAttributes || {},
+    }));
+  }
+
+  async delete(message) {
+    const { DeleteMessageCommand } = require("@aws-sdk/client-sqs");
+    await this.client.send(new DeleteMessageCommand({ QueueUrl: this.queueUrl, ReceiptHandle: message.receiptHandle }));
+  }
+
+  async release(message) {
+    await this.extend(message, 0);
+  }
+
+  async extend(message, visibilityTimeout) {
+    const { ChangeMessageVisibilityCommand } = require("@aws-sdk/client-sqs");
+    await this.client.send(
+      new ChangeMessageVisibilityCommand({
+        QueueUrl: this.queueUrl,
+        ReceiptHandle: message.receiptHandle,
+        VisibilityTimeout: visibilityTimeout,
+      })
+    );
+  }
+}
+
+/**
+ * Read up to maxMessages messages from the queue
+ * @param {Object} queue - Queue adapter
+ * @param {number} maxMessages - Maximum number of messages to read
+ * @returns {Array} - Queue messages
+ */
+const receiveAll = async (queue, maxMessages) => {
+  const messages = [];
+
+  while (messages.length < maxMessages) {
+    const batch = await queue.receive(maxMessages - messages.length);
+    if (batch.length === 0) break;
+    messages.push(...batch);
+  }
+
+  return messages;
+};
+
+/**
+ * Work out what a DLQ message holds: a failed async job invocation, an export request
+ * re-driven from the requests queue, or an API Gateway event
+ * @param {Object} message - Queue message
+ * @returns {Object} - { messageId, kind, jobId, surveyId, participants, reason, payload, replayPayload }
+ */
+const describeMessage = (message) => {
+  let payload = null;
+  try {
+    payload = JSON.parse(message.body);
+  } catch (error) {
+    return { messageId: message.messageId, kind: "unparseable", reason: `Invalid JSON body: ${error.message}` };
+  }
+
+  let kind = "request";
+  let input = payload;
+  if (payload?.exportJob) {
+    kind = "job";
+    input = payload.exportJob.input || {};
+  } else if (typeof payload?.body === "string") {
+    kind = "api";
+    try {
+      input = JSON.parse(payload.body);
+    } catch (error) {
+      input = {};
+    }
+  }
+
+  // Lambda's async DLQ records the error as message attributes; SQS redrive only leaves a receive count
+  const errorMessage = message.messageAttributes?.ErrorMessage?.StringValue;
+  const errorCode = message.messageAttributes?.ErrorCode?.StringValue;
+  const receiveCount = message.attributes?.ApproximateReceiveCount;
+
+  let reason = "Unknown";
+  if (errorMessage) {
+    reason = errorCode ? `${errorMessage} (${errorCode})` : errorMessage;
+  } else if (kind === "request" && receiveCount) {
+    reason = `Exceeded max receives on the requests queue (received ${receiveCount} times)`;
+  }
+
+  return {
+    messageId: message.messageId,
+    kind,
+    jobId: payload?.exportJob?.jobId || null,
+    surveyId: input.surveyId || null,
+    participants: input.participantIds || (input.participantId ? [input.participantId] : []),
+    reason,
+    payload,
+    // API Gateway events are replayed as a direct invocation with their body: their credentials have expired by
+    // now (a signature's timestamp only holds for minutes), and direct invocations are authorized by IAM instead
+    replayPayload: kind === "api" ? input : payload,
+  };
+};
+
+/**
+ * Create a function that re-submits a message payload to the handler
+ * @param {Object} options - { local, functionName, region }
+ * @returns {Function} - async (payload, messageId) => void, throws when the submission failed
+ */
+const createSubmitter = (options = {}) => {
+  if (options.local) {
+    const { handler } = require("../src/index");
+
+    return async (payload, messageId) => {
+      const result = await handler(payload, { awsRequestId: `replay-${messageId}` });
+
+      if (result?.statusCode >= 400) {
+        throw new Error(`Handler responded with status ${result.statusCode}`);
+      }
+      if (result?.status === "failed") {
+        throw new Error(`Export job failed: ${result.error}`);
+      }
+    };
+  }
+
+  const { LambdaClient, InvokeCommand } = require("@aws-sdk/client-lambda");
+  const client = new LambdaClient({ region: options.region });
+
+  return async (payload) => {
+    const response = await client.send(
+      new InvokeCommand({
+        FunctionName: options.functionName,
+        InvocationType: "Event",
+        Payload: Buffer.from(JSON.stringify(payload)),
+      })
+    );
+
+    if (response.StatusCode !== 202) {
+      throw new Error(`Invocation returned status: ${response.StatusCode}`);
+    }
+  };
+};
+
+/**
+ * Run an operation while keeping messages hidden, extending their visibility before it runs out
+ * A --local replay runs the whole export, which can take longer than VISIBILITY_TIMEOUT_S
+ * @param {Object} queue - Queue adapter
+ * @param {Array} messages - Messages to keep hidden
+ * @param {Function} operation - async () => result
+ * @returns {Promise} - Operation result
+ */
+const keepHidden = async (queue, messages, operation) => {
+  const heartbeat = setInterval(() => {
+    for (const message of messages) {
+      queue.extend(message, VISIBILITY_TIMEOUT_S).catch((error) => {
+        console.warn(`⚠️ Could not keep ${message.messageId} hidden: ${error.message}`);
+      });
+    }
+  }, (VISIBILITY_TIMEOUT_S * 1000) / 2);
+
+  try {
+    return await operation();
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Re-submit selected DLQ messages, deleting each one once it was accepted
+ * Messages are received, replayed and deleted one batch at a time, so no receipt handle expires while other
+ * batches are replayed. Messages left on the queue stay hidden until the end, so they aren't received twice
+ * @param {Object} queue - Queue adapter
+ * @param {Function} submit - Submitter from createSubmitter
+ * @param {Object} options - { ids, all, dryRun, maxMessages }
+ * @returns {Array} - [{ messageId, action: "replayed" | "would-replay" | "failed" | "skipped", error }]
+ */
+const replayMessages = async (queue, submit, options = {}) => {
+  const { ids = [], all = false, dryRun = false, maxMessages = 100 } = options;
+  const outcomes = [];
+  // Messages left on the queue by messageId, with their latest receipt handle
+  const kept = new Map();
+
+  try {
+    while (outcomes.length < maxMessages) {
+      const batch = await queue.receive(Math.min(maxMessages - outcomes.length, RECEIVE_BATCH_SIZE));
+      const handled = new Set(outcomes.map((outcome) => outcome.messageId));
+
+      const fresh = batch.filter((message) => !handled.has(message.messageId));
+
+      // A kept message whose visibility ran out can be received again; it was already handled
+      for (const message of batch.filter((item) => handled.has(item.messageId))) {
+        kept.set(message.messageId, message);
+      }
+      if (fresh.length === 0) break;
+
+      for (const [index, message] of fresh.entries()) {
+        const description = describeMessage(message);
+        const selected = all || ids.includes(message.messageId);
+
+        if (!selected || description.kind === "unparseable" || dryRun) {
+          kept.set(message.messageId, message);
+          outcomes.push({
+            messageId: message.messageId,
+            action: selected && dryRun && description.kind !== "unparseable" ? "would-replay" : "skipped",
+            ...(selected && description.kind === "unparseable" ? { error: description.reason } : {}),
+          });
+          continue;
+        }
+
+        try {
+          await keepHidden(queue, fresh.slice(index), () => submit(description.replayPayload, message.messageId));
+          await queue.delete(message);
+          outcomes.push({ messageId: message.messageId, action: "replayed" });
+        } catch (error) {
+          kept.set(message.messageId, message);
+          outcomes.push({ messageId: message.messageId, action: "failed", error: error.message });
+        }
+      }
+    }
+  } finally {
+    for (const message of kept.values()) {
+      await queue.release(message);
+    }
+  }
+
+  return outcomes;
+};
+
+/**
+ * List DLQ messages without consuming them
+ * @param {Object} queue - Queue adapter
+ * @param {Object} options - { maxMessages }
+ * @returns {Array} - Message descriptions
+ */
+const listMessages = async (queue, options = {}) => {
+  const messages = await receiveAll(queue, options.maxMessages || 100);
+
+  for (const message of messages) {
+    await queue.release(message);
+  }
+
+  return messages.map(describeMessage);
+};
+
+const parseArgs = (argv) => {
+  const args = { command: argv[0], ids: [] };
+
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--queue-url":
+        args.queueUrl = argv[++i];
+        break;
+      case "--function-name":
+        args.functionName = argv[++i];
+        break;
+      case "--region":
+        args.region = argv[++i];
+        break;
+      case "--ids":
+        args.ids = argv[++i].split(",").filter(Boolean);
+        break;
+      case "--max":
+        args.maxMessages = parseInt(argv[++i]);
+        break;
+      case "--all":
+        args.all = true;
+        break;
+      case "--dry-run":
+        args.dryRun = true;
+        break;
+      case "--local":
+        args.local = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+};
+
+const printUsage = () => {
+  console.log("Usage:");
+  console.log("  node scripts/replay-dlq.js list   --queue-url <url> [--max 100]");
+  console.log("  node scripts/replay-dlq.js replay --queue-url <url> (--ids <id1,id2> | --all) [--dry-run]");
+  console.log("                                    [--local | --function-name <name>] [--region <region>]");
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const queueUrl = args.queueUrl || process.env.DLQ_URL;
+  const region = args.region || process.env.AWS_REGION || "us-east-1";
+
+  if (!["list", "replay"].includes(args.command) || !queueUrl) {
+    printUsage();
+    process.exit(1);
+  }
+
+  const queue = new SqsQueue(queueUrl, region);
+
+  if (args.command === "list") {
+    const descriptions = await listMessages(queue, args);
+
+    console.log(`📬 ${descriptions.length} message(s) in ${queueUrl}\n`);
+    for (const description of descriptions) {
+      console.log(`🆔 ${description.messageId} [${description.kind}]`);
+      console.log(`   Survey ID: ${description.surveyId || "Unknown"}`);
+      console.log(`   Participants: ${description.participants?.join(", ") || "Unknown"}`);
+      if (description.jobId) console.log(`   Job ID: ${description.jobId}`);
+      console.log(`   Failure: ${description.reason}`);
+    }
+    return;
+  }
+
+  if (!args.all && args.ids.length === 0) {
+    console.error("❌ Select messages to replay with --ids or --all");
+    process.exit(1);
+  }
+
+  const functionName = args.functionName || process.env.FUNCTION_NAME;
+  if (!args.local && !args.dryRun && !functionName) {
+    console.error("❌ --function-name (or FUNCTION_NAME) is required unless --local or --dry-run is used");
+    process.exit(1);
+  }
+
+  const submit = createSubmitter({ local: args.local, functionName, region });
+  const outcomes = await replayMessages(queue, submit, args);
+
+  const icons = { replayed: "✅", "would-replay": "🔍", failed: "❌", skipped: "⏭️ " };
+  for (const outcome of outcomes.filter((item) => item.action !== "skipped" || item.error)) {
+    console.log(`${icons[outcome.action]} ${outcome.messageId}: ${outcome.action}${outcome.error ? ` (${outcome.error})` : ""}`);
+  }
+
+  if (outcomes.some((outcome) => outcome.action === "failed")) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ DLQ replay failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SqsQueue,
+  describeMessage,
+  createSubmitter,
+  replayMessages,
+  listMessages,
+};
@@ -0,0 +1,148 @@
+/**
+ * Registry of the environments a request can target: their frontend and backend URLs, asset domain,
+ * locale and allowed CORS origins, loaded from a config file with per-environment env var overrides
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_ENVIRONMENTS_CONFIG_PATH = path.join(__dirname, "environments.json");
+const DEFAULT_LOCALE = "en-GB";
+
+/**
+ * Env vars overriding an environment's settings, suffixed with its upper-cased name (e.g. BACKEND_URL_STAGING)
+ */
+const OVERRIDE_VARS = {
+  frontendUrl: "FRONTEND_URL",
+  backendUrl: "BACKEND_URL",
+  assetDomain: "ASSET_DOMAIN",
+  locale: "LOCALE",
+  allowedOrigins: "CORS_ALLOWED_ORIGINS",
+};
+
+/**
+ * Split a comma-separated list of origins
+ * @param {string} value - Configured origins
+ * @returns {Array} - Origins, without trailing slashes
+ */
+const parseOrigins = (value) =>
+  (value || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+
+/**
+ * Environment settings by name. Adding or promoting an environment is a config change, not a code change
+ */
+class EnvironmentRegistry {
+  /**
+   * @param {Object} environments - Settings by environment name, as in environments.json
+   */
+  constructor(environments = {}) {
+    this.environments = environments;
+  }
+
+  /**
+   * @returns {Array} - Names of the configured environments
+   */
+  names() {
+    return Object.keys(this.environments);
+  }
+
+  /**
+   * @param {string} name - Environment name
+   * @returns {boolean} - Whether the environment is configured
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.environments, name);
+  }
+
+  /**
+   * Get an environment's settings, with env var overrides applied
+   * @param {string} name - Environment name
+   * @returns {Object} - { name, frontendUrl, backendUrl, assetDomain, locale, allowedOrigins }
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown environment: ${name}. Must be one of: ${this.names().join(", ")}`);
+    }
+
+    const override = (field) => process.env[`${OVERRIDE_VARS[field]}_${name.toUpperCase()}`];
+    const settings = { ...this.environments[name] };
+
+    for (const field of ["frontendUrl", "backendUrl", "assetDomain", "locale"]) {
+      if (override(field) !== undefined) settings[field] = override(field);
+    }
+
+    const frontendUrl = settings.frontendUrl.replace(/\/+$/, "");
+    const configuredOrigins = override("allowedOrigins");
+
+    return {
+      name,
+      frontendUrl,
+      backendUrl: settings.backendUrl.replace(/\/+$/, ""),
+      assetDomain: settings.assetDomain,
+      locale: settings.locale || DEFAULT_LOCALE,
+      // Browsers calling the API come from the environment's frontend unless told otherwise
+      allowedOrigins:
+        configuredOrigins !== undefined
+          ? parseOrigins(configuredOrigins)
+          : settings.allowedOrigins || [new URL(frontendUrl).origin],
+    };
+  }
+}
+
+/**
+ * Load the registry from a JSON config file, checking every environment has its URLs
+ * @param {string} configPath - Path of the config file, the bundled environments.json when omitted
+ * @returns {EnvironmentRegistry} - Registry
+ */
+const loadEnvironmentRegistry = (configPath = DEFAULT_ENVIRONMENTS_CONFIG_PATH) => {
+  let environments;
+
+  try {
+    environments = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to load environments config ${configPath}: ${error.message}`);
+  }
+
+  for (const [name, settings] of Object.entries(environments)) {
+    const missing = ["frontendUrl", "backendUrl", "assetDomain"].filter((field) => !settings[field]);
+    if (missing.length > 0) {
+      throw new Error(`Environment '${name}' in ${configPath} is missing: ${missing.join(", ")}`);
+    }
+  }
+
+  return new EnvironmentRegistry(environments);
+};
+
+let environmentRegistry = null;
+
+/**
+ * Get the shared registry, loaded from ENVIRONMENTS_CONFIG_PATH or the bundled environments.json
+ * @returns {EnvironmentRegistry} - Registry
+ */
+const getEnvironmentRegistry = () => {
+  if (!environmentRegistry) {
+    environmentRegistry = loadEnvironmentRegistry(process.env.ENVIRONMENTS_CONFIG_PATH);
+  }
+  return environmentRegistry;
+};
+
+/**
+ * Replace the shared registry (tests, or reloading a changed config file)
+ * @param {EnvironmentRegistry|null} registry - Registry, or null to load it again on next use
+ */
+const setEnvironmentRegistry = (registry) => {
+  environmentRegistry = registry;
+};
+
+module.exports = {
+  DEFAULT_ENVIRONMENTS_CONFIG_PATH,
+  DEFAULT_LOCALE,
+  EnvironmentRegistry,
+  loadEnvironmentRegistry,
+  getEnvironmentRegistry,
+  setEnvironmentRegistry,
+  parseOrigins,
+};
@@ -2,13 +2,17 @@
  * Environment configuration and validation
  */
 
-const { logger } = require("../utils/logger");
+const { logger, getRedactionPolicy, getPIIPolicy } = require("../utils/logger");
+const { DEFAULT_ENVIRONMENTS_CONFIG_PATH, getEnvironmentRegistry } = require("./environment-registry");
+const { isMetricsEnabled, getMetricsNamespace } = require("../utils/metrics");
 
 /**
  * Load and validate environment configuration
  * @returns {Object} - Validated configuration object
  */
 const loadConfig = () => {
+  // Log redaction and PII masking, metrics, CORS and the environment registry are configured by their own
+  // modules: this one depends on them, so they can't read it back
   const config = {
     // Lambda configuration
     logLevel: process.env.LOG_LEVEL || "info",
@@ -18,12 +22,71 @@ const loadConfig = () => {
     // Chrome configuration
     chromeArgs: process.env.CHROME_ARGS ? process.env.CHROME_ARGS.split(",") : [],
     downloadPath: process.env.DOWNLOAD_PATH || "/tmp",
+    captureStrategy: process.env.CAPTURE_STRATEGY || "directory-poll",
+    browserReuse: process.env.BROWSER_REUSE !== "false",
+    browserHealthCheckTimeout: parseInt(process.env.BROWSER_HEALTH_CHECK_TIMEOUT_MS) || 5000,
 
-    // Service configuration
+    // Service configuration - MAX_RETRIES counts every attempt and is the default for each pipeline stage
     maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
     uploadTimeout: parseInt(process.env.UPLOAD_TIMEOUT_MS) || 60000,
     emailTimeout: parseInt(process.env.EMAIL_TIMEOUT_MS) || 30000,
 
+    // Pipeline stage configuration, see utils/stage-policy.js
+    authTimeout: parseInt(process.env.AUTH_TIMEOUT_MS) || 60000,
+    renderTimeout: parseInt(process.env.RENDER_TIMEOUT_MS) || parseInt(process.env.TIMEOUT_MS) || 150000,
+    authMaxRetries: parseInt(process.env.AUTH_MAX_RETRIES) || parseInt(process.env.MAX_RETRIES) || 3,
+    renderMaxRetries: parseInt(process.env.RENDER_MAX_RETRIES) || 1, // a render can take most of the invocation
+    uploadMaxRetries: parseInt(process.env.UPLOAD_MAX_RETRIES) || parseInt(process.env.MAX_RETRIES) || 3,
+    emailMaxRetries: parseInt(process.env.EMAIL_MAX_RETRIES) || parseInt(process.env.MAX_RETRIES) || 3,
+    retryBaseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000,
+    retryMaxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 10000,
+
+    // Deadline configuration, see utils/deadline.js
+    deadlineSafetyMarginMs: parseInt(process.env.DEADLINE_SAFETY_MARGIN_MS) || 15000,
+    jobMaxContinuations: parseInt(process.env.JOB_MAX_CONTINUATIONS ?? "2"), // 0 turns hand-offs off
+
+    // Async job configuration
+    jobStore: process.env.JOB_STORE || "file",
+    jobStorePath: process.env.JOB_STORE_PATH || "/tmp/export-jobs",
+    jobTableName: process.env.JOB_TABLE_NAME || "",
+    jobDispatchMode: process.env.JOB_DISPATCH_MODE || (process.env.AWS_LAMBDA_FUNCTION_NAME ? "lambda" : "inline"),
+
+    // Idempotency configuration
+    idempotencyStore: process.env.IDEMPOTENCY_STORE || "file",
+    idempotencyStorePath: process.env.IDEMPOTENCY_STORE_PATH || "/tmp/export-idempotency",
+    idempotencyTableName: process.env.IDEMPOTENCY_TABLE_NAME || "",
+    idempotencyWindowMs: parseInt(process.env.IDEMPOTENCY_WINDOW_MS) || 600000, // 10 minutes
+    idempotencyTtlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 86400000, // 24 hours
+
+    // Login configuration
+    loginMode: process.env.LOGIN_MODE || "ui",
+    loginTokenStorageKeys: (process.env.LOGIN_TOKEN_STORAGE_KEYS || "authToken")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean),
+    loginTokenCookie: process.env.LOGIN_TOKEN_COOKIE || "",
+    requestTokenMaxLifetimeMs: parseInt(process.env.REQUEST_TOKEN_MAX_LIFETIME_MS) || 3600000, // 1 hour
+
+    // Secrets configuration
+    secretsProvider: process.env.SECRETS_PROVIDER || "env",
+    secretsFilePath: process.env.SECRETS_FILE_PATH || "",
+    secretsManagerSecretId: process.env.SECRETS_MANAGER_SECRET_ID || "",
+    secretsSsmPath: process.env.SECRETS_SSM_PATH || "",
+    secretsTtlMs: parseInt(process.env.SECRETS_TTL_MS) || 300000, // 5 minutes
+
+    // Request authentication configuration
+    requestAuthRequired: process.env.REQUEST_AUTH_REQUIRED
+      ? process.env.REQUEST_AUTH_REQUIRED === "true"
+      : Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME),
+    requestSignatureToleranceMs: parseInt(process.env.REQUEST_SIGNATURE_TOLERANCE_MS) || 300000, // 5 minutes
+    requestJwtIssuer: process.env.REQUEST_JWT_ISSUER || "",
+    requestJwtAudience: process.env.REQUEST_JWT_AUDIENCE || "",
+
+    // Login session cache configuration
+    sessionCacheStore: process.env.SESSION_CACHE_STORE || "memory",
+    sessionCachePath: process.env.SESSION_CACHE_PATH || "/tmp/export-sessions",
+    sessionCacheTtlMs: parseInt(process.env.SESSION_CACHE_TTL_MS) || 1800000, // 30 minutes
+
     // Security configuration
     allowedDomains: process.env.ALLOWED_DOMAINS ? process.env.ALLOWED_DOMAINS.split(",") : [],
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE_MB) || 50,
@@ -70,6 +133,8 @@ const getLambdaSettings = () => {
       TIMEOUT_MS: config.timeout.toString(),
       CHROME_ARGS: config.chromeArgs.join(","),
       MAX_RETRIES: config.maxRetries.toString(),
+      AUTH_TIMEOUT_MS: config.authTimeout.toString(),
+      RENDER_TIMEOUT_MS: config.renderTimeout.toString(),
       UPLOAD_TIMEOUT_MS: config.uploadTimeout.toString(),
       EMAIL_TIMEOUT_MS: config.emailTimeout.toString(),
       MAX_FILE_SIZE_MB: config.maxFileSize.toString(),
@@ -129,6 +194,19 @@ const validateRuntimeEnvironment = () => {
     issues.push("TIMEOUT_MS must be a positive number");
   }
 
+  // Each secrets provider needs to know where its secrets are
+  const secretsLocation = {
+    file: ["SECRETS_FILE_PATH", config.secretsFilePath],
+    secretsmanager: ["SECRETS_MANAGER_SECRET_ID", config.secretsManagerSecretId],
+    ssm: ["SECRETS_SSM_PATH", config.secretsSsmPath],
+  }[config.secretsProvider];
+
+  if (!secretsLocation && config.secretsProvider !== "env") {
+    issues.push("SECRETS_PROVIDER must be one of: env, file, secretsmanager, ssm");
+  } else if (secretsLocation && !secretsLocation[1]) {
+    issues.push(`${secretsLocation[0]} must be set when SECRETS_PROVIDER is ${config.secretsProvider}`);
+  }
+
   return {
     isValid: issues.length === 0,
     issues,
@@ -170,16 +248,50 @@ const getChromeArgs = () => {
 const logConfiguration = () => {
   const config = loadConfig();
   const lambdaSettings = getLambdaSettings();
+  const piiPolicy = getPIIPolicy();
+
+  if (process.env.LOG_PII_UNMASKED === "true" && !piiPolicy.unmasked) {
+    logger.warn("LOG_PII_UNMASKED is only honoured in local runs, personal data stays masked");
+  }
 
   logger.info("Lambda configuration loaded", {
     logLevel: config.logLevel,
+    logRedactKeys: [...getRedactionPolicy().extraKeys],
+    logPii: {
+      emailMode: piiPolicy.emailMode,
+      participantMode: piiPolicy.participantMode,
+      unmasked: piiPolicy.unmasked,
+    },
+    metrics: {
+      enabled: isMetricsEnabled(),
+      namespace: getMetricsNamespace(),
+    },
     timeout: config.timeout,
     memorySize: lambdaSettings.memorySize,
     isDevelopment: config.isDevelopment,
     isLocal: config.isLocal,
     mockServices: config.mockServices,
     maxRetries: config.maxRetries,
+    stageTimeouts: {
+      auth: config.authTimeout,
+      render: config.renderTimeout,
+      upload: config.uploadTimeout,
+      email: config.emailTimeout,
+    },
     maxFileSize: config.maxFileSize,
+    captureStrategy: config.captureStrategy,
+    browserReuse: config.browserReuse,
+    jobStore: config.jobStore,
+    jobDispatchMode: config.jobDispatchMode,
+    environmentsConfigPath: process.env.ENVIRONMENTS_CONFIG_PATH || DEFAULT_ENVIRONMENTS_CONFIG_PATH,
+    environments: getEnvironmentRegistry().names(),
+    deadlineSafetyMarginMs: config.deadlineSafetyMarginMs,
+    jobMaxContinuations: config.jobMaxContinuations,
+    idempotencyStore: config.idempotencyStore,
+    loginMode: config.loginMode,
+    secretsProvider: config.secretsProvider,
+    requestAuthRequired: config.requestAuthRequired,
+    sessionCacheStore: config.sessionCacheStore,
     chromeArgsCount: config.chromeArgs.length,
     nodeVersion: process.version,
     platform: process.platform,
@@ -1,8 +1,76 @@
 const { logger } = require("./utils/logger");
-const { validateInput, getEnvironmentUrls } = require("./utils/validation");
-const { PuppeteerService } = require("./services/puppeteer-service");
-const { UploadService } = require("./services/upload-service");
-const { EmailService } = require("./services/email-service");
+const { validateInput } = require("./utils/validation");
+const {
+  ExportService,
+  runExportJob,
+  startContinuationJob,
+  canContinue,
+  canRunAsJob,
+} = require("./services/export-service");
+const { JOB_STATES, createJobRecord, getJobStore, toJobStatus } = require("./services/job-store");
+const { dispatchJob } = require("./services/job-dispatcher");
+const { ExportCheckpoint } = require("./services/export-checkpoint");
+const {
+  IDEMPOTENCY_STATES,
+  getIdempotencyKey,
+  getIdempotencyStore,
+  getIdempotencyTtlMs,
+} = require("./services/idempotency-store");
+const { resolveRequestToken } = require("./services/delegated-auth");
+const { getSecretsProvider } = require("./services/secrets-provider");
+const { authenticateRequest } = require("./services/request-auth");
+const {
+  ErrorHandler,
+  ValidationError,
+  DeadlineExceededError,
+  IdempotencyKeyReusedError,
+} = require("./utils/error-handler");
+const { createDeadline } = require("./utils/deadline");
+const { loadConfig } = require("./config/environment");
+const { jsonResponse, withCorsHeaders, preflightResponse } = require("./utils/http-response");
+
+/**
+ * Get the HTTP method of an API Gateway event (REST v1 or HTTP v2 payloads)
+ * @param {Object} event - API Gateway event
+ * @returns {string|undefined} - HTTP method
+ */
+const getHttpMethod = (event) => event.httpMethod || event.requestContext?.http?.method;
+
+/**
+ * Get the job ID from a GET /export/{jobId} request
+ * @param {Object} event - API Gateway event
+ * @returns {string|null} - Job ID
+ */
+const getJobIdFromPath = (event) => {
+  if (event.pathParameters?.jobId) {
+    return event.pathParameters.jobId;
+  }
+
+  const match = (event.rawPath || event.path || "").match(/\/export\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Whether the event is a batch of SQS messages
+ * @param {Object} event - Lambda event
+ * @returns {boolean} - True for SQS event source batches
+ */
+const isSqsEvent = (event) =>
+  Array.isArray(event.Records) &&
+  event.Records.length > 0 &&
+  event.Records.every((record) => record.eventSource === "aws:sqs");
+
+/**
+ * Validate an export request, checking the secrets provider for the service credentials it doesn't carry
+ * @param {Object} body - Request body
+ * @returns {Object} - Validation result
+ */
+const validateRequest = async (body) => {
+  const hasOwnCredentials =
+    body.accessToken !== undefined || body.delegationToken !== undefined || (body.serviceEmail && body.servicePassword);
+
+  return validateInput(body, hasOwnCredentials ? {} : await getSecretsProvider().getServiceCredentials());
+};
 
 /**
  * AWS Lambda handler for PDF export generation
@@ -13,189 +81,537 @@ const { EmailService } = require("./services/email-service");
 exports.handler = async (event, context) => {
   const startTime = Date.now();
   const requestId = context.awsRequestId;
+  const deadline = createDeadline(context);
+
+  logger.child({ requestId }).info("Lambda function started", { event: JSON.stringify(event) });
+
+  // Background invocation started by the job dispatcher
+  if (event.exportJob) {
+    // A failed export is recorded on the job and returned: most failures (credentials, validation, deadlines that
+    // scheduled a continuation) don't go away on retry, and retries could email participants again. Only errors the
+    // job couldn't be recorded for fail the invocation, so Lambda's async retries and the dead-letter queue get those
+    return runExportJob(event.exportJob, requestId, { deadline });
+  }
+
+  // Export requests delivered by the SQS event source mapping
+  if (isSqsEvent(event)) {
+    return processSqsRecords(event.Records, requestId, deadline);
+  }
+
+  // Preflights carry no credentials, so they're answered before request authentication
+  if (getHttpMethod(event) === "OPTIONS") {
+    return preflightResponse(event);
+  }
+
+  // Every API Gateway response goes out with the CORS headers for the caller's origin
+  return withCorsHeaders(event, await handleHttpRequest(event, requestId, startTime, deadline));
+};
 
-  logger.info("Lambda function started", { requestId, event: JSON.stringify(event) });
+/**
+ * Handle POST /export and GET /export/{jobId}
+ * @param {Object} event - API Gateway event
+ * @param {string} requestId - Request ID
+ * @param {number} startTime - Invocation start time
+ * @param {Deadline} deadline - Invocation deadline
+ * @returns {Object} - API Gateway response
+ */
+const handleHttpRequest = async (event, requestId, startTime, deadline) => {
+  const log = logger.child({ requestId });
 
   try {
+    // Only authenticated callers can start exports or read job status
+    await authenticateRequest(event, log);
+
+    if (getHttpMethod(event) === "GET") {
+      return await getJobStatus(event, requestId);
+    }
+
     // Parse input from API Gateway
-    const input = event.body ? JSON.parse(event.body) : event;
+    const body = parseBody(event);
 
     // Validate input parameters
-    const validation = validateInput(input);
+    const validation = await validateRequest(body);
     if (!validation.isValid) {
-      logger.error("Input validation failed", { requestId, errors: validation.errors });
-      return {
-        statusCode: 400,
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type,Authorization",
-          "Access-Control-Allow-Methods": "POST,OPTIONS",
-        },
-        body: JSON.stringify({
-          success: false,
-          error: "Invalid input parameters",
-          details: validation.errors,
-        }),
-      };
+      throw new ValidationError("Invalid input parameters", validation.errors);
     }
 
-    const { surveyId, participantId, adminEmails, env, serviceEmail, servicePassword } = input;
+    // Verify a pre-issued accessToken or delegationToken before any work is accepted
+    const input = await resolveRequestToken(body, log);
 
-    // Get URLs based on environment
-    const { frontendUrl, backendUrl } = getEnvironmentUrls(env);
+    const idempotency = getIdempotencyKey(input);
 
-    // Use service credentials from request or fall back to environment variables
-    const finalServiceEmail = serviceEmail || process.env.SERVICE_EMAIL;
-    const finalServicePassword = servicePassword || process.env.SERVICE_PASSWORD;
+    // Callers can opt out of job mode and wait for the whole pipeline
+    if (input.async === false) {
+      return await runIdempotently(idempotency, requestId, deadline, () =>
+        runSynchronousExport(input, requestId, startTime, deadline, idempotency.key)
+      );
+    }
+
+    // Jobs are dispatched without credentials, so they can't log in with the request's own
+    if (!canRunAsJob(input)) {
+      throw new ValidationError("Invalid input parameters", [
+        'servicePassword and accessToken require "async": false; background jobs log in with the service account from the secrets provider or a delegationToken',
+      ]);
+    }
 
-    logger.info("Processing PDF export request", {
+    const job = createJobRecord({
+      surveyId: input.surveyId,
+      participantId: input.participantId,
+      participantIds: input.participantIds,
+      env: input.env,
       requestId,
-      surveyId,
-      participantId,
-      adminEmailCount: adminEmails.length,
-      environment: env,
-      frontendUrl,
-      backendUrl,
-      serviceEmail: finalServiceEmail,
     });
 
-    // Initialize services (upload and email services will get access token after PDF generation)
-    const puppeteerService = new PuppeteerService(requestId);
+    // A retried request gets the job started by the first one instead of a second export
+    const claim = await claimIdempotencyKey(idempotency, { jobId: job.jobId, requestId });
+    if (!claim.claimed) {
+      return await replayIdempotentRequest(claim.record, requestId);
+    }
 
-    let browser = null;
-    let pdfBuffer = null;
-    let pdfUrl = null;
-    let accessToken = null;
+    // A retry of a failed job resumes from what that job already delivered
+    if (claim.failedJob?.checkpoint?.participants) {
+      job.checkpoint = { participants: claim.failedJob.checkpoint.participants };
+    }
 
     try {
-      // Step 1: Generate PDF using Puppeteer (this will also perform authentication)
-      logger.info("Starting PDF generation", { requestId });
-      const pdfResult = await puppeteerService.generatePDF({
-        surveyId,
-        participantId,
-        frontendUrl,
-        backendUrl,
-        serviceEmail: finalServiceEmail,
-        servicePassword: finalServicePassword,
-      });
+      await getJobStore().create(job);
+      await dispatchJob({ jobId: job.jobId, input }, log);
+    } catch (error) {
+      await getIdempotencyStore().release(idempotency.key);
+      throw error;
+    }
 
-      browser = pdfResult.browser;
-      pdfBuffer = pdfResult.pdfBuffer;
-      accessToken = pdfResult.accessToken;
+    log.info("Export job accepted", { jobId: job.jobId, duration: Date.now() - startTime });
 
-      logger.info("PDF generated successfully", {
-        requestId,
-        pdfSize: pdfBuffer.length,
-      });
+    return jsonResponse(202, {
+      success: true,
+      jobId: job.jobId,
+      status: job.status,
+      statusUrl: `/export/${job.jobId}`,
+      message: "Export job accepted",
+      requestId,
+    });
+  } catch (error) {
+    // Typed errors keep their status code and errorCode, anything else is categorized by its message
+    return new ErrorHandler(log).handleError(error, { duration: Date.now() - startTime });
+  }
+};
 
-      // Step 2: Initialize services with the access token obtained from authentication
-      const uploadService = new UploadService(backendUrl, accessToken, requestId, env);
-      const emailService = new EmailService(backendUrl, accessToken, requestId, surveyId, participantId);
+/**
+ * Parse the JSON body of an API Gateway request; direct invocations pass the input as the event itself
+ * @param {Object} event - API Gateway event
+ * @returns {Object} - Request body
+ */
+const parseBody = (event) => {
+  if (!event.body) {
+    return event;
+  }
 
-      // Step 3: Upload PDF to backend storage
-      logger.info("Starting PDF upload", { requestId });
-      pdfUrl = await uploadService.uploadPDF(pdfBuffer, `survey_${surveyId}_participant_${participantId}.pdf`);
+  try {
+    return JSON.parse(event.body);
+  } catch (error) {
+    throw new ValidationError("Request body must be valid JSON", [error.message]);
+  }
+};
 
-      logger.info("PDF uploaded successfully", {
-        requestId,
-        pdfUrl,
-      });
+/**
+ * Whether a synchronous export's claim was left behind by an invocation that was killed or timed out:
+ * it is still in progress after the invocation that claimed it had to end, so nothing is running it anymore
+ * @param {Object} record - Idempotency record
+ * @returns {boolean} - True when the claim can be taken over
+ */
+const isAbandonedClaim = (record) =>
+  record?.status === IDEMPOTENCY_STATES.IN_PROGRESS &&
+  typeof record.runsUntil === "number" &&
+  record.runsUntil < Date.now();
 
-      // Step 4: Send email notifications
-      logger.info("Starting email notifications", { requestId });
-      await emailService.sendNotifications({
-        adminEmails,
-        pdfUrl,
-      });
+/**
+ * Claim an idempotency key, taking over keys whose export job has failed, or whose synchronous export was
+ * abandoned, so the request can be retried
+ * @param {Object} idempotency - { key, ttlMs, payloadHash } from getIdempotencyKey
+ * @param {Object} fields - Fields stored on the idempotency record
+ * @returns {Object} - { claimed, record, failedJob } - failedJob is the job whose key was taken over
+ * @throws {IdempotencyKeyReusedError} - When the key was claimed by a request with a different payload
+ */
+const claimIdempotencyKey = async ({ key, ttlMs, payloadHash }, fields) => {
+  const store = getIdempotencyStore();
+  const recordFields = { ...fields, payloadHash };
+  const claim = await store.claim(key, recordFields, ttlMs);
+
+  if (!claim.claimed && claim.record?.payloadHash && claim.record.payloadHash !== payloadHash) {
+    throw new IdempotencyKeyReusedError(key.replace(/^key:/, ""));
+  }
+
+  if (!claim.claimed && claim.record?.jobId) {
+    const job = await getJobStore().get(claim.record.jobId);
+
+    if (job?.status === JOB_STATES.FAILED) {
+      await store.release(key);
+      return { ...(await store.claim(key, recordFields, ttlMs)), failedJob: job };
+    }
+  }
+
+  if (!claim.claimed && isAbandonedClaim(claim.record)) {
+    logger.child({ requestId: fields.requestId }).warn("Taking over an abandoned idempotency claim", {
+      originalRequestId: claim.record.requestId,
+      runsUntil: new Date(claim.record.runsUntil).toISOString(),
+    });
+
+    await store.release(key);
+    return store.claim(key, recordFields, ttlMs);
+  }
+
+  return claim;
+};
+
+/**
+ * Run a synchronous export once per idempotency key, remembering its response for repeated requests
+ * Responses with a 5xx status are forgotten so the caller can retry with the same key
+ * @param {Object} idempotency - { key, ttlMs } from getIdempotencyKey
+ * @param {string} requestId - Request ID
+ * @param {Deadline} deadline - Invocation deadline, to tell when this invocation ends at the latest
+ * @param {Function} run - async () => API Gateway response
+ * @returns {Object} - API Gateway response
+ */
+const runIdempotently = async (idempotency, requestId, deadline, run) => {
+  // Past this time the invocation can't be running anymore, so a claim it left behind can be taken over
+  const invocationRemainingMs = deadline.invocationRemainingMs();
+  const remainingMs = Number.isFinite(invocationRemainingMs) ? invocationRemainingMs : loadConfig().timeout;
+  const claim = await claimIdempotencyKey(idempotency, { requestId, runsUntil: Date.now() + remainingMs });
+  if (!claim.claimed) {
+    return replayIdempotentRequest(claim.record, requestId);
+  }
+
+  const store = getIdempotencyStore();
+  let response;
+
+  try {
+    response = await run();
+  } catch (error) {
+    await store.release(idempotency.key);
+    throw error;
+  }
+
+  if (response.statusCode >= 500) {
+    await store.release(idempotency.key);
+  } else {
+    await store.complete(idempotency.key, {
+      response: { statusCode: response.statusCode, body: JSON.parse(response.body) },
+    });
+  }
+
+  return response;
+};
+
+/**
+ * Answer a repeated request from its idempotency record: the original response, the
+ * original job, or a conflict while the original synchronous export is still running
+ * @param {Object} record - Idempotency record
+ * @param {string} requestId - Request ID
+ * @returns {Object} - API Gateway response
+ */
+const replayIdempotentRequest = async (record, requestId) => {
+  logger.child({ requestId }).info("Replaying idempotent request", {
+    originalRequestId: record?.requestId,
+    jobId: record?.jobId,
+  });
+
+  if (record?.response) {
+    return jsonResponse(record.response.statusCode, {
+      ...record.response.body,
+      idempotentReplay: true,
+      requestId,
+    });
+  }
 
-      logger.info("Email notifications sent successfully", {
-        requestId,
-        emailCount: adminEmails.length,
+  if (record?.jobId) {
+    // The job record may not be written yet when the original request is still being accepted
+    const job = await getJobStore().get(record.jobId);
+    const status = job ? toJobStatus(job) : { jobId: record.jobId, status: JOB_STATES.QUEUED };
+
+    return jsonResponse(status.status === JOB_STATES.DONE ? 200 : 202, {
+      success: true,
+      ...status,
+      statusUrl: `/export/${record.jobId}`,
+      idempotentReplay: true,
+      requestId,
+    });
+  }
+
+  return jsonResponse(409, {
+    success: false,
+    error: "A request with the same idempotency key is already in progress",
+    requestId,
+  });
+};
+
+/**
+ * Run the whole pipeline inside this invocation and respond when it finishes
+ * An export that runs out of time continues as a background job and gets 202 with its status URL
+ * @param {Object} input - Validated request input
+ * @param {string} requestId - Request ID
+ * @param {number} startTime - Invocation start time
+ * @param {Deadline} deadline - Invocation deadline
+ * @param {string} checkpointKey - Idempotency key the export's checkpoint is kept under
+ * @returns {Object} - API Gateway response
+ */
+const runSynchronousExport = async (input, requestId, startTime, deadline, checkpointKey) => {
+  const log = logger.child({ requestId });
+  const checkpoint = await loadRequestCheckpoint(checkpointKey, log);
+  const exportService = new ExportService(log, { deadline, checkpoint });
+  // Exports logging in with the request's own credentials can't be handed to a job (see canRunAsJob)
+  const canHandOff = canContinue(0) && canRunAsJob(input);
+  let result;
+
+  try {
+    result = await exportService.run(input);
+  } catch (error) {
+    if (!(error instanceof DeadlineExceededError) || !canHandOff) {
+      throw error;
+    }
+
+    const job = await startContinuationJob(input, requestId, {
+      checkpoint: { participants: exportService.checkpoint.participants },
+    });
+    return continuationResponse(job, requestId, startTime);
+  }
+
+  const duration = Date.now() - startTime;
+
+  if (result.results) {
+    const { results, successCount, deferredParticipantIds } = result;
+
+    if (deferredParticipantIds.length > 0 && canHandOff) {
+      const completed = results.filter((item) => !deferredParticipantIds.includes(item.participantId));
+      const job = await startContinuationJob({ ...input, participantIds: deferredParticipantIds }, requestId, {
+        participantIds: input.participantIds,
+        results: completed,
+        checkpoint: { participants: exportService.checkpoint.participants },
       });
 
-      const duration = Date.now() - startTime;
-      logger.info("Lambda function completed successfully", {
-        requestId,
-        duration,
-        pdfUrl,
+      return continuationResponse(job, requestId, startTime, completed);
+    }
+
+    // 207 Multi-Status when only some participants succeeded
+    let statusCode = 207;
+    if (successCount === results.length) statusCode = 200;
+    if (successCount === 0) statusCode = 500;
+
+    return jsonResponse(statusCode, {
+      success: successCount === results.length,
+      results,
+      message: `${successCount} of ${results.length} participant exports completed successfully`,
+      duration,
+      requestId,
+    });
+  }
+
+  log.info("Lambda function completed successfully", { duration, pdfUrl: result.pdfUrl });
+
+  return jsonResponse(200, {
+    success: true,
+    pdfUrl: result.pdfUrl,
+    message: "PDF generated and emails sent successfully",
+    duration,
+    requestId,
+  });
+};
+
+/**
+ * Response for a synchronous export handed off to a continuation job
+ * @param {Object} job - Continuation job record
+ * @param {string} requestId - Request ID
+ * @param {number} startTime - Invocation start time
+ * @param {Array} results - Batch results completed before the hand-off
+ * @returns {Object} - API Gateway response
+ */
+const continuationResponse = (job, requestId, startTime, results = undefined) =>
+  jsonResponse(202, {
+    success: true,
+    jobId: job.jobId,
+    status: job.status,
+    statusUrl: `/export/${job.jobId}`,
+    results,
+    message: "Export ran out of time and continues as a background job",
+    duration: Date.now() - startTime,
+    requestId,
+  });
+
+/**
+ * Process a batch of SQS messages, each holding one export request
+ * Failed messages are reported through batchItemFailures so only they are re-driven. Messages there's
+ * no longer time to start are handed back the same way, and exports cut off by the deadline continue
+ * as background jobs
+ * @param {Array} records - SQS records
+ * @param {string} requestId - Request ID
+ * @param {Deadline} deadline - Invocation deadline
+ * @returns {Object} - { batchItemFailures: [{ itemIdentifier }] }
+ */
+const processSqsRecords = async (records, requestId, deadline) => {
+  const batchItemFailures = [];
+  const log = logger.child({ requestId });
+
+  log.info("Processing SQS export messages", { messageCount: records.length });
+
+  // Messages are processed one at a time - each export needs the whole browser
+  for (const [index, record] of records.entries()) {
+    const { messageId } = record;
+    const messageLog = log.child({ messageId });
+
+    if (!deadline.canStart("auth")) {
+      const remaining = records.slice(index).map((item) => ({ itemIdentifier: item.messageId }));
+
+      log.warn("Not enough time left for the remaining SQS export messages", {
+        remainingMs: Math.round(deadline.remainingMs()),
+        messageCount: remaining.length,
       });
 
-      return {
-        statusCode: 200,
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type,Authorization",
-          "Access-Control-Allow-Methods": "POST,OPTIONS",
-        },
-        body: JSON.stringify({
-          success: true,
-          pdfUrl,
-          message: "PDF generated and emails sent successfully",
-          duration,
-          requestId,
-        }),
-      };
+      batchItemFailures.push(...remaining);
+      break;
+    }
+
+    try {
+      const body = JSON.parse(record.body);
+
+      const validation = await validateRequest(body);
+      if (!validation.isValid) {
+        throw new ValidationError(`Invalid input parameters: ${validation.errors.join("; ")}`, validation.errors);
+      }
+
+      const input = await resolveRequestToken(body, messageLog);
+      const result = await runSqsExport(input, messageLog, deadline, `sqs:${messageId}`);
+
+      // A batch message is only re-driven when no participant succeeded, so delivered PDFs aren't emailed twice;
+      // after a hand-off the continuation job owns the rest
+      if (result.results && result.successCount === 0 && !result.continuationJobId) {
+        throw new Error("All participant exports failed");
+      }
+
+      if (result.results && result.successCount < result.results.length) {
+        messageLog.warn("SQS export message partially succeeded", {
+          successCount: result.successCount,
+          participantCount: result.results.length,
+          failedParticipants: result.results.filter((item) => !item.success).map((item) => item.participantId),
+        });
+      }
+
+      messageLog.info("SQS export message processed", {
+        pdfUrl: result.pdfUrl,
+        continuationJobId: result.continuationJobId,
+      });
     } catch (error) {
-      logger.error("Error during PDF processing", {
-        requestId,
+      messageLog.error("SQS export message failed", {
+        receiveCount: record.attributes?.ApproximateReceiveCount,
         error: error.message,
-        stack: error.stack,
       });
 
-      throw error;
-    } finally {
-      // Cleanup: Close browser and cleanup temp files
-      if (browser) {
-        try {
-          logger.info("Cleaning up browser instance", { requestId });
-          await browser.close();
-        } catch (cleanupError) {
-          logger.error("Error closing browser", {
-            requestId,
-            error: cleanupError.message,
-          });
-        }
-      }
+      batchItemFailures.push({ itemIdentifier: messageId });
     }
+  }
+
+  log.info("SQS export batch completed", { messageCount: records.length, failureCount: batchItemFailures.length });
+
+  return { batchItemFailures };
+};
+
+/**
+ * Run the export of one SQS message, handing whatever the deadline cuts off to a continuation job
+ * @param {Object} input - Validated request input
+ * @param {Object} log - Logger bound to the request and message
+ * @param {Deadline} deadline - Invocation deadline
+ * @param {string} checkpointKey - Message key the export's checkpoint is kept under, the same for every redelivery
+ * @returns {Object} - Export result, with continuationJobId after a hand-off
+ */
+const runSqsExport = async (input, log, deadline, checkpointKey) => {
+  const { requestId } = log.bindings;
+  const checkpoint = await loadRequestCheckpoint(checkpointKey, log);
+  const exportService = new ExportService(log, { deadline, checkpoint });
+  // Exports logging in with the request's own credentials can't be handed to a job (see canRunAsJob)
+  const canHandOff = canContinue(0) && canRunAsJob(input);
+  let result;
+
+  try {
+    result = await exportService.run(input);
   } catch (error) {
-    const duration = Date.now() - startTime;
-    logger.error("Lambda function failed", {
-      requestId,
-      error: error.message,
-      stack: error.stack,
-      duration,
+    if (!(error instanceof DeadlineExceededError) || !canHandOff) {
+      throw error;
+    }
+
+    const job = await startContinuationJob(input, requestId, {
+      checkpoint: { participants: exportService.checkpoint.participants },
+    });
+    return { continuationJobId: job.jobId };
+  }
+
+  if (result.deferredParticipantIds?.length > 0 && canHandOff) {
+    const { deferredParticipantIds } = result;
+    const results = result.results.filter((item) => !deferredParticipantIds.includes(item.participantId));
+    const job = await startContinuationJob({ ...input, participantIds: deferredParticipantIds }, requestId, {
+      participantIds: input.participantIds,
+      results,
+      checkpoint: { participants: exportService.checkpoint.participants },
     });
 
-    return {
-      statusCode: 500,
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Content-Type,Authorization",
-        "Access-Control-Allow-Methods": "POST,OPTIONS",
-      },
-      body: JSON.stringify({
-        success: false,
-        error: "Internal server error",
-        message: error.message,
-        requestId,
-        duration: Date.now() - startTime,
-      }),
-    };
+    // The continuation job owns the deferred participants, so only the finished ones count here
+    return { results, successCount: results.filter((item) => item.success).length, continuationJobId: job.jobId };
   }
+
+  return result;
 };
 
-// Handle OPTIONS requests for CORS
-exports.corsHandler = async (event, context) => {
-  return {
-    statusCode: 200,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Headers": "Content-Type,Authorization",
-      "Access-Control-Allow-Methods": "POST,OPTIONS",
-    },
-    body: "",
-  };
+/**
+ * Load the checkpoint of an export that runs outside a background job and keep saving it under the same key,
+ * so a retried request or a redelivered SQS message resumes from what an earlier attempt delivered
+ * @param {string} key - Idempotency key or SQS message key
+ * @param {Object} log - Request logger
+ * @returns {ExportCheckpoint} - Checkpoint for the ExportService
+ */
+const loadRequestCheckpoint = async (key, log) => {
+  const store = getIdempotencyStore();
+  let participants = null;
+
+  try {
+    participants = await store.loadCheckpoint(key);
+  } catch (error) {
+    // Without it the export just starts over
+    log.warn("Failed to load export checkpoint", { error: error.message });
+  }
+
+  if (participants) {
+    log.info("Resuming export from a saved checkpoint", { checkpointParticipants: Object.keys(participants).length });
+  }
+
+  return new ExportCheckpoint(participants || {}, {
+    log,
+    onChange: (delivered) => store.saveCheckpoint(key, delivered, getIdempotencyTtlMs()),
+  });
+};
+
+/**
+ * Handle GET /export/{jobId}
+ * @param {Object} event - API Gateway event
+ * @param {string} requestId - Request ID
+ * @returns {Object} - API Gateway response
+ */
+const getJobStatus = async (event, requestId) => {
+  const jobId = getJobIdFromPath(event);
+
+  if (!jobId) {
+    return jsonResponse(400, { success: false, error: "Missing jobId in path", requestId });
+  }
+
+  const job = await getJobStore().get(jobId);
+
+  if (!job) {
+    return jsonResponse(404, { success: false, error: "Job not found", jobId, requestId });
+  }
+
+  return jsonResponse(200, {
+    success: true,
+    ...toJobStatus(job),
+    requestId,
+  });
 };
+
+// Handle OPTIONS requests for CORS
+exports.corsHandler = async (event, context) => preflightResponse(event);
@@ -0,0 +1,191 @@
+const axios = require("axios");
+const { toLogger } = require("../utils/logger");
+const { AuthenticationError, ServiceUnavailableError, TimeoutError } = require("../utils/error-handler");
+const { loadConfig } = require("../config/environment");
+
+/**
+ * How the service account logs in
+ * - "ui": fill in and submit the frontend's login form (default)
+ * - "api": POST the credentials to the backend's /users/login and seed the browser with the result
+ */
+const LOGIN_MODES = ["ui", "api"];
+
+const LOGIN_TIMEOUT_MS = 30000; // Same as the UI login's wait for the /users/login response
+
+/**
+ * @param {string} mode - Requested login mode, defaults to LOGIN_MODE
+ * @returns {string} - Login mode
+ */
+const getLoginMode = (mode) => {
+  const loginMode = mode || loadConfig().loginMode;
+
+  if (!LOGIN_MODES.includes(loginMode)) {
+    throw new Error(`Unknown login mode: ${loginMode}. Must be one of: ${LOGIN_MODES.join(", ")}`);
+  }
+  return loginMode;
+};
+
+/**
+ * Convert a Set-Cookie header into a cookie for page.setCookie()
+ * @param {string} header - Set-Cookie header value
+ * @param {string} url - URL of the response that set it
+ * @returns {Object|null} - Cookie, or null when the header has no name
+ */
+const parseSetCookie = (header, url) => {
+  const [pair, ...attributes] = header.split(";").map((part) => part.trim());
+  const separator = pair.indexOf("=");
+  if (separator <= 0) return null;
+
+  const cookie = {
+    name: pair.slice(0, separator),
+    value: pair.slice(separator + 1),
+    domain: new URL(url).hostname,
+    path: "/",
+  };
+  let expires = null;
+  let maxAge = null;
+
+  for (const attribute of attributes) {
+    const [name, ...rest] = attribute.split("=");
+    const value = rest.join("=");
+
+    switch (name.toLowerCase()) {
+      case "domain":
+        cookie.domain = value.replace(/^\./, "");
+        break;
+      case "path":
+        cookie.path = value || "/";
+        break;
+      case "expires":
+        expires = Math.floor(new Date(value).getTime() / 1000);
+        break;
+      case "max-age":
+        maxAge = parseInt(value);
+        break;
+      case "httponly":
+        cookie.httpOnly = true;
+        break;
+      case "secure":
+        cookie.secure = true;
+        break;
+      case "samesite":
+        cookie.sameSite = value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+        break;
+    }
+  }
+
+  // Max-Age wins over Expires; cookies with neither are session cookies
+  if (Number.isFinite(maxAge)) {
+    cookie.expires = Math.floor(Date.now() / 1000) + maxAge;
+  } else if (Number.isFinite(expires)) {
+    cookie.expires = expires;
+  }
+
+  return cookie;
+};
+
+/**
+ * Log in through the backend API instead of the frontend's login form
+ * The returned session has the same shape as a cached one, so it is put into the browser the same
+ * way: the backend's cookies plus the token, see createTokenSession
+ * Only a rejected login (401 or 403) is an AuthenticationError; timeouts, network errors and other
+ * responses are TimeoutError or ServiceUnavailableError, so the auth stage retries them like a UI login
+ * @param {Object} params - { backendUrl, frontendUrl, serviceEmail, servicePassword, log, timeoutMs }
+ * @returns {Object} - { accessToken, cookies, localStorage, origin }
+ */
+const loginViaApi = async ({
+  backendUrl,
+  frontendUrl,
+  serviceEmail,
+  servicePassword,
+  log: requestLog,
+  timeoutMs = LOGIN_TIMEOUT_MS,
+}) => {
+  const log = toLogger(requestLog);
+  const startTime = Date.now();
+  const loginUrl = `${backendUrl}/users/login`;
+
+  log.info("Logging in through the backend API", { loginUrl });
+
+  let response;
+  try {
+    response = await axios.post(
+      loginUrl,
+      { email: serviceEmail, password: servicePassword },
+      { headers: { "Content-Type": "application/json" }, timeout: timeoutMs }
+    );
+  } catch (error) {
+    const responseStatus = error.response?.status;
+    const context = { responseStatus, networkErrorCode: error.code };
+
+    if (responseStatus === 401 || responseStatus === 403) {
+      throw new AuthenticationError(
+        `Authentication failed: Login failed: ${responseStatus} ${error.response.statusText}`,
+        context
+      );
+    } else if (error.code === "ETIMEDOUT" || error.code === "ECONNABORTED") {
+      throw new TimeoutError("login", timeoutMs, context);
+    } else if (error.response) {
+      throw new ServiceUnavailableError(
+        "login",
+        `Login failed: ${responseStatus} ${error.response.statusText}`,
+        context
+      );
+    } else {
+      throw new ServiceUnavailableError("login", `Unable to reach the backend: ${error.message}`, context);
+    }
+  }
+
+  const data = response.data || {};
+  const accessToken = data.data?.token || data.accessToken || data.token || data.access_token;
+
+  if (!accessToken) {
+    log.error("Access token missing from response", { responseStructure: Object.keys(data) });
+    throw new AuthenticationError("Authentication failed: Login response missing access token");
+  }
+
+  const cookies = (response.headers["set-cookie"] || [])
+    .map((header) => parseSetCookie(header, loginUrl))
+    .filter(Boolean);
+  const session = createTokenSession(accessToken, frontendUrl, cookies);
+
+  log.info("API login successful", {
+    tokenLength: accessToken.length,
+    cookieCount: session.cookies.length,
+    storageKeys: Object.keys(session.localStorage),
+    authTime: Date.now() - startTime,
+  });
+
+  return session;
+};
+
+/**
+ * Session that seeds the browser with an access token the way the frontend stores it after logging in:
+ * under every LOGIN_TOKEN_STORAGE_KEYS key in localStorage and in the LOGIN_TOKEN_COOKIE cookie, when set
+ * @param {string} accessToken - Access token
+ * @param {string} frontendUrl - Frontend URL
+ * @param {Array} cookies - Cookies to add, e.g. from the backend's login response
+ * @returns {Object} - { accessToken, cookies, localStorage, origin }
+ */
+const createTokenSession = (accessToken, frontendUrl, cookies = []) => {
+  const { loginTokenStorageKeys, loginTokenCookie } = loadConfig();
+
+  return {
+    accessToken,
+    cookies: loginTokenCookie
+      ? [
+          ...cookies,
+          {
+            name: loginTokenCookie,
+            value: accessToken,
+            domain: new URL(frontendUrl).hostname,
+            path: "/",
+          },
+        ]
+      : cookies,
+    localStorage: Object.fromEntries(loginTokenStorageKeys.map((key) => [key, accessToken])),
+    origin: new URL(frontendUrl).origin,
+  };
+};
+
+module.exports = { LOGIN_MODES, getLoginMode, parseSetCookie, loginViaApi, createTokenSession };
@@ -0,0 +1,191 @@
+const { logger, toLogger } = require("../utils/logger");
+const { loadConfig } = require("../config/environment");
+
+/**
+ * Keeps one Chrome instance alive across warm Lambda invocations
+ * Every request gets its own incognito browser context, so cookies, storage and downloads
+ * never leak between requests, and closing the context is all a request has to clean up
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    const config = loadConfig();
+    this.reuse = options.reuse !== undefined ? options.reuse : config.browserReuse;
+    this.healthCheckTimeout = options.healthCheckTimeout || config.browserHealthCheckTimeout;
+    this.browser = null;
+    this.launching = null;
+    this.launchCount = 0;
+  }
+
+  /**
+   * Get a browser context for one request
+   * @param {Object|string} requestLog - Child logger bound to the request, or the request ID
+   * @param {Function} launch - async () => browser, used when no healthy browser is running
+   * @returns {Object} - { browser, context, reused, release } - release() closes the context (and the browser
+   *   when not reusing it)
+   */
+  async acquire(requestLog, launch) {
+    const log = toLogger(requestLog);
+
+    if (!this.reuse) {
+      const browser = await launch();
+      const context = await browser.createIncognitoBrowserContext();
+
+      return {
+        browser,
+        context,
+        reused: false,
+        release: () => this.closeBrowser(browser, log),
+      };
+    }
+
+    const reused = await this.isHealthy(this.browser, log);
+    const browser = reused ? this.browser : await this.relaunch(log, launch);
+
+    let context;
+    try {
+      context = await browser.createIncognitoBrowserContext();
+    } catch (error) {
+      log.warn("Could not create browser context, relaunching browser", { error: error.message });
+
+      const freshBrowser = await this.relaunch(log, launch);
+      context = await freshBrowser.createIncognitoBrowserContext();
+      return this.createSession(freshBrowser, context, false, log);
+    }
+
+    log.info(reused ? "Reusing warm browser" : "Using newly launched browser", { launchCount: this.launchCount });
+
+    return this.createSession(browser, context, reused, log);
+  }
+
+  /**
+   * @param {Object} browser - Puppeteer browser instance
+   * @param {Object} context - Incognito browser context
+   * @param {boolean} reused - Whether the browser was already running
+   * @param {Object} log - Request logger
+   * @returns {Object} - { browser, context, reused, release }
+   */
+  createSession(browser, context, reused, log) {
+    return {
+      browser,
+      context,
+      reused,
+      release: async () => {
+        // A crashed browser takes its contexts with it, and closing one would wait for the protocol timeout
+        if (!browser.isConnected()) return;
+
+        try {
+          await context.close();
+        } catch (error) {
+          log.warn("Error closing browser context", { error: error.message });
+        }
+      },
+    };
+  }
+
+  /**
+   * Check that the browser is still connected and responding
+   * @param {Object} browser - Puppeteer browser instance
+   * @param {Object} log - Request logger
+   * @returns {boolean} - Whether the browser can be reused
+   */
+  async isHealthy(browser, log) {
+    if (!browser || !browser.isConnected()) return false;
+
+    let timer;
+    try {
+      await Promise.race([
+        browser.version(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error("Health check timed out")), this.healthCheckTimeout);
+        }),
+      ]);
+      return true;
+    } catch (error) {
+      log.warn("Warm browser failed health check", { error: error.message });
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Replace the pooled browser with a new one; concurrent callers share a single launch
+   * @param {Object} log - Request logger
+   * @param {Function} launch - async () => browser
+   * @returns {Object} - Puppeteer browser instance
+   */
+  async relaunch(log, launch) {
+    if (!this.launching) {
+      this.launching = (async () => {
+        const previous = this.browser;
+        this.browser = null;
+        await this.closeBrowser(previous, log);
+
+        const browser = await launch();
+        this.launchCount++;
+
+        browser.once("disconnected", () => {
+          if (this.browser === browser) {
+            log.warn("Pooled browser disconnected");
+            this.browser = null;
+          }
+        });
+
+        this.browser = browser;
+        return browser;
+      })().finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Close a browser, killing its process if it doesn't close cleanly
+   * @param {Object} browser - Puppeteer browser instance
+   * @param {Object} log - Request logger
+   */
+  async closeBrowser(browser, log = logger) {
+    if (!browser) return;
+
+    try {
+      await browser.close();
+    } catch (error) {
+      log.warn("Error closing browser, killing its process", { error: error.message });
+      browser.process()?.kill("SIGKILL");
+    }
+  }
+
+  /**
+   * Close the pooled browser (tests and local runs)
+   */
+  async close() {
+    const browser = this.browser;
+    this.browser = null;
+    await this.closeBrowser(browser);
+  }
+}
+
+let browserPool = null;
+
+/**
+ * Get the module-level browser pool shared by every invocation in this container
+ * @returns {BrowserPool} - Browser pool
+ */
+const getBrowserPool = () => {
+  if (!browserPool) {
+    browserPool = new BrowserPool();
+  }
+  return browserPool;
+};
+
+/**
+ * Replace the shared browser pool (tests)
+ * @param {BrowserPool} pool - Browser pool
+ */
+const setBrowserPool = (pool) => {
+  browserPool = pool;
+};
+
+module.exports = { BrowserPool, getBrowserPool, setBrowserPool };
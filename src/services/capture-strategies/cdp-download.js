@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+const { AuthenticationError } = require("../../utils/error-handler");
+const { getExportUrl } = require("./urls");
+
+/**
+ * CDP download sessions by browser, see CDPDownloadStrategy.getDownloadSession
+ */
+const downloadSessions = new WeakMap();
+
+/**
+ * Capture strategy that lets the frontend's client-side export download the PDF and picks the
+ * download up through CDP Browser.downloadProgress events instead of watching the directory
+ */
+class CDPDownloadStrategy {
+  constructor(service) {
+    this.service = service;
+    this.name = "cdp-download";
+  }
+
+  /**
+   * @param {Object} params - { frontendUrl, surveyId, participantId }
+   * @returns {string} - URL the export page is opened at
+   */
+  getUrl(params) {
+    return getExportUrl(params);
+  }
+
+  /**
+   * Get the browser-wide CDP session that receives download events, setting it up on first use
+   * and enabling downloads for the page's browser context. Every export in the browser shares one
+   * session and directory; downloads are saved as <guid> so concurrent exports can't read each other's file
+   * @param {Object} page - Puppeteer page instance
+   * @returns {Object} - { client, downloadDir }
+   */
+  async getDownloadSession(page) {
+    const browser = page.browser();
+
+    if (!downloadSessions.has(browser)) {
+      const setup = (async () => {
+        const downloadDir = fs.mkdtempSync(path.join(this.service.downloadPath, "pdf-downloads-"));
+        const client = await browser.target().createCDPSession();
+
+        browser.once("disconnected", () => fs.rmSync(downloadDir, { recursive: true, force: true }));
+
+        return { client, downloadDir, contexts: new WeakSet() };
+      })();
+
+      // Drop failed setups so the next export can try again
+      setup.catch(() => downloadSessions.delete(browser));
+      downloadSessions.set(browser, setup);
+    }
+
+    const session = await downloadSessions.get(browser);
+    const browserContext = page.browserContext();
+
+    // Download behavior is set per browser context (the default context has no id)
+    if (!session.contexts.has(browserContext)) {
+      await session.client.send("Browser.setDownloadBehavior", {
+        behavior: "allowAndName",
+        downloadPath: session.downloadDir,
+        eventsEnabled: true,
+        ...(browserContext.id ? { browserContextId: browserContext.id } : {}),
+      });
+      session.contexts.add(browserContext);
+    }
+
+    return session;
+  }
+
+  /**
+   * Capture the frontend's PDF download through CDP download events instead of polling /tmp
+   * Only the download started by this page (matched by frame, then by GUID) is read, once
+   * Chrome reports it complete and the file verifies
+   * @param {Object} page - Puppeteer page instance
+   * @param {string} exportUrl - URL to navigate to for PDF download
+   * @param {Object} context - { participantId } attached to progress reports
+   * @returns {Buffer} - PDF file buffer
+   */
+  async capture(page, exportUrl, context = {}) {
+    const { client, downloadDir } = await this.getDownloadSession(page);
+    const pageClient = await page.target().createCDPSession();
+    const { frameTree } = await pageClient.send("Page.getFrameTree");
+    const frameId = frameTree.frame.id;
+    await pageClient.detach();
+
+    const listeners = {};
+    let timeout = null;
+    let guid = null;
+
+    try {
+      const download = new Promise((resolve, reject) => {
+        let lastLoggedPercent = -1;
+
+        timeout = setTimeout(() => reject(new Error("PDF download timeout exceeded")), this.service.timeout);
+
+        listeners["Browser.downloadWillBegin"] = (params) => {
+          if (guid || params.frameId !== frameId) return;
+
+          guid = params.guid;
+          this.service.log.info("Download started", {
+            participantId: context.participantId,
+            guid,
+            suggestedFilename: params.suggestedFilename,
+          });
+        };
+
+        listeners["Browser.downloadProgress"] = (params) => {
+          if (!guid || params.guid !== guid) return;
+
+          if (params.state === "inProgress" && params.totalBytes > 0) {
+            const percent = Math.floor((params.receivedBytes / params.totalBytes) * 100);
+            if (percent - lastLoggedPercent >= 25) {
+              lastLoggedPercent = percent;
+              this.service.log.info("Download progress", { guid, percent });
+            }
+          } else if (params.state === "completed") {
+            resolve(params.receivedBytes);
+          } else if (params.state === "canceled") {
+            reject(new Error(`PDF download canceled: ${guid}`));
+          }
+        };
+
+        for (const [event, listener] of Object.entries(listeners)) {
+          client.on(event, listener);
+        }
+      });
+
+      // Navigation failures and download failures both settle the same race
+      const navigation = page
+        .goto(exportUrl, { waitUntil: "networkidle2", timeout: this.service.timeout })
+        .then(async () => {
+          if (page.url().includes("/auth/login")) {
+            throw new AuthenticationError(`Authentication failed - redirected to login page: ${page.url()}`);
+          }
+          return download;
+        });
+      navigation.catch(() => {}); // Settled through the race below
+
+      const receivedBytes = await Promise.race([download, navigation]);
+      const pdfBuffer = this.readCompletedPDF(path.join(downloadDir, guid), receivedBytes);
+
+      this.service.log.info("PDF download captured", {
+        participantId: context.participantId,
+        guid,
+        bufferSize: pdfBuffer.length,
+      });
+
+      await this.service.reportProgress({
+        participantId: context.participantId,
+        progress: 100,
+        progressText: "Download complete",
+        exportStep: "Generating Export",
+      });
+
+      return pdfBuffer;
+    } finally {
+      clearTimeout(timeout);
+
+      for (const [event, listener] of Object.entries(listeners)) {
+        client.off(event, listener);
+      }
+
+      if (guid) {
+        fs.rmSync(path.join(downloadDir, guid), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Read a downloaded PDF, checking it is as large as Chrome reported and is a complete PDF
+   * @param {string} filePath - Path of the downloaded file
+   * @param {number} expectedBytes - Size reported by the completed download event
+   * @returns {Buffer} - PDF file buffer
+   */
+  readCompletedPDF(filePath, expectedBytes) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Downloaded file not found: ${filePath}`);
+    }
+
+    const pdfBuffer = fs.readFileSync(filePath);
+
+    if (pdfBuffer.length !== expectedBytes) {
+      throw new Error(`Downloaded PDF is incomplete: ${pdfBuffer.length} of ${expectedBytes} bytes`);
+    }
+
+    // A complete PDF starts with its header and ends with an %%EOF marker (optionally followed by whitespace)
+    if (pdfBuffer.subarray(0, 5).toString("latin1") !== "%PDF-") {
+      throw new Error("Downloaded file is not a PDF");
+    }
+    if (!pdfBuffer.subarray(-1024).toString("latin1").includes("%%EOF")) {
+      throw new Error("Downloaded PDF is truncated: missing %%EOF marker");
+    }
+
+    return pdfBuffer;
+  }
+}
+
+module.exports = { CDPDownloadStrategy };
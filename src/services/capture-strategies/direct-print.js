@@ -0,0 +1,103 @@
+const { AuthenticationError } = require("../../utils/error-handler");
+const { getResultsUrl } = require("./urls");
+
+/**
+ * page.pdf() defaults, overridden per request by pdfOptions
+ */
+const DEFAULT_PDF_OPTIONS = {
+  format: "A4",
+  landscape: false,
+  printBackground: true,
+  scale: 1,
+  margin: { top: "10mm", right: "10mm", bottom: "10mm", left: "10mm" },
+};
+
+/**
+ * Capture strategy that renders the results page with Chrome's own print-to-PDF, a fallback
+ * for when the frontend's client-side export is broken
+ */
+class DirectPrintStrategy {
+  constructor(service) {
+    this.service = service;
+    this.name = "direct-print";
+  }
+
+  /**
+   * @param {Object} params - { frontendUrl, surveyId, participantId }
+   * @returns {string} - URL the results page is opened at
+   */
+  getUrl(params) {
+    return getResultsUrl(params);
+  }
+
+  /**
+   * Render the results page with page.pdf() instead of waiting for the frontend's download
+   * @param {Object} page - Puppeteer page instance
+   * @param {string} resultsUrl - URL of the participant's results page
+   * @param {Object} context - { participantId } attached to progress reports
+   * @returns {Buffer} - PDF file buffer
+   */
+  async capture(page, resultsUrl, context = {}) {
+    const options = {
+      ...DEFAULT_PDF_OPTIONS,
+      ...this.service.pdfOptions,
+      margin: { ...DEFAULT_PDF_OPTIONS.margin, ...this.service.pdfOptions.margin },
+    };
+
+    await page.goto(resultsUrl, {
+      waitUntil: "networkidle0",
+      timeout: this.service.timeout,
+    });
+
+    if (page.url().includes("/auth/login")) {
+      throw new AuthenticationError(`Authentication failed - redirected to login page: ${page.url()}`);
+    }
+
+    await page.emulateMediaType("print");
+
+    if (options.printCss) {
+      await page.addStyleTag({ content: options.printCss });
+    }
+
+    // Web fonts must finish loading or the PDF falls back to system fonts
+    await page.evaluate(() => document.fonts.ready);
+
+    await this.service.reportProgress({
+      participantId: context.participantId,
+      progress: 50,
+      progressText: "Printing results page",
+      exportStep: "Generating Export",
+    });
+
+    const pdfBuffer = await page.pdf({
+      format: options.format,
+      landscape: options.landscape,
+      printBackground: options.printBackground,
+      scale: options.scale,
+      margin: options.margin,
+      displayHeaderFooter: !!(options.headerTemplate || options.footerTemplate),
+      // Chrome prints its own date/URL header when a template is missing
+      headerTemplate: options.headerTemplate || "<span></span>",
+      footerTemplate: options.footerTemplate || "<span></span>",
+      timeout: this.service.timeout,
+    });
+
+    await this.service.reportProgress({
+      participantId: context.participantId,
+      progress: 100,
+      progressText: "Printing results page",
+      exportStep: "Generating Export",
+    });
+
+    this.service.log.info("PDF rendered with page.pdf()", {
+      participantId: context.participantId,
+      format: options.format,
+      landscape: options.landscape,
+      bufferSize: pdfBuffer.length,
+    });
+
+    return pdfBuffer;
+  }
+}
+
+module.exports = { DirectPrintStrategy, DEFAULT_PDF_OPTIONS };
@@ -0,0 +1,449 @@
+const fs = require("fs");
+const path = require("path");
+const { AuthenticationError } = require("../../utils/error-handler");
+const { getExportUrl } = require("./urls");
+
+/**
+ * Capture strategy that lets the frontend's client-side export download the PDF into the
+ * download directory, polling the directory for new files and the page for export progress
+ */
+class DirectoryPollStrategy {
+  constructor(service) {
+    this.service = service;
+    this.name = "directory-poll";
+  }
+
+  /**
+   * @param {Object} params - { frontendUrl, surveyId, participantId }
+   * @returns {string} - URL the export page is opened at
+   */
+  getUrl(params) {
+    return getExportUrl(params);
+  }
+
+  /**
+   * Capture the participant's PDF
+   * @param {Object} page - Puppeteer page instance
+   * @param {string} url - URL from getUrl
+   * @param {Object} context - { participantId } attached to progress reports
+   * @returns {Buffer} - PDF file buffer
+   */
+  async capture(page, url, context = {}) {
+    await this.setupDownloadMonitoring(page);
+    return this.capturePDFDownload(page, url, context);
+  }
+
+  /**
+   * Setup download monitoring using Chrome DevTools Protocol
+   * @param {Object} page - Puppeteer page instance
+   */
+  async setupDownloadMonitoring(page) {
+    this.service.log.info("Setting up download monitoring");
+
+    // Get CDP session
+    const client = await page.target().createCDPSession();
+
+    // Enable necessary domains
+    await client.send("Page.enable");
+
+    // Try to enable Browser domain for download events (may not be available in all Chrome versions)
+    // Download behavior is set per browser context (the default context has no id)
+    const browserContextId = page.browserContext().id;
+    try {
+      await client.send("Browser.setDownloadBehavior", {
+        behavior: "allow",
+        downloadPath: this.service.downloadPath,
+        ...(browserContextId ? { browserContextId } : {}),
+      });
+    } catch (browserError) {
+      // Fallback to Page domain for download behavior
+      this.service.log.info("Browser domain not available, using Page domain for downloads", {
+        error: browserError.message,
+      });
+
+      try {
+        await client.send("Page.setDownloadBehavior", {
+          behavior: "allow",
+          downloadPath: this.service.downloadPath,
+        });
+      } catch (pageError) {
+        this.service.log.warn("Download behavior setup failed, PDF capture may not work", {
+          browserError: browserError.message,
+          pageError: pageError.message,
+        });
+      }
+    }
+
+    this.service.log.info("Download monitoring setup complete", {
+      downloadPath: this.service.downloadPath,
+    });
+  }
+
+  /**
+   * Capture PDF download using directory monitoring approach
+   * @param {Object} page - Puppeteer page instance
+   * @param {string} exportUrl - URL to navigate to for PDF download
+   * @param {Object} context - { participantId } attached to progress reports
+   * @returns {Buffer} - PDF file buffer
+   */
+  async capturePDFDownload(page, exportUrl, context = {}) {
+    this.service.log.info("Starting PDF download capture", {
+      exportUrl,
+    });
+
+    return new Promise(async (resolve, reject) => {
+      let timeout = setTimeout(() => {
+        reject(new Error("PDF download timeout exceeded"));
+      }, this.service.timeout);
+
+      try {
+        // Get initial files in download directory
+        const initialFiles = fs.existsSync(this.service.downloadPath)
+          ? fs.readdirSync(this.service.downloadPath).filter((f) => f.endsWith(".pdf"))
+          : [];
+
+        this.service.log.info("Starting PDF download monitoring", {
+          downloadPath: this.service.downloadPath,
+          initialFileCount: initialFiles.length,
+        });
+
+        // Navigate to the export URL to trigger download
+        this.service.log.info("Navigating to export URL", {
+          exportUrl,
+        });
+
+        await page.goto(exportUrl, {
+          waitUntil: "networkidle2",
+          timeout: this.service.timeout,
+        });
+
+        // Log comprehensive page state after navigation
+        const initialPageState = await page.evaluate(() => {
+          const exportModal =
+            document.querySelector("[data-export-modal]") ||
+            document.querySelector(".fixed.inset-0.z-50.flex.items-center.justify-center.bg-black.bg-opacity-50");
+          const innerModal = exportModal?.querySelector(".mx-4.max-w-md.rounded-lg.bg-white.p-8.shadow-lg");
+
+          return {
+            pageTitle: document.title,
+            pageUrl: window.location.href,
+            readyState: document.readyState,
+            hasExportModal: !!exportModal,
+            hasInnerModal: !!innerModal,
+            modalCount: document.querySelectorAll(".fixed.inset-0").length,
+            progressElements: document.querySelectorAll(".typography-label").length,
+            spinnerElements: document.querySelectorAll(".mb-4").length,
+            isLoginPage: window.location.href.includes("/auth/login"),
+            hasLoginForm: !!document.querySelector(
+              'form[action*="login"], input[type="email"], input[type="password"]'
+            ),
+          };
+        });
+
+        this.service.log.info("Page navigation completed", {
+          ...initialPageState,
+        });
+
+        // Check if we got redirected to login page
+        if (initialPageState.isLoginPage) {
+          throw new AuthenticationError(
+            `Authentication failed - redirected to login page: ${initialPageState.pageUrl}`
+          );
+        }
+
+        // Wait for download to start and complete
+        this.service.log.info("Waiting for PDF download to complete");
+
+        // Poll for new PDF files and track export progress
+        const pollInterval = 1000; // Check every second
+        const maxPolls = Math.floor(this.service.timeout / pollInterval);
+        let polls = 0;
+        let lastLoggedProgress = -1;
+
+        // Retry mechanism tracking
+        let retryAttempts = 0;
+        const maxRetries = 2;
+        let wasExporting = false;
+        let lastProgressTime = Date.now();
+
+        const pollForFile = async () => {
+          polls++;
+
+          let progressInfo = null;
+
+          try {
+            // Check for export progress on the page
+            try {
+              progressInfo = await page.evaluate(() => {
+                // Look for export modal using dual selector strategy
+                // Primary: data-export-modal (when deployed), Fallback: class-based selector
+                const exportModal =
+                  document.querySelector("[data-export-modal]") ||
+                  document.querySelector(".fixed.inset-0.z-50.flex.items-center.justify-center.bg-black.bg-opacity-50");
+
+                let progress = null;
+                let progressText = null;
+                let exportStep = null;
+                let isExporting = false;
+                let hasSpinner = false;
+                let innerModal = null;
+
+                if (exportModal) {
+                  // Validate it's the export modal by checking for inner modal
+                  innerModal = exportModal.querySelector(".mx-4.max-w-md.rounded-lg.bg-white.p-8.shadow-lg");
+
+                  if (innerModal) {
+                    isExporting = true;
+
+                    // Extract progress from data-export-progress-text or fallback selector
+                    const progressElement =
+                      exportModal.querySelector("[data-export-progress-text]") ||
+                      exportModal.querySelector(".typography-label.mb-4.text-greyscale-500") ||
+                      exportModal.querySelector(".typography-label");
+
+                    if (progressElement && progressElement.textContent) {
+                      const text = progressElement.textContent.trim();
+                      const percentMatch = text.match(/(\d+)%/);
+                      if (percentMatch) {
+                        progress = parseInt(percentMatch[1]);
+                      }
+                      progressText = text;
+                    }
+
+                    // Look for export step text (h3 with "Generating Export" etc.)
+                    const stepElement =
+                      exportModal.querySelector(".typography-heading-3.mb-4") ||
+                      exportModal.querySelector("h3.typography-heading-3");
+                    if (stepElement) {
+                      exportStep = stepElement.textContent?.trim();
+                    }
+
+                    // Check for loading spinner
+                    hasSpinner =
+                      !!exportModal.querySelector(".mb-4") ||
+                      !!exportModal.querySelector('[data-testid="loading-spinner"]');
+                  }
+                }
+
+                // Fallback: look for progress patterns anywhere on page if modal not found
+                if (!isExporting) {
+                  const allText = Array.from(document.querySelectorAll("*"))
+                    .map((el) => el.textContent || "")
+                    .join(" ");
+                  const progressMatches = allText.match(
+                    /(\d+)%\s*(complete|progress|capturing|generating|processing)/i
+                  );
+                  if (progressMatches) {
+                    progress = parseInt(progressMatches[1]);
+                    progressText = progressMatches[0];
+                    isExporting = true;
+                  }
+                }
+
+                return {
+                  progress,
+                  progressText,
+                  exportStep,
+                  isExporting,
+                  hasModal: !!exportModal,
+                  hasInnerModal: !!innerModal,
+                  hasSpinner,
+                  modalVisible: exportModal ? exportModal.style.display !== "none" : false,
+                  documentTitle: document.title,
+                  readyState: document.readyState,
+                  pageUrl: window.location.href,
+                };
+              });
+
+              // Log progress if it has changed significantly
+              if (
+                progressInfo.progress !== null &&
+                (lastLoggedProgress === -1 || Math.abs(progressInfo.progress - lastLoggedProgress) >= 5)
+              ) {
+                this.service.log.info("Export progress detected", {
+                  progress: progressInfo.progress,
+                  progressText: progressInfo.progressText,
+                  exportStep: progressInfo.exportStep,
+                  isExporting: progressInfo.isExporting,
+                  polls,
+                });
+                lastLoggedProgress = progressInfo.progress;
+
+                await this.service.reportProgress({
+                  participantId: context.participantId,
+                  progress: progressInfo.progress,
+                  progressText: progressInfo.progressText,
+                  exportStep: progressInfo.exportStep,
+                });
+              }
+
+              // Log every 30 seconds for general status
+              if (polls % 30 === 0) {
+                this.service.log.info("Export monitoring status", {
+                  polls,
+                  maxPolls,
+                  timeElapsed: `${polls}s`,
+                  timeRemaining: `${maxPolls - polls}s`,
+                  documentReady: progressInfo.readyState,
+                  isExporting: progressInfo.isExporting,
+                  hasModal: progressInfo.hasModal,
+                  hasInnerModal: progressInfo.hasInnerModal,
+                  hasSpinner: progressInfo.hasSpinner,
+                  modalVisible: progressInfo.modalVisible,
+                  currentProgress: progressInfo.progress,
+                  currentStep: progressInfo.exportStep,
+                  pageUrl: progressInfo.pageUrl,
+                });
+              }
+            } catch (progressError) {
+              // Don't fail the whole process if progress monitoring fails
+              if (polls % 60 === 0) {
+                this.service.log.warn("Progress monitoring failed", {
+                  error: progressError.message,
+                });
+              }
+            }
+
+            // Retry mechanism: detect if export failed and retry
+            if (progressInfo && retryAttempts < maxRetries) {
+              // If export was running but now stopped without completion, retry
+              if (wasExporting && !progressInfo.isExporting && (progressInfo.progress || 0) < 100) {
+                retryAttempts++;
+                this.service.log.warn("Export seems to have failed, attempting retry", {
+                  retryAttempt: retryAttempts,
+                  lastProgress: progressInfo.progress,
+                  wasExporting,
+                  currentlyExporting: progressInfo.isExporting,
+                });
+
+                // Clear timeout and restart by navigating to URL again
+                clearTimeout(timeout);
+
+                try {
+                  await page.goto(exportUrl, {
+                    waitUntil: "networkidle2",
+                    timeout: this.service.timeout,
+                  });
+
+                  // Reset tracking variables
+                  polls = 0;
+                  wasExporting = false;
+                  lastLoggedProgress = -1;
+                  lastProgressTime = Date.now();
+
+                  // Reset timeout for retry
+                  timeout = setTimeout(() => {
+                    reject(new Error("PDF download timeout exceeded after retries"));
+                  }, this.service.timeout);
+
+                  this.service.log.info("Retry navigation successful, resuming monitoring", {
+                    retryAttempt: retryAttempts,
+                  });
+
+                  // Continue polling
+                  setTimeout(
+                    () =>
+                      pollForFile().catch((error) => {
+                        clearTimeout(timeout);
+                        reject(new Error(`Error in retry polling: ${error.message}`));
+                      }),
+                    pollInterval
+                  );
+                  return;
+                } catch (retryError) {
+                  this.service.log.error("Retry navigation failed", {
+                    retryAttempt: retryAttempts,
+                    error: retryError.message,
+                  });
+                }
+              }
+
+              // Update state tracking
+              if (progressInfo.isExporting) {
+                wasExporting = true;
+                lastProgressTime = Date.now();
+              }
+            }
+
+            const currentFiles = fs.existsSync(this.service.downloadPath)
+              ? fs.readdirSync(this.service.downloadPath).filter((f) => f.endsWith(".pdf"))
+              : [];
+
+            const newFiles = currentFiles.filter((f) => !initialFiles.includes(f));
+
+            if (newFiles.length > 0) {
+              // Found a new PDF file
+              clearTimeout(timeout);
+
+              const pdfFile = newFiles[0];
+              const filePath = path.join(this.service.downloadPath, pdfFile);
+
+              this.service.log.info("PDF download detected", {
+                fileName: pdfFile,
+                filePath,
+              });
+
+              // Wait a moment for file to be fully written
+              setTimeout(() => {
+                try {
+                  const pdfBuffer = fs.readFileSync(filePath);
+
+                  // Clean up downloaded file
+                  fs.unlinkSync(filePath);
+
+                  this.service.log.info("PDF file read and cleaned up", {
+                    filePath,
+                    bufferSize: pdfBuffer.length,
+                  });
+
+                  resolve(pdfBuffer);
+                } catch (error) {
+                  reject(new Error(`Error reading downloaded file: ${error.message}`));
+                }
+              }, 2000);
+
+              return;
+            }
+
+            if (polls >= maxPolls) {
+              clearTimeout(timeout);
+              reject(new Error("PDF download not detected within timeout period"));
+              return;
+            }
+
+            // Continue polling
+            setTimeout(
+              () =>
+                pollForFile().catch((error) => {
+                  clearTimeout(timeout);
+                  reject(new Error(`Error in async polling: ${error.message}`));
+                }),
+              pollInterval
+            );
+          } catch (error) {
+            clearTimeout(timeout);
+            reject(new Error(`Error polling for download: ${error.message}`));
+          }
+        };
+
+        // Start polling after a short delay
+        setTimeout(
+          () =>
+            pollForFile().catch((error) => {
+              clearTimeout(timeout);
+              reject(new Error(`Error starting async polling: ${error.message}`));
+            }),
+          2000
+        );
+      } catch (error) {
+        clearTimeout(timeout);
+        this.service.log.error("Error during PDF download capture", {
+          error: error.message,
+        });
+        reject(new Error(`PDF capture failed: ${error.message}`));
+      }
+    });
+  }
+}
+
+module.exports = { DirectoryPollStrategy };
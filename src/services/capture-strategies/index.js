@@ -0,0 +1,37 @@
+const { DirectoryPollStrategy } = require("./directory-poll");
+const { CDPDownloadStrategy } = require("./cdp-download");
+const { DirectPrintStrategy } = require("./direct-print");
+const { loadConfig } = require("../../config/environment");
+
+/**
+ * PDF capture strategies by name. Each strategy is created with the PuppeteerService using it and
+ * implements getUrl(params) and capture(page, url, context) => Buffer
+ */
+const CAPTURE_STRATEGIES = {
+  "directory-poll": DirectoryPollStrategy,
+  "cdp-download": CDPDownloadStrategy,
+  "direct-print": DirectPrintStrategy,
+};
+
+const DEFAULT_CAPTURE_STRATEGY = "directory-poll";
+
+/**
+ * Create the capture strategy with the given name
+ * @param {string} name - Strategy name (falls back to CAPTURE_STRATEGY, then directory-poll)
+ * @param {Object} service - PuppeteerService the strategy captures for
+ * @returns {Object} - Capture strategy instance
+ */
+const createCaptureStrategy = (name, service) => {
+  const strategyName = name || loadConfig().captureStrategy;
+  const Strategy = CAPTURE_STRATEGIES[strategyName];
+
+  if (!Strategy) {
+    throw new Error(
+      `Unknown capture strategy: ${strategyName}. Must be one of: ${Object.keys(CAPTURE_STRATEGIES).join(", ")}`
+    );
+  }
+
+  return new Strategy(service);
+};
+
+module.exports = { CAPTURE_STRATEGIES, DEFAULT_CAPTURE_STRATEGY, createCaptureStrategy };
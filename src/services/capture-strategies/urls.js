@@ -0,0 +1,23 @@
+/**
+ * Frontend URLs used by the capture strategies
+ */
+
+const { DEFAULT_LOCALE } = require("../../config/environment-registry");
+
+/**
+ * URL of the results page that starts the frontend's client-side PDF export
+ * @param {Object} params - { frontendUrl, locale, surveyId, participantId }
+ * @returns {string} - Export URL
+ */
+const getExportUrl = ({ frontendUrl, locale = DEFAULT_LOCALE, surveyId, participantId }) =>
+  `${frontendUrl}/${locale}/surveys/${surveyId}/results/by-user?download=pdf&participantIds=${participantId}&asyncExport=true`;
+
+/**
+ * URL of the participant's results page, without starting an export
+ * @param {Object} params - { frontendUrl, locale, surveyId, participantId }
+ * @returns {string} - Results URL
+ */
+const getResultsUrl = ({ frontendUrl, locale = DEFAULT_LOCALE, surveyId, participantId }) =>
+  `${frontendUrl}/${locale}/surveys/${surveyId}/results/by-user?participantIds=${participantId}`;
+
+module.exports = { getExportUrl, getResultsUrl };
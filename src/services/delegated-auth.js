@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const { toLogger } = require("../utils/logger");
+const { AuthenticationError } = require("../utils/error-handler");
+const { getSecretsProvider } = require("./secrets-provider");
+const { loadConfig } = require("../config/environment");
+
+/**
+ * Decode a JWT's header and claims without verifying it
+ * @param {string} token - JWT
+ * @returns {Object|null} - { header, claims }, or null when the token isn't three segments whose header and
+ * claims are JSON objects
+ */
+const decodeToken = (token) => {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) return null;
+
+  let header;
+  let claims;
+  try {
+    const decode = (part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+    header = decode(parts[0]);
+    claims = decode(parts[1]);
+  } catch (error) {
+    return null;
+  }
+
+  // "null", "42" or "[]" parse as JSON too
+  const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+  return isObject(header) && isObject(claims) ? { header, claims } : null;
+};
+
+/**
+ * Sign a delegation token: an HS256 JWT carrying a backend access token, scoped to one survey
+ * Issued by the backend (or anything holding DELEGATION_TOKEN_SECRET) so callers never see a password
+ * @param {Object} claims - { token, surveyId, env, sub }
+ * @param {string} secret - Shared secret, defaults to DELEGATION_TOKEN_SECRET from the secrets provider
+ * @param {number} expiresInSeconds - Token lifetime
+ * @returns {string} - Delegation token
+ */
+const createDelegationToken = async (claims, secret = null, expiresInSeconds = 900) => {
+  const signingSecret = secret || (await getSecretsProvider().get("DELEGATION_TOKEN_SECRET"));
+  const iat = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ ...claims, iat, exp: iat + expiresInSeconds })}`;
+
+  return `${unsigned}.${crypto.createHmac("sha256", signingSecret).update(unsigned).digest("base64url")}`;
+};
+
+/**
+ * Check that a token expires soon enough to count as short-lived
+ * @param {number} expiresAt - Expiry in ms since the epoch
+ * @param {number} issuedAt - Issue time in ms since the epoch, when the token has one
+ * @param {number} now - Current time in ms
+ */
+const checkLifetime = (expiresAt, issuedAt, now) => {
+  const maxLifetimeMs = loadConfig().requestTokenMaxLifetimeMs;
+
+  if (expiresAt <= now) {
+    throw new AuthenticationError("Token has expired");
+  }
+
+  if (expiresAt - (issuedAt || now) > maxLifetimeMs) {
+    throw new AuthenticationError(`Token lifetime exceeds ${maxLifetimeMs}ms`);
+  }
+};
+
+/**
+ * Verify a delegation token's signature, expiry and scope
+ * @param {string} token - Delegation token
+ * @param {Object} input - Request input the token must be scoped to
+ * @param {number} now - Current time in ms
+ * @returns {Object} - Verified claims
+ */
+const verifyDelegationToken = async (token, input, now) => {
+  const secret = await getSecretsProvider().get("DELEGATION_TOKEN_SECRET");
+  if (!secret) {
+    throw new AuthenticationError("Delegation tokens are not enabled (DELEGATION_TOKEN_SECRET is not set)");
+  }
+
+  const decoded = decodeToken(token);
+  if (!decoded) {
+    throw new AuthenticationError("Malformed delegation token");
+  }
+
+  const { header, claims } = decoded;
+  if (header.alg !== "HS256") {
+    throw new AuthenticationError(`Unsupported delegation token algorithm: ${header.alg}`);
+  }
+
+  const [encodedHeader, encodedClaims, encodedSignature] = token.split(".");
+  const expected = crypto.createHmac("sha256", secret).update(`${encodedHeader}.${encodedClaims}`).digest();
+  const signature = Buffer.from(encodedSignature, "base64url");
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new AuthenticationError("Invalid delegation token signature");
+  }
+
+  if (typeof claims.exp !== "number") {
+    throw new AuthenticationError("Delegation token has no expiry");
+  }
+  checkLifetime(claims.exp * 1000, claims.iat ? claims.iat * 1000 : null, now);
+
+  if (typeof claims.token !== "string" || !claims.token) {
+    throw new AuthenticationError("Delegation token does not carry an access token");
+  }
+
+  // A token issued for one survey or environment can't be replayed against another
+  if (claims.surveyId !== undefined && claims.surveyId !== input.surveyId) {
+    throw new AuthenticationError("Delegation token was issued for a different survey");
+  }
+  if (claims.env !== undefined && claims.env !== input.env) {
+    throw new AuthenticationError("Delegation token was issued for a different environment");
+  }
+
+  return claims;
+};
+
+/**
+ * Verify the token a request authenticates with instead of service credentials
+ * - accessToken: a short-lived backend JWT, used as-is
+ * - delegationToken: a signed token from createDelegationToken, whose access token is used
+ * @param {Object} input - Validated request input
+ * @param {Object} options - { now } override for tests
+ * @returns {Object|null} - { accessToken, type, subject, expiresAt }, or null when the request uses service credentials
+ */
+const verifyRequestToken = async (input, options = {}) => {
+  const now = options.now || Date.now();
+
+  if (input.delegationToken) {
+    const claims = await verifyDelegationToken(input.delegationToken, input, now);
+    return { accessToken: claims.token, type: "delegation", subject: claims.sub, expiresAt: claims.exp * 1000 };
+  }
+
+  if (input.accessToken) {
+    const claims = decodeToken(input.accessToken)?.claims;
+    if (typeof claims?.exp !== "number") {
+      throw new AuthenticationError("accessToken must be a JWT with an exp claim");
+    }
+
+    // The backend verifies the signature on every call made with it
+    checkLifetime(claims.exp * 1000, claims.iat ? claims.iat * 1000 : null, now);
+    return { accessToken: input.accessToken, type: "bearer", subject: claims.sub, expiresAt: claims.exp * 1000 };
+  }
+
+  return null;
+};
+
+/**
+ * Swap a request's token for the verified access token the export pipeline uses
+ * @param {Object} input - Validated request input
+ * @param {Object} log - Request logger
+ * @returns {Object} - Export input; unchanged when the request uses service credentials
+ */
+const resolveRequestToken = async (input, log) => {
+  const verified = await verifyRequestToken(input);
+  if (!verified) return input;
+
+  toLogger(log).info("Request authenticated with a pre-issued token", {
+    tokenType: verified.type,
+    subject: verified.subject,
+    expiresAt: new Date(verified.expiresAt).toISOString(),
+  });
+
+  // The delegation token is kept for background jobs, which are dispatched without the access token and
+  // verify the delegation token again
+  return { ...input, accessToken: verified.accessToken };
+};
+
+module.exports = { decodeToken, createDelegationToken, verifyRequestToken, resolveRequestToken };
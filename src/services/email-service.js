@@ -1,18 +1,30 @@
 const axios = require("axios");
-const { logger } = require("../utils/logger");
+const { toLogger } = require("../utils/logger");
+const { EmailError, TimeoutError, ServiceUnavailableError } = require("../utils/error-handler");
+const { getStagePolicy, parseRetryAfter, runStage } = require("../utils/stage-policy");
+const { createMetrics } = require("../utils/metrics");
 
 /**
  * Service for sending email notifications via backend API
  */
 class EmailService {
-  constructor(backendUrl, accessToken, requestId, surveyId, participantId) {
+  /**
+   * @param {string} backendUrl - Backend API URL
+   * @param {string} accessToken - Token of the authenticated service account
+   * @param {Object|string} log - Child logger bound to the request, or the request ID
+   * @param {string} surveyId - Survey ID
+   * @param {string} participantId - Participant the report is about
+   * @param {Object} metrics - Recorder from createMetrics for the email stage's metrics
+   */
+  constructor(backendUrl, accessToken, log, surveyId, participantId, metrics = null) {
     this.backendUrl = backendUrl;
     this.accessToken = accessToken;
-    this.requestId = requestId;
+    this.log = toLogger(log).child({ surveyId, participantId });
     this.surveyId = surveyId;
     this.participantId = participantId;
+    this.metrics = metrics || createMetrics();
     this.emailEndpoint = `${backendUrl}/responses/${surveyId}/participants/${participantId}/send-report-with-pdf`;
-    this.timeout = 30000; // 30 seconds for email sending
+    this.timeout = getStagePolicy("email").timeoutMs; // EMAIL_TIMEOUT_MS, 30 seconds by default
   }
 
   /**
@@ -23,11 +35,8 @@ class EmailService {
   async sendNotifications(params) {
     const { adminEmails, pdfUrl } = params;
 
-    logger.info("Starting email notifications", {
-      requestId: this.requestId,
+    this.log.info("Starting email notifications", {
       recipientCount: adminEmails.length,
-      surveyId: this.surveyId,
-      participantId: this.participantId,
       pdfUrl,
     });
 
@@ -38,8 +47,7 @@ class EmailService {
         s3PdfUrl: pdfUrl,
       };
 
-      logger.info("Sending email request", {
-        requestId: this.requestId,
+      this.log.info("Sending email request", {
         endpoint: this.emailEndpoint,
         emailData: JSON.stringify(emailData, null, 2),
       });
@@ -54,8 +62,7 @@ class EmailService {
       });
 
       // Log the email response for debugging
-      logger.info("Email response received", {
-        requestId: this.requestId,
+      this.log.info("Email response received", {
         status: response.status,
         headers: response.headers,
         dataKeys: response.data ? Object.keys(response.data) : "no data",
@@ -64,13 +71,12 @@ class EmailService {
 
       // Validate response
       if (response.status !== 200 && response.status !== 201) {
-        throw new Error(`Email API returned status: ${response.status}`);
+        throw new EmailError(`Email API returned status: ${response.status}`);
       }
 
       const result = response.data;
 
-      logger.info("Email notifications sent successfully", {
-        requestId: this.requestId,
+      this.log.info("Email notifications sent successfully", {
         emailsSent: result.sent || result.emailsSent || adminEmails.length,
         messageId: result.messageId || result.id,
         responseStatus: response.status,
@@ -84,8 +90,7 @@ class EmailService {
         recipients: adminEmails,
       };
     } catch (error) {
-      logger.error("Email notifications failed", {
-        requestId: this.requestId,
+      this.log.error("Email notifications failed", {
         error: error.message,
         endpoint: this.emailEndpoint,
         recipientCount: adminEmails.length,
@@ -94,19 +99,28 @@ class EmailService {
         responseData: error.response?.data,
       });
 
-      // Provide more specific error messages
-      if (error.code === "ECONNREFUSED") {
-        throw new Error("Unable to connect to email service");
-      } else if (error.code === "ETIMEDOUT") {
-        throw new Error("Email service timeout exceeded");
+      // Provide more specific errors, so callers can tell an outage from a rejected request
+      const context = {
+        requestId: this.log.bindings.requestId,
+        responseStatus: error.response?.status,
+        retryAfterMs: parseRetryAfter(error.response?.headers?.["retry-after"]),
+        networkErrorCode: error.code,
+      };
+
+      if (error instanceof EmailError) {
+        throw error;
+      } else if (error.code === "ECONNREFUSED") {
+        throw new ServiceUnavailableError("email", "Unable to connect to email service", context);
+      } else if (error.code === "ETIMEDOUT" || error.code === "ECONNABORTED") {
+        throw new TimeoutError("email", this.timeout, context);
       } else if (error.response?.status === 401) {
-        throw new Error("Email service authentication failed");
+        throw new EmailError("Email service authentication failed", context);
       } else if (error.response?.status === 429) {
-        throw new Error("Email service rate limit exceeded");
+        throw new ServiceUnavailableError("email", "Email service rate limit exceeded", context);
       } else if (error.response?.status >= 500) {
-        throw new Error("Email service temporarily unavailable");
+        throw new ServiceUnavailableError("email", "Email service temporarily unavailable", context);
       } else {
-        throw new Error(`Email sending failed: ${error.message}`);
+        throw new EmailError(error.message, context);
       }
     }
   }
@@ -119,8 +133,7 @@ class EmailService {
    */
   async sendSingleNotification(email, emailData) {
     try {
-      logger.info("Sending individual email notification", {
-        requestId: this.requestId,
+      this.log.info("Sending individual email notification", {
         recipient: email,
         subject: emailData.subject,
       });
@@ -142,8 +155,7 @@ class EmailService {
 
       const success = response.status < 400;
 
-      logger.info("Individual email notification result", {
-        requestId: this.requestId,
+      this.log.info("Individual email notification result", {
         recipient: email,
         success,
         status: response.status,
@@ -156,8 +168,7 @@ class EmailService {
         status: response.status,
       };
     } catch (error) {
-      logger.error("Individual email notification failed", {
-        requestId: this.requestId,
+      this.log.error("Individual email notification failed", {
         recipient: email,
         error: error.message,
       });
@@ -171,71 +182,13 @@ class EmailService {
   }
 
   /**
-   * Send email notifications with retry logic
+   * Send email notifications with the email stage's retry and timeout policy (EMAIL_MAX_RETRIES, EMAIL_TIMEOUT_MS)
    * @param {Object} params - Email parameters
-   * @param {number} maxRetries - Maximum retry attempts
-   * @returns {Object} - Email sending result with retry info
+   * @param {Deadline} deadline - Invocation deadline, if the emails must fit in it
+   * @returns {Object} - Email sending result
    */
-  async sendNotificationsWithRetry(params, maxRetries = 3) {
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        logger.info("Email notification attempt", {
-          requestId: this.requestId,
-          attempt,
-          maxRetries,
-        });
-
-        const result = await this.sendNotifications(params);
-
-        logger.info("Email notifications succeeded on attempt", {
-          requestId: this.requestId,
-          attempt,
-          emailsSent: result.emailsSent,
-        });
-
-        return {
-          ...result,
-          attempt,
-          totalAttempts: attempt,
-        };
-      } catch (error) {
-        lastError = error;
-
-        logger.error("Email notification attempt failed", {
-          requestId: this.requestId,
-          attempt,
-          maxRetries,
-          error: error.message,
-        });
-
-        // Don't retry on authentication errors
-        if (error.message.includes("authentication") || error.message.includes("401")) {
-          throw error;
-        }
-
-        // Wait before retry (exponential backoff)
-        if (attempt < maxRetries) {
-          const delay = Math.pow(2, attempt - 1) * 1000; // 1s, 2s, 4s...
-          logger.info("Waiting before retry", {
-            requestId: this.requestId,
-            attempt,
-            delay,
-          });
-          await new Promise((resolve) => setTimeout(resolve, delay));
-        }
-      }
-    }
-
-    // All retries failed
-    logger.error("All email notification attempts failed", {
-      requestId: this.requestId,
-      totalAttempts: maxRetries,
-      finalError: lastError.message,
-    });
-
-    throw new Error(`Email notifications failed after ${maxRetries} attempts: ${lastError.message}`);
+  async sendNotificationsWithRetry(params, deadline = null) {
+    return runStage("email", () => this.sendNotifications(params), this.log, deadline, this.metrics);
   }
 
   /**
@@ -244,8 +197,7 @@ class EmailService {
    */
   async verifyEmailService() {
     try {
-      logger.info("Verifying email service", {
-        requestId: this.requestId,
+      this.log.info("Verifying email service", {
         endpoint: this.emailEndpoint,
       });
 
@@ -258,16 +210,14 @@ class EmailService {
 
       const isAccessible = response.status < 400;
 
-      logger.info("Email service verification result", {
-        requestId: this.requestId,
+      this.log.info("Email service verification result", {
         isAccessible,
         status: response.status,
       });
 
       return isAccessible;
     } catch (error) {
-      logger.error("Email service verification failed", {
-        requestId: this.requestId,
+      this.log.error("Email service verification failed", {
         error: error.message,
         status: error.response?.status,
       });
@@ -303,8 +253,7 @@ class EmailService {
 
       return response.data;
     } catch (error) {
-      logger.error("Failed to get email template preview", {
-        requestId: this.requestId,
+      this.log.error("Failed to get email template preview", {
         templateName,
         error: error.message,
       });
@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const { toLogger } = require("../utils/logger");
+
+/**
+ * States of a participant's email notification in a checkpoint
+ */
+const EMAIL_STATES = {
+  PENDING: "pending",
+  SENT: "sent",
+  FAILED: "failed",
+  // The email call timed out, so the backend may have sent it: it isn't sent again
+  UNKNOWN: "unknown",
+};
+
+/**
+ * SHA-256 hash of a generated PDF, recorded with its upload
+ * @param {Buffer} pdfBuffer - PDF content
+ * @returns {string} - Hex digest
+ */
+const hashPDF = (pdfBuffer) => crypto.createHash("sha256").update(pdfBuffer).digest("hex");
+
+/**
+ * What an export has already delivered for each participant: the uploaded PDF's hash and pdfUrl,
+ * and whether its email was sent. A retry with the same checkpoint resumes from the stage that failed
+ */
+class ExportCheckpoint {
+  /**
+   * @param {Object} participants - Entries by participant ID, e.g. from a job record's checkpoint
+   * @param {Object} options - { log, onChange(participants) }
+   */
+  constructor(participants = {}, options = {}) {
+    this.participants = { ...participants };
+    this.log = toLogger(options.log);
+    this.onChange = options.onChange || null;
+  }
+
+  /**
+   * Get what was delivered for a participant
+   * @param {string} participantId - Participant ID
+   * @returns {Object|null} - { pdfHash, pdfSize, pdfUrl, uploadedAt, emailStatus, emailedAt, emailError }
+   */
+  get(participantId) {
+    return this.participants[participantId] || null;
+  }
+
+  /**
+   * The first stage a participant's export still has to run
+   * @param {string} participantId - Participant ID
+   * @returns {string} - "render", "email", or "done" when it was fully delivered (or its email may have been)
+   */
+  resumeStage(participantId) {
+    const delivered = this.get(participantId);
+
+    if (!delivered?.pdfUrl) return "render";
+
+    if (delivered.emailStatus === EMAIL_STATES.UNKNOWN) {
+      this.log.warn("Email of an earlier attempt timed out and may have been sent, not sending it again", {
+        participantId,
+        emailedAt: delivered.emailedAt,
+      });
+      return "done";
+    }
+    return delivered.emailStatus === EMAIL_STATES.SENT ? "done" : "email";
+  }
+
+  /**
+   * Record a participant's uploaded PDF
+   * @param {string} participantId - Participant ID
+   * @param {Buffer} pdfBuffer - Uploaded PDF
+   * @param {string} pdfUrl - URL returned by UploadService.uploadPDF
+   */
+  async uploaded(participantId, pdfBuffer, pdfUrl) {
+    await this.update(participantId, {
+      pdfHash: hashPDF(pdfBuffer),
+      pdfSize: pdfBuffer.length,
+      pdfUrl,
+      uploadedAt: new Date().toISOString(),
+      emailStatus: EMAIL_STATES.PENDING,
+    });
+  }
+
+  /**
+   * Record the outcome of a participant's email notification
+   * @param {string} participantId - Participant ID
+   * @param {string} emailStatus - One of EMAIL_STATES
+   * @param {string} emailError - Error message when the email failed
+   */
+  async emailed(participantId, emailStatus, emailError = null) {
+    await this.update(participantId, { emailStatus, emailedAt: new Date().toISOString(), emailError });
+  }
+
+  /**
+   * Merge changes into a participant's entry and pass the checkpoint to the listener (if any)
+   * @param {string} participantId - Participant ID
+   * @param {Object} changes - Entry fields to update
+   */
+  async update(participantId, changes) {
+    this.participants[participantId] = { ...this.participants[participantId], ...changes };
+
+    if (!this.onChange) return;
+
+    try {
+      await this.onChange(this.participants);
+    } catch (error) {
+      // Losing a checkpoint only costs a retry the work it would have skipped
+      this.log.warn("Failed to save export checkpoint", {
+        participantId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = { EMAIL_STATES, hashPDF, ExportCheckpoint };
@@ -0,0 +1,573 @@
+const { logger, toLogger } = require("../utils/logger");
+const { getEnvironmentRegistry } = require("../config/environment-registry");
+const { PuppeteerService } = require("./puppeteer-service");
+const { UploadService } = require("./upload-service");
+const { EmailService } = require("./email-service");
+const { JOB_STATES, createJobRecord, getJobStore } = require("./job-store");
+const { JobProgressTracker } = require("./job-progress");
+const { EMAIL_STATES, ExportCheckpoint } = require("./export-checkpoint");
+const { getSecretsProvider } = require("./secrets-provider");
+const { resolveRequestToken } = require("./delegated-auth");
+const { loadConfig } = require("../config/environment");
+const {
+  ErrorHandler,
+  LambdaError,
+  AuthenticationError,
+  DeadlineExceededError,
+  TimeoutError,
+} = require("../utils/error-handler");
+const { createMetrics } = require("../utils/metrics");
+const { createDeadline } = require("../utils/deadline");
+
+/**
+ * Service running the full export pipeline: render, upload and email
+ */
+class ExportService {
+  /**
+   * @param {Object|string} log - Child logger bound to the request, or the request ID
+   * @param {Object} options - { onStageChange, onProgress, deadline, checkpoint }
+   */
+  constructor(log, options = {}) {
+    this.log = toLogger(log);
+    this.onStageChange = options.onStageChange || null;
+    this.onProgress = options.onProgress || null;
+    this.deadline = options.deadline || createDeadline();
+    this.checkpoint = options.checkpoint || new ExportCheckpoint({}, { log: this.log });
+  }
+
+  /**
+   * Run the export pipeline for a validated request
+   * @param {Object} input - Validated request input
+   * @returns {Object} - { pdfUrl } for a single participant, { results, successCount, deferredParticipantIds }
+   *   for a batch
+   */
+  async run(input) {
+    const {
+      surveyId,
+      participantId,
+      participantIds,
+      adminEmails,
+      env,
+      serviceEmail,
+      servicePassword,
+      accessToken,
+      captureStrategy,
+      pdfOptions,
+    } = input;
+
+    // Get URLs and locale from the environment registry
+    const { frontendUrl, backendUrl, locale } = getEnvironmentRegistry().get(env);
+
+    // Use service credentials from request or fall back to the secrets provider, unless the
+    // request carries a verified access token
+    const usesSecrets = !accessToken && !(serviceEmail && servicePassword);
+    const secrets = usesSecrets ? await getSecretsProvider().getServiceCredentials() : {};
+    const finalServiceEmail = accessToken ? undefined : serviceEmail || secrets.serviceEmail;
+    const finalServicePassword = accessToken ? undefined : servicePassword || secrets.servicePassword;
+
+    // Every entry of this export carries its survey, participant and environment
+    const log = this.log.child({ surveyId, participantId, env });
+    // Stage metrics are published per environment, and carry the IDs that tie them to the logs
+    const metrics = createMetrics({ env }, { requestId: log.bindings.requestId, jobId: log.bindings.jobId });
+
+    log.info("Processing PDF export request", {
+      participantCount: participantIds ? participantIds.length : 1,
+      adminEmailCount: adminEmails.length,
+      captureStrategy: captureStrategy || loadConfig().captureStrategy,
+      frontendUrl,
+      backendUrl,
+      authMethod: accessToken ? "token" : "password",
+      credentialSource: usesSecrets ? "secrets" : "request",
+    });
+
+    const params = {
+      surveyId,
+      participantId,
+      participantIds,
+      adminEmails,
+      env,
+      frontendUrl,
+      backendUrl,
+      locale,
+      serviceEmail: finalServiceEmail,
+      servicePassword: finalServicePassword,
+      accessToken,
+      captureStrategy,
+      pdfOptions,
+      log,
+      metrics,
+    };
+
+    try {
+      return participantIds ? await this.runBatch(params) : await this.runSingle(params);
+    } catch (error) {
+      // A rotated password is picked up by the next attempt instead of when the cached secrets expire
+      if (usesSecrets && error instanceof AuthenticationError) {
+        getSecretsProvider().invalidate();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Export, upload and email a single participant's PDF
+   * @param {Object} params - Resolved export parameters
+   * @returns {Object} - { pdfUrl }
+   */
+  async runSingle(params) {
+    const { surveyId, participantId, adminEmails, env, frontendUrl, backendUrl, log } = params;
+    const resumeStage = this.checkpoint.resumeStage(participantId);
+
+    if (resumeStage === "done") {
+      log.info("Participant already delivered, skipping export");
+      return { pdfUrl: this.checkpoint.get(participantId).pdfUrl };
+    }
+
+    // Initialize services (upload and email services will get access token after PDF generation)
+    const puppeteerService = new PuppeteerService(log, {
+      onStageChange: this.onStageChange,
+      onProgress: this.onProgress,
+      deadline: this.deadline,
+      locale: params.locale,
+      captureStrategy: params.captureStrategy,
+      pdfOptions: params.pdfOptions,
+      metrics: params.metrics,
+    });
+
+    try {
+      // A PDF uploaded by an earlier attempt only needs its email, so the browser isn't needed
+      if (resumeStage === "email") {
+        log.info("Resuming export from checkpoint", { resumeStage });
+
+        const accessToken = await puppeteerService.getAccessToken({
+          frontendUrl,
+          backendUrl,
+          serviceEmail: params.serviceEmail,
+          servicePassword: params.servicePassword,
+          accessToken: params.accessToken,
+        });
+        const pdfUrl = await this.deliverPDF({
+          accessToken,
+          surveyId,
+          participantId,
+          adminEmails,
+          env,
+          backendUrl,
+          log,
+          metrics: params.metrics,
+        });
+
+        return { pdfUrl };
+      }
+
+      // Step 1: Generate PDF using Puppeteer (this will also perform authentication)
+      log.info("Starting PDF generation");
+      const pdfResult = await puppeteerService.generatePDF({
+        surveyId,
+        participantId,
+        frontendUrl,
+        backendUrl,
+        serviceEmail: params.serviceEmail,
+        servicePassword: params.servicePassword,
+        accessToken: params.accessToken,
+      });
+
+      const { pdfBuffer, accessToken } = pdfResult;
+
+      log.info("PDF generated successfully", {
+        pdfSize: pdfBuffer.length,
+      });
+
+      // Step 2: Upload and email using the access token obtained from authentication
+      const pdfUrl = await this.deliverPDF({
+        pdfBuffer,
+        accessToken,
+        surveyId,
+        participantId,
+        adminEmails,
+        env,
+        backendUrl,
+        log,
+        metrics: params.metrics,
+      });
+
+      return { pdfUrl };
+    } catch (error) {
+      log.error("Error during PDF processing", {
+        error: error.message,
+        stack: error.stack,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Export, upload and email PDFs for several participants with one authenticated browser
+   * @param {Object} params - Resolved export parameters
+   * @returns {Object} - { results: [{ participantId, success, pdfUrl, error, errorCode }], successCount,
+   *   deferredParticipantIds } - deferred participants were cut off by the deadline
+   */
+  async runBatch(params) {
+    const { surveyId, participantIds, adminEmails, env, frontendUrl, backendUrl, log } = params;
+
+    const puppeteerService = new PuppeteerService(log, {
+      onStageChange: this.onStageChange,
+      onProgress: this.onProgress,
+      deadline: this.deadline,
+      locale: params.locale,
+      captureStrategy: params.captureStrategy,
+      pdfOptions: params.pdfOptions,
+      metrics: params.metrics,
+    });
+
+    // Participants delivered by an earlier attempt are skipped, and those with an uploaded PDF only emailed
+    const resumeStages = new Map(participantIds.map((id) => [id, this.checkpoint.resumeStage(id)]));
+    const toRender = participantIds.filter((id) => resumeStages.get(id) === "render");
+    const credentials = {
+      frontendUrl,
+      backendUrl,
+      serviceEmail: params.serviceEmail,
+      servicePassword: params.servicePassword,
+      accessToken: params.accessToken,
+    };
+
+    log.info("Starting batch PDF generation", {
+      participantCount: participantIds.length,
+      renderCount: toRender.length,
+    });
+
+    const batchResult =
+      toRender.length > 0
+        ? await puppeteerService.generateBatchPDFs({ surveyId, participantIds: toRender, ...credentials })
+        : { accessToken: null, results: [] };
+
+    const rendered = new Map(batchResult.results.map((pdfResult) => [pdfResult.participantId, pdfResult]));
+    const needsToken = participantIds.some((id) => resumeStages.get(id) === "email");
+    const accessToken =
+      batchResult.accessToken || (needsToken ? await puppeteerService.getAccessToken(credentials) : null);
+
+    const results = [];
+
+    // Upload and email each participant independently so one failure doesn't cancel the rest
+    for (const participantId of participantIds) {
+      const pdfResult = rendered.get(participantId);
+
+      if (resumeStages.get(participantId) === "done") {
+        results.push({ participantId, success: true, pdfUrl: this.checkpoint.get(participantId).pdfUrl });
+        continue;
+      }
+
+      if (pdfResult && !pdfResult.success) {
+        results.push({ participantId, success: false, error: pdfResult.error, errorCode: pdfResult.errorCode });
+        continue;
+      }
+
+      try {
+        const pdfUrl = await this.deliverPDF({
+          pdfBuffer: pdfResult?.pdfBuffer,
+          accessToken,
+          surveyId,
+          participantId,
+          adminEmails,
+          env,
+          backendUrl,
+          log: log.child({ participantId }),
+          metrics: params.metrics,
+        });
+
+        results.push({ participantId, success: true, pdfUrl });
+      } catch (error) {
+        log.error("Error delivering participant PDF", { participantId, error: error.message });
+
+        results.push({ participantId, success: false, error: error.message, errorCode: error.errorCode });
+      }
+    }
+
+    const successCount = results.filter((result) => result.success).length;
+    const deferredParticipantIds = results.filter(isDeferred).map((result) => result.participantId);
+
+    log.info("Batch export completed", {
+      participantCount: participantIds.length,
+      successCount,
+      deferredCount: deferredParticipantIds.length,
+    });
+
+    return { results, successCount, deferredParticipantIds };
+  }
+
+  /**
+   * Upload a generated PDF and email its link to the admins, recording both in the checkpoint
+   * A PDF the checkpoint already has a pdfUrl for isn't uploaded again (pdfBuffer may then be omitted)
+   * @param {Object} params - { pdfBuffer, accessToken, surveyId, participantId, adminEmails, env, backendUrl, log,
+   *   metrics }
+   * @returns {string} - URL of the uploaded PDF
+   */
+  async deliverPDF(params) {
+    const { pdfBuffer, accessToken, surveyId, participantId, adminEmails, env, backendUrl } = params;
+    const log = params.log || this.log.child({ surveyId, participantId, env });
+    const metrics = params.metrics || createMetrics({ env }, { requestId: log.bindings.requestId });
+
+    const uploadService = new UploadService(backendUrl, accessToken, log, env, metrics);
+    const emailService = new EmailService(backendUrl, accessToken, log, surveyId, participantId, metrics);
+
+    let pdfUrl = this.checkpoint.get(participantId)?.pdfUrl;
+
+    if (pdfUrl) {
+      log.info("Reusing PDF uploaded by an earlier attempt", { pdfUrl });
+    } else {
+      // Upload PDF to backend storage
+      await this.reportStage(JOB_STATES.UPLOADING);
+      log.info("Starting PDF upload");
+      pdfUrl = await uploadService.uploadPDFWithRetry(
+        pdfBuffer,
+        `survey_${surveyId}_participant_${participantId}.pdf`,
+        this.deadline
+      );
+
+      log.info("PDF uploaded successfully", { pdfUrl });
+
+      await this.checkpoint.uploaded(participantId, pdfBuffer, pdfUrl);
+    }
+
+    // Send email notifications
+    await this.reportStage(JOB_STATES.EMAILING);
+    log.info("Starting email notifications");
+
+    try {
+      await emailService.sendNotificationsWithRetry({ adminEmails, pdfUrl }, this.deadline);
+    } catch (error) {
+      // A timed-out email may still have been sent, so a retry mustn't send it again
+      const emailStatus = error instanceof TimeoutError ? EMAIL_STATES.UNKNOWN : EMAIL_STATES.FAILED;
+      await this.checkpoint.emailed(participantId, emailStatus, error.message);
+      throw error;
+    }
+
+    await this.checkpoint.emailed(participantId, EMAIL_STATES.SENT);
+
+    log.info("Email notifications sent successfully", { emailCount: adminEmails.length });
+
+    return pdfUrl;
+  }
+
+  /**
+   * Notify the stage listener (if any) that the pipeline moved to a new stage
+   * @param {string} stage - One of JOB_STATES
+   */
+  async reportStage(stage) {
+    if (!this.onStageChange) return;
+
+    try {
+      await this.onStageChange(stage);
+    } catch (error) {
+      // Stage reporting is best effort and must never fail the export itself
+      this.log.warn("Failed to report pipeline stage", {
+        stage,
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Whether a batch result was cut off by the invocation deadline rather than failing
+ * @param {Object} result - Participant result
+ * @returns {boolean} - True when the participant still has to be exported
+ */
+const isDeferred = (result) => result.errorCode === "DEADLINE_EXCEEDED";
+
+/**
+ * Whether a job that ran out of time may be handed to another invocation
+ * @param {number} continuation - Number of hand-offs so far
+ * @returns {boolean} - True while JOB_MAX_CONTINUATIONS isn't used up
+ */
+const canContinue = (continuation) => continuation < loadConfig().jobMaxContinuations;
+
+/**
+ * Request fields holding credentials. Job payloads go through the Lambda event queue, the DLQ and replay-dlq
+ * output, so they never carry these: a job logs in with the secrets provider's service account, or verifies
+ * its delegationToken again
+ */
+const CREDENTIAL_FIELDS = ["servicePassword", "accessToken"];
+
+/**
+ * Whether an export can run as a background job, which gets its input without CREDENTIAL_FIELDS
+ * @param {Object} input - Request input, after resolveRequestToken
+ * @returns {boolean} - False when the request logs in with its own servicePassword or a bare accessToken
+ */
+const canRunAsJob = (input) =>
+  input.servicePassword === undefined && (input.accessToken === undefined || input.delegationToken !== undefined);
+
+/**
+ * Input of a job payload: the request input without its credentials
+ * @param {Object} input - Request input
+ * @returns {Object} - Input without CREDENTIAL_FIELDS
+ */
+const toJobInput = (input) =>
+  Object.fromEntries(Object.entries(input).filter(([name]) => !CREDENTIAL_FIELDS.includes(name)));
+
+/**
+ * Run an export job in the background, recording its progress in the job store
+ * A job that runs out of time is checkpointed and re-dispatched, up to JOB_MAX_CONTINUATIONS times
+ * @param {Object} job - { jobId, input, continuation }
+ * @param {string} requestId - Request ID of the invocation running the job
+ * @param {Object} options - { deadline } of the invocation
+ * @returns {Object} - Final job record, or the re-queued one
+ */
+const runExportJob = async ({ jobId, input, continuation = 0 }, requestId, options = {}) => {
+  const startTime = Date.now();
+
+  // Retries resume from the job's checkpoint, and a continuation also carries on from the results
+  // and stage timings of the invocations before it
+  const previous = await getJobStore().get(jobId);
+  const previousResults = continuation > 0 ? previous?.results || [] : [];
+  const delivered = previous?.checkpoint?.participants;
+
+  const log = logger.child({ requestId, jobId });
+  const tracker = new JobProgressTracker(jobId, log, {
+    callbackUrl: input.callbackUrl,
+    stages: continuation > 0 ? previous?.stages : undefined,
+    checkpoint: delivered ? { participants: delivered } : undefined,
+  });
+
+  log.info("Running export job", {
+    continuation,
+    checkpointParticipants: delivered ? Object.keys(delivered).length : 0,
+  });
+
+  const exportService = new ExportService(log, {
+    onStageChange: (stage) => tracker.stageChanged(stage),
+    onProgress: (progress) => tracker.progressChanged(progress),
+    deadline: options.deadline,
+    checkpoint: new ExportCheckpoint(delivered, {
+      log,
+      onChange: (participants) => tracker.checkpointChanged(participants),
+    }),
+  });
+
+  try {
+    const result = await exportService.run(await resolveRequestToken(input, log));
+    const results = result.results && [...previousResults, ...result.results];
+
+    // Participants the deadline cut off are left to the continuation, keeping the results so far
+    if (result.deferredParticipantIds?.length > 0 && canContinue(continuation)) {
+      return await continueExportJob({ jobId, input, continuation }, log, tracker, {
+        pendingParticipantIds: result.deferredParticipantIds,
+        results: results.filter((item) => !isDeferred(item)),
+      });
+    }
+
+    // A batch job only fails outright when no participant succeeded
+    if (results && !results.some((item) => item.success)) {
+      return await tracker.finish({
+        status: JOB_STATES.FAILED,
+        results,
+        error: "All participant exports failed",
+        duration: Date.now() - startTime,
+      });
+    }
+
+    log.info("Export job completed", { duration: Date.now() - startTime });
+
+    return await tracker.finish({
+      status: JOB_STATES.DONE,
+      pdfUrl: result.pdfUrl || null,
+      ...(results ? { results } : {}),
+      duration: Date.now() - startTime,
+    });
+  } catch (error) {
+    if (error instanceof DeadlineExceededError && canContinue(continuation)) {
+      return await continueExportJob({ jobId, input, continuation }, log, tracker, {
+        stage: error.context.stage,
+        remainingMs: error.context.remainingMs,
+      });
+    }
+
+    const failure = error instanceof LambdaError ? error : new ErrorHandler(log).categorizeError(error);
+
+    log.error("Export job failed", {
+      error: error.message,
+      errorCode: failure.errorCode,
+    });
+
+    return await tracker.finish({
+      status: JOB_STATES.FAILED,
+      error: error.message,
+      errorCode: failure.errorCode,
+      duration: Date.now() - startTime,
+    });
+  }
+};
+
+/**
+ * Checkpoint a job that ran out of time and dispatch a continuation for the work left
+ * @param {Object} job - { jobId, input, continuation } of the invocation stopping
+ * @param {Object} log - Logger bound to the request and job
+ * @param {JobProgressTracker} tracker - Tracker of the job
+ * @param {Object} checkpoint - { stage, remainingMs } or { pendingParticipantIds, results } for a batch
+ * @returns {Object} - Re-queued job record
+ */
+const continueExportJob = async ({ jobId, input, continuation }, log, tracker, checkpoint) => {
+  // Required here: the dispatcher runs jobs inline through this module
+  const { dispatchJob } = require("./job-dispatcher");
+  const { results, pendingParticipantIds, ...position } = checkpoint;
+
+  log.warn("Export job ran out of time, handing off to a continuation", {
+    continuation: continuation + 1,
+    ...position,
+    pendingCount: pendingParticipantIds?.length,
+  });
+
+  const job = await tracker.requeued({
+    continuations: continuation + 1,
+    checkpoint: { ...position, pendingParticipantIds, at: new Date().toISOString() },
+    ...(results ? { results } : {}),
+  });
+
+  const nextInput = pendingParticipantIds ? { ...input, participantIds: pendingParticipantIds } : input;
+
+  try {
+    await dispatchJob({ jobId, input: nextInput, continuation: continuation + 1 }, log);
+  } catch (error) {
+    log.error("Failed to dispatch export job continuation", { error: error.message });
+
+    return tracker.finish({
+      status: JOB_STATES.FAILED,
+      error: `Export ran out of time and its continuation could not be started: ${error.message}`,
+      errorCode: "DEADLINE_EXCEEDED",
+    });
+  }
+
+  return job;
+};
+
+/**
+ * Hand an export that ran out of time in a synchronous or SQS invocation to a background job
+ * @param {Object} input - Validated request input, holding only the participants left for a batch
+ * @param {string} requestId - Request ID
+ * @param {Object} fields - Job record fields, e.g. the checkpoint, the batch results so far and all its participantIds
+ * @returns {Object} - Job record
+ */
+const startContinuationJob = async (input, requestId, fields = {}) => {
+  const { dispatchJob } = require("./job-dispatcher");
+
+  const job = createJobRecord({
+    surveyId: input.surveyId,
+    participantId: input.participantId,
+    participantIds: input.participantIds,
+    env: input.env,
+    requestId,
+    continuations: 1,
+    ...fields,
+  });
+
+  await getJobStore().create(job);
+  const log = logger.child({ requestId, jobId: job.jobId });
+  await dispatchJob({ jobId: job.jobId, input, continuation: 1 }, log);
+
+  log.info("Export handed off to a continuation job");
+
+  return job;
+};
+
+module.exports = { ExportService, runExportJob, startContinuationJob, canContinue, canRunAsJob, toJobInput };
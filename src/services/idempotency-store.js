@@ -0,0 +1,381 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("../utils/logger");
+const { loadConfig } = require("../config/environment");
+
+/**
+ * States of an idempotency record
+ */
+const IDEMPOTENCY_STATES = {
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+};
+
+/**
+ * How long explicit idempotency keys and export checkpoints are remembered
+ * @returns {number} - IDEMPOTENCY_TTL_MS, 24 hours by default
+ */
+const getIdempotencyTtlMs = () => loadConfig().idempotencyTtlMs;
+
+/**
+ * Request fields that don't change what is exported - a retry may carry a fresh token for the same export
+ */
+const UNHASHED_FIELDS = ["idempotencyKey", "accessToken", "delegationToken"];
+
+/**
+ * JSON with object keys sorted, so the same payload always serializes the same way
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((name) => value[name] !== undefined)
+      .sort()
+      .map((name) => `${JSON.stringify(name)}:${canonicalJson(value[name])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash of what a request asks for, stored with an explicit key so the key can't be re-used for another request
+ * @param {Object} input - Validated request input
+ * @returns {string} - SHA-256 hex digest
+ */
+const getPayloadHash = (input) => {
+  const payload = Object.fromEntries(Object.entries(input).filter(([name]) => !UNHASHED_FIELDS.includes(name)));
+  return crypto.createHash("sha256").update(canonicalJson(payload)).digest("hex");
+};
+
+/**
+ * Resolve the idempotency key for a request and how long it should be remembered
+ * Callers can pass their own idempotencyKey, which is tied to the request's payload hash; otherwise requests for
+ * the same environment, survey and participants inside the same time window share a key
+ * @param {Object} input - Validated request input
+ * @param {Object} options - { windowMs, ttlMs, now } overrides for IDEMPOTENCY_WINDOW_MS / IDEMPOTENCY_TTL_MS
+ * @returns {Object} - { key, ttlMs, payloadHash } - payloadHash is only set for explicit keys
+ */
+const getIdempotencyKey = (input, options = {}) => {
+  const windowMs = options.windowMs || loadConfig().idempotencyWindowMs;
+  const ttlMs = options.ttlMs || getIdempotencyTtlMs();
+  const now = options.now || Date.now();
+
+  if (input.idempotencyKey) {
+    return { key: `key:${input.idempotencyKey}`, ttlMs, payloadHash: getPayloadHash(input) };
+  }
+
+  const participants = input.participantIds ? [...input.participantIds].sort() : [input.participantId];
+  const window = Math.floor(now / windowMs);
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${input.env}:${input.surveyId}:${participants.join(",")}:${window}`)
+    .digest("hex");
+
+  // A derived key is only remembered until its window ends
+  return { key: `auto:${hash}`, ttlMs: (window + 1) * windowMs - now };
+};
+
+/**
+ * Key an export checkpoint is stored under, apart from the idempotency record so releasing a failed
+ * request's key doesn't lose what it delivered
+ * @param {string} key - Idempotency key or SQS message key
+ * @returns {string} - Store key
+ */
+const getCheckpointKey = (key) => `checkpoint:${key}`;
+
+/**
+ * In-memory idempotency store - for tests and single-process local runs
+ */
+class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async claim(key, fields, ttlMs) {
+    const existing = this.records.get(key);
+    if (existing && existing.expiresAt > Date.now()) {
+      return { claimed: false, record: { ...existing } };
+    }
+
+    const record = { key, ...fields, status: IDEMPOTENCY_STATES.IN_PROGRESS, expiresAt: Date.now() + ttlMs };
+    this.records.set(key, record);
+    return { claimed: true, record: { ...record } };
+  }
+
+  async complete(key, changes) {
+    const record = this.records.get(key);
+    if (record) {
+      this.records.set(key, { ...record, ...changes, status: IDEMPOTENCY_STATES.COMPLETED });
+    }
+  }
+
+  async release(key) {
+    this.records.delete(key);
+  }
+
+  async loadCheckpoint(key) {
+    const record = this.records.get(getCheckpointKey(key));
+    return record && record.expiresAt > Date.now() ? { ...record.participants } : null;
+  }
+
+  async saveCheckpoint(key, participants, ttlMs) {
+    const checkpointKey = getCheckpointKey(key);
+    this.records.set(checkpointKey, {
+      key: checkpointKey,
+      participants: { ...participants },
+      expiresAt: Date.now() + ttlMs,
+    });
+  }
+}
+
+/**
+ * File-based idempotency store - one JSON file per key, created exclusively so two
+ * concurrent requests can't both claim the same key
+ */
+class FileIdempotencyStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  recordPath(key) {
+    const name = crypto.createHash("sha256").update(key).digest("hex");
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  readRecord(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async claim(key, fields, ttlMs) {
+    const filePath = this.recordPath(key);
+    const record = { key, ...fields, status: IDEMPOTENCY_STATES.IN_PROGRESS, expiresAt: Date.now() + ttlMs };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(filePath, JSON.stringify(record, null, 2), { flag: "wx" });
+        return { claimed: true, record };
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+
+        const existing = this.readRecord(filePath);
+        if (existing && existing.expiresAt > Date.now()) {
+          return { claimed: false, record: existing };
+        }
+
+        // Expired (or unreadable) record - remove it and try once more
+        fs.rmSync(filePath, { force: true });
+      }
+    }
+
+    const existing = this.readRecord(filePath);
+    return { claimed: false, record: existing };
+  }
+
+  async complete(key, changes) {
+    const filePath = this.recordPath(key);
+    const record = this.readRecord(filePath);
+    if (!record) return;
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({ ...record, ...changes, status: IDEMPOTENCY_STATES.COMPLETED }, null, 2)
+    );
+    fs.renameSync(tempPath, filePath);
+  }
+
+  async release(key) {
+    fs.rmSync(this.recordPath(key), { force: true });
+  }
+
+  async loadCheckpoint(key) {
+    const record = this.readRecord(this.recordPath(getCheckpointKey(key)));
+    return record && record.expiresAt > Date.now() ? record.participants : null;
+  }
+
+  async saveCheckpoint(key, participants, ttlMs) {
+    const checkpointKey = getCheckpointKey(key);
+    const filePath = this.recordPath(checkpointKey);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({ key: checkpointKey, participants, expiresAt: Date.now() + ttlMs }, null, 2)
+    );
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+/**
+ * DynamoDB idempotency store - shared across Lambda containers in deployed environments
+ */
+class DynamoIdempotencyStore {
+  constructor(tableName, region) {
+    const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+    const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+
+    this.tableName = tableName;
+    this.client = DynamoDBDocumentClient.from(new DynamoDBClient({ region }), {
+      marshallOptions: { removeUndefinedValues: true },
+    });
+  }
+
+  async claim(key, fields, ttlMs) {
+    const { PutCommand, GetCommand } = require("@aws-sdk/lib-dynamodb");
+
+    const record = { key, ...fields, status: IDEMPOTENCY_STATES.IN_PROGRESS, expiresAt: Date.now() + ttlMs };
+
+    try {
+      await this.client.send(
+        new PutCommand({
+          TableName: this.tableName,
+          // DynamoDB's TTL attribute is in seconds; expiresAt stays in milliseconds like the other stores
+          Item: { idempotencyKey: key, ...record, ttl: Math.ceil(record.expiresAt / 1000) },
+          ConditionExpression: "attribute_not_exists(idempotencyKey) OR expiresAt < :now",
+          ExpressionAttributeValues: { ":now": Date.now() },
+        })
+      );
+      return { claimed: true, record };
+    } catch (error) {
+      if (error.name !== "ConditionalCheckFailedException") throw error;
+
+      const response = await this.client.send(
+        new GetCommand({ TableName: this.tableName, Key: { idempotencyKey: key }, ConsistentRead: true })
+      );
+      return { claimed: false, record: response.Item || null };
+    }
+  }
+
+  async complete(key, changes) {
+    const { UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+
+    const fields = { ...changes, status: IDEMPOTENCY_STATES.COMPLETED };
+    const names = {};
+    const values = {};
+    const assignments = Object.keys(fields).map((field, index) => {
+      names[`#f${index}`] = field;
+      values[`:v${index}`] = fields[field];
+      return `#f${index} = :v${index}`;
+    });
+
+    await this.client.send(
+      new UpdateCommand({
+        TableName: this.tableName,
+        Key: { idempotencyKey: key },
+        UpdateExpression: `SET ${assignments.join(", ")}`,
+        ConditionExpression: "attribute_exists(idempotencyKey)",
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+      })
+    );
+  }
+
+  async release(key) {
+    const { DeleteCommand } = require("@aws-sdk/lib-dynamodb");
+    await this.client.send(new DeleteCommand({ TableName: this.tableName, Key: { idempotencyKey: key } }));
+  }
+
+  async loadCheckpoint(key) {
+    const { GetCommand } = require("@aws-sdk/lib-dynamodb");
+
+    const response = await this.client.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { idempotencyKey: getCheckpointKey(key) },
+        ConsistentRead: true,
+      })
+    );
+    const record = response.Item;
+    return record && record.expiresAt > Date.now() ? record.participants : null;
+  }
+
+  async saveCheckpoint(key, participants, ttlMs) {
+    const { PutCommand } = require("@aws-sdk/lib-dynamodb");
+
+    const checkpointKey = getCheckpointKey(key);
+    const expiresAt = Date.now() + ttlMs;
+
+    await this.client.send(
+      new PutCommand({
+        TableName: this.tableName,
+        Item: {
+          idempotencyKey: checkpointKey,
+          key: checkpointKey,
+          participants,
+          expiresAt,
+          ttl: Math.ceil(expiresAt / 1000),
+        },
+      })
+    );
+  }
+}
+
+/**
+ * Create an idempotency store for the configured backend
+ * @param {Object} options - { type: "memory" | "file" | "dynamodb", path, tableName, region }
+ * @returns {Object} - Idempotency store instance
+ */
+const createIdempotencyStore = (options = {}) => {
+  const config = loadConfig();
+  const type = options.type || config.idempotencyStore;
+
+  logger.debug("Creating idempotency store", { type });
+
+  switch (type) {
+    case "memory":
+      return new MemoryIdempotencyStore();
+    case "file":
+      return new FileIdempotencyStore(options.path || config.idempotencyStorePath);
+    case "dynamodb":
+      return new DynamoIdempotencyStore(
+        options.tableName || config.idempotencyTableName,
+        options.region || config.region
+      );
+    default:
+      throw new Error(`Unknown idempotency store type: ${type}. Must be one of: memory, file, dynamodb`);
+  }
+};
+
+let idempotencyStore = null;
+
+/**
+ * Get the shared idempotency store, creating it from the environment on first use
+ * @returns {Object} - Idempotency store instance
+ */
+const getIdempotencyStore = () => {
+  if (!idempotencyStore) {
+    idempotencyStore = createIdempotencyStore();
+  }
+  return idempotencyStore;
+};
+
+/**
+ * Replace the shared idempotency store (local runs and tests)
+ * @param {Object} store - Idempotency store instance
+ */
+const setIdempotencyStore = (store) => {
+  idempotencyStore = store;
+};
+
+module.exports = {
+  IDEMPOTENCY_STATES,
+  getIdempotencyTtlMs,
+  getPayloadHash,
+  getIdempotencyKey,
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  DynamoIdempotencyStore,
+  createIdempotencyStore,
+  getIdempotencyStore,
+  setIdempotencyStore,
+};
@@ -0,0 +1,55 @@
+const { toLogger } = require("../utils/logger");
+const { runExportJob, toJobInput } = require("./export-service");
+const { loadConfig } = require("../config/environment");
+
+/**
+ * Resolve how background jobs are started
+ * - "lambda": asynchronously re-invoke this function with the job payload (deployed environments)
+ * - "inline": run the job in this process without awaiting it (local server and tests)
+ * @returns {string} - Dispatch mode
+ */
+const getDispatchMode = () => loadConfig().jobDispatchMode;
+
+/**
+ * Start an export job in the background
+ * The job's input is dispatched without its credentials (see toJobInput), so check canRunAsJob first
+ * @param {Object} exportJob - { jobId, input, continuation }
+ * @param {Object} requestLog - Logger of the invocation that accepted the job
+ */
+const dispatchJob = async (exportJob, requestLog) => {
+  const mode = getDispatchMode();
+  const job = { ...exportJob, input: toJobInput(exportJob.input) };
+  const log = toLogger(requestLog).child({ jobId: job.jobId });
+
+  log.info("Dispatching export job", { mode });
+
+  if (mode === "inline") {
+    // runExportJob records its own failures in the job store, so only unexpected store errors land here
+    runExportJob(job, log.bindings.requestId).catch((error) => {
+      log.error("Inline export job crashed", { error: error.message });
+    });
+    return;
+  }
+
+  if (mode === "lambda") {
+    const { LambdaClient, InvokeCommand } = require("@aws-sdk/client-lambda");
+
+    const client = new LambdaClient({ region: process.env.AWS_REGION });
+    const response = await client.send(
+      new InvokeCommand({
+        FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+        InvocationType: "Event",
+        Payload: Buffer.from(JSON.stringify({ exportJob: job })),
+      })
+    );
+
+    if (response.StatusCode !== 202) {
+      throw new Error(`Async job invocation returned status: ${response.StatusCode}`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown job dispatch mode: ${mode}. Must be one of: inline, lambda`);
+};
+
+module.exports = { dispatchJob, getDispatchMode };
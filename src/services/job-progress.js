@@ -0,0 +1,156 @@
+const axios = require("axios");
+const { toLogger } = require("../utils/logger");
+const { JOB_STATES, getJobStore, toJobStatus } = require("./job-store");
+
+/**
+ * Records a running job's stage timings and live export progress, and pushes
+ * each update to the caller's callback URL when one was given
+ */
+class JobProgressTracker {
+  /**
+   * @param {string} jobId - Job ID
+   * @param {Object|string} log - Child logger bound to the request, or the request ID
+   * @param {Object} options - { jobStore, callbackUrl, stages, checkpoint }
+   */
+  constructor(jobId, log, options = {}) {
+    this.jobId = jobId;
+    this.log = toLogger(log).child({ jobId });
+    this.jobStore = options.jobStore || getJobStore();
+    this.callbackUrl = options.callbackUrl || null;
+    this.callbackTimeout = 5000;
+    this.stages = options.stages || {};
+    this.checkpoint = options.checkpoint || {};
+    this.currentStage = null;
+  }
+
+  /**
+   * Move the job to a new pipeline stage, closing the timing of the previous one
+   * @param {string} stage - One of JOB_STATES
+   * @returns {Object} - Updated job record
+   */
+  async stageChanged(stage) {
+    if (stage === this.currentStage) return null;
+
+    this.closeCurrentStage();
+
+    // Batch jobs pass through the same stages once per participant, so keep the first start
+    // time and accumulate the duration across visits
+    const now = new Date().toISOString();
+    this.stages[stage] = {
+      startedAt: this.stages[stage]?.startedAt || now,
+      completedAt: null,
+      durationMs: this.stages[stage]?.durationMs || 0,
+      lastStartedAt: now,
+    };
+    this.currentStage = stage;
+
+    return this.save("stage", { status: stage });
+  }
+
+  /**
+   * Record the frontend export modal's progress for the running render
+   * @param {Object} progressInfo - { participantId, progress, progressText, exportStep }
+   * @returns {Object} - Updated job record
+   */
+  async progressChanged(progressInfo) {
+    const progress = {
+      participantId: progressInfo.participantId,
+      percent: progressInfo.progress,
+      text: progressInfo.progressText,
+      exportStep: progressInfo.exportStep,
+      updatedAt: new Date().toISOString(),
+    };
+
+    return this.save("progress", { progress });
+  }
+
+  /**
+   * Record the job's final state
+   * @param {Object} changes - Final job fields (status done/failed, pdfUrl, results, error)
+   * @returns {Object} - Updated job record
+   */
+  async finish(changes) {
+    this.closeCurrentStage();
+    this.currentStage = null;
+
+    return this.save(changes.status === JOB_STATES.FAILED ? "failed" : "done", changes);
+  }
+
+  /**
+   * Record what the export has delivered per participant (see ExportCheckpoint)
+   * @param {Object} participants - Checkpoint entries by participant ID
+   * @returns {Object} - Updated job record
+   */
+  async checkpointChanged(participants) {
+    this.checkpoint = { ...this.checkpoint, participants };
+
+    return this.save("checkpoint", { checkpoint: this.checkpoint });
+  }
+
+  /**
+   * Put the job back in the queue for a continuation invocation
+   * @param {Object} changes - Job fields to update (continuations, results so far), with the
+   *   checkpoint fields saying where the job stopped
+   * @returns {Object} - Updated job record
+   */
+  async requeued(changes) {
+    this.closeCurrentStage();
+    this.currentStage = null;
+    this.checkpoint = { ...this.checkpoint, ...changes.checkpoint };
+
+    return this.save("requeued", { ...changes, checkpoint: this.checkpoint, status: JOB_STATES.QUEUED });
+  }
+
+  closeCurrentStage() {
+    const stage = this.stages[this.currentStage];
+    if (!stage) return;
+
+    stage.completedAt = new Date().toISOString();
+    stage.durationMs += Date.now() - new Date(stage.lastStartedAt).getTime();
+  }
+
+  /**
+   * Write changes (plus the current stage timings) to the job store and notify the callback URL
+   * @param {string} event - Callback event name (stage, progress, checkpoint, requeued, done, failed)
+   * @param {Object} changes - Job fields to update
+   * @returns {Object} - Updated job record
+   */
+  async save(event, changes) {
+    const stages = {};
+    for (const [name, { lastStartedAt, ...timing }] of Object.entries(this.stages)) {
+      stages[name] = timing;
+    }
+
+    const job = await this.jobStore.update(this.jobId, { ...changes, stages });
+    await this.notifyCallback(event, job);
+    return job;
+  }
+
+  /**
+   * POST the job's status to the callback URL - best effort, failures are only logged
+   * @param {string} event - Callback event name
+   * @param {Object} job - Job record
+   */
+  async notifyCallback(event, job) {
+    if (!this.callbackUrl) return;
+
+    try {
+      await axios.post(
+        this.callbackUrl,
+        { event, ...toJobStatus(job) },
+        {
+          headers: { "Content-Type": "application/json" },
+          timeout: this.callbackTimeout,
+        }
+      );
+    } catch (error) {
+      this.log.warn("Job progress callback failed", {
+        event,
+        error: error.message,
+        responseStatus: error.response?.status,
+      });
+    }
+  }
+}
+
+module.exports = { JobProgressTracker };
@@ -0,0 +1,275 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("../utils/logger");
+const { loadConfig } = require("../config/environment");
+
+/**
+ * Lifecycle states of an export job, in pipeline order
+ */
+const JOB_STATES = {
+  QUEUED: "queued",
+  AUTHENTICATING: "authenticating",
+  RENDERING: "rendering",
+  UPLOADING: "uploading",
+  EMAILING: "emailing",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+/**
+ * Build a new job record in the queued state
+ * @param {Object} fields - Initial job fields (surveyId, participantId(s), env, ...)
+ * @returns {Object} - Job record
+ */
+const createJobRecord = (fields = {}) => {
+  const now = new Date().toISOString();
+
+  return {
+    jobId: fields.jobId || crypto.randomUUID(),
+    ...fields,
+    status: JOB_STATES.QUEUED,
+    pdfUrl: null,
+    error: null,
+    errorCode: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Public view of a job record, as returned by GET /export/{jobId} and progress callbacks
+ * @param {Object} job - Job record
+ * @returns {Object} - Job status fields
+ */
+const toJobStatus = (job) => ({
+  jobId: job.jobId,
+  status: job.status,
+  surveyId: job.surveyId,
+  participantId: job.participantId,
+  participantIds: job.participantIds,
+  progress: job.progress || null,
+  stages: job.stages || {},
+  pdfUrl: job.pdfUrl,
+  results: job.results,
+  error: job.error,
+  errorCode: job.errorCode || null,
+  continuations: job.continuations || 0,
+  checkpoint: job.checkpoint || null,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+});
+
+/**
+ * In-memory job store - for tests and single-process local runs
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.jobs.set(job.jobId, { ...job });
+    return { ...job };
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async update(jobId, changes) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+    this.jobs.set(jobId, updated);
+    return { ...updated };
+  }
+}
+
+/**
+ * File-based job store - one JSON file per job, survives process restarts
+ */
+class FileJobStore {
+  constructor(directory) {
+    this.directory = directory;
+    // Tail of each job's queue of pending updates
+    this.updates = new Map();
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  jobPath(jobId) {
+    // Job IDs are used as file names, so strip anything that could escape the directory
+    return path.join(this.directory, `${String(jobId).replace(/[^a-zA-Z0-9_-]/g, "")}.json`);
+  }
+
+  async create(job) {
+    fs.writeFileSync(this.jobPath(job.jobId), JSON.stringify(job, null, 2));
+    return { ...job };
+  }
+
+  async get(jobId) {
+    const filePath = this.jobPath(jobId);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  async update(jobId, changes) {
+    // Updates of a job run one after another, so concurrent ones (e.g. a stage change and a progress report)
+    // can't write back a stale copy of the record and lose each other's changes
+    const previous = this.updates.get(jobId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.applyUpdate(jobId, changes));
+    this.updates.set(jobId, next);
+
+    try {
+      return await next;
+    } finally {
+      if (this.updates.get(jobId) === next) {
+        this.updates.delete(jobId);
+      }
+    }
+  }
+
+  async applyUpdate(jobId, changes) {
+    const job = await this.get(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+
+    // Write to a temp file and rename so readers never see a half-written record
+    const filePath = this.jobPath(jobId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(updated, null, 2));
+    fs.renameSync(tempPath, filePath);
+
+    return updated;
+  }
+}
+
+/**
+ * DynamoDB job store - shared across Lambda containers in deployed environments
+ */
+class DynamoJobStore {
+  constructor(tableName, region, ttlDays = 14) {
+    const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+    const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+
+    this.tableName = tableName;
+    this.ttlSeconds = ttlDays * 24 * 60 * 60;
+    this.client = DynamoDBDocumentClient.from(new DynamoDBClient({ region }), {
+      marshallOptions: { removeUndefinedValues: true },
+    });
+  }
+
+  async create(job) {
+    const { PutCommand } = require("@aws-sdk/lib-dynamodb");
+
+    const item = { ...job, expiresAt: Math.floor(Date.now() / 1000) + this.ttlSeconds };
+    await this.client.send(new PutCommand({ TableName: this.tableName, Item: item }));
+    return { ...job };
+  }
+
+  async get(jobId) {
+    const { GetCommand } = require("@aws-sdk/lib-dynamodb");
+
+    const response = await this.client.send(new GetCommand({ TableName: this.tableName, Key: { jobId } }));
+    if (!response.Item) {
+      return null;
+    }
+
+    const { expiresAt, ...job } = response.Item;
+    return job;
+  }
+
+  async update(jobId, changes) {
+    const { UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+
+    const fields = { ...changes, updatedAt: new Date().toISOString() };
+    const names = {};
+    const values = {};
+    const assignments = Object.keys(fields).map((key, index) => {
+      names[`#f${index}`] = key;
+      values[`:v${index}`] = fields[key] === undefined ? null : fields[key];
+      return `#f${index} = :v${index}`;
+    });
+
+    const response = await this.client.send(
+      new UpdateCommand({
+        TableName: this.tableName,
+        Key: { jobId },
+        UpdateExpression: `SET ${assignments.join(", ")}`,
+        ConditionExpression: "attribute_exists(jobId)",
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    const { expiresAt, ...job } = response.Attributes;
+    return job;
+  }
+}
+
+/**
+ * Create a job store for the configured backend
+ * @param {Object} options - { type: "memory" | "file" | "dynamodb", path, tableName, region }
+ * @returns {Object} - Job store instance
+ */
+const createJobStore = (options = {}) => {
+  const config = loadConfig();
+  const type = options.type || config.jobStore;
+
+  logger.debug("Creating job store", { type });
+
+  switch (type) {
+    case "memory":
+      return new MemoryJobStore();
+    case "file":
+      return new FileJobStore(options.path || config.jobStorePath);
+    case "dynamodb":
+      return new DynamoJobStore(options.tableName || config.jobTableName, options.region || config.region);
+    default:
+      throw new Error(`Unknown job store type: ${type}. Must be one of: memory, file, dynamodb`);
+  }
+};
+
+let jobStore = null;
+
+/**
+ * Get the shared job store, creating it from the environment on first use
+ * @returns {Object} - Job store instance
+ */
+const getJobStore = () => {
+  if (!jobStore) {
+    jobStore = createJobStore();
+  }
+  return jobStore;
+};
+
+/**
+ * Replace the shared job store (local runs and tests)
+ * @param {Object} store - Job store instance
+ */
+const setJobStore = (store) => {
+  jobStore = store;
+};
+
+module.exports = {
+  JOB_STATES,
+  createJobRecord,
+  toJobStatus,
+  MemoryJobStore,
+  FileJobStore,
+  DynamoJobStore,
+  createJobStore,
+  getJobStore,
+  setJobStore,
+};
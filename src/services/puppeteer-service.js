@@ -1,95 +1,382 @@
 const puppeteer = require("puppeteer-core");
 const chromium = require("@sparticuz/chromium");
-const path = require("path");
 const fs = require("fs");
-const { logger } = require("../utils/logger");
+const { toLogger } = require("../utils/logger");
+const { createCaptureStrategy } = require("./capture-strategies");
+const { getBrowserPool } = require("./browser-pool");
+const { getSessionCache } = require("./session-cache");
+const { getLoginMode, loginViaApi, createTokenSession } = require("./api-login");
+const { LambdaError, AuthenticationError, PDFGenerationError } = require("../utils/error-handler");
+const { runStage } = require("../utils/stage-policy");
+const { OUTCOMES, createMetrics } = require("../utils/metrics");
+const { createDeadline } = require("../utils/deadline");
+const { DEFAULT_LOCALE } = require("../config/environment-registry");
+
+/**
+ * Cookie fields that can be passed back to page.setCookie()
+ */
+const COOKIE_FIELDS = ["name", "value", "domain", "path", "expires", "httpOnly", "secure", "sameSite"];
+
+/**
+ * @param {Error} error - Capture error
+ * @returns {boolean} - Whether the frontend sent the export page back to the login page
+ */
+const isLoginRedirect = (error) => error.message.includes("redirected to login page");
+
+/**
+ * Keep typed errors (authentication, timeouts) as they are and report anything else as a PDF generation failure
+ * @param {Error} error - Error raised while generating
+ * @param {Object} context - Error context
+ * @returns {LambdaError} - Typed error
+ */
+const toExportError = (error, context) =>
+  error instanceof LambdaError ? error : new PDFGenerationError(error.message, context);
 
 /**
  * Service for handling PDF generation using Puppeteer and Chrome
  */
 class PuppeteerService {
-  constructor(requestId) {
-    this.requestId = requestId;
+  /**
+   * @param {Object|string} log - Child logger bound to the request, or the request ID
+   * @param {Object} options - { deadline, metrics, onStageChange, onProgress, locale, pdfOptions, captureStrategy, loginMode }
+   */
+  constructor(log, options = {}) {
+    this.log = toLogger(log);
     this.downloadPath = "/tmp";
-    this.timeout = parseInt(process.env.TIMEOUT_MS) || 450000; // 7.5 minutes default (tripled)
+    this.maxTimeout = parseInt(process.env.TIMEOUT_MS) || 450000; // 7.5 minutes default (tripled)
+    this.deadline = options.deadline || createDeadline();
+    this.metrics = options.metrics || createMetrics();
+    this.onStageChange = options.onStageChange || null;
+    this.onProgress = options.onProgress || null;
+    this.locale = options.locale || DEFAULT_LOCALE;
+    this.pdfOptions = options.pdfOptions || {};
+    this.captureStrategy = createCaptureStrategy(options.captureStrategy, this);
+    this.loginMode = getLoginMode(options.loginMode);
+  }
+
+  /**
+   * Timeout for browser waits: TIMEOUT_MS, cut down to what's left of the invocation
+   * @returns {number} - Timeout in ms
+   */
+  get timeout() {
+    return Math.max(Math.min(this.maxTimeout, this.deadline.remainingMs()), 1000);
+  }
+
+  /**
+   * Notify the stage listener (if any) that generation moved to a new stage
+   * @param {string} stage - Stage name (authenticating, rendering)
+   */
+  async reportStage(stage) {
+    if (!this.onStageChange) return;
+
+    try {
+      await this.onStageChange(stage);
+    } catch (error) {
+      this.log.warn("Failed to report generation stage", {
+        stage,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Notify the progress listener (if any) of the frontend's export progress
+   * @param {Object} progress - { participantId, progress, progressText, exportStep }
+   */
+  async reportProgress(progress) {
+    if (!this.onProgress) return;
+
+    try {
+      await this.onProgress(progress);
+    } catch (error) {
+      this.log.warn("Failed to report export progress", {
+        error: error.message,
+      });
+    }
   }
 
   /**
    * Main method to generate PDF
    * @param {Object} params - Generation parameters
-   * @returns {Object} - { browser, pdfBuffer, accessToken }
+   * @returns {Object} - { pdfBuffer, accessToken }
    */
   async generatePDF(params) {
-    const { surveyId, participantId, frontendUrl, backendUrl, serviceEmail, servicePassword } = params;
+    const { surveyId, participantId, frontendUrl, backendUrl, serviceEmail, servicePassword, accessToken } = params;
 
-    logger.info("Starting PDF generation process", {
-      requestId: this.requestId,
+    this.log.info("Starting PDF generation process", {
       surveyId,
       participantId,
     });
 
-    // Launch browser with optimized settings for Lambda
-    const browser = await this.launchBrowser();
+    // Get an isolated browser context, launching Chrome only when no warm browser is available
+    const session = await getBrowserPool().acquire(this.log, () => this.launchBrowser());
 
     try {
-      // Create new page for authentication
-      const authPage = await browser.newPage();
+      await this.reportStage("authenticating");
+
+      // Use the request's access token, restore a cached session for this service account, or log in
+      const auth = await runStage(
+        "auth",
+        (signal) =>
+          this.authenticateOnNewPage(
+            session.context,
+            signal,
+            backendUrl,
+            serviceEmail,
+            servicePassword,
+            frontendUrl,
+            accessToken
+          ),
+        this.log,
+        this.deadline,
+        this.metrics
+      );
 
-      // Perform authentication via browser context and get access token
-      const accessToken = await this.authenticateViaPuppeteer(
-        authPage,
-        backendUrl,
-        serviceEmail,
-        servicePassword,
-        frontendUrl
+      const pdfBuffer = await runStage(
+        "render",
+        () => this.exportAuthenticated(session.context, auth, { surveyId, participantId, frontendUrl }),
+        this.log,
+        this.deadline,
+        this.metrics
       );
+      this.recordPdfSize(pdfBuffer);
 
-      // Create new page for PDF generation with download monitoring
-      // Note: Cookies are automatically shared across all pages in the same browser context
-      const pdfPage = await browser.newPage();
+      this.log.info("PDF generation completed successfully", {
+        pdfSize: pdfBuffer.length,
+      });
 
-      // Set authorization header for additional security (belt and suspenders)
-      await pdfPage.setExtraHTTPHeaders({
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
+      return { pdfBuffer, accessToken: auth.accessToken };
+    } catch (error) {
+      this.log.error("Error during PDF generation", {
+        error: error.message,
+        stack: error.stack,
       });
 
-      await this.setupDownloadMonitoring(pdfPage);
+      throw toExportError(error, { surveyId, participantId });
+    } finally {
+      await session.release();
+    }
+  }
+
+  /**
+   * Authenticate on a new page of the browser context, one per auth attempt
+   * The page is closed when the attempt fails or times out, so an attempt that is still running after its
+   * timeout fails on the closed page instead of driving the login alongside the retry
+   * @param {Object} browserContext - Puppeteer browser context
+   * @param {AbortSignal} signal - Aborted when the attempt times out (see runStage)
+   * @param {...*} args - authenticate() arguments after the page
+   * @returns {Object} - Result of authenticate()
+   */
+  async authenticateOnNewPage(browserContext, signal, ...args) {
+    const page = await browserContext.newPage();
+    const closePage = () =>
+      page.close().catch((error) => this.log.warn("Failed to close auth page", { error: error.message }));
 
-      // Navigate to export URL and trigger PDF download
-      const exportUrl = `${frontendUrl}/en-GB/surveys/${surveyId}/results/by-user?download=pdf&participantIds=${participantId}&asyncExport=true`;
+    signal?.addEventListener("abort", closePage, { once: true });
 
-      logger.info("Navigating to export URL", {
-        requestId: this.requestId,
-        exportUrl,
-      });
+    try {
+      return await this.authenticate(page, ...args);
+    } catch (error) {
+      if (!signal?.aborted) await closePage();
+      throw error;
+    } finally {
+      signal?.removeEventListener("abort", closePage);
+    }
+  }
+
+  /**
+   * Record the size of a rendered PDF
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   */
+  recordPdfSize(pdfBuffer) {
+    this.metrics.record({ PdfSize: pdfBuffer.length }, { stage: "render", outcome: OUTCOMES.SUCCESS });
+  }
 
-      const pdfBuffer = await this.capturePDFDownload(pdfPage, exportUrl);
+  /**
+   * Get a backend access token without opening a browser, for exports resuming after their PDF was uploaded
+   * Uses the request's token, then a cached login session, then an API login whatever the login mode
+   * @param {Object} params - { frontendUrl, backendUrl, serviceEmail, servicePassword, accessToken }
+   * @returns {string} - Access token
+   */
+  async getAccessToken(params) {
+    const { frontendUrl, backendUrl, serviceEmail, servicePassword, accessToken } = params;
 
-      logger.info("PDF generation completed successfully", {
-        requestId: this.requestId,
-        pdfSize: pdfBuffer.length,
+    if (accessToken) {
+      return accessToken;
+    }
+
+    await this.reportStage("authenticating");
+
+    return runStage(
+      "auth",
+      async () => {
+        const sessionCache = getSessionCache();
+        const cacheKey = await sessionCache.getKey({ frontendUrl, backendUrl, serviceEmail });
+        const cached = await sessionCache.get(cacheKey, servicePassword);
+
+        if (cached) {
+          this.log.info("Using cached login session token");
+          return cached.accessToken;
+        }
+
+        const session = await loginViaApi({
+          backendUrl,
+          frontendUrl,
+          serviceEmail,
+          servicePassword,
+          log: this.log,
+        });
+
+        await sessionCache.set(cacheKey, session, servicePassword);
+        return session.accessToken;
+      },
+      this.log,
+      this.deadline,
+      this.metrics
+    );
+  }
+
+  /**
+   * Generate PDFs for several participants with a single authenticated browser
+   * @param {Object} params - Generation parameters (participantIds instead of participantId)
+   * @returns {Object} - { accessToken, results: [{ participantId, success, pdfBuffer, error }] }
+   */
+  async generateBatchPDFs(params) {
+    const { surveyId, participantIds, frontendUrl, backendUrl, serviceEmail, servicePassword, accessToken } = params;
+
+    this.log.info("Starting batch PDF generation process", {
+      surveyId,
+      participantCount: participantIds.length,
+    });
+
+    const session = await getBrowserPool().acquire(this.log, () => this.launchBrowser());
+
+    try {
+      await this.reportStage("authenticating");
+
+      // Authenticate once - the session is shared by every page in the browser context
+      const auth = await runStage(
+        "auth",
+        (signal) =>
+          this.authenticateOnNewPage(
+            session.context,
+            signal,
+            backendUrl,
+            serviceEmail,
+            servicePassword,
+            frontendUrl,
+            accessToken
+          ),
+        this.log,
+        this.deadline,
+        this.metrics
+      );
+
+      const results = [];
+
+      // Participants are exported one at a time so each download can be matched to its participant
+      for (const participantId of participantIds) {
+        try {
+          const pdfBuffer = await runStage(
+            "render",
+            () => this.exportAuthenticated(session.context, auth, { surveyId, participantId, frontendUrl }),
+            this.log.child({ participantId }),
+            this.deadline,
+            this.metrics
+          );
+          this.recordPdfSize(pdfBuffer);
+
+          results.push({ participantId, success: true, pdfBuffer });
+        } catch (error) {
+          this.log.error("PDF generation failed for participant", {
+            participantId,
+            error: error.message,
+          });
+
+          results.push({ participantId, success: false, error: error.message, errorCode: error.errorCode });
+        }
+      }
+
+      this.log.info("Batch PDF generation completed", {
+        participantCount: participantIds.length,
+        successCount: results.filter((result) => result.success).length,
       });
 
-      return { browser, pdfBuffer, accessToken };
+      return { accessToken: auth.accessToken, results };
     } catch (error) {
-      logger.error("Error during PDF generation", {
-        requestId: this.requestId,
+      this.log.error("Error during batch PDF generation", {
         error: error.message,
         stack: error.stack,
       });
 
-      // Close browser on error to prevent resource leaks
+      throw toExportError(error, { surveyId, participantCount: participantIds.length });
+    } finally {
+      await session.release();
+    }
+  }
+
+  /**
+   * Export a single participant's PDF using an already authenticated browser context
+   * @param {Object} browserContext - Puppeteer browser context
+   * @param {string} accessToken - Access token from authentication
+   * @param {Object} params - { surveyId, participantId, frontendUrl }
+   * @returns {Buffer} - PDF file buffer
+   */
+  async exportParticipantPDF(browserContext, accessToken, params) {
+    const { surveyId, participantId, frontendUrl } = params;
+
+    // Create new page for PDF generation
+    // Note: Cookies are automatically shared across all pages in the same browser context
+    await this.reportStage("rendering");
+    const pdfPage = await browserContext.newPage();
+
+    try {
+      // Set authorization header for additional security (belt and suspenders)
+      await pdfPage.setExtraHTTPHeaders({
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      });
+
+      const url = this.captureStrategy.getUrl({ frontendUrl, locale: this.locale, surveyId, participantId });
+
+      this.log.info("Navigating to export URL", {
+        participantId,
+        captureStrategy: this.captureStrategy.name,
+        url,
+      });
+
+      return await this.captureStrategy.capture(pdfPage, url, { participantId });
+    } finally {
       try {
-        await browser.close();
+        await pdfPage.close();
       } catch (closeError) {
-        logger.error("Error closing browser after failure", {
-          requestId: this.requestId,
+        this.log.warn("Error closing PDF page", {
+          participantId,
           error: closeError.message,
         });
       }
+    }
+  }
 
-      throw error;
+  /**
+   * Export a participant's PDF, logging in again once if the backend no longer accepts a cached session
+   * @param {Object} browserContext - Puppeteer browser context
+   * @param {Object} auth - Authentication from authenticate(), refreshed in place after a new login
+   * @param {Object} params - { surveyId, participantId, frontendUrl }
+   * @returns {Buffer} - PDF file buffer
+   */
+  async exportAuthenticated(browserContext, auth, params) {
+    try {
+      return await this.exportParticipantPDF(browserContext, auth.accessToken, params);
+    } catch (error) {
+      if (!auth.cached || !isLoginRedirect(error)) throw error;
+
+      this.log.warn("Cached session was rejected, logging in again", {
+        participantId: params.participantId,
+      });
+
+      await auth.refresh();
+      return this.exportParticipantPDF(browserContext, auth.accessToken, params);
     }
   }
 
@@ -98,7 +385,7 @@ class PuppeteerService {
    * @returns {Object} - Puppeteer browser instance
    */
   async launchBrowser() {
-    logger.info("Launching Chrome browser", { requestId: this.requestId });
+    this.log.info("Launching Chrome browser");
 
     const startTime = Date.now();
 
@@ -108,8 +395,7 @@ class PuppeteerService {
       // Get chromium configuration
       const executablePath = await chromium.executablePath();
 
-      logger.info("Using @sparticuz/chromium for Lambda", {
-        requestId: this.requestId,
+      this.log.info("Using @sparticuz/chromium for Lambda", {
         executablePath,
         platform: process.platform,
         arch: process.arch,
@@ -119,8 +405,7 @@ class PuppeteerService {
       // Debug: Check if binary exists and get file info
       if (fs.existsSync(executablePath)) {
         const stats = fs.statSync(executablePath);
-        logger.info("Chromium binary info", {
-          requestId: this.requestId,
+        this.log.info("Chromium binary info", {
           size: stats.size,
           executable: !!(stats.mode & parseInt("111", 8)),
         });
@@ -129,32 +414,29 @@ class PuppeteerService {
         try {
           const { execSync } = require("child_process");
           const fileInfo = execSync(`file "${executablePath}"`, { encoding: "utf8", timeout: 5000 });
-          logger.info("Binary file type", {
-            requestId: this.requestId,
+          this.log.info("Binary file type", {
             fileInfo: fileInfo.trim(),
           });
         } catch (err) {
-          logger.info("Could not determine file type", {
-            requestId: this.requestId,
+          this.log.info("Could not determine file type", {
             error: err.message,
           });
         }
       } else {
-        logger.error("Chromium binary not found", {
-          requestId: this.requestId,
+        this.log.error("Chromium binary not found", {
           executablePath,
         });
       }
 
       const browser = await puppeteer.launch({
         executablePath,
+        // No --single-process: in single-process mode Chrome crashes when a page opens in an incognito context
         args: [
-          ...chromium.args,
+          ...chromium.args.filter((arg) => arg !== "--single-process"),
           "--no-sandbox",
           "--disable-setuid-sandbox",
           "--disable-dev-shm-usage",
           "--disable-gpu",
-          "--single-process",
           "--no-zygote",
           "--disable-web-security",
           "--disable-features=VizDisplayCompositor",
@@ -167,23 +449,205 @@ class PuppeteerService {
       });
 
       const launchTime = Date.now() - startTime;
-      logger.info("Browser launched successfully", {
-        requestId: this.requestId,
+      this.log.info("Browser launched successfully", {
         launchTime,
       });
+      this.metrics.record({ Duration: launchTime }, { stage: "launch", outcome: OUTCOMES.SUCCESS });
 
       return browser;
     } catch (error) {
       const launchTime = Date.now() - startTime;
-      logger.error("Failed to launch browser", {
-        requestId: this.requestId,
+      this.log.error("Failed to launch browser", {
         error: error.message,
         launchTime,
         platform: process.platform,
         arch: process.arch,
       });
+      this.metrics.record({ Duration: launchTime }, { stage: "launch", outcome: OUTCOMES.FAILURE });
+
+      throw new PDFGenerationError(`Browser launch failed: ${error.message}`, { launchTime });
+    }
+  }
+
+  /**
+   * Authenticate the browser context, restoring the cached session for this environment and service
+   * account while its token is valid and only logging in (through the UI or the API, see LOGIN_MODE)
+   * when there is none. A pre-issued access token skips both and is put into the browser directly
+   * @param {Object} page - Puppeteer page instance
+   * @param {string} backendUrl - Backend API URL
+   * @param {string} serviceEmail - Service account email
+   * @param {string} servicePassword - Service account password
+   * @param {string} frontendUrl - Frontend URL
+   * @param {string} accessToken - Verified access token from the request, instead of the service credentials
+   * @returns {Object} - { accessToken, cached, refresh } - refresh() drops the cached session and logs in again
+   */
+  async authenticate(page, backendUrl, serviceEmail, servicePassword, frontendUrl, accessToken) {
+    if (accessToken) {
+      await this.restoreSession(page, createTokenSession(accessToken, frontendUrl));
+      this.log.info("Using pre-issued access token");
+
+      return {
+        accessToken,
+        cached: false,
+        refresh: async () => {
+          throw new Error("A pre-issued access token cannot be refreshed");
+        },
+      };
+    }
+
+    const sessionCache = getSessionCache();
+    const cacheKey = await sessionCache.getKey({ frontendUrl, backendUrl, serviceEmail });
+
+    const cacheSession = async (getSession) => {
+      try {
+        const session = await sessionCache.set(cacheKey, await getSession(), servicePassword);
+        this.log.info("Cached login session", {
+          expiresAt: new Date(session.expiresAt).toISOString(),
+          cookieCount: session.cookies.length,
+        });
+      } catch (error) {
+        this.log.warn("Failed to cache login session", { error: error.message });
+      }
+    };
+
+    const login = async () => {
+      if (this.loginMode === "api") {
+        const session = await loginViaApi({
+          backendUrl,
+          frontendUrl,
+          serviceEmail,
+          servicePassword,
+          log: this.log,
+        });
+
+        // Seeded the same way as a cached session, so the login form is never loaded
+        await this.restoreSession(page, session);
+        await cacheSession(() => session);
+        return session.accessToken;
+      }
 
-      throw new Error(`Browser launch failed: ${error.message}`);
+      const accessToken = await this.authenticateViaPuppeteer(
+        page,
+        backendUrl,
+        serviceEmail,
+        servicePassword,
+        frontendUrl
+      );
+
+      await cacheSession(() => this.captureSession(page, accessToken, frontendUrl, backendUrl));
+      return accessToken;
+    };
+
+    const auth = {
+      accessToken: null,
+      cached: false,
+      refresh: async () => {
+        await sessionCache.delete(cacheKey);
+        await this.clearSession(page, frontendUrl, backendUrl);
+        auth.accessToken = await login();
+        auth.cached = false;
+      },
+    };
+
+    const session = await sessionCache.get(cacheKey, servicePassword);
+
+    if (session) {
+      try {
+        await this.restoreSession(page, session);
+
+        this.log.info("Restored cached login session", {
+          expiresAt: new Date(session.expiresAt).toISOString(),
+        });
+
+        auth.accessToken = session.accessToken;
+        auth.cached = true;
+        return auth;
+      } catch (error) {
+        this.log.warn("Failed to restore cached session, logging in", {
+          error: error.message,
+        });
+        await sessionCache.delete(cacheKey);
+      }
+    }
+
+    auth.accessToken = await login();
+    return auth;
+  }
+
+  /**
+   * Read the cookies and frontend localStorage a UI login left in the browser context
+   * @param {Object} page - Logged-in page on the frontend
+   * @param {string} accessToken - Access token from the login
+   * @param {string} frontendUrl - Frontend URL
+   * @param {string} backendUrl - Backend API URL
+   * @returns {Object} - { accessToken, cookies, localStorage, origin }
+   */
+  async captureSession(page, accessToken, frontendUrl, backendUrl) {
+    const cookies = await page.cookies(frontendUrl, backendUrl);
+    const localStorage = await page.evaluate(() => Object.assign({}, window.localStorage));
+
+    return {
+      accessToken,
+      cookies: cookies.map((cookie) =>
+        Object.fromEntries(COOKIE_FIELDS.filter((field) => field in cookie).map((field) => [field, cookie[field]]))
+      ),
+      localStorage,
+      origin: new URL(frontendUrl).origin,
+    };
+  }
+
+  /**
+   * Put a session's cookies and localStorage (cached, or from an API login) into the page's browser context, so
+   * every page opened in it afterwards starts logged in
+   * @param {Object} page - Puppeteer page instance
+   * @param {Object} session - Session from captureSession or loginViaApi
+   */
+  async restoreSession(page, session) {
+    if (session.cookies.length > 0) {
+      await page.setCookie(...session.cookies);
+    }
+
+    if (Object.keys(session.localStorage).length === 0) return;
+
+    // localStorage can only be written from the frontend's origin; serve a blank page there
+    // instead of loading the real frontend
+    const serveBlankPage = (request) =>
+      request.respond({ status: 200, contentType: "text/html", body: "<!DOCTYPE html><html></html>" });
+
+    await page.setRequestInterception(true);
+    page.on("request", serveBlankPage);
+
+    try {
+      await page.goto(`${session.origin}/`, { waitUntil: "domcontentloaded", timeout: this.timeout });
+      await page.evaluate((items) => {
+        for (const [key, value] of Object.entries(items)) {
+          window.localStorage.setItem(key, value);
+        }
+      }, session.localStorage);
+    } finally {
+      page.off("request", serveBlankPage);
+      await page.setRequestInterception(false);
+    }
+  }
+
+  /**
+   * Remove a rejected session's cookies and localStorage before logging in again
+   * @param {Object} page - Puppeteer page instance
+   * @param {string} frontendUrl - Frontend URL
+   * @param {string} backendUrl - Backend API URL
+   */
+  async clearSession(page, frontendUrl, backendUrl) {
+    const client = await page.target().createCDPSession();
+
+    try {
+      for (const url of new Set([frontendUrl, backendUrl])) {
+        await client.send("Storage.clearDataForOrigin", {
+          origin: new URL(url).origin,
+          storageTypes: "cookies,local_storage,session_storage",
+        });
+      }
+    } finally {
+      await client.detach();
     }
   }
 
@@ -198,8 +662,7 @@ class PuppeteerService {
   async authenticateViaPuppeteer(page, backendUrl, serviceEmail, servicePassword, frontendUrl) {
     const startTime = Date.now();
 
-    logger.info("Starting browser-context authentication", {
-      requestId: this.requestId,
+    this.log.info("Starting browser-context authentication", {
       frontendUrl,
       serviceEmail,
     });
@@ -211,9 +674,8 @@ class PuppeteerService {
       );
 
       // Navigate to the frontend login page to set cookies properly
-      const loginUrl = `${frontendUrl}/en-GB/auth/login`;
-      logger.info("Navigating to frontend login page", {
-        requestId: this.requestId,
+      const loginUrl = `${frontendUrl}/${this.locale}/auth/login`;
+      this.log.info("Navigating to frontend login page", {
         loginUrl,
       });
 
@@ -222,8 +684,7 @@ class PuppeteerService {
         timeout: this.timeout,
       });
 
-      logger.info("Login page loaded", {
-        requestId: this.requestId,
+      this.log.info("Login page loaded", {
         currentUrl: page.url(),
       });
 
@@ -267,8 +728,7 @@ class PuppeteerService {
         };
       }, submitButton);
 
-      logger.info("Selected submit button", {
-        requestId: this.requestId,
+      this.log.info("Selected submit button", {
         buttonInfo: selectedButtonInfo,
       });
 
@@ -283,8 +743,7 @@ class PuppeteerService {
           }));
         });
 
-        logger.error("No submit button found", {
-          requestId: this.requestId,
+        this.log.error("No submit button found", {
           availableButtons,
         });
 
@@ -294,8 +753,7 @@ class PuppeteerService {
       // Setup network and error monitoring
       page.on("request", (request) => {
         if (request.url().includes("login") && request.method() === "POST") {
-          logger.info("Login API request detected", {
-            requestId: this.requestId,
+          this.log.info("Login API request detected", {
             url: request.url(),
           });
         }
@@ -303,16 +761,14 @@ class PuppeteerService {
 
       // Monitor JavaScript errors
       page.on("pageerror", (error) => {
-        logger.warn("JavaScript error on page", {
-          requestId: this.requestId,
+        this.log.warn("JavaScript error on page", {
           error: error.message,
         });
       });
 
       page.on("console", (msg) => {
         if (msg.type() === "error") {
-          logger.warn("Console error", {
-            requestId: this.requestId,
+          this.log.warn("Console error", {
             message: msg.text(),
           });
         }
@@ -325,7 +781,7 @@ class PuppeteerService {
       );
 
       // Click submit button and wait for API response
-      logger.info("Submitting login form", { requestId: this.requestId });
+      this.log.info("Submitting login form");
 
       // Handle both traditional form submission and JavaScript-based submission
       try {
@@ -337,11 +793,10 @@ class PuppeteerService {
         // Check if we're still on the same page (indicating JS-based form)
         const currentUrl = page.url();
         if (currentUrl.includes("/auth/login")) {
-          logger.info("Form appears to use JavaScript submission, waiting for navigation or API call");
+          this.log.info("Form appears to use JavaScript submission, waiting for navigation or API call");
         }
       } catch (clickError) {
-        logger.warn("Submit button click failed, trying alternative approach", {
-          requestId: this.requestId,
+        this.log.warn("Submit button click failed, trying alternative approach", {
           error: clickError.message,
         });
 
@@ -371,11 +826,10 @@ class PuppeteerService {
       try {
         await page.focus('input[type="password"], input[name="password"]');
         await page.keyboard.press("Enter");
-        logger.info("Tried Enter key submission as additional fallback");
+        this.log.info("Tried Enter key submission as additional fallback");
         await page.waitForTimeout(500);
       } catch (enterError) {
-        logger.warn("Enter key fallback failed", {
-          requestId: this.requestId,
+        this.log.warn("Enter key fallback failed", {
           error: enterError.message,
         });
       }
@@ -388,17 +842,14 @@ class PuppeteerService {
         loginResponse = await responsePromise;
         responseData = await loginResponse.json();
 
-        logger.info("Login API response received", {
-          requestId: this.requestId,
+        this.log.info("Login API response received", {
           status: loginResponse.status(),
           url: loginResponse.url(),
           responseData: JSON.stringify(responseData, null, 2),
         });
       } catch (timeoutError) {
         // If API response times out, check if login succeeded via navigation
-        logger.warn("Login API timeout, checking if navigation succeeded", {
-          requestId: this.requestId,
-        });
+        this.log.warn("Login API timeout, checking if navigation succeeded");
 
         await page.waitForTimeout(3000);
 
@@ -408,8 +859,7 @@ class PuppeteerService {
           hasAuthToken: !!localStorage.getItem("authToken") || !!sessionStorage.getItem("authToken"),
         }));
 
-        logger.info("Page state after login attempt", {
-          requestId: this.requestId,
+        this.log.info("Page state after login attempt", {
           ...currentState,
         });
 
@@ -425,7 +875,7 @@ class PuppeteerService {
           });
 
           if (tokenFromStorage) {
-            logger.info("Found auth token in browser storage");
+            this.log.info("Found auth token in browser storage");
             return tokenFromStorage;
           }
         }
@@ -449,8 +899,7 @@ class PuppeteerService {
           };
         });
 
-        logger.error("Login failed - form submission issue", {
-          requestId: this.requestId,
+        this.log.error("Login failed - form submission issue", {
           pageState: currentState,
           formData,
         });
@@ -459,7 +908,10 @@ class PuppeteerService {
       }
 
       if (!loginResponse.ok()) {
-        throw new Error(`Login failed: ${loginResponse.status()} ${loginResponse.statusText()}`);
+        const status = `${loginResponse.status()} ${loginResponse.statusText()}`;
+        throw new AuthenticationError(`Authentication failed: Login failed: ${status}`, {
+          responseStatus: loginResponse.status(),
+        });
       }
 
       // Extract access token from response
@@ -467,16 +919,14 @@ class PuppeteerService {
         responseData.data?.token || responseData.accessToken || responseData.token || responseData.access_token;
 
       if (!accessToken) {
-        logger.error("Access token missing from response", {
-          requestId: this.requestId,
+        this.log.error("Access token missing from response", {
           responseStructure: Object.keys(responseData),
         });
         throw new Error("Login response missing access token");
       }
 
       // Most importantly: verify that authentication cookies/tokens are actually stored in the browser
-      logger.info("Verifying browser authentication state", {
-        requestId: this.requestId,
+      this.log.info("Verifying browser authentication state", {
         tokenFromAPI: !!accessToken,
       });
 
@@ -530,8 +980,7 @@ class PuppeteerService {
         };
       });
 
-      logger.info("Browser authentication state", {
-        requestId: this.requestId,
+      this.log.info("Browser authentication state", {
         ...browserAuthState,
       });
 
@@ -539,8 +988,7 @@ class PuppeteerService {
       const hasAuthData = browserAuthState.hasAuthCookie || browserAuthState.hasStorageToken;
 
       if (!hasAuthData) {
-        logger.warn("API succeeded but no authentication data found in browser storage", {
-          requestId: this.requestId,
+        this.log.warn("API succeeded but no authentication data found in browser storage", {
           apiToken: !!accessToken,
           browserState: browserAuthState,
         });
@@ -575,14 +1023,12 @@ class PuppeteerService {
           );
         }
 
-        logger.info("Authentication cookies found on second check", {
-          requestId: this.requestId,
+        this.log.info("Authentication cookies found on second check", {
           secondCheck,
         });
       }
 
-      logger.info("Authentication successful - browser has required auth data", {
-        requestId: this.requestId,
+      this.log.info("Authentication successful - browser has required auth data", {
         tokenLength: accessToken.length,
         authTime: Date.now() - startTime,
         hasAuthCookie: browserAuthState.hasAuthCookie,
@@ -597,8 +1043,7 @@ class PuppeteerService {
 
       return accessToken;
     } catch (error) {
-      logger.error("Browser-context authentication failed", {
-        requestId: this.requestId,
+      this.log.error("Browser-context authentication failed", {
         error: error.message,
         stack: error.stack,
         totalTime: Date.now() - startTime,
@@ -611,435 +1056,14 @@ class PuppeteerService {
         page.removeAllListeners("pageerror");
         page.removeAllListeners("console");
       } catch (cleanupError) {
-        logger.warn("Failed to cleanup event listeners", {
-          requestId: this.requestId,
+        this.log.warn("Failed to cleanup event listeners", {
           error: cleanupError.message,
         });
       }
 
-      throw new Error(`Authentication failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Setup download monitoring using Chrome DevTools Protocol
-   * @param {Object} page - Puppeteer page instance
-   */
-  async setupDownloadMonitoring(page) {
-    logger.info("Setting up download monitoring", { requestId: this.requestId });
-
-    // Get CDP session
-    const client = await page.target().createCDPSession();
-
-    // Enable necessary domains
-    await client.send("Page.enable");
-
-    // Try to enable Browser domain for download events (may not be available in all Chrome versions)
-    try {
-      await client.send("Browser.setDownloadBehavior", {
-        behavior: "allow",
-        downloadPath: this.downloadPath,
-      });
-    } catch (browserError) {
-      // Fallback to Page domain for download behavior
-      logger.info("Browser domain not available, using Page domain for downloads", {
-        requestId: this.requestId,
-        error: browserError.message,
-      });
-
-      try {
-        await client.send("Page.setDownloadBehavior", {
-          behavior: "allow",
-          downloadPath: this.downloadPath,
-        });
-      } catch (pageError) {
-        logger.warn("Download behavior setup failed, PDF capture may not work", {
-          requestId: this.requestId,
-          browserError: browserError.message,
-          pageError: pageError.message,
-        });
-      }
+      // Only a rejected login is an AuthenticationError; timeouts and browser failures keep their own type
+      throw error;
     }
-
-    // Store client reference for later use
-    this.cdpClient = client;
-    this.downloadPromise = null;
-
-    logger.info("Download monitoring setup complete", {
-      requestId: this.requestId,
-      downloadPath: this.downloadPath,
-    });
-  }
-
-  /**
-   * Capture PDF download using directory monitoring approach
-   * @param {Object} page - Puppeteer page instance
-   * @param {string} exportUrl - URL to navigate to for PDF download
-   * @returns {Buffer} - PDF file buffer
-   */
-  async capturePDFDownload(page, exportUrl) {
-    logger.info("Starting PDF download capture", {
-      requestId: this.requestId,
-      exportUrl,
-    });
-
-    return new Promise(async (resolve, reject) => {
-      let timeout = setTimeout(() => {
-        reject(new Error("PDF download timeout exceeded"));
-      }, this.timeout);
-
-      try {
-        // Get initial files in download directory
-        const initialFiles = fs.existsSync(this.downloadPath)
-          ? fs.readdirSync(this.downloadPath).filter((f) => f.endsWith(".pdf"))
-          : [];
-
-        logger.info("Starting PDF download monitoring", {
-          requestId: this.requestId,
-          downloadPath: this.downloadPath,
-          initialFileCount: initialFiles.length,
-        });
-
-        // Navigate to the export URL to trigger download
-        logger.info("Navigating to export URL", {
-          requestId: this.requestId,
-          exportUrl,
-        });
-
-        await page.goto(exportUrl, {
-          waitUntil: "networkidle2",
-          timeout: this.timeout,
-        });
-
-        // Log comprehensive page state after navigation
-        const initialPageState = await page.evaluate(() => {
-          const exportModal =
-            document.querySelector("[data-export-modal]") ||
-            document.querySelector(".fixed.inset-0.z-50.flex.items-center.justify-center.bg-black.bg-opacity-50");
-          const innerModal = exportModal?.querySelector(".mx-4.max-w-md.rounded-lg.bg-white.p-8.shadow-lg");
-
-          return {
-            pageTitle: document.title,
-            pageUrl: window.location.href,
-            readyState: document.readyState,
-            hasExportModal: !!exportModal,
-            hasInnerModal: !!innerModal,
-            modalCount: document.querySelectorAll(".fixed.inset-0").length,
-            progressElements: document.querySelectorAll(".typography-label").length,
-            spinnerElements: document.querySelectorAll(".mb-4").length,
-            isLoginPage: window.location.href.includes("/auth/login"),
-            hasLoginForm: !!document.querySelector(
-              'form[action*="login"], input[type="email"], input[type="password"]'
-            ),
-          };
-        });
-
-        logger.info("Page navigation completed", {
-          requestId: this.requestId,
-          ...initialPageState,
-        });
-
-        // Check if we got redirected to login page
-        if (initialPageState.isLoginPage) {
-          throw new Error(`Authentication failed - redirected to login page: ${initialPageState.pageUrl}`);
-        }
-
-        // Wait for download to start and complete
-        logger.info("Waiting for PDF download to complete", {
-          requestId: this.requestId,
-        });
-
-        // Poll for new PDF files and track export progress
-        const pollInterval = 1000; // Check every second
-        const maxPolls = Math.floor(this.timeout / pollInterval);
-        let polls = 0;
-        let lastLoggedProgress = -1;
-
-        // Retry mechanism tracking
-        let retryAttempts = 0;
-        const maxRetries = 2;
-        let wasExporting = false;
-        let lastProgressTime = Date.now();
-
-        const pollForFile = async () => {
-          polls++;
-
-          let progressInfo = null;
-
-          try {
-            // Check for export progress on the page
-            try {
-              progressInfo = await page.evaluate(() => {
-                // Look for export modal using dual selector strategy
-                // Primary: data-export-modal (when deployed), Fallback: class-based selector
-                const exportModal =
-                  document.querySelector("[data-export-modal]") ||
-                  document.querySelector(".fixed.inset-0.z-50.flex.items-center.justify-center.bg-black.bg-opacity-50");
-
-                let progress = null;
-                let progressText = null;
-                let exportStep = null;
-                let isExporting = false;
-                let hasSpinner = false;
-                let innerModal = null;
-
-                if (exportModal) {
-                  // Validate it's the export modal by checking for inner modal
-                  innerModal = exportModal.querySelector(".mx-4.max-w-md.rounded-lg.bg-white.p-8.shadow-lg");
-
-                  if (innerModal) {
-                    isExporting = true;
-
-                    // Extract progress from data-export-progress-text or fallback selector
-                    const progressElement =
-                      exportModal.querySelector("[data-export-progress-text]") ||
-                      exportModal.querySelector(".typography-label.mb-4.text-greyscale-500") ||
-                      exportModal.querySelector(".typography-label");
-
-                    if (progressElement && progressElement.textContent) {
-                      const text = progressElement.textContent.trim();
-                      const percentMatch = text.match(/(\d+)%/);
-                      if (percentMatch) {
-                        progress = parseInt(percentMatch[1]);
-                      }
-                      progressText = text;
-                    }
-
-                    // Look for export step text (h3 with "Generating Export" etc.)
-                    const stepElement =
-                      exportModal.querySelector(".typography-heading-3.mb-4") ||
-                      exportModal.querySelector("h3.typography-heading-3");
-                    if (stepElement) {
-                      exportStep = stepElement.textContent?.trim();
-                    }
-
-                    // Check for loading spinner
-                    hasSpinner =
-                      !!exportModal.querySelector(".mb-4") ||
-                      !!exportModal.querySelector('[data-testid="loading-spinner"]');
-                  }
-                }
-
-                // Fallback: look for progress patterns anywhere on page if modal not found
-                if (!isExporting) {
-                  const allText = Array.from(document.querySelectorAll("*"))
-                    .map((el) => el.textContent || "")
-                    .join(" ");
-                  const progressMatches = allText.match(
-                    /(\d+)%\s*(complete|progress|capturing|generating|processing)/i
-                  );
-                  if (progressMatches) {
-                    progress = parseInt(progressMatches[1]);
-                    progressText = progressMatches[0];
-                    isExporting = true;
-                  }
-                }
-
-                return {
-                  progress,
-                  progressText,
-                  exportStep,
-                  isExporting,
-                  hasModal: !!exportModal,
-                  hasInnerModal: !!innerModal,
-                  hasSpinner,
-                  modalVisible: exportModal ? exportModal.style.display !== "none" : false,
-                  documentTitle: document.title,
-                  readyState: document.readyState,
-                  pageUrl: window.location.href,
-                };
-              });
-
-              // Log progress if it has changed significantly
-              if (
-                progressInfo.progress !== null &&
-                (lastLoggedProgress === -1 || Math.abs(progressInfo.progress - lastLoggedProgress) >= 5)
-              ) {
-                logger.info("Export progress detected", {
-                  requestId: this.requestId,
-                  progress: progressInfo.progress,
-                  progressText: progressInfo.progressText,
-                  exportStep: progressInfo.exportStep,
-                  isExporting: progressInfo.isExporting,
-                  polls,
-                });
-                lastLoggedProgress = progressInfo.progress;
-              }
-
-              // Log every 30 seconds for general status
-              if (polls % 30 === 0) {
-                logger.info("Export monitoring status", {
-                  requestId: this.requestId,
-                  polls,
-                  maxPolls,
-                  timeElapsed: `${polls}s`,
-                  timeRemaining: `${maxPolls - polls}s`,
-                  documentReady: progressInfo.readyState,
-                  isExporting: progressInfo.isExporting,
-                  hasModal: progressInfo.hasModal,
-                  hasInnerModal: progressInfo.hasInnerModal,
-                  hasSpinner: progressInfo.hasSpinner,
-                  modalVisible: progressInfo.modalVisible,
-                  currentProgress: progressInfo.progress,
-                  currentStep: progressInfo.exportStep,
-                  pageUrl: progressInfo.pageUrl,
-                });
-              }
-            } catch (progressError) {
-              // Don't fail the whole process if progress monitoring fails
-              if (polls % 60 === 0) {
-                logger.warn("Progress monitoring failed", {
-                  requestId: this.requestId,
-                  error: progressError.message,
-                });
-              }
-            }
-
-            // Retry mechanism: detect if export failed and retry
-            if (progressInfo && retryAttempts < maxRetries) {
-              // If export was running but now stopped without completion, retry
-              if (wasExporting && !progressInfo.isExporting && (progressInfo.progress || 0) < 100) {
-                retryAttempts++;
-                logger.warn("Export seems to have failed, attempting retry", {
-                  requestId: this.requestId,
-                  retryAttempt: retryAttempts,
-                  lastProgress: progressInfo.progress,
-                  wasExporting,
-                  currentlyExporting: progressInfo.isExporting,
-                });
-
-                // Clear timeout and restart by navigating to URL again
-                clearTimeout(timeout);
-
-                try {
-                  await page.goto(exportUrl, {
-                    waitUntil: "networkidle2",
-                    timeout: this.timeout,
-                  });
-
-                  // Reset tracking variables
-                  polls = 0;
-                  wasExporting = false;
-                  lastLoggedProgress = -1;
-                  lastProgressTime = Date.now();
-
-                  // Reset timeout for retry
-                  timeout = setTimeout(() => {
-                    reject(new Error("PDF download timeout exceeded after retries"));
-                  }, this.timeout);
-
-                  logger.info("Retry navigation successful, resuming monitoring", {
-                    requestId: this.requestId,
-                    retryAttempt: retryAttempts,
-                  });
-
-                  // Continue polling
-                  setTimeout(
-                    () =>
-                      pollForFile().catch((error) => {
-                        clearTimeout(timeout);
-                        reject(new Error(`Error in retry polling: ${error.message}`));
-                      }),
-                    pollInterval
-                  );
-                  return;
-                } catch (retryError) {
-                  logger.error("Retry navigation failed", {
-                    requestId: this.requestId,
-                    retryAttempt: retryAttempts,
-                    error: retryError.message,
-                  });
-                }
-              }
-
-              // Update state tracking
-              if (progressInfo.isExporting) {
-                wasExporting = true;
-                lastProgressTime = Date.now();
-              }
-            }
-
-            const currentFiles = fs.existsSync(this.downloadPath)
-              ? fs.readdirSync(this.downloadPath).filter((f) => f.endsWith(".pdf"))
-              : [];
-
-            const newFiles = currentFiles.filter((f) => !initialFiles.includes(f));
-
-            if (newFiles.length > 0) {
-              // Found a new PDF file
-              clearTimeout(timeout);
-
-              const pdfFile = newFiles[0];
-              const filePath = path.join(this.downloadPath, pdfFile);
-
-              logger.info("PDF download detected", {
-                requestId: this.requestId,
-                fileName: pdfFile,
-                filePath,
-              });
-
-              // Wait a moment for file to be fully written
-              setTimeout(() => {
-                try {
-                  const pdfBuffer = fs.readFileSync(filePath);
-
-                  // Clean up downloaded file
-                  fs.unlinkSync(filePath);
-
-                  logger.info("PDF file read and cleaned up", {
-                    requestId: this.requestId,
-                    filePath,
-                    bufferSize: pdfBuffer.length,
-                  });
-
-                  resolve(pdfBuffer);
-                } catch (error) {
-                  reject(new Error(`Error reading downloaded file: ${error.message}`));
-                }
-              }, 2000);
-
-              return;
-            }
-
-            if (polls >= maxPolls) {
-              clearTimeout(timeout);
-              reject(new Error("PDF download not detected within timeout period"));
-              return;
-            }
-
-            // Continue polling
-            setTimeout(
-              () =>
-                pollForFile().catch((error) => {
-                  clearTimeout(timeout);
-                  reject(new Error(`Error in async polling: ${error.message}`));
-                }),
-              pollInterval
-            );
-          } catch (error) {
-            clearTimeout(timeout);
-            reject(new Error(`Error polling for download: ${error.message}`));
-          }
-        };
-
-        // Start polling after a short delay
-        setTimeout(
-          () =>
-            pollForFile().catch((error) => {
-              clearTimeout(timeout);
-              reject(new Error(`Error starting async polling: ${error.message}`));
-            }),
-          2000
-        );
-      } catch (error) {
-        clearTimeout(timeout);
-        logger.error("Error during PDF download capture", {
-          requestId: this.requestId,
-          error: error.message,
-        });
-        reject(new Error(`PDF capture failed: ${error.message}`));
-      }
-    });
   }
 }
 
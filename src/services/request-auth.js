@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const { toLogger } = require("../utils/logger");
+const { AuthenticationError } = require("../utils/error-handler");
+const { decodeToken } = require("./delegated-auth");
+const { getSecretsProvider } = require("./secrets-provider");
+const { loadConfig } = require("../config/environment");
+
+/**
+ * Whether API Gateway requests must authenticate
+ * Required by default when deployed; local runs accept anonymous requests unless REQUEST_AUTH_REQUIRED=true
+ * @returns {boolean} - True when unauthenticated requests are rejected
+ */
+const isRequestAuthRequired = () => loadConfig().requestAuthRequired;
+
+/**
+ * Compare two strings in constant time
+ * @param {string} actual - Value from the request
+ * @param {string} expected - Known value
+ * @returns {boolean} - True when they match
+ */
+const safeEqual = (actual, expected) => {
+  const hash = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(actual), hash(expected));
+};
+
+/**
+ * Split a comma-separated secret, e.g. current and previous values during a rotation
+ * @param {string} value - Secret value
+ * @returns {Array} - Values
+ */
+const splitSecret = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Verify an HMAC-signed request
+ * The signature is HMAC-SHA256 (hex) of "<timestamp>.<METHOD>.<path>.<body>" with REQUEST_SIGNING_SECRET, sent in
+ * X-Export-Signature with the Unix timestamp in seconds in X-Export-Timestamp
+ * @param {Object} request - { method, path, body, headers }
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { method, caller }
+ */
+const verifySignature = async (request, now) => {
+  const secrets = splitSecret(await getSecretsProvider().get("REQUEST_SIGNING_SECRET"));
+  if (secrets.length === 0) {
+    throw new AuthenticationError("Signed requests are not enabled (REQUEST_SIGNING_SECRET is not set)");
+  }
+
+  const timestamp = request.headers["x-export-timestamp"];
+  if (!/^\d+$/.test(timestamp || "")) {
+    throw new AuthenticationError("X-Export-Timestamp must be a Unix timestamp in seconds");
+  }
+
+  // Old signatures can't be replayed
+  const toleranceMs = loadConfig().requestSignatureToleranceMs;
+  if (Math.abs(now - parseInt(timestamp) * 1000) > toleranceMs) {
+    throw new AuthenticationError("Request signature timestamp is outside the allowed window");
+  }
+
+  const signature = request.headers["x-export-signature"].replace(/^sha256=/, "");
+  const payload = `${timestamp}.${request.method}.${request.path}.${request.body}`;
+  const valid = secrets.some((secret) =>
+    safeEqual(signature, crypto.createHmac("sha256", secret).update(payload).digest("hex"))
+  );
+
+  if (!valid) {
+    throw new AuthenticationError("Invalid request signature");
+  }
+  return { method: "hmac", caller: "signed-request" };
+};
+
+/**
+ * Verify a static API key sent in X-Api-Key
+ * API_KEYS is a comma-separated list of keys, optionally named as "name:key" so logs show which caller it was
+ * @param {Object} request - { headers }
+ * @returns {Object} - { method, caller }
+ */
+const verifyApiKey = async (request) => {
+  const keys = splitSecret(await getSecretsProvider().get("API_KEYS"));
+  if (keys.length === 0) {
+    throw new AuthenticationError("API keys are not enabled (API_KEYS is not set)");
+  }
+
+  const apiKey = request.headers["x-api-key"];
+  let caller = null;
+
+  // Every key is compared so the response time doesn't reveal which one matched
+  keys.forEach((entry, index) => {
+    const separator = entry.indexOf(":");
+    const name = separator > 0 ? entry.slice(0, separator) : `key-${index + 1}`;
+    const key = separator > 0 ? entry.slice(separator + 1) : entry;
+
+    if (safeEqual(apiKey, key) && !caller) {
+      caller = name;
+    }
+  });
+
+  if (!caller) {
+    throw new AuthenticationError("Invalid API key");
+  }
+  return { method: "apikey", caller };
+};
+
+/**
+ * Verify a JWT issued by the 59club backend, sent as "Authorization: Bearer <jwt>"
+ * HS256 tokens are checked with REQUEST_JWT_SECRET and RS256 tokens with REQUEST_JWT_PUBLIC_KEY (PEM);
+ * REQUEST_JWT_ISSUER and REQUEST_JWT_AUDIENCE are checked when set
+ * @param {string} token - JWT
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { method, caller }
+ */
+const verifyJwt = async (token, now) => {
+  // Null unless the token is exactly header.claims.signature with JSON objects for header and claims
+  const decoded = decodeToken(token);
+  if (!decoded) {
+    throw new AuthenticationError("Malformed bearer token");
+  }
+
+  const { header, claims } = decoded;
+  const [encodedHeader, encodedClaims, encodedSignature] = token.split(".");
+  const signed = `${encodedHeader}.${encodedClaims}`;
+  const signature = Buffer.from(encodedSignature, "base64url");
+  const secrets = getSecretsProvider();
+  let valid;
+
+  if (header.alg === "HS256") {
+    const secret = await secrets.get("REQUEST_JWT_SECRET");
+    if (!secret) {
+      throw new AuthenticationError("HS256 bearer tokens are not enabled (REQUEST_JWT_SECRET is not set)");
+    }
+
+    const expected = crypto.createHmac("sha256", secret).update(signed).digest();
+    valid = signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  } else if (header.alg === "RS256") {
+    const publicKey = await secrets.get("REQUEST_JWT_PUBLIC_KEY");
+    if (!publicKey) {
+      throw new AuthenticationError("RS256 bearer tokens are not enabled (REQUEST_JWT_PUBLIC_KEY is not set)");
+    }
+
+    // PEM keys kept in a single-line environment variable have escaped newlines
+    valid = crypto.verify("sha256", Buffer.from(signed), publicKey.replace(/\\n/g, "\n"), signature);
+  } else {
+    throw new AuthenticationError(`Unsupported bearer token algorithm: ${header.alg}`);
+  }
+
+  if (!valid) {
+    throw new AuthenticationError("Invalid bearer token signature");
+  }
+
+  if (typeof claims.exp !== "number" || claims.exp * 1000 <= now) {
+    throw new AuthenticationError("Bearer token has expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf * 1000 > now) {
+    throw new AuthenticationError("Bearer token is not valid yet");
+  }
+
+  const { requestJwtIssuer: issuer, requestJwtAudience: audience } = loadConfig();
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthenticationError("Bearer token was issued by a different issuer");
+  }
+
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new AuthenticationError("Bearer token was issued for a different audience");
+  }
+
+  return { method: "jwt", caller: claims.sub || "jwt" };
+};
+
+/**
+ * Read what request authentication needs from an API Gateway event (REST v1 or HTTP v2 payloads)
+ * @param {Object} event - API Gateway event
+ * @returns {Object} - { method, path, body, headers } with lower-cased header names
+ */
+const getRequest = (event) => {
+  const headers = Object.fromEntries(
+    Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const body = event.body && event.isBase64Encoded ? Buffer.from(event.body, "base64").toString("utf8") : event.body;
+
+  return {
+    method: (event.httpMethod || event.requestContext?.http?.method || "").toUpperCase(),
+    path: event.rawPath || event.path || "",
+    body: body || "",
+    headers,
+  };
+};
+
+/**
+ * Authenticate the caller of an API Gateway request with whichever credentials it sent:
+ * - X-Export-Signature + X-Export-Timestamp: HMAC-signed request
+ * - X-Api-Key: static API key
+ * - Authorization: Bearer <jwt>: JWT signed by the 59club backend
+ * Events without a requestContext didn't come through API Gateway: they are direct invocations (e.g. DLQ replays)
+ * that IAM already authorized through lambda:InvokeFunction, and aren't checked again
+ * @param {Object} event - API Gateway event
+ * @param {Object} log - Request logger
+ * @param {Object} options - { now } override for tests
+ * @returns {Object|null} - { method, caller }, or null for an anonymous request when authentication isn't required
+ */
+const authenticateRequest = async (event, log, options = {}) => {
+  if (!event.requestContext) {
+    const identity = { method: "iam", caller: "direct-invocation" };
+    toLogger(log).info("Trusting IAM-authorized direct invocation", identity);
+    return identity;
+  }
+
+  const now = options.now || Date.now();
+  const request = getRequest(event);
+  const bearer = (request.headers.authorization || "").match(/^Bearer\s+(.+)$/i)?.[1];
+
+  let identity;
+  if (request.headers["x-export-signature"]) {
+    identity = await verifySignature(request, now);
+  } else if (request.headers["x-api-key"]) {
+    identity = await verifyApiKey(request);
+  } else if (bearer) {
+    identity = await verifyJwt(bearer, now);
+  } else if (isRequestAuthRequired()) {
+    throw new AuthenticationError("Missing request credentials");
+  } else {
+    toLogger(log).debug("Accepting anonymous request (REQUEST_AUTH_REQUIRED is off)");
+    return null;
+  }
+
+  toLogger(log).info("Request caller authenticated", identity);
+  return identity;
+};
+
+module.exports = { isRequestAuthRequired, authenticateRequest };
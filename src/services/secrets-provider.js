@@ -0,0 +1,252 @@
+const fs = require("fs");
+const { logger } = require("../utils/logger");
+const { loadConfig } = require("../config/environment");
+
+/**
+ * Where secrets such as the service account credentials are read from
+ * - "env": process environment variables (default)
+ * - "file": a JSON file of { NAME: value }
+ * - "secretsmanager": an AWS Secrets Manager secret holding a JSON object of { NAME: value }
+ * - "ssm": AWS SSM Parameter Store parameters under a path, named after the secret (SecureString is decrypted)
+ */
+const SECRETS_PROVIDERS = ["env", "file", "secretsmanager", "ssm"];
+
+/**
+ * Environment variable backend - read on every lookup, so nothing is cached
+ */
+class EnvSecretsBackend {
+  async load() {
+    return { ...process.env };
+  }
+}
+
+/**
+ * JSON file backend - the file is read again whenever the cached copy expires, so rewriting it
+ * (e.g. a mounted secret) rotates the secrets
+ */
+class FileSecretsBackend {
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error("SECRETS_FILE_PATH must be set for the file secrets provider");
+    }
+    this.filePath = filePath;
+  }
+
+  async load() {
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+}
+
+/**
+ * AWS Secrets Manager backend - one secret whose value is a JSON object, so rotating it is a single update
+ */
+class SecretsManagerBackend {
+  constructor(secretId, region) {
+    if (!secretId) {
+      throw new Error("SECRETS_MANAGER_SECRET_ID must be set for the secretsmanager secrets provider");
+    }
+
+    const { SecretsManagerClient } = require("@aws-sdk/client-secrets-manager");
+    this.secretId = secretId;
+    this.client = new SecretsManagerClient({ region });
+  }
+
+  async load() {
+    const { GetSecretValueCommand } = require("@aws-sdk/client-secrets-manager");
+
+    const response = await this.client.send(new GetSecretValueCommand({ SecretId: this.secretId }));
+    const value = response.SecretString ?? Buffer.from(response.SecretBinary).toString("utf8");
+    return JSON.parse(value);
+  }
+}
+
+/**
+ * AWS SSM Parameter Store backend - every parameter directly under the path is a secret, e.g.
+ * /export-lambda/prod/SERVICE_PASSWORD
+ */
+class SsmSecretsBackend {
+  constructor(parameterPath, region) {
+    if (!parameterPath) {
+      throw new Error("SECRETS_SSM_PATH must be set for the ssm secrets provider");
+    }
+
+    const { SSMClient } = require("@aws-sdk/client-ssm");
+    this.parameterPath = parameterPath.replace(/\/+$/, "");
+    this.client = new SSMClient({ region });
+  }
+
+  async load() {
+    const { GetParametersByPathCommand } = require("@aws-sdk/client-ssm");
+
+    const secrets = {};
+    let nextToken;
+
+    do {
+      const response = await this.client.send(
+        new GetParametersByPathCommand({ Path: this.parameterPath, WithDecryption: true, NextToken: nextToken })
+      );
+
+      for (const parameter of response.Parameters || []) {
+        secrets[parameter.Name.slice(this.parameterPath.length + 1)] = parameter.Value;
+      }
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    return secrets;
+  }
+}
+
+/**
+ * Secrets from one backend, cached for ttlMs so rotated values are picked up without a redeploy
+ */
+class SecretsProvider {
+  /**
+   * @param {Object} backend - Backend with an async load() returning { NAME: value }
+   * @param {Object} options - { type, ttlMs }
+   */
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.type = options.type || "env";
+    this.ttlMs = options.ttlMs ?? 0;
+    this.secrets = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Get all secrets, reloading them from the backend once the cached copy has expired
+   * A failed reload keeps serving the previous secrets rather than failing every export
+   * @returns {Object} - { NAME: value }
+   */
+  async load() {
+    if (this.secrets && Date.now() - this.loadedAt < this.ttlMs) {
+      return this.secrets;
+    }
+
+    // Concurrent lookups share one backend call
+    if (!this.loading) {
+      this.loading = this.backend
+        .load()
+        .then((secrets) => {
+          if (this.ttlMs > 0) {
+            logger.info("Secrets loaded", { provider: this.type, secretCount: Object.keys(secrets).length });
+          }
+
+          this.secrets = secrets;
+          this.loadedAt = Date.now();
+          return secrets;
+        })
+        .catch((error) => {
+          if (!this.secrets) {
+            throw new Error(`Failed to load secrets from ${this.type}: ${error.message}`);
+          }
+
+          logger.warn("Failed to reload secrets, using the previous values", {
+            provider: this.type,
+            error: error.message,
+          });
+          return this.secrets;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * @param {string} name - Secret name, e.g. SERVICE_PASSWORD
+   * @returns {string|undefined} - Secret value
+   */
+  async get(name) {
+    const secrets = await this.load();
+    return secrets[name] || undefined;
+  }
+
+  /**
+   * Service account credentials used when a request doesn't bring its own
+   * @returns {Object} - { serviceEmail, servicePassword }
+   */
+  async getServiceCredentials() {
+    const secrets = await this.load();
+    return { serviceEmail: secrets.SERVICE_EMAIL || undefined, servicePassword: secrets.SERVICE_PASSWORD || undefined };
+  }
+
+  /**
+   * Drop the cached secrets so the next lookup reads the backend, e.g. after the password was rejected
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+}
+
+/**
+ * Create the secrets provider described by the environment (or explicit options)
+ * @param {Object} options - { type, filePath, secretId, parameterPath, ttlMs, region } overrides for
+ *   SECRETS_PROVIDER, SECRETS_FILE_PATH, SECRETS_MANAGER_SECRET_ID, SECRETS_SSM_PATH, SECRETS_TTL_MS and AWS_REGION
+ * @returns {SecretsProvider} - Secrets provider
+ */
+const createSecretsProvider = (options = {}) => {
+  const config = loadConfig();
+  const type = options.type || config.secretsProvider;
+  const ttlMs = options.ttlMs ?? config.secretsTtlMs;
+  const region = options.region || config.region;
+
+  logger.debug("Creating secrets provider", { type });
+
+  switch (type) {
+    case "env":
+      return new SecretsProvider(new EnvSecretsBackend(), { type, ttlMs: 0 });
+    case "file":
+      return new SecretsProvider(new FileSecretsBackend(options.filePath || config.secretsFilePath), {
+        type,
+        ttlMs,
+      });
+    case "secretsmanager":
+      return new SecretsProvider(new SecretsManagerBackend(options.secretId || config.secretsManagerSecretId, region), {
+        type,
+        ttlMs,
+      });
+    case "ssm":
+      return new SecretsProvider(new SsmSecretsBackend(options.parameterPath || config.secretsSsmPath, region), {
+        type,
+        ttlMs,
+      });
+    default:
+      throw new Error(`Unknown secrets provider: ${type}. Must be one of: ${SECRETS_PROVIDERS.join(", ")}`);
+  }
+};
+
+let secretsProvider = null;
+
+/**
+ * Get the shared secrets provider, creating it from the environment on first use
+ * @returns {SecretsProvider} - Secrets provider
+ */
+const getSecretsProvider = () => {
+  if (!secretsProvider) {
+    secretsProvider = createSecretsProvider();
+  }
+  return secretsProvider;
+};
+
+/**
+ * Replace the shared secrets provider (local runs and tests)
+ * @param {SecretsProvider} provider - Secrets provider
+ */
+const setSecretsProvider = (provider) => {
+  secretsProvider = provider;
+};
+
+module.exports = {
+  SECRETS_PROVIDERS,
+  SecretsProvider,
+  EnvSecretsBackend,
+  FileSecretsBackend,
+  SecretsManagerBackend,
+  SsmSecretsBackend,
+  createSecretsProvider,
+  getSecretsProvider,
+  setSecretsProvider,
+};
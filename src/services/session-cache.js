@@ -0,0 +1,292 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("../utils/logger");
+const { loadConfig } = require("../config/environment");
+const { getSecretsProvider } = require("./secrets-provider");
+
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes, for tokens without an exp claim
+const DEFAULT_EXPIRY_MARGIN_MS = 60 * 1000; // 1 minute
+
+// Keys of a memory cache never leave the container, so without SESSION_CACHE_SECRET a random one will do
+const CONTAINER_SECRET = crypto.randomBytes(32).toString("hex");
+
+/**
+ * Cache key for a service account on an environment: an HMAC under the cache secret, so a key (which
+ * names the session's file in the file store) can't be traced back to the account
+ * @param {Object} params - { frontendUrl, backendUrl, serviceEmail }
+ * @param {string} secret - SESSION_CACHE_SECRET
+ * @returns {string} - Cache key
+ */
+const getSessionCacheKey = ({ frontendUrl, backendUrl, serviceEmail }, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(JSON.stringify(["session", frontendUrl, backendUrl, serviceEmail]))
+    .digest("hex");
+
+/**
+ * Read SESSION_CACHE_SECRET, preferring an explicit secret
+ * @param {string} secret - Explicit secret, e.g. from options
+ * @returns {Promise<string|undefined>} - Secret
+ */
+const resolveSecret = async (secret) => secret || getSecretsProvider().get("SESSION_CACHE_SECRET");
+
+/**
+ * Read the expiry of a JWT access token
+ * @param {string} token - Access token
+ * @returns {number|null} - Expiry in ms since the epoch, or null when the token isn't a JWT with an exp claim
+ */
+const getTokenExpiry = (token) => {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    return typeof payload.exp === "number" ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Logged-in browser sessions (access token, cookies and localStorage) by environment and service
+ * account, kept in memory and optionally in a persistent store so warm and cold invocations can
+ * skip the UI login. Each session remembers an HMAC of the password it logged in with, so a request
+ * with the wrong password can never pick up a session another request logged in
+ */
+class SessionCache {
+  constructor(options = {}) {
+    this.secret = options.secret;
+    this.store = options.store || null;
+    this.ttlMs = options.ttlMs || DEFAULT_SESSION_TTL_MS;
+    this.expiryMarginMs = options.expiryMarginMs !== undefined ? options.expiryMarginMs : DEFAULT_EXPIRY_MARGIN_MS;
+    this.sessions = new Map();
+  }
+
+  /**
+   * @param {Object} session - Cached session
+   * @returns {boolean} - Whether the session's token is still valid, with a safety margin
+   */
+  isValid(session) {
+    return !!session && session.expiresAt - this.expiryMarginMs > Date.now();
+  }
+
+  /**
+   * @returns {Promise<string>} - Secret the cache keys and password checks are keyed with
+   */
+  async getSecret() {
+    return (await resolveSecret(this.secret)) || CONTAINER_SECRET;
+  }
+
+  /**
+   * Cache key for a service account on an environment
+   * @param {Object} params - { frontendUrl, backendUrl, serviceEmail }
+   * @returns {Promise<string>} - Cache key
+   */
+  async getKey(params) {
+    return getSessionCacheKey(params, await this.getSecret());
+  }
+
+  /**
+   * @param {string} password - Service account password
+   * @returns {Promise<string|null>} - HMAC of the password, or null without one
+   */
+  async hashPassword(password) {
+    if (password === undefined) return null;
+    return crypto
+      .createHmac("sha256", await this.getSecret())
+      .update(`password:${password}`)
+      .digest("hex");
+  }
+
+  /**
+   * Get a session that can still be used
+   * @param {string} key - Cache key from getKey
+   * @param {string} password - Password of the request, which must be the one the session logged in with
+   * @returns {Object|null} - { accessToken, cookies, localStorage, origin, expiresAt }
+   */
+  async get(key, password) {
+    let session = this.sessions.get(key);
+
+    if (!session && this.store) {
+      try {
+        session = await this.store.read(key);
+      } catch (error) {
+        logger.warn("Failed to read session store", { error: error.message });
+      }
+    }
+
+    if (!this.isValid(session)) {
+      if (session) await this.delete(key);
+      return null;
+    }
+
+    this.sessions.set(key, session);
+    return session.passwordHash === (await this.hashPassword(password)) ? session : null;
+  }
+
+  /**
+   * Cache a session until its token expires
+   * @param {string} key - Cache key from getKey
+   * @param {Object} session - { accessToken, cookies, localStorage, origin }
+   * @param {string} password - Password the session logged in with
+   * @returns {Object} - Cached session, with expiresAt
+   */
+  async set(key, session, password) {
+    const cached = {
+      ...session,
+      passwordHash: await this.hashPassword(password),
+      expiresAt: getTokenExpiry(session.accessToken) || Date.now() + this.ttlMs,
+      cachedAt: Date.now(),
+    };
+    this.sessions.set(key, cached);
+
+    if (this.store) {
+      try {
+        await this.store.write(key, cached);
+      } catch (error) {
+        logger.warn("Failed to write session store", { error: error.message });
+      }
+    }
+
+    return cached;
+  }
+
+  /**
+   * Forget a session, e.g. when the backend no longer accepts it
+   * @param {string} key - Cache key from getKey
+   */
+  async delete(key) {
+    this.sessions.delete(key);
+
+    if (this.store) {
+      try {
+        await this.store.delete(key);
+      } catch (error) {
+        logger.warn("Failed to delete from session store", { error: error.message });
+      }
+    }
+  }
+}
+
+/**
+ * Session store that keeps each session in its own file, encrypted with AES-256-GCM
+ * Files that can't be decrypted (tampered with, or written with another secret) are ignored
+ * Without an explicit secret, SESSION_CACHE_SECRET is read from the secrets provider on every use, so rotating it
+ * takes effect without a restart
+ */
+class EncryptedFileSessionStore {
+  constructor(directory, secret) {
+    this.directory = directory;
+    this.secret = secret;
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+  }
+
+  /**
+   * @returns {Promise<Buffer>} - AES-256 key derived from the secret
+   */
+  async getKey() {
+    const secret = await resolveSecret(this.secret);
+    if (!secret) {
+      throw new Error("SESSION_CACHE_SECRET is required for the encrypted session store");
+    }
+    return crypto.createHash("sha256").update(secret).digest();
+  }
+
+  sessionPath(key) {
+    return path.join(this.directory, `${key}.session`);
+  }
+
+  async read(key) {
+    const aesKey = await this.getKey();
+    let file;
+    try {
+      file = fs.readFileSync(this.sessionPath(key));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv("aes-256-gcm", aesKey, file.subarray(0, 12));
+      decipher.setAuthTag(file.subarray(12, 28));
+      return JSON.parse(Buffer.concat([decipher.update(file.subarray(28)), decipher.final()]).toString("utf8"));
+    } catch (error) {
+      logger.warn("Ignoring session file that could not be decrypted", { error: error.message });
+      return null;
+    }
+  }
+
+  async write(key, session) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", await this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(session), "utf8"), cipher.final()]);
+
+    const filePath = this.sessionPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.concat([iv, cipher.getAuthTag(), encrypted]), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  async delete(key) {
+    fs.rmSync(this.sessionPath(key), { force: true });
+  }
+}
+
+/**
+ * Create the session cache described by the environment (or explicit options)
+ * @param {Object} options - { store, path, secret, ttlMs } overrides for SESSION_CACHE_STORE, SESSION_CACHE_PATH,
+ *   SESSION_CACHE_SECRET (otherwise read from the secrets provider) and SESSION_CACHE_TTL_MS
+ * @returns {SessionCache} - Session cache
+ */
+const createSessionCache = (options = {}) => {
+  const config = loadConfig();
+  const type = options.store || config.sessionCacheStore;
+  const ttlMs = options.ttlMs || config.sessionCacheTtlMs;
+
+  logger.debug("Creating session cache", { type });
+
+  switch (type) {
+    case "memory":
+      return new SessionCache({ ttlMs, secret: options.secret });
+    case "file":
+      return new SessionCache({
+        ttlMs,
+        secret: options.secret,
+        store: new EncryptedFileSessionStore(options.path || config.sessionCachePath, options.secret),
+      });
+    default:
+      throw new Error(`Unknown session cache store: ${type}. Must be one of: memory, file`);
+  }
+};
+
+let sessionCache = null;
+
+/**
+ * Get the shared session cache, creating it from the environment on first use
+ * @returns {SessionCache} - Session cache
+ */
+const getSessionCache = () => {
+  if (!sessionCache) {
+    sessionCache = createSessionCache();
+  }
+  return sessionCache;
+};
+
+/**
+ * Replace the shared session cache (local runs and tests)
+ * @param {SessionCache} cache - Session cache
+ */
+const setSessionCache = (cache) => {
+  sessionCache = cache;
+};
+
+module.exports = {
+  getSessionCacheKey,
+  getTokenExpiry,
+  SessionCache,
+  EncryptedFileSessionStore,
+  createSessionCache,
+  getSessionCache,
+  setSessionCache,
+};
@@ -1,19 +1,31 @@
 const axios = require("axios");
 const FormData = require("form-data");
-const { logger } = require("../utils/logger");
+const { toLogger } = require("../utils/logger");
 const { sanitizeString } = require("../utils/validation");
+const { UploadError, TimeoutError, ServiceUnavailableError } = require("../utils/error-handler");
+const { getStagePolicy, parseRetryAfter, runStage } = require("../utils/stage-policy");
+const { createMetrics } = require("../utils/metrics");
+const { getEnvironmentRegistry } = require("../config/environment-registry");
 
 /**
  * Service for uploading PDFs to backend storage API
  */
 class UploadService {
-  constructor(backendUrl, accessToken, requestId, environment) {
+  /**
+   * @param {string} backendUrl - Backend API URL
+   * @param {string} accessToken - Token of the authenticated service account
+   * @param {Object|string} log - Child logger bound to the request, or the request ID
+   * @param {string} environment - Environment name, for the asset domain
+   * @param {Object} metrics - Recorder from createMetrics for the upload stage's metrics
+   */
+  constructor(backendUrl, accessToken, log, environment, metrics = null) {
     this.backendUrl = backendUrl;
     this.accessToken = accessToken;
-    this.requestId = requestId;
+    this.log = toLogger(log);
     this.environment = environment;
+    this.metrics = metrics || createMetrics({ env: environment });
     this.uploadEndpoint = `${backendUrl}/media`;
-    this.timeout = 60000; // 60 seconds for upload
+    this.timeout = getStagePolicy("upload").timeoutMs; // UPLOAD_TIMEOUT_MS, 60 seconds by default
   }
 
   /**
@@ -23,8 +35,7 @@ class UploadService {
    * @returns {string} - URL of uploaded file
    */
   async uploadPDF(pdfBuffer, filename) {
-    logger.info("Starting PDF upload", {
-      requestId: this.requestId,
+    this.log.info("Starting PDF upload", {
       filename,
       fileSize: pdfBuffer.length,
       endpoint: this.uploadEndpoint,
@@ -50,8 +61,7 @@ class UploadService {
         ...formData.getHeaders(),
       };
 
-      logger.info("Uploading PDF to backend", {
-        requestId: this.requestId,
+      this.log.info("Uploading PDF to backend", {
         finalFilename,
         folder: "exports",
         contentLength: formData.getLengthSync(),
@@ -66,8 +76,7 @@ class UploadService {
       });
 
       // Log the actual response structure for debugging
-      logger.info("Upload response received", {
-        requestId: this.requestId,
+      this.log.info("Upload response received", {
         status: response.status,
         headers: response.headers,
         dataKeys: response.data ? Object.keys(response.data) : "no data",
@@ -76,11 +85,11 @@ class UploadService {
 
       // Validate response
       if (response.status !== 200 && response.status !== 201) {
-        throw new Error(`Upload failed with status: ${response.status}`);
+        throw new UploadError(`Upload returned status: ${response.status}`);
       }
 
       if (!response.data) {
-        throw new Error("Upload response missing data object");
+        throw new UploadError("Upload response missing data object");
       }
 
       // Try multiple possible field names
@@ -91,18 +100,16 @@ class UploadService {
         response.data.url;
 
       if (!fileLocation) {
-        logger.error("No file location found in response", {
-          requestId: this.requestId,
+        this.log.error("No file location found in response", {
           availableFields: Object.keys(response.data),
           responseData: JSON.stringify(response.data, null, 2),
         });
-        throw new Error("Upload response missing file location or URL");
+        throw new UploadError("Upload response missing file location or URL");
       }
 
-      const fileUrl = this.buildCloudFrontUrl(fileLocation);
+      const fileUrl = this.buildAssetUrl(fileLocation);
 
-      logger.info("PDF upload completed successfully", {
-        requestId: this.requestId,
+      this.log.info("PDF upload completed successfully", {
         fileUrl,
         responseStatus: response.status,
         finalFilename,
@@ -110,8 +117,7 @@ class UploadService {
 
       return fileUrl;
     } catch (error) {
-      logger.error("PDF upload failed", {
-        requestId: this.requestId,
+      this.log.error("PDF upload failed", {
         error: error.message,
         endpoint: this.uploadEndpoint,
         errorCode: error.code,
@@ -119,52 +125,62 @@ class UploadService {
         responseData: error.response?.data,
       });
 
-      // Provide more specific error messages
-      if (error.code === "ECONNREFUSED") {
-        throw new Error("Unable to connect to upload service");
-      } else if (error.code === "ETIMEDOUT") {
-        throw new Error("Upload timeout exceeded");
+      // Provide more specific errors, so callers can tell an outage from a rejected upload
+      const context = {
+        requestId: this.log.bindings.requestId,
+        responseStatus: error.response?.status,
+        retryAfterMs: parseRetryAfter(error.response?.headers?.["retry-after"]),
+      };
+
+      if (error instanceof UploadError) {
+        throw error;
+      } else if (error.code === "ECONNREFUSED") {
+        throw new ServiceUnavailableError("upload", "Unable to connect to upload service", context);
+      } else if (error.code === "ETIMEDOUT" || error.code === "ECONNABORTED") {
+        throw new TimeoutError("upload", this.timeout, context);
       } else if (error.response?.status === 401) {
-        throw new Error("Upload authentication failed");
+        throw new UploadError("Upload authentication failed", context);
       } else if (error.response?.status === 413) {
-        throw new Error("File too large for upload");
+        throw new UploadError("File too large for upload", context);
+      } else if (error.response?.status === 429) {
+        throw new ServiceUnavailableError("upload", "Upload service rate limit exceeded", context);
       } else if (error.response?.status >= 500) {
-        throw new Error("Upload service temporarily unavailable");
+        throw new ServiceUnavailableError("upload", "Upload service temporarily unavailable", context);
       } else {
-        throw new Error(`Upload failed: ${error.message}`);
+        throw new UploadError(error.message, context);
       }
     }
   }
 
   /**
-   * Build CloudFront URL from file location based on environment
+   * Upload a PDF with the upload stage's retry and timeout policy (UPLOAD_MAX_RETRIES, UPLOAD_TIMEOUT_MS)
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {string} filename - Suggested filename
+   * @param {Deadline} deadline - Invocation deadline, if the upload must fit in it
+   * @returns {string} - URL of uploaded file
+   */
+  async uploadPDFWithRetry(pdfBuffer, filename, deadline = null) {
+    return runStage("upload", () => this.uploadPDF(pdfBuffer, filename), this.log, deadline, this.metrics);
+  }
+
+  /**
+   * Build the public URL of an uploaded file on the environment's asset domain
    * @param {string} fileLocation - File location from upload response
-   * @returns {string} - Full CloudFront URL
+   * @returns {string} - Full asset URL
    */
-  buildCloudFrontUrl(fileLocation) {
+  buildAssetUrl(fileLocation) {
     // If fileLocation is already a full URL, return it as-is
     if (fileLocation.startsWith("http://") || fileLocation.startsWith("https://")) {
-      logger.info("Using provided full URL", {
-        requestId: this.requestId,
+      this.log.info("Using provided full URL", {
         fullUrl: fileLocation,
       });
       return fileLocation;
     }
 
-    // Environment to CloudFront domain mapping
-    const cloudFrontDomains = {
-      local: "dev.assets.59club.studiographene.xyz",
-      dev: "dev.assets.59club.studiographene.xyz",
-      qa: "qa.assets.59club.studiographene.xyz",
-      staging: "club59-uat-assets-origin.s3.eu-west-1.amazonaws.com",
-      prod: "club59-uat-assets-origin.s3.eu-west-1.amazonaws.com", // Use staging for now
-    };
-
-    const domain = cloudFrontDomains[this.environment] || cloudFrontDomains.staging;
-    const fullUrl = `https://${domain}/${fileLocation}`;
+    const domain = getEnvironmentRegistry().get(this.environment).assetDomain;
+    const fullUrl = `https://${domain}/${fileLocation.replace(/^\/+/, "")}`;
 
-    logger.info("Built CloudFront URL", {
-      requestId: this.requestId,
+    this.log.info("Built asset URL", {
       environment: this.environment,
       domain,
       fileLocation,
@@ -180,8 +196,7 @@ class UploadService {
    */
   async verifyEndpoint() {
     try {
-      logger.info("Verifying upload endpoint", {
-        requestId: this.requestId,
+      this.log.info("Verifying upload endpoint", {
         endpoint: this.uploadEndpoint,
       });
 
@@ -194,16 +209,14 @@ class UploadService {
 
       const isAccessible = response.status < 400;
 
-      logger.info("Upload endpoint verification result", {
-        requestId: this.requestId,
+      this.log.info("Upload endpoint verification result", {
         isAccessible,
         status: response.status,
       });
 
       return isAccessible;
     } catch (error) {
-      logger.error("Upload endpoint verification failed", {
-        requestId: this.requestId,
+      this.log.error("Upload endpoint verification failed", {
         error: error.message,
         status: error.response?.status,
       });
@@ -230,8 +243,7 @@ class UploadService {
 
       return response.data;
     } catch (error) {
-      logger.error("Failed to get upload progress", {
-        requestId: this.requestId,
+      this.log.error("Failed to get upload progress", {
         uploadId,
         error: error.message,
       });
@@ -247,8 +259,7 @@ class UploadService {
    */
   async deleteFile(fileUrl) {
     try {
-      logger.info("Deleting uploaded file", {
-        requestId: this.requestId,
+      this.log.info("Deleting uploaded file", {
         fileUrl,
       });
 
@@ -265,8 +276,7 @@ class UploadService {
 
       const success = response.status < 400;
 
-      logger.info("File deletion result", {
-        requestId: this.requestId,
+      this.log.info("File deletion result", {
         fileUrl,
         success,
         status: response.status,
@@ -274,8 +284,7 @@ class UploadService {
 
       return success;
     } catch (error) {
-      logger.error("File deletion failed", {
-        requestId: this.requestId,
+      this.log.error("File deletion failed", {
         fileUrl,
         error: error.message,
       });
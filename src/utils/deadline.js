@@ -0,0 +1,95 @@
+/**
+ * Time budget of an invocation, split across the pipeline stages
+ */
+
+const { loadConfig } = require("../config/environment");
+const { DeadlineExceededError } = require("./error-handler");
+const { PIPELINE_STAGES } = require("./stage-policy");
+
+/**
+ * Least time worth starting each stage with. A stage also leaves the minimums of the stages after it,
+ * so an export isn't started when it could never reach its upload and email
+ */
+const STAGE_MINIMUM_MS = {
+  auth: 10000,
+  render: 30000,
+  upload: 10000,
+  email: 5000,
+};
+
+/**
+ * Deadline of an invocation, read from the Lambda context's getRemainingTimeInMillis()
+ */
+class Deadline {
+  constructor(getRemainingTimeInMillis = null, options = {}) {
+    this.getRemainingTimeInMillis = getRemainingTimeInMillis;
+    this.safetyMarginMs = options.safetyMarginMs;
+  }
+
+  /**
+   * Time until the invocation is stopped
+   * @returns {number} - Time in ms, Infinity without a Lambda context (local runs)
+   */
+  invocationRemainingMs() {
+    return this.getRemainingTimeInMillis ? this.getRemainingTimeInMillis() : Infinity;
+  }
+
+  /**
+   * Time left for work, keeping DEADLINE_SAFETY_MARGIN_MS to checkpoint and hand the job off
+   * @returns {number} - Time in ms, Infinity without a Lambda context (local runs)
+   */
+  remainingMs() {
+    if (!this.getRemainingTimeInMillis) {
+      return Infinity;
+    }
+
+    const safetyMarginMs = this.safetyMarginMs ?? loadConfig().deadlineSafetyMarginMs;
+    return this.getRemainingTimeInMillis() - safetyMarginMs;
+  }
+
+  /**
+   * Time a stage may take without eating into the minimums of the stages after it
+   * @param {string} stage - One of PIPELINE_STAGES
+   * @returns {number} - Time in ms
+   */
+  budgetFor(stage) {
+    const laterStages = PIPELINE_STAGES.slice(PIPELINE_STAGES.indexOf(stage) + 1);
+    return this.remainingMs() - laterStages.reduce((total, later) => total + STAGE_MINIMUM_MS[later], 0);
+  }
+
+  /**
+   * Whether there's still time to start a stage
+   * @param {string} stage - One of PIPELINE_STAGES
+   * @returns {boolean} - True when the stage's budget covers its minimum
+   */
+  canStart(stage) {
+    return this.budgetFor(stage) >= STAGE_MINIMUM_MS[stage];
+  }
+
+  /**
+   * Get a stage's budget, or fail when there's no longer time to start it
+   * @param {string} stage - One of PIPELINE_STAGES
+   * @returns {number} - Time in ms
+   */
+  checkStage(stage) {
+    if (!this.canStart(stage)) {
+      throw new DeadlineExceededError(stage, Math.max(Math.round(this.remainingMs()), 0));
+    }
+    return this.budgetFor(stage);
+  }
+}
+
+/**
+ * Create the deadline of an invocation
+ * @param {Object} context - Lambda context; without getRemainingTimeInMillis the deadline never runs out
+ * @param {Object} options - { safetyMarginMs } overrides DEADLINE_SAFETY_MARGIN_MS
+ * @returns {Deadline} - Deadline
+ */
+const createDeadline = (context = {}, options = {}) => {
+  const getRemainingTimeInMillis =
+    typeof context?.getRemainingTimeInMillis === "function" ? () => context.getRemainingTimeInMillis() : null;
+
+  return new Deadline(getRemainingTimeInMillis, options);
+};
+
+module.exports = { STAGE_MINIMUM_MS, Deadline, createDeadline };
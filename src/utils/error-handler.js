@@ -2,7 +2,8 @@
  * Comprehensive error handling utilities for the Lambda function
  */
 
-const { logger } = require("./logger");
+const { logger, toLogger } = require("./logger");
+const { jsonResponse } = require("./http-response");
 
 /**
  * Custom error classes for different error types
@@ -43,6 +44,15 @@ class AuthenticationError extends LambdaError {
   }
 }
 
+class IdempotencyKeyReusedError extends LambdaError {
+  constructor(idempotencyKey, context = {}) {
+    super("Idempotency key was already used for a different request", 422, "IDEMPOTENCY_KEY_REUSED", {
+      ...context,
+      idempotencyKey,
+    });
+  }
+}
+
 class TimeoutError extends LambdaError {
   constructor(operation, timeoutMs, context = {}) {
     super(`Operation '${operation}' timed out after ${timeoutMs}ms`, 408, "TIMEOUT_ERROR", {
@@ -53,6 +63,16 @@ class TimeoutError extends LambdaError {
   }
 }
 
+class DeadlineExceededError extends LambdaError {
+  constructor(stage, remainingMs, context = {}) {
+    super(`Not enough time left to start '${stage}' (${remainingMs}ms remaining)`, 504, "DEADLINE_EXCEEDED", {
+      ...context,
+      stage,
+      remainingMs,
+    });
+  }
+}
+
 class ServiceUnavailableError extends LambdaError {
   constructor(service, message, context = {}) {
     super(`Service '${service}' is unavailable: ${message}`, 503, "SERVICE_UNAVAILABLE", {
@@ -84,8 +104,12 @@ class EmailError extends LambdaError {
  * Error handler utility class
  */
 class ErrorHandler {
-  constructor(requestId) {
-    this.requestId = requestId;
+  /**
+   * @param {Object|string} log - Child logger bound to the request, or the request ID
+   */
+  constructor(log) {
+    this.log = toLogger(log);
+    this.requestId = this.log.bindings.requestId;
   }
 
   /**
@@ -103,7 +127,7 @@ class ErrorHandler {
 
     // If it's already a LambdaError, just log and return
     if (error instanceof LambdaError) {
-      logger.error("Lambda error occurred", {
+      this.log.error("Lambda error occurred", {
         ...errorContext,
         error: error.toJSON(),
         stack: error.stack,
@@ -115,7 +139,7 @@ class ErrorHandler {
     // Categorize common error types
     const categorizedError = this.categorizeError(error, errorContext);
 
-    logger.error("Error occurred and categorized", {
+    this.log.error("Error occurred and categorized", {
       ...errorContext,
       originalError: error.message,
       categorizedError: categorizedError.toJSON(),
@@ -170,51 +194,49 @@ class ErrorHandler {
 
   /**
    * Format error for API Gateway response
+   * CORS headers are added by the handler with withCorsHeaders, like every other response
    * @param {LambdaError} error - Error to format
    * @returns {Object} - API Gateway response object
    */
   formatErrorResponse(error) {
     const isProduction = process.env.NODE_ENV === "production";
 
-    return {
-      statusCode: error.statusCode,
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Content-Type,Authorization",
-        "Access-Control-Allow-Methods": "POST,OPTIONS",
-      },
-      body: JSON.stringify({
-        success: false,
-        error: error.errorCode,
-        message: error.message,
-        requestId: this.requestId,
-        timestamp: error.timestamp,
-        ...(isProduction
-          ? {}
-          : {
-              context: error.context,
-              stack: error.stack,
-            }),
-      }),
-    };
+    return jsonResponse(error.statusCode, {
+      success: false,
+      error: error.errorCode,
+      message: error.message,
+      ...(error.context?.details?.length ? { details: error.context.details } : {}),
+      requestId: this.requestId,
+      timestamp: error.timestamp,
+      ...(isProduction
+        ? {}
+        : {
+            context: error.context,
+            stack: error.stack,
+          }),
+    });
   }
 
   /**
    * Wrap async operations with timeout and error handling
-   * @param {Function} operation - Async operation to wrap
+   * The operation is passed an AbortSignal that is aborted when it times out, so it can stop whatever it
+   * was doing instead of carrying on alongside a retry
+   * @param {Function} operation - async (signal) => result
    * @param {number} timeoutMs - Timeout in milliseconds
    * @param {string} operationName - Name for logging
    * @returns {Promise} - Wrapped operation
    */
   async withTimeout(operation, timeoutMs, operationName) {
     return new Promise(async (resolve, reject) => {
+      const controller = new AbortController();
       const timeout = setTimeout(() => {
-        reject(new TimeoutError(operationName, timeoutMs, { requestId: this.requestId }));
+        const error = new TimeoutError(operationName, timeoutMs, { requestId: this.requestId });
+        controller.abort(error);
+        reject(error);
       }, timeoutMs);
 
       try {
-        const result = await operation();
+        const result = await operation(controller.signal);
         clearTimeout(timeout);
         resolve(result);
       } catch (error) {
@@ -224,21 +246,41 @@ class ErrorHandler {
     });
   }
 
+  /**
+   * Delay before the next attempt: exponential backoff with full jitter, but never sooner than the
+   * Retry-After a rate-limited or unavailable service asked for (error.context.retryAfterMs)
+   * @param {number} attempt - Attempt that just failed, from 1
+   * @param {Error} error - Error of the failed attempt
+   * @param {Object} options - { baseDelayMs, maxDelayMs }
+   * @returns {number|null} - Delay in ms, or null when Retry-After is longer than maxDelayMs
+   */
+  getRetryDelay(attempt, error, options = {}) {
+    const { baseDelayMs = 1000, maxDelayMs = 10000 } = options;
+    const retryAfterMs = error.context?.retryAfterMs;
+
+    if (retryAfterMs > maxDelayMs) {
+      return null;
+    }
+
+    const backoff = Math.min(Math.pow(2, attempt - 1) * baseDelayMs, maxDelayMs);
+    return Math.max(Math.round(Math.random() * backoff), retryAfterMs || 0);
+  }
+
   /**
    * Retry operation with exponential backoff
    * @param {Function} operation - Operation to retry
-   * @param {number} maxRetries - Maximum retry attempts
+   * @param {number} maxRetries - Maximum attempts, including the first one
    * @param {string} operationName - Name for logging
    * @param {Function} shouldRetry - Function to determine if error should be retried
+   * @param {Object} options - { baseDelayMs, maxDelayMs } for getRetryDelay
    * @returns {Promise} - Operation result
    */
-  async withRetry(operation, maxRetries = 3, operationName = "operation", shouldRetry = null) {
+  async withRetry(operation, maxRetries = 3, operationName = "operation", shouldRetry = null, options = {}) {
     let lastError;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        logger.info(`Attempting ${operationName}`, {
-          requestId: this.requestId,
+        this.log.info(`Attempting ${operationName}`, {
           attempt,
           maxRetries,
         });
@@ -246,8 +288,7 @@ class ErrorHandler {
         const result = await operation();
 
         if (attempt > 1) {
-          logger.info(`${operationName} succeeded on retry`, {
-            requestId: this.requestId,
+          this.log.info(`${operationName} succeeded on retry`, {
             attempt,
             totalAttempts: attempt,
           });
@@ -257,8 +298,7 @@ class ErrorHandler {
       } catch (error) {
         lastError = error;
 
-        logger.error(`${operationName} attempt failed`, {
-          requestId: this.requestId,
+        this.log.error(`${operationName} attempt failed`, {
           attempt,
           maxRetries,
           error: error.message,
@@ -266,24 +306,29 @@ class ErrorHandler {
 
         // Check if we should retry this error
         if (shouldRetry && !shouldRetry(error)) {
-          logger.info(`Not retrying ${operationName} due to error type`, {
-            requestId: this.requestId,
+          this.log.info(`Not retrying ${operationName} due to error type`, {
             errorType: error.constructor.name,
           });
           throw error;
         }
 
-        // Don't retry on authentication or validation errors
-        if (error instanceof AuthenticationError || error instanceof ValidationError) {
+        // Without a shouldRetry, don't retry on authentication or validation errors
+        if (!shouldRetry && (error instanceof AuthenticationError || error instanceof ValidationError)) {
           throw error;
         }
 
         // Wait before retry with exponential backoff
         if (attempt < maxRetries) {
-          const delay = Math.min(Math.pow(2, attempt - 1) * 1000, 10000); // Max 10s
+          const delay = this.getRetryDelay(attempt, error, options);
+
+          if (delay === null) {
+            this.log.info(`Not retrying ${operationName}, the service asked to wait too long`, {
+              retryAfterMs: error.context.retryAfterMs,
+            });
+            throw error;
+          }
 
-          logger.info(`Waiting before retry`, {
-            requestId: this.requestId,
+          this.log.info(`Waiting before retry`, {
             attempt,
             delay,
           });
@@ -294,12 +339,17 @@ class ErrorHandler {
     }
 
     // All retries failed
-    logger.error(`${operationName} failed after all retries`, {
-      requestId: this.requestId,
+    this.log.error(`${operationName} failed after all retries`, {
       totalAttempts: maxRetries,
       finalError: lastError.message,
     });
 
+    // Typed errors keep their status code and errorCode
+    if (lastError instanceof LambdaError) {
+      lastError.context.attempts = maxRetries;
+      throw lastError;
+    }
+
     throw new LambdaError(
       `${operationName} failed after ${maxRetries} attempts: ${lastError.message}`,
       500,
@@ -317,22 +367,19 @@ class ErrorHandler {
    */
   async safeOperation(operation, operationName, context = {}) {
     try {
-      logger.info(`Starting ${operationName}`, {
-        requestId: this.requestId,
+      this.log.info(`Starting ${operationName}`, {
         ...context,
       });
 
       const result = await operation();
 
-      logger.info(`Completed ${operationName}`, {
-        requestId: this.requestId,
+      this.log.info(`Completed ${operationName}`, {
         ...context,
       });
 
       return result;
     } catch (error) {
-      logger.error(`${operationName} failed`, {
-        requestId: this.requestId,
+      this.log.error(`${operationName} failed`, {
         error: error.message,
         ...context,
       });
@@ -368,7 +415,9 @@ module.exports = {
   LambdaError,
   ValidationError,
   AuthenticationError,
+  IdempotencyKeyReusedError,
   TimeoutError,
+  DeadlineExceededError,
   ServiceUnavailableError,
   PDFGenerationError,
   UploadError,
@@ -0,0 +1,133 @@
+/**
+ * API Gateway responses and their CORS headers
+ */
+
+const { getEnvironmentRegistry, parseOrigins } = require("../config/environment-registry");
+
+const ALLOWED_METHODS = ["GET", "POST", "OPTIONS"];
+const ALLOWED_HEADERS = ["Content-Type", "Authorization", "X-Api-Key", "X-Export-Timestamp", "X-Export-Signature"];
+const PREFLIGHT_MAX_AGE_SECONDS = 600;
+
+/**
+ * Origins allowed to call the API for an environment
+ * Each environment allows its registry allowedOrigins (see config/environment-registry.js);
+ * CORS_ALLOWED_ORIGINS is allowed for every environment
+ * @param {string} env - Request environment; every environment's origins when unknown
+ * @returns {Set} - Allowed origins
+ */
+const getAllowedOrigins = (env) => {
+  const registry = getEnvironmentRegistry();
+  const origins = new Set(parseOrigins(process.env.CORS_ALLOWED_ORIGINS));
+  const environments = registry.has(env) ? [env] : registry.names();
+
+  for (const name of environments) {
+    registry.get(name).allowedOrigins.forEach((origin) => origins.add(origin));
+  }
+
+  return origins;
+};
+
+/**
+ * Get a request header regardless of its case (API Gateway v2 lower-cases them, v1 doesn't)
+ * @param {Object} event - API Gateway event
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+/**
+ * The env a POST request is for, so it only gets that environment's origins
+ * @param {Object} event - API Gateway event
+ * @returns {string|undefined} - Request environment
+ */
+const getRequestEnv = (event) => {
+  const method = event.httpMethod || event.requestContext?.http?.method;
+  if (method !== "POST" || !event.body) return undefined;
+
+  try {
+    return JSON.parse(event.body).env;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * CORS headers for a request: its Origin is echoed back only when it's allow-listed
+ * @param {Object} event - API Gateway event
+ * @returns {Object} - Response headers
+ */
+const getCorsHeaders = (event) => {
+  const origin = getHeader(event, "Origin");
+
+  // Responses differ per Origin, so caches must not share them across origins
+  if (!origin || !getAllowedOrigins(getRequestEnv(event)).has(origin)) {
+    return { Vary: "Origin" };
+  }
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Headers": ALLOWED_HEADERS.join(","),
+    "Access-Control-Allow-Methods": ALLOWED_METHODS.join(","),
+    Vary: "Origin",
+  };
+};
+
+/**
+ * Build an API Gateway JSON response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ * @returns {Object} - API Gateway response
+ */
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Add the request's CORS headers to a response
+ * @param {Object} event - API Gateway event the response answers
+ * @param {Object} response - API Gateway response
+ * @returns {Object} - API Gateway response
+ */
+const withCorsHeaders = (event, response) => ({
+  ...response,
+  headers: { ...response.headers, ...getCorsHeaders(event) },
+});
+
+/**
+ * Answer a CORS preflight (OPTIONS) request
+ * Origins that aren't allow-listed, and methods or headers the API doesn't accept, get 403
+ * @param {Object} event - API Gateway event
+ * @returns {Object} - API Gateway response
+ */
+const preflightResponse = (event) => {
+  const headers = getCorsHeaders(event);
+  const method = (getHeader(event, "Access-Control-Request-Method") || "").toUpperCase();
+  const requestedHeaders = (getHeader(event, "Access-Control-Request-Headers") || "")
+    .split(",")
+    .map((header) => header.trim().toLowerCase())
+    .filter(Boolean);
+  const allowedHeaders = ALLOWED_HEADERS.map((header) => header.toLowerCase());
+
+  const allowed =
+    headers["Access-Control-Allow-Origin"] &&
+    ALLOWED_METHODS.includes(method) &&
+    requestedHeaders.every((header) => allowedHeaders.includes(header));
+
+  if (!allowed) {
+    return { statusCode: 403, headers: { Vary: "Origin" }, body: "" };
+  }
+
+  return {
+    statusCode: 204,
+    headers: { ...headers, "Access-Control-Max-Age": String(PREFLIGHT_MAX_AGE_SECONDS) },
+    body: "",
+  };
+};
+
+module.exports = { getAllowedOrigins, getCorsHeaders, jsonResponse, withCorsHeaders, preflightResponse };
@@ -2,6 +2,9 @@
  * Centralized logging utility for the Lambda function
  */
 
+const { createRedactionPolicyFromEnv, redact } = require("./redaction");
+const { createPIIPolicyFromEnv, maskPII } = require("./pii");
+
 const LOG_LEVEL = process.env.LOG_LEVEL || "info";
 
 const LOG_LEVELS = {
@@ -15,42 +18,108 @@ const shouldLog = (level) => {
   return LOG_LEVELS[level] <= LOG_LEVELS[LOG_LEVEL];
 };
 
-const formatLogEntry = (level, message, metadata = {}) => {
+let redactionPolicy = null;
+
+/**
+ * Get the redaction policy applied to every log entry, built from LOG_REDACT_KEYS on first use
+ * @returns {Object} - Redaction policy
+ */
+const getRedactionPolicy = () => {
+  if (!redactionPolicy) {
+    redactionPolicy = createRedactionPolicyFromEnv();
+  }
+  return redactionPolicy;
+};
+
+/**
+ * Replace the redaction policy (tests, or a policy with extra keys or patterns)
+ * @param {Object|null} policy - Policy from createRedactionPolicy, or null to rebuild it from the environment
+ */
+const setRedactionPolicy = (policy) => {
+  redactionPolicy = policy;
+};
+
+let piiPolicy = null;
+
+/**
+ * Get the PII policy applied to every log entry, built from the LOG_PII_* settings on first use
+ * @returns {Object} - PII policy
+ */
+const getPIIPolicy = () => {
+  if (!piiPolicy) {
+    piiPolicy = createPIIPolicyFromEnv();
+  }
+  return piiPolicy;
+};
+
+/**
+ * Replace the PII policy (tests, or a policy with other modes)
+ * @param {Object|null} policy - Policy from createPIIPolicy, or null to rebuild it from the environment
+ */
+const setPIIPolicy = (policy) => {
+  piiPolicy = policy;
+};
+
+/**
+ * Scrub a message or metadata: secrets are redacted, then personal data masked
+ * @param {*} value - Message or metadata
+ * @returns {*} - Scrubbed copy
+ */
+const scrub = (value) => maskPII(redact(value, getRedactionPolicy()), getPIIPolicy());
+
+const formatLogEntry = (level, message, metadata = {}, bindings = {}) => {
   const timestamp = new Date().toISOString();
   const entry = {
     timestamp,
     level: level.toUpperCase(),
-    message,
-    ...metadata,
+    message: scrub(message),
+    ...scrub(bindings),
+    ...scrub(metadata),
   };
 
   return JSON.stringify(entry);
 };
 
-const logger = {
-  error: (message, metadata = {}) => {
-    if (shouldLog("error")) {
-      console.error(formatLogEntry("error", message, metadata));
+/**
+ * Create a logger that merges `bindings` into every entry. Fields passed at the call site win over bound ones
+ * @param {Object} bindings - Fields bound to every entry, e.g. { requestId, surveyId, participantId, env, stage }
+ * @returns {Object} - Logger with error, warn, info, debug and child
+ */
+const createLogger = (bindings = {}) => {
+  const write = (level, print, message, metadata = {}) => {
+    if (shouldLog(level)) {
+      print(formatLogEntry(level, message, metadata, bindings));
     }
-  },
+  };
 
-  warn: (message, metadata = {}) => {
-    if (shouldLog("warn")) {
-      console.warn(formatLogEntry("warn", message, metadata));
-    }
-  },
+  return {
+    bindings,
 
-  info: (message, metadata = {}) => {
-    if (shouldLog("info")) {
-      console.log(formatLogEntry("info", message, metadata));
-    }
-  },
+    error: (message, metadata) => write("error", console.error, message, metadata),
+    warn: (message, metadata) => write("warn", console.warn, message, metadata),
+    info: (message, metadata) => write("info", console.log, message, metadata),
+    debug: (message, metadata) => write("debug", console.log, message, metadata),
 
-  debug: (message, metadata = {}) => {
-    if (shouldLog("debug")) {
-      console.log(formatLogEntry("debug", message, metadata));
-    }
-  },
+    /**
+     * Create a logger with more bound fields. Undefined fields are ignored, so optional context can be passed as is
+     * @param {Object} fields - Fields to bind
+     * @returns {Object} - Child logger
+     */
+    child: (fields = {}) =>
+      createLogger({
+        ...bindings,
+        ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+      }),
+  };
 };
 
-module.exports = { logger };
+const logger = createLogger();
+
+/**
+ * Get the logger for a service: its child logger as is, or one bound to a request ID
+ * @param {Object|string} log - Child logger, or the request ID
+ * @returns {Object} - Logger
+ */
+const toLogger = (log) => (log && typeof log.child === "function" ? log : logger.child({ requestId: log }));
+
+module.exports = { logger, toLogger, getRedactionPolicy, setRedactionPolicy, getPIIPolicy, setPIIPolicy };
@@ -0,0 +1,123 @@
+/**
+ * Pipeline metrics in CloudWatch Embedded Metric Format (EMF): each record is a JSON line on stdout that
+ * CloudWatch Logs turns into metrics when the function runs in Lambda, and that local runs print as is
+ */
+
+const { TimeoutError, DeadlineExceededError } = require("./error-handler");
+
+const DEFAULT_METRICS_NAMESPACE = "59club/AsyncExport";
+
+/**
+ * Dimensions metrics are published with, in this order. Dimensions a record doesn't have are left out
+ */
+const DIMENSIONS = ["env", "stage", "outcome"];
+
+/**
+ * Units of the metrics the pipeline records
+ */
+const METRIC_UNITS = {
+  Duration: "Milliseconds",
+  Retries: "Count",
+  PdfSize: "Bytes",
+};
+
+const OUTCOMES = {
+  SUCCESS: "success",
+  FAILURE: "failure",
+  // The stage's timeout or the invocation deadline ran out
+  TIMEOUT: "timeout",
+};
+
+/**
+ * Whether metrics are written: METRICS_ENABLED=false turns them off
+ * @returns {boolean} - Whether to write metric records
+ */
+const isMetricsEnabled = () => process.env.METRICS_ENABLED !== "false";
+
+/**
+ * CloudWatch namespace metrics are published under: METRICS_NAMESPACE, or DEFAULT_METRICS_NAMESPACE
+ * @returns {string} - Namespace
+ */
+const getMetricsNamespace = () => process.env.METRICS_NAMESPACE || DEFAULT_METRICS_NAMESPACE;
+
+/**
+ * Outcome of a finished stage
+ * @param {Error} error - Error the stage failed with, if it failed
+ * @returns {string} - One of OUTCOMES
+ */
+const getOutcome = (error) => {
+  if (!error) return OUTCOMES.SUCCESS;
+  if (error instanceof TimeoutError || error instanceof DeadlineExceededError) return OUTCOMES.TIMEOUT;
+  return OUTCOMES.FAILURE;
+};
+
+/**
+ * Build an EMF record
+ * @param {Object} dimensions - { env, stage, outcome }
+ * @param {Object} values - Metric values by name, e.g. { Duration: 1200, Retries: 1 }
+ * @param {Object} properties - Fields logged with the record but not published as dimensions, e.g. { requestId }
+ * @returns {string} - JSON line
+ */
+const formatMetricEntry = (dimensions, values, properties = {}) => {
+  const dimensionNames = DIMENSIONS.filter((name) => dimensions[name] !== undefined);
+  const metricNames = Object.keys(values).filter((name) => Number.isFinite(values[name]));
+
+  const entry = {
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [
+        {
+          Namespace: getMetricsNamespace(),
+          Dimensions: [dimensionNames],
+          Metrics: metricNames.map((name) => ({ Name: name, Unit: METRIC_UNITS[name] || "None" })),
+        },
+      ],
+    },
+  };
+
+  for (const [name, value] of Object.entries(properties)) {
+    if (value !== undefined) entry[name] = value;
+  }
+  for (const name of dimensionNames) {
+    entry[name] = String(dimensions[name]);
+  }
+  for (const name of metricNames) {
+    entry[name] = values[name];
+  }
+
+  return JSON.stringify(entry);
+};
+
+/**
+ * Create a metrics recorder that publishes every record with `dimensions` and logs it with `properties`
+ * @param {Object} dimensions - Dimensions shared by every record, e.g. { env }
+ * @param {Object} properties - Fields to correlate records with logs, e.g. { requestId, jobId }
+ * @returns {Object} - Recorder with record(values, dimensions)
+ */
+const createMetrics = (dimensions = {}, properties = {}) => ({
+  dimensions,
+  properties,
+
+  /**
+   * Write one EMF record
+   * @param {Object} values - Metric values by name (see METRIC_UNITS)
+   * @param {Object} fields - Dimensions of this record, e.g. { stage, outcome }
+   */
+  record: (values, fields = {}) => {
+    if (isMetricsEnabled()) {
+      console.log(formatMetricEntry({ ...dimensions, ...fields }, values, properties));
+    }
+  },
+});
+
+module.exports = {
+  DEFAULT_METRICS_NAMESPACE,
+  DIMENSIONS,
+  METRIC_UNITS,
+  OUTCOMES,
+  isMetricsEnabled,
+  getMetricsNamespace,
+  getOutcome,
+  formatMetricEntry,
+  createMetrics,
+};
@@ -0,0 +1,166 @@
+/**
+ * Masking of personal data in log entries: recipient and service account emails, and participant IDs,
+ * are hashed, partially masked or dropped according to the PII policy
+ */
+
+const crypto = require("crypto");
+const { DROP, transform, replacePatterns, normalizeKey } = require("./redaction");
+
+const PII_MODES = {
+  // Stable pseudonym, so one participant can still be followed across entries
+  HASH: "hash",
+  // Partly hidden, e.g. a***@test.com or te***56
+  MASK: "mask",
+  // Left out of the entry
+  DROP: "drop",
+};
+
+/**
+ * Keys holding emails or participant IDs, matched against the key lower-cased without separators
+ */
+const PII_KEYS = {
+  email: /(email|emails|recipients)$/,
+  participant: /(participantid|participantids)$/,
+};
+
+/**
+ * Participant IDs inside strings: endpoint paths, export URLs and uploaded filenames. The first group is kept
+ */
+const PARTICIPANT_PATTERNS = [
+  { pattern: /(\/participants\/)([^/?#\s"]+)/g, keep: (match, prefix) => prefix },
+  { pattern: /(participantIds?=)([^&\s"]+)/g, keep: (match, prefix) => prefix },
+  { pattern: /(_participant_)([^/?#\s"]+?)(?=\.pdf\b)/g, keep: (match, prefix) => prefix },
+];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+/**
+ * Whether unmasked logs are allowed: only for local runs, never inside Lambda
+ * @returns {boolean} - Whether LOG_PII_UNMASKED can take effect
+ */
+const canLogUnmasked = () => process.env.IS_LOCAL === "true" && !process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+/**
+ * Build a PII policy
+ * @param {Object} options - { emailMode, participantMode, hashSalt, unmasked }
+ * @returns {Object} - PII policy for `maskPII`
+ */
+const createPIIPolicy = (options = {}) => {
+  const policy = {
+    emailMode: options.emailMode || PII_MODES.MASK,
+    participantMode: options.participantMode || PII_MODES.HASH,
+    hashSalt: options.hashSalt || "",
+    unmasked: Boolean(options.unmasked) && canLogUnmasked(),
+  };
+
+  for (const mode of [policy.emailMode, policy.participantMode]) {
+    if (!Object.values(PII_MODES).includes(mode)) {
+      throw new Error(`Invalid PII mode: ${mode}. Must be one of: ${Object.values(PII_MODES).join(", ")}`);
+    }
+  }
+  return policy;
+};
+
+/**
+ * Read a mode setting. The logger can't fail on a typo, so an unknown mode drops the values instead
+ * @param {string} value - Configured mode
+ * @returns {string|undefined} - One of PII_MODES, or undefined for the default
+ */
+const parseMode = (value) => {
+  if (!value) return undefined;
+  return Object.values(PII_MODES).includes(value.toLowerCase()) ? value.toLowerCase() : PII_MODES.DROP;
+};
+
+/**
+ * Policy from the environment: LOG_PII_MODE for both kinds, LOG_PII_EMAIL_MODE and LOG_PII_PARTICIPANT_MODE
+ * for one, LOG_PII_HASH_SALT, and LOG_PII_UNMASKED=true to turn masking off in local runs
+ * @returns {Object} - PII policy
+ */
+const createPIIPolicyFromEnv = () =>
+  createPIIPolicy({
+    emailMode: parseMode(process.env.LOG_PII_EMAIL_MODE || process.env.LOG_PII_MODE),
+    participantMode: parseMode(process.env.LOG_PII_PARTICIPANT_MODE || process.env.LOG_PII_MODE),
+    hashSalt: process.env.LOG_PII_HASH_SALT,
+    unmasked: process.env.LOG_PII_UNMASKED === "true",
+  });
+
+/**
+ * Salted SHA-256 pseudonym of a value
+ * @param {string} value - Email or participant ID
+ * @param {string} salt - LOG_PII_HASH_SALT
+ * @returns {string} - e.g. hash:3f2a9c1b7d4e
+ */
+const hashValue = (value, salt) =>
+  `hash:${crypto.createHash("sha256").update(`${salt}${value}`).digest("hex").slice(0, 12)}`;
+
+const maskId = (value) => (value.length <= 4 ? "***" : `${value.slice(0, 2)}***${value.slice(-2)}`);
+
+const maskEmail = (value) => {
+  const [local, domain] = value.split("@");
+  return `${local.slice(0, 1)}***@${domain}`;
+};
+
+/**
+ * Mask one email or participant ID
+ * @param {string} kind - "email" or "participant"
+ * @param {string} value - Value to mask
+ * @param {Object} policy - PII policy
+ * @returns {string} - Masked value; dropped values are replaced by a placeholder
+ */
+const maskValue = (kind, value, policy) => {
+  const mode = kind === "email" ? policy.emailMode : policy.participantMode;
+
+  if (mode === PII_MODES.HASH) return hashValue(value, policy.hashSalt);
+  if (mode === PII_MODES.DROP) return kind === "email" ? "[EMAIL]" : "[PARTICIPANT]";
+  return kind === "email" ? maskEmail(value) : maskId(value);
+};
+
+/**
+ * Mask an entry's value under an email or participant key: strings and lists of strings
+ */
+const maskEntry = (kind, item, policy) => {
+  if (typeof item === "string" && kind === "email") {
+    return item.replace(EMAIL_PATTERN, (email) => maskValue(kind, email, policy));
+  }
+  if (typeof item === "string") {
+    return maskValue(kind, item, policy);
+  }
+  if (Array.isArray(item) && item.every((value) => typeof value === "string")) {
+    return item.map((value) => maskEntry(kind, value, policy));
+  }
+  return undefined;
+};
+
+/**
+ * Mask emails and participant IDs in a value (log metadata, a message) without changing the original
+ * @param {*} value - Value to mask
+ * @param {Object} policy - PII policy
+ * @returns {*} - Masked copy
+ */
+const maskPII = (value, policy = createPIIPolicy()) => {
+  if (policy.unmasked) return value;
+
+  return transform(value, {
+    key: (key, item) => {
+      const normalized = normalizeKey(key);
+      const kind = Object.keys(PII_KEYS).find((name) => PII_KEYS[name].test(normalized));
+      if (!kind || (typeof item !== "string" && !Array.isArray(item))) return undefined;
+
+      const mode = kind === "email" ? policy.emailMode : policy.participantMode;
+      return mode === PII_MODES.DROP ? DROP : maskEntry(kind, item, policy);
+    },
+    string: (item) =>
+      replacePatterns(
+        item.replace(EMAIL_PATTERN, (email) => maskValue("email", email, policy)),
+        PARTICIPANT_PATTERNS,
+        // Batch URLs list several IDs, comma-separated
+        (match, prefix, ids) =>
+          ids
+            .split(",")
+            .map((id) => maskValue("participant", id, policy))
+            .join(",")
+      ),
+  });
+};
+
+module.exports = { PII_MODES, canLogUnmasked, createPIIPolicy, createPIIPolicyFromEnv, maskPII };
@@ -0,0 +1,169 @@
+/**
+ * Redaction of secrets from log metadata: values under sensitive keys, bearer tokens, credentials in
+ * query strings and JWT-shaped strings are replaced before a log entry is written
+ */
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Keys whose values are redacted, matched against the key lower-cased without separators
+ * (so `servicePassword`, `x-api-key` and `Set-Cookie` all match)
+ */
+const DEFAULT_REDACTED_KEYS = [
+  /(password|passwd|secret|token|tokens|authorization|cookie|cookies|apikey|signature|credentials?)$/,
+  /^(setcookie|cookiedetails|privatekey|session)$/,
+];
+
+/**
+ * Patterns redacted wherever they appear in a string. `keep` is the part of the match left in place
+ */
+const DEFAULT_REDACTED_PATTERNS = [
+  // Authorization header values
+  { pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi, keep: (match, scheme) => `${scheme} ` },
+  // JWTs: base64url header starting `{"`, payload and (possibly empty) signature
+  { pattern: /\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g },
+  // Credentials in query strings and form bodies, e.g. `password=...` or `access_token=...`
+  {
+    pattern: /\b([\w-]*(?:password|passwd|secret|token|api[_-]?key|signature))=[^&\s"';]+/gi,
+    keep: (match, name) => `${name}=`,
+  },
+];
+
+/**
+ * Build a redaction policy
+ * @param {Object} options - { keys, patterns, extraKeys, replacement }
+ * @returns {Object} - Redaction policy for `redact`
+ */
+const createRedactionPolicy = (options = {}) => ({
+  keys: options.keys || DEFAULT_REDACTED_KEYS,
+  // Exact key names added by configuration, e.g. from LOG_REDACT_KEYS
+  extraKeys: new Set((options.extraKeys || []).map(normalizeKey)),
+  patterns: options.patterns || DEFAULT_REDACTED_PATTERNS,
+  replacement: options.replacement || REDACTED,
+});
+
+/**
+ * Policy from the environment: the default keys and patterns plus the key names in LOG_REDACT_KEYS
+ * @returns {Object} - Redaction policy
+ */
+const createRedactionPolicyFromEnv = () =>
+  createRedactionPolicy({
+    extraKeys: (process.env.LOG_REDACT_KEYS || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean),
+  });
+
+/**
+ * Lower-case a key and strip separators, so `x-api-key`, `X_API_KEY` and `xApiKey` compare equal
+ * @param {string} key - Object key
+ * @returns {string} - Normalized key
+ */
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const isSensitiveKey = (key, policy) => {
+  const normalized = normalizeKey(key);
+  return policy.extraKeys.has(normalized) || policy.keys.some((pattern) => pattern.test(normalized));
+};
+
+/**
+ * Returned by a key visitor to leave an entry out of the result
+ */
+const DROP = Symbol("drop");
+
+/**
+ * Copy a value, letting visitors replace object entries and strings. Strings holding JSON (e.g. a stringified
+ * event or response body) are parsed so their entries are visited too
+ * @param {*} value - Value to transform
+ * @param {Object} visitor - { key(key, item): replacement, DROP or undefined to recurse, string(value): string }
+ * @param {WeakSet} seen - Objects on the current path, to break cycles
+ * @returns {*} - Transformed copy
+ */
+const transform = (value, visitor, seen = new WeakSet()) => {
+  if (typeof value === "string") return transformString(value, visitor);
+  if (!value || typeof value !== "object") return value;
+
+  // Shared references are fine, cycles can't be serialized
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  let transformed;
+  if (Array.isArray(value)) {
+    transformed = value.map((item) => transform(item, visitor, seen));
+  } else {
+    transformed = {};
+    for (const [key, item] of Object.entries(value)) {
+      const replacement = visitor.key(key, item);
+      if (replacement === DROP) continue;
+      transformed[key] = replacement === undefined ? transform(item, visitor, seen) : replacement;
+    }
+  }
+
+  seen.delete(value);
+  return transformed;
+};
+
+const transformString = (value, visitor) => {
+  const trimmed = value.trim();
+
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      const transformed = transform(parsed, visitor);
+      if (JSON.stringify(transformed) !== JSON.stringify(parsed)) {
+        return JSON.stringify(transformed);
+      }
+    } catch {
+      // Not JSON, only the string visitor applies
+    }
+  }
+
+  return visitor.string(value);
+};
+
+/**
+ * Apply patterns to a string, replacing each match with the part it keeps followed by the replacement
+ * @param {string} value - String
+ * @param {Array} patterns - [{ pattern, keep }]
+ * @param {string|Function} replacement - Replacement, or a function of the match's arguments
+ * @returns {string} - String with the patterns replaced
+ */
+const replacePatterns = (value, patterns, replacement) =>
+  patterns.reduce(
+    (result, { pattern, keep }) =>
+      result.replace(
+        pattern,
+        (...match) =>
+          `${keep ? keep(...match) : ""}${typeof replacement === "function" ? replacement(...match) : replacement}`
+      ),
+    value
+  );
+
+/**
+ * Redact secrets from a value (log metadata, a message, a response body) without changing the original
+ * @param {*} value - Value to redact
+ * @param {Object} policy - Redaction policy
+ * @returns {*} - Redacted copy
+ */
+const redact = (value, policy = createRedactionPolicy()) =>
+  transform(value, {
+    // Numbers and booleans (lengths, counts, `hasAuthCookie`) can't carry a secret
+    key: (key, item) =>
+      isSensitiveKey(key, policy) && (typeof item === "string" || (item && typeof item === "object"))
+        ? policy.replacement
+        : undefined,
+    string: (item) => replacePatterns(item, policy.patterns, policy.replacement),
+  });
+
+module.exports = {
+  REDACTED,
+  DEFAULT_REDACTED_KEYS,
+  DEFAULT_REDACTED_PATTERNS,
+  createRedactionPolicy,
+  createRedactionPolicyFromEnv,
+  redact,
+  DROP,
+  transform,
+  replacePatterns,
+  normalizeKey,
+};
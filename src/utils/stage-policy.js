@@ -0,0 +1,110 @@
+/**
+ * Retry and timeout policy for each stage of the export pipeline
+ */
+
+const { loadConfig } = require("../config/environment");
+const { ErrorHandler, ValidationError, DeadlineExceededError } = require("./error-handler");
+const { toLogger } = require("./logger");
+const { getOutcome } = require("./metrics");
+
+const PIPELINE_STAGES = ["auth", "render", "upload", "email"];
+
+/**
+ * Get a stage's policy from the configuration (see loadConfig)
+ * @param {string} stage - One of PIPELINE_STAGES
+ * @returns {Object} - { maxRetries, timeoutMs, baseDelayMs, maxDelayMs }
+ */
+const getStagePolicy = (stage) => {
+  if (!PIPELINE_STAGES.includes(stage)) {
+    throw new Error(`Unknown pipeline stage: ${stage}. Must be one of: ${PIPELINE_STAGES.join(", ")}`);
+  }
+
+  const config = loadConfig();
+
+  return {
+    maxRetries: config[`${stage}MaxRetries`],
+    timeoutMs: config[`${stage}Timeout`],
+    baseDelayMs: config.retryBaseDelayMs,
+    maxDelayMs: config.retryMaxDelayMs,
+  };
+};
+
+/**
+ * Whether a failed stage is worth another attempt
+ * Rejected requests (4xx, e.g. a wrong password or a file that's too large) fail the same way again;
+ * rate limiting, outages, timeouts and network errors may not. Emails are only retried when the backend
+ * can't have sent them - the connection was refused, or it answered 429 or 503 - so admins never get one twice
+ * @param {Error} error - Error of the failed attempt
+ * @param {string} stage - Stage that failed, one of PIPELINE_STAGES
+ * @returns {boolean} - True when the stage should be retried
+ */
+const isRetryableError = (error, stage = null) => {
+  const status = error.context?.responseStatus;
+
+  if (error instanceof ValidationError || error instanceof DeadlineExceededError) return false;
+  if (stage === "email") {
+    return status === 429 || status === 503 || error.context?.networkErrorCode === "ECONNREFUSED";
+  }
+  if (status === 429 || status >= 500) return true;
+
+  return !(status >= 400);
+};
+
+/**
+ * Convert a Retry-After header (seconds or an HTTP date) to milliseconds
+ * @param {string} value - Retry-After header value
+ * @param {number} now - Current time in ms
+ * @returns {number|undefined} - Delay in ms, undefined when missing or invalid
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - now, 0);
+};
+
+/**
+ * Run a pipeline stage with its timeout on every attempt, retrying retryable failures with jittered backoff
+ * With a deadline, each attempt is also limited to the stage's share of the remaining time, and
+ * DeadlineExceededError is thrown instead of starting an attempt that can't finish
+ * @param {string} stage - One of PIPELINE_STAGES
+ * @param {Function} operation - async (signal) => result - signal is aborted when the attempt times out
+ * @param {Object|string} log - Child logger bound to the request, or the request ID
+ * @param {Deadline} deadline - Invocation deadline (see utils/deadline.js)
+ * @param {Object} metrics - Recorder from createMetrics, to record the stage's Duration and Retries
+ * @returns {Promise} - Operation result
+ */
+const runStage = async (stage, operation, log, deadline = null, metrics = null) => {
+  const policy = getStagePolicy(stage);
+  const errorHandler = new ErrorHandler(toLogger(log).child({ stage }));
+  const startTime = Date.now();
+  let attempts = 0;
+  let failure;
+
+  const shouldRetry = (error) => isRetryableError(error, stage);
+  const attempt = () => {
+    attempts++;
+    const timeoutMs = deadline ? Math.min(policy.timeoutMs, deadline.checkStage(stage)) : policy.timeoutMs;
+    return errorHandler.withTimeout(operation, timeoutMs, stage);
+  };
+
+  try {
+    return await errorHandler.withRetry(attempt, policy.maxRetries, stage, shouldRetry, policy);
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    if (metrics) {
+      metrics.record(
+        { Duration: Date.now() - startTime, Retries: Math.max(attempts - 1, 0) },
+        { stage, outcome: getOutcome(failure) }
+      );
+    }
+  }
+};
+
+module.exports = { PIPELINE_STAGES, getStagePolicy, isRetryableError, parseRetryAfter, runStage };
@@ -2,16 +2,23 @@
  * Input validation utilities
  */
 
+const { getEnvironmentRegistry } = require("../config/environment-registry");
+
 /**
  * Validates the input parameters for the Lambda function
  * @param {Object} input - Input parameters
+ * @param {Object} serviceCredentials - { serviceEmail, servicePassword } from the secrets provider, used when the
+ *   request has none; defaults to SERVICE_EMAIL / SERVICE_PASSWORD
  * @returns {Object} - Validation result
  */
-const validateInput = (input) => {
+const validateInput = (
+  input,
+  serviceCredentials = { serviceEmail: process.env.SERVICE_EMAIL, servicePassword: process.env.SERVICE_PASSWORD }
+) => {
   const errors = [];
 
   // Check required fields
-  const requiredFields = ["surveyId", "participantId", "adminEmails", "env"];
+  const requiredFields = ["surveyId", "adminEmails", "env"];
 
   for (const field of requiredFields) {
     if (!input[field]) {
@@ -19,20 +26,46 @@ const validateInput = (input) => {
     }
   }
 
-  // Check service credentials - use environment variables as fallback
-  if (!input.serviceEmail && !process.env.SERVICE_EMAIL) {
-    errors.push("serviceEmail must be provided in request or SERVICE_EMAIL environment variable must be set");
+  // A single participantId or a participantIds batch is required
+  if (!input.participantId && !input.participantIds) {
+    errors.push("Missing required field: participantId or participantIds");
+  } else if (input.participantId && input.participantIds) {
+    errors.push("Provide either participantId or participantIds, not both");
   }
 
-  if (!input.servicePassword && !process.env.SERVICE_PASSWORD) {
-    errors.push("servicePassword must be provided in request or SERVICE_PASSWORD environment variable must be set");
+  // A pre-issued token replaces the service credentials
+  const usesToken = input.accessToken !== undefined || input.delegationToken !== undefined;
+
+  if (usesToken) {
+    for (const field of ["accessToken", "delegationToken"]) {
+      if (input[field] !== undefined && (typeof input[field] !== "string" || !input[field])) {
+        errors.push(`${field} must be a non-empty string`);
+      }
+    }
+
+    if (input.accessToken !== undefined && input.delegationToken !== undefined) {
+      errors.push("Provide either accessToken or delegationToken, not both");
+    }
+
+    if (input.servicePassword !== undefined) {
+      errors.push("servicePassword cannot be combined with accessToken or delegationToken");
+    }
+  } else {
+    // Check service credentials - use the secrets provider as fallback
+    if (!input.serviceEmail && !serviceCredentials.serviceEmail) {
+      errors.push("serviceEmail must be provided in request or set as SERVICE_EMAIL in the secrets provider");
+    }
+
+    if (!input.servicePassword && !serviceCredentials.servicePassword) {
+      errors.push("servicePassword must be provided in request or set as SERVICE_PASSWORD in the secrets provider");
+    }
   }
 
-  // Validate environment
+  // Validate environment against the environment registry
   if (input.env) {
-    const validEnvironments = ["local", "dev", "qa", "staging", "prod"];
-    if (!validEnvironments.includes(input.env)) {
-      errors.push(`Invalid environment: ${input.env}. Must be one of: ${validEnvironments.join(", ")}`);
+    const registry = getEnvironmentRegistry();
+    if (typeof input.env !== "string" || !registry.has(input.env)) {
+      errors.push(`Invalid environment: ${input.env}. Must be one of: ${registry.names().join(", ")}`);
     }
   }
 
@@ -45,6 +78,22 @@ const validateInput = (input) => {
     errors.push("participantId must be a string");
   }
 
+  if (input.participantIds) {
+    if (!Array.isArray(input.participantIds)) {
+      errors.push("participantIds must be an array");
+    } else if (input.participantIds.length === 0) {
+      errors.push("participantIds array cannot be empty");
+    } else if (input.participantIds.some((id) => typeof id !== "string" || !id)) {
+      errors.push("participantIds must only contain non-empty strings");
+    } else {
+      // Each participant is rendered, uploaded and emailed once per batch
+      const duplicates = input.participantIds.filter((id, index) => input.participantIds.indexOf(id) !== index);
+      if (duplicates.length > 0) {
+        errors.push(`participantIds must not contain duplicates: ${[...new Set(duplicates)].join(", ")}`);
+      }
+    }
+  }
+
   if (input.adminEmails) {
     if (!Array.isArray(input.adminEmails)) {
       errors.push("adminEmails must be an array");
@@ -63,6 +112,36 @@ const validateInput = (input) => {
 
   // Environment validation is handled above
 
+  if (input.callbackUrl !== undefined) {
+    if (typeof input.callbackUrl !== "string" || !/^https?:\/\//.test(input.callbackUrl)) {
+      errors.push("callbackUrl must be an http(s) URL");
+    } else {
+      const allowedDomains = process.env.ALLOWED_DOMAINS ? process.env.ALLOWED_DOMAINS.split(",") : [];
+      if (!isAllowedDomain(input.callbackUrl, allowedDomains)) {
+        errors.push(`callbackUrl domain is not allowed: ${input.callbackUrl}`);
+      }
+    }
+  }
+
+  if (input.captureStrategy !== undefined) {
+    const validStrategies = ["directory-poll", "cdp-download", "direct-print"];
+    if (!validStrategies.includes(input.captureStrategy)) {
+      errors.push(`Invalid captureStrategy: ${input.captureStrategy}. Must be one of: ${validStrategies.join(", ")}`);
+    }
+  }
+
+  if (input.pdfOptions !== undefined) {
+    errors.push(...validatePdfOptions(input.pdfOptions));
+  }
+
+  if (input.idempotencyKey !== undefined) {
+    if (typeof input.idempotencyKey !== "string" || !input.idempotencyKey) {
+      errors.push("idempotencyKey must be a non-empty string");
+    } else if (input.idempotencyKey.length > 255) {
+      errors.push("idempotencyKey must be at most 255 characters");
+    }
+  }
+
   if (input.serviceEmail && typeof input.serviceEmail !== "string") {
     errors.push("serviceEmail must be a string");
   }
@@ -77,6 +156,60 @@ const validateInput = (input) => {
   };
 };
 
+/**
+ * Validates page.pdf() options for the direct-print capture strategy
+ * @param {Object} pdfOptions - { format, landscape, printBackground, scale, margin, headerTemplate, footerTemplate, printCss }
+ * @returns {Array} - Validation errors
+ */
+const validatePdfOptions = (pdfOptions) => {
+  if (!pdfOptions || typeof pdfOptions !== "object" || Array.isArray(pdfOptions)) {
+    return ["pdfOptions must be an object"];
+  }
+
+  const errors = [];
+  const validFormats = ["Letter", "Legal", "Tabloid", "Ledger", "A0", "A1", "A2", "A3", "A4", "A5", "A6"];
+
+  if (pdfOptions.format !== undefined && !validFormats.includes(pdfOptions.format)) {
+    errors.push(`Invalid pdfOptions.format: ${pdfOptions.format}. Must be one of: ${validFormats.join(", ")}`);
+  }
+
+  for (const field of ["landscape", "printBackground"]) {
+    if (pdfOptions[field] !== undefined && typeof pdfOptions[field] !== "boolean") {
+      errors.push(`pdfOptions.${field} must be a boolean`);
+    }
+  }
+
+  // Chrome only accepts print scales between 0.1 and 2
+  if (
+    pdfOptions.scale !== undefined &&
+    (typeof pdfOptions.scale !== "number" || pdfOptions.scale < 0.1 || pdfOptions.scale > 2)
+  ) {
+    errors.push("pdfOptions.scale must be a number between 0.1 and 2");
+  }
+
+  if (pdfOptions.margin !== undefined) {
+    if (!pdfOptions.margin || typeof pdfOptions.margin !== "object") {
+      errors.push("pdfOptions.margin must be an object");
+    } else {
+      for (const [side, value] of Object.entries(pdfOptions.margin)) {
+        if (!["top", "right", "bottom", "left"].includes(side)) {
+          errors.push(`Invalid pdfOptions.margin side: ${side}`);
+        } else if (typeof value !== "string" || !/^\d+(\.\d+)?(px|in|cm|mm)?$/.test(value)) {
+          errors.push(`pdfOptions.margin.${side} must be a length such as "10mm"`);
+        }
+      }
+    }
+  }
+
+  for (const field of ["headerTemplate", "footerTemplate", "printCss"]) {
+    if (pdfOptions[field] !== undefined && typeof pdfOptions[field] !== "string") {
+      errors.push(`pdfOptions.${field} must be a string`);
+    }
+  }
+
+  return errors;
+};
+
 /**
  * Sanitizes input by removing potentially dangerous characters
  * @param {string} input - Input string to sanitize
@@ -89,38 +222,6 @@ const sanitizeString = (input) => {
   return input.replace(/[<>:"/\\|?*\x00-\x1f]/g, "");
 };
 
-/**
- * Get frontend and backend URLs based on environment
- * @param {string} env - Environment name (local, dev, qa, staging, prod)
- * @returns {Object} - URLs for frontend and backend
- */
-const getEnvironmentUrls = (env) => {
-  const urlMappings = {
-    local: {
-      frontendUrl: "https://dev.survey.59club.studiographene.xyz",
-      backendUrl: "https://dev.surveyapi.59club.studiographene.xyz/api",
-    },
-    dev: {
-      frontendUrl: "https://dev.survey.59club.studiographene.xyz",
-      backendUrl: "https://dev.surveyapi.59club.studiographene.xyz/api",
-    },
-    qa: {
-      frontendUrl: "https://qa.survey.59club.studiographene.xyz",
-      backendUrl: "https://qa.surveyapi.59club.studiographene.xyz/api",
-    },
-    staging: {
-      frontendUrl: "https://staging.surveys.59club.com",
-      backendUrl: "https://staging.api.surveys.59club.com/api",
-    },
-    prod: {
-      frontendUrl: "https://staging.surveys.59club.com", // TBC, using staging for now
-      backendUrl: "https://staging.api.surveys.59club.com/api", // TBC, using staging for now
-    },
-  };
-
-  return urlMappings[env] || urlMappings.staging; // Default to staging if unknown env
-};
-
 /**
  * Validates URL is from allowed domains (security measure)
  * @param {string} url - URL to validate
@@ -149,7 +250,7 @@ const isAllowedDomain = (url, allowedDomains = []) => {
 
 module.exports = {
   validateInput,
+  validatePdfOptions,
   sanitizeString,
-  getEnvironmentUrls,
   isAllowedDomain,
 };
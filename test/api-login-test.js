@@ -0,0 +1,193 @@
+/**
+ * Local tests for API login (LOGIN_MODE=api): the service account logs in through the backend's
+ * /users/login and the browser is seeded with its cookies and token, without loading the login form
+ *
+ * Usage:
+ *   node test/api-login-test.js
+ */
+
+const assert = require("assert");
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { BrowserPool, getBrowserPool, setBrowserPool } = require("../src/services/browser-pool");
+const { SessionCache, setSessionCache } = require("../src/services/session-cache");
+const { parseSetCookie, loginViaApi } = require("../src/services/api-login");
+const { ServiceUnavailableError, TimeoutError } = require("../src/utils/error-handler");
+const { runTests } = require("./test-runner");
+const { startFixtureServer, readJsonBody, redirectToLogin, exportFixturePDF } = require("./test-helpers");
+
+// The frontend sends visitors without its token in localStorage back to the login page
+const resultsPage = `<!DOCTYPE html>
+<html>
+  <head>
+    <script>
+      if (localStorage.getItem("authToken") !== "api-token") location.href = "/en-GB/auth/login";
+    </script>
+  </head>
+  <body><h1>Survey results</h1></body>
+</html>`;
+
+/**
+ * Backend login endpoint plus a results page that needs the backend's session cookie and the
+ * token in localStorage; the login form itself is never expected to load
+ */
+const startBackend = async () => {
+  const fixture = { logins: [], loginPageViews: 0 };
+
+  const server = await startFixtureServer(async (req, res, url) => {
+    if (url.pathname === "/users/login" && req.method === "POST") {
+      const credentials = await readJsonBody(req);
+      fixture.logins.push(credentials);
+
+      // Never answered, so the login times out
+      if (credentials.password === "slow") return;
+
+      if (credentials.password === "unavailable") {
+        res.writeHead(503, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ message: "Service Unavailable" }));
+        return;
+      }
+
+      if (credentials.password !== "service-password") {
+        res.writeHead(401, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ message: "Invalid credentials" }));
+        return;
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Set-Cookie": ["session=api-session; Path=/; HttpOnly; SameSite=lax", "theme=dark; Max-Age=3600"],
+      });
+      res.end(JSON.stringify({ data: { token: "api-token" } }));
+      return;
+    }
+
+    if (url.pathname.includes("/auth/login")) {
+      fixture.loginPageViews++;
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<html><body>Login</body></html>");
+      return;
+    }
+
+    if (!(req.headers.cookie || "").includes("session=api-session")) {
+      redirectToLogin(res);
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(resultsPage);
+  });
+
+  return Object.assign(fixture, server);
+};
+
+/**
+ * Export a participant from the fixture with API login
+ * @param {Object} fixture - Fixture server
+ * @param {Object} credentials - Service account override
+ * @returns {Promise<Object>} - { pdfBuffer, accessToken }
+ */
+const exportPDF = (fixture, credentials) =>
+  exportFixturePDF(fixture, { name: "api-login-test", serviceOptions: { loginMode: "api" }, credentials });
+
+const tests = {
+  "Set-Cookie headers become browser cookies": async () => {
+    const url = "https://api.test.com/users/login";
+
+    assert.deepStrictEqual(parseSetCookie("session=abc=1; Path=/app; HttpOnly; Secure; SameSite=strict", url), {
+      name: "session",
+      value: "abc=1",
+      domain: "api.test.com",
+      path: "/app",
+      httpOnly: true,
+      secure: true,
+      sameSite: "Strict",
+    });
+
+    assert.strictEqual(parseSetCookie("token=1; Domain=.test.com", url).domain, "test.com");
+    assert.strictEqual(parseSetCookie("token=1; Expires=Wed, 01 Jan 2031 00:00:00 GMT", url).expires, 1924992000);
+    assert.ok(parseSetCookie("token=1; Max-Age=60; Expires=Wed, 01 Jan 2031 00:00:00 GMT", url).expires < 1924992000);
+    assert.strictEqual(parseSetCookie("invalid", url), null);
+  },
+
+  "the export is logged in without loading the login form": async (fixture) => {
+    const { pdfBuffer, accessToken } = await exportPDF(fixture);
+
+    assert.strictEqual(accessToken, "api-token");
+    assert.strictEqual(pdfBuffer.subarray(0, 5).toString(), "%PDF-");
+    assert.strictEqual(fixture.loginPageViews, 0);
+    assert.deepStrictEqual(fixture.logins, [{ email: "service@test.com", password: "service-password" }]);
+  },
+
+  "API sessions are cached like UI logins": async (fixture) => {
+    await exportPDF(fixture);
+    await exportPDF(fixture);
+
+    assert.strictEqual(fixture.logins.length, 1);
+  },
+
+  "rejected credentials fail authentication": async (fixture) => {
+    await assert.rejects(exportPDF(fixture, { servicePassword: "wrong" }), /Authentication failed: Login failed: 401/);
+  },
+
+  "a backend outage isn't reported as rejected credentials": async (fixture) => {
+    const login = loginViaApi({
+      backendUrl: fixture.url,
+      frontendUrl: fixture.url,
+      serviceEmail: "service@test.com",
+      servicePassword: "unavailable",
+    });
+
+    await assert.rejects(login, (error) => {
+      assert.ok(error instanceof ServiceUnavailableError, error.message);
+      assert.strictEqual(error.context.responseStatus, 503);
+      return true;
+    });
+  },
+
+  "a login that times out fails with a timeout": async (fixture) => {
+    const login = loginViaApi({
+      backendUrl: fixture.url,
+      frontendUrl: fixture.url,
+      serviceEmail: "service@test.com",
+      servicePassword: "slow",
+      timeoutMs: 200,
+    });
+
+    await assert.rejects(login, (error) => {
+      assert.ok(error instanceof TimeoutError, error.message);
+      return true;
+    });
+  },
+
+  "unknown login modes are rejected": async () => {
+    assert.throws(() => new PuppeteerService("api-login-test", { loginMode: "sso" }), /Unknown login mode: sso/);
+  },
+};
+
+async function runApiLoginTests() {
+  await runTests("API login", tests, {
+    setup: async () => {
+      setBrowserPool(new BrowserPool({ reuse: true }));
+      return startBackend();
+    },
+    beforeEach: (fixture) => {
+      fixture.logins = [];
+      fixture.loginPageViews = 0;
+      setSessionCache(new SessionCache());
+    },
+    teardown: async (fixture) => {
+      await getBrowserPool().close();
+      fixture.server.close();
+    },
+  });
+}
+
+if (require.main === module) {
+  runApiLoginTests();
+}
+
+module.exports = { runApiLoginTests };
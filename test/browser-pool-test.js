@@ -0,0 +1,177 @@
+/**
+ * Local tests for the browser pool: Chrome is reused across warm invocations, replaced when it
+ * stops responding, and every request gets its own browser context
+ *
+ * Usage:
+ *   node test/browser-pool-test.js
+ */
+
+const assert = require("assert");
+const EventEmitter = require("events");
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { BrowserPool } = require("../src/services/browser-pool");
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { runTests } = require("./test-runner");
+const { startFixtureServer } = require("./test-helpers");
+
+/**
+ * Stand-in for a Puppeteer browser that records how it was used
+ */
+class FakeBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.hangs = false;
+    this.contexts = [];
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  version() {
+    return this.hangs ? new Promise(() => {}) : Promise.resolve("HeadlessChrome/131");
+  }
+
+  async createIncognitoBrowserContext() {
+    const context = { closed: false, close: async () => (context.closed = true) };
+    this.contexts.push(context);
+    return context;
+  }
+
+  async close() {
+    this.closed = true;
+    this.disconnect();
+  }
+
+  disconnect() {
+    this.connected = false;
+    this.emit("disconnected");
+  }
+
+  process() {
+    return null;
+  }
+}
+
+const fakeLauncher = () => {
+  const launched = [];
+  const launch = async () => {
+    const browser = new FakeBrowser();
+    launched.push(browser);
+    return browser;
+  };
+  return { launched, launch };
+};
+
+const tests = {
+  "a warm browser is reused with a new context per request": async () => {
+    const pool = new BrowserPool({ reuse: true });
+    const { launched, launch } = fakeLauncher();
+
+    const first = await pool.acquire("request-1", launch);
+    await first.release();
+    const second = await pool.acquire("request-2", launch);
+    await second.release();
+
+    assert.strictEqual(launched.length, 1);
+    assert.strictEqual(first.reused, false);
+    assert.strictEqual(second.reused, true);
+    assert.notStrictEqual(first.context, second.context);
+    assert.ok(first.context.closed && second.context.closed);
+    assert.ok(!launched[0].closed, "the pooled browser should stay open");
+  },
+
+  "a browser that fails its health check is replaced": async () => {
+    const pool = new BrowserPool({ reuse: true, healthCheckTimeout: 50 });
+    const { launched, launch } = fakeLauncher();
+
+    await (await pool.acquire("request-1", launch)).release();
+    launched[0].hangs = true;
+    const session = await pool.acquire("request-2", launch);
+
+    assert.strictEqual(launched.length, 2);
+    assert.strictEqual(session.browser, launched[1]);
+    assert.strictEqual(session.reused, false);
+    assert.ok(launched[0].closed, "the unresponsive browser should be closed");
+  },
+
+  "a disconnected browser is replaced": async () => {
+    const pool = new BrowserPool({ reuse: true });
+    const { launched, launch } = fakeLauncher();
+
+    await (await pool.acquire("request-1", launch)).release();
+    launched[0].disconnect();
+    const session = await pool.acquire("request-2", launch);
+
+    assert.strictEqual(launched.length, 2);
+    assert.strictEqual(session.browser, launched[1]);
+  },
+
+  "concurrent requests on a cold container share one launch": async () => {
+    const pool = new BrowserPool({ reuse: true });
+    const { launched, launch } = fakeLauncher();
+
+    const sessions = await Promise.all([pool.acquire("request-1", launch), pool.acquire("request-2", launch)]);
+
+    assert.strictEqual(launched.length, 1);
+    assert.notStrictEqual(sessions[0].context, sessions[1].context);
+  },
+
+  "with reuse disabled every request gets its own browser": async () => {
+    const pool = new BrowserPool({ reuse: false });
+    const { launched, launch } = fakeLauncher();
+
+    await (await pool.acquire("request-1", launch)).release();
+    await (await pool.acquire("request-2", launch)).release();
+
+    assert.strictEqual(launched.length, 2);
+    assert.ok(launched.every((browser) => browser.closed));
+  },
+
+  "cookies and storage do not leak between requests in a reused browser": async () => {
+    const { server, url } = await startFixtureServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(`<html><body>${req.headers.cookie || "no cookies"}</body></html>`);
+    });
+
+    const pool = new BrowserPool({ reuse: true });
+    const launch = () => new PuppeteerService("pool-test").launchBrowser();
+
+    try {
+      const first = await pool.acquire("request-1", launch);
+      const firstPage = await first.context.newPage();
+      await firstPage.goto(url);
+      await firstPage.evaluate(() => {
+        document.cookie = "session=request-1";
+        localStorage.setItem("accessToken", "request-1");
+      });
+      await first.release();
+
+      const second = await pool.acquire("request-2", launch);
+      const secondPage = await second.context.newPage();
+      await secondPage.goto(url);
+
+      assert.strictEqual(second.reused, true);
+      assert.strictEqual(await secondPage.evaluate(() => document.body.textContent), "no cookies");
+      assert.strictEqual(await secondPage.evaluate(() => localStorage.getItem("accessToken")), null);
+      await second.release();
+    } finally {
+      await pool.close();
+      server.close();
+    }
+  },
+};
+
+async function runBrowserPoolTests() {
+  await runTests("browser pool", tests);
+}
+
+if (require.main === module) {
+  runBrowserPoolTests();
+}
+
+module.exports = { runBrowserPoolTests };
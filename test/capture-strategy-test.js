@@ -0,0 +1,299 @@
+/**
+ * Local tests for the PDF capture strategies (directory-poll, cdp-download, direct-print),
+ * run against a fixture results page with the bundled Chromium
+ *
+ * Usage:
+ *   node test/capture-strategy-test.js
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { BrowserPool } = require("../src/services/browser-pool");
+const { createCaptureStrategy } = require("../src/services/capture-strategies");
+const { validateInput } = require("../src/utils/validation");
+const { MOCK_EVENT } = require("./local-test");
+const { runTestCases, reportResults } = require("./test-runner");
+const { startFixtureServer, redirectToLogin } = require("./test-helpers");
+
+/**
+ * Build a small but complete PDF naming the participant it was exported for
+ * @param {string} participantId - Participant ID
+ * @returns {Buffer} - PDF file buffer
+ */
+const fixturePDF = (participantId) =>
+  Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\n% participant: ${participantId}\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n`);
+
+/**
+ * Results page; with ?download=pdf it starts a download like the frontend's client-side export does
+ * @param {string} participantId - Participant ID
+ * @param {boolean} download - Whether to start the export
+ * @returns {string} - HTML
+ */
+const fixturePage = (participantId, download) => `<!DOCTYPE html>
+<html>
+  <head><title>Survey results</title></head>
+  <body>
+    <h1>Survey results</h1>
+    <p class="screen-only">Only shown on screen</p>
+    <table><tr><th>Question</th><th>Score</th></tr><tr><td>Welcome</td><td>92%</td></tr></table>
+    ${
+      download
+        ? `<script>
+      setTimeout(() => {
+        const link = document.createElement("a");
+        link.href = "/files/${participantId}.pdf";
+        link.download = "${participantId}.pdf";
+        document.body.appendChild(link);
+        link.click();
+      }, 200);
+    </script>`
+        : ""
+    }
+  </body>
+</html>`;
+
+const startFrontend = async () => {
+  const requests = [];
+  const fixture = await startFixtureServer((req, res, url) => {
+    requests.push(req.url);
+
+    if (url.pathname.startsWith("/files/")) {
+      const participantId = path.basename(url.pathname, ".pdf");
+      let body = fixturePDF(participantId);
+
+      // A file that downloads completely but was cut short by the frontend
+      if (participantId.startsWith("truncated-")) {
+        body = body.subarray(0, body.length - 7);
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${participantId}.pdf"`,
+        "Content-Length": body.length,
+      });
+      setTimeout(() => res.end(body), participantId.startsWith("slow-") ? 500 : 0);
+      return;
+    }
+
+    if (url.pathname.includes("/auth/")) {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<html><body>Login</body></html>");
+      return;
+    }
+
+    const participantId = url.searchParams.get("participantIds");
+    if (participantId === "expired-session") {
+      redirectToLogin(res);
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(fixturePage(participantId, url.searchParams.get("download") === "pdf"));
+  });
+
+  return { ...fixture, requests };
+};
+
+/**
+ * Read the page size of the first page from a PDF buffer
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @returns {Array} - [width, height] in points
+ */
+const getMediaBox = (pdfBuffer) => {
+  const match = pdfBuffer.toString("latin1").match(/\/MediaBox\s*\[\s*0 0 ([\d.]+) ([\d.]+)\s*\]/);
+  return match ? [parseFloat(match[1]), parseFloat(match[2])] : null;
+};
+
+/**
+ * Export a participant from the fixture with the given strategy, in its own browser context
+ * @param {Object} env - { pool, fixture, downloadPath }
+ * @param {string} participantId - Participant ID
+ * @param {Object} options - PuppeteerService options
+ * @returns {Buffer} - PDF file buffer
+ */
+const exportPDF = async ({ pool, fixture, downloadPath }, participantId, options = {}) => {
+  const service = new PuppeteerService("capture-test", options);
+  service.timeout = 15000;
+  service.downloadPath = downloadPath;
+
+  const session = await pool.acquire("capture-test", () => service.launchBrowser());
+  try {
+    return await service.exportParticipantPDF(session.context, "test-token", {
+      surveyId: "survey-1",
+      participantId,
+      frontendUrl: fixture.url,
+    });
+  } finally {
+    await session.release();
+  }
+};
+
+const suites = {
+  "directory-poll": {
+    "the frontend's download is picked up from the download directory": async (env) => {
+      const pdfBuffer = await exportPDF(env, "participant-1", { captureStrategy: "directory-poll" });
+
+      assert.ok(pdfBuffer.equals(fixturePDF("participant-1")));
+      assert.deepStrictEqual(fs.readdirSync(env.downloadPath), []);
+    },
+
+    "is the default strategy": async () => {
+      assert.strictEqual(new PuppeteerService("capture-test").captureStrategy.name, "directory-poll");
+    },
+  },
+
+  "cdp-download": {
+    "the page's download is captured through CDP events": async (env) => {
+      const pdfBuffer = await exportPDF(env, "participant-1", { captureStrategy: "cdp-download" });
+
+      assert.ok(pdfBuffer.equals(fixturePDF("participant-1")));
+    },
+
+    "concurrent exports each get their own download": async (env) => {
+      const [slow, fast] = await Promise.all([
+        exportPDF(env, "slow-participant", { captureStrategy: "cdp-download" }),
+        exportPDF(env, "fast-participant", { captureStrategy: "cdp-download" }),
+      ]);
+
+      assert.ok(slow.equals(fixturePDF("slow-participant")));
+      assert.ok(fast.equals(fixturePDF("fast-participant")));
+    },
+
+    "incomplete PDFs are rejected and downloaded files removed": async (env) => {
+      await assert.rejects(
+        exportPDF(env, "truncated-participant", { captureStrategy: "cdp-download" }),
+        /missing %%EOF marker/
+      );
+
+      const page = await env.pool.browser.newPage();
+      const strategy = createCaptureStrategy("cdp-download", new PuppeteerService("capture-test"));
+      const { downloadDir } = await strategy.getDownloadSession(page);
+      await page.close();
+      assert.deepStrictEqual(fs.readdirSync(downloadDir), []);
+    },
+
+    "a redirect to the login page fails the capture": async (env) => {
+      await assert.rejects(
+        exportPDF(env, "expired-session", { captureStrategy: "cdp-download" }),
+        /redirected to login page/
+      );
+    },
+
+    "file size must match the completed download": async (env) => {
+      const filePath = path.join(env.downloadPath, "download");
+      fs.writeFileSync(filePath, fixturePDF("participant-3"));
+
+      const strategy = createCaptureStrategy("cdp-download", new PuppeteerService("capture-test"));
+      assert.throws(() => strategy.readCompletedPDF(filePath, 10_000), /incomplete/);
+      assert.ok(strategy.readCompletedPDF(filePath, fixturePDF("participant-3").length).length > 0);
+    },
+  },
+
+  "direct-print": {
+    "the results page is rendered with page.pdf()": async (env) => {
+      const progress = [];
+      const firstRequest = env.fixture.requests.length;
+      const pdfBuffer = await exportPDF(env, "participant-1", {
+        captureStrategy: "direct-print",
+        onProgress: (update) => progress.push(update),
+      });
+
+      const requests = env.fixture.requests.slice(firstRequest);
+      assert.strictEqual(pdfBuffer.subarray(0, 5).toString(), "%PDF-");
+      assert.deepStrictEqual(requests, ["/en-GB/surveys/survey-1/results/by-user?participantIds=participant-1"]);
+      assert.deepStrictEqual(progress.map((update) => update.progress), [50, 100]);
+    },
+
+    "page size, orientation, margins and templates are applied": async (env) => {
+      const render = (pdfOptions) => exportPDF(env, "participant-1", { captureStrategy: "direct-print", pdfOptions });
+
+      const [width, height] = getMediaBox(await render({ format: "A4" }));
+      const [landscapeWidth, landscapeHeight] = getMediaBox(
+        await render({
+          format: "A4",
+          landscape: true,
+          margin: { top: "20mm", bottom: "20mm" },
+          headerTemplate: '<div style="font-size: 8px">59club</div>',
+          footerTemplate: '<div style="font-size: 8px"><span class="pageNumber"></span></div>',
+          printCss: ".screen-only { display: none; }",
+        })
+      );
+
+      assert.ok(height > width, "A4 portrait should be taller than it is wide");
+      assert.strictEqual(Math.round(landscapeWidth), Math.round(height));
+      assert.strictEqual(Math.round(landscapeHeight), Math.round(width));
+    },
+
+    "a redirect to the login page fails the render": async (env) => {
+      await assert.rejects(
+        exportPDF(env, "expired-session", { captureStrategy: "direct-print" }),
+        /redirected to login page/
+      );
+    },
+  },
+
+  validation: {
+    "unknown strategies are rejected": async () => {
+      assert.throws(() => new PuppeteerService("capture-test", { captureStrategy: "screenshot" }), /Unknown capture/);
+    },
+
+    "captureStrategy and pdfOptions are validated": async () => {
+      const input = JSON.parse(MOCK_EVENT.body);
+
+      assert.ok(
+        validateInput({ ...input, captureStrategy: "direct-print", pdfOptions: { format: "A4", scale: 0.8 } }).isValid
+      );
+
+      const { errors } = validateInput({
+        ...input,
+        captureStrategy: "screenshot",
+        pdfOptions: { format: "B5", scale: 3, margin: { top: "wide" }, headerTemplate: 1 },
+      });
+
+      assert.deepStrictEqual(errors, [
+        "Invalid captureStrategy: screenshot. Must be one of: directory-poll, cdp-download, direct-print",
+        "Invalid pdfOptions.format: B5. Must be one of: Letter, Legal, Tabloid, Ledger, A0, A1, A2, A3, A4, A5, A6",
+        "pdfOptions.scale must be a number between 0.1 and 2",
+        'pdfOptions.margin.top must be a length such as "10mm"',
+        "pdfOptions.headerTemplate must be a string",
+      ]);
+    },
+  },
+};
+
+async function runCaptureStrategyTests() {
+  console.log("🚀 Starting capture strategy tests...\n");
+
+  const fixture = await startFrontend();
+  let failures = 0;
+
+  // Each strategy gets its own pooled browser and download directory
+  for (const [suite, tests] of Object.entries(suites)) {
+    const downloadPath = fs.mkdtempSync(path.join(os.tmpdir(), "capture-test-"));
+    const pool = new BrowserPool({ reuse: true });
+
+    try {
+      failures += await runTestCases(tests, { context: { pool, fixture, downloadPath }, label: suite });
+    } finally {
+      await pool.close();
+      fs.rmSync(downloadPath, { recursive: true, force: true });
+    }
+  }
+
+  fixture.server.close();
+
+  reportResults("capture strategy", failures);
+}
+
+if (require.main === module) {
+  runCaptureStrategyTests();
+}
+
+module.exports = { runCaptureStrategyTests };
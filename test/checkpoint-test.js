@@ -0,0 +1,260 @@
+/**
+ * Local tests for resumable exports: each job checkpoints the uploaded PDF's hash and pdfUrl and the
+ * email status per participant, so a retry only runs the stages that haven't completed yet
+ *
+ * Usage:
+ *   node test/checkpoint-test.js
+ */
+
+const assert = require("assert");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+process.env.RETRY_BASE_DELAY_MS = "1";
+
+const { handler } = require("../src/index");
+const { SessionCache, setSessionCache } = require("../src/services/session-cache");
+const { MemoryJobStore, setJobStore, getJobStore } = require("../src/services/job-store");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { ExportCheckpoint, hashPDF } = require("../src/services/export-checkpoint");
+const { MOCK_EVENT, MOCK_BATCH_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { postExport, waitForJob, mockRenderer, mockBackend, httpError, networkError } = require("./test-helpers");
+
+const PDF = Buffer.from("%PDF-1.4 checkpoint");
+const PARTICIPANT_ID = "test-participant-456";
+
+const calls = { render: [], login: 0, upload: 0, email: 0, emailTokens: [] };
+// Backend answers per endpoint: a list of "ok", "timeout" or HTTP statuses to fail with, one per call; the last repeats
+let answers = {};
+// Time left in the invocation as reported by `deadlineContext`; uploads use up `uploadCostMs`
+const clock = { remainingMs: Infinity, uploadCostMs: 0 };
+
+/**
+ * Replace the browser, and answer login, upload and email requests from `answers`
+ */
+const mockPipeline = () => {
+  mockRenderer({
+    accessToken: "browser-token",
+    pdfBuffer: PDF,
+    onRender: ({ participantId, participantIds }) => calls.render.push(...(participantIds || [participantId])),
+  });
+
+  mockBackend((endpoint, { config }) => {
+    const count = ++calls[endpoint];
+    const script = answers[endpoint] || ["ok"];
+    const answer = script[Math.min(count, script.length) - 1];
+
+    if (endpoint === "email") calls.emailTokens.push(config.headers.Authorization);
+    if (endpoint === "upload") clock.remainingMs -= clock.uploadCostMs;
+
+    if (answer === "timeout") throw networkError("ECONNABORTED");
+    if (answer !== "ok") throw httpError(answer);
+    if (endpoint === "login") {
+      return { status: 200, data: { accessToken: "api-token" }, headers: {} };
+    }
+    return { status: 200, data: { fileLocation: `exports/${count}.pdf` }, headers: {} };
+  });
+};
+
+const deadlineContext = { ...MOCK_CONTEXT, getRemainingTimeInMillis: () => clock.remainingMs };
+
+/**
+ * Run a job again with the payload its dispatcher sent, the way Lambda's async retries and DLQ replays do
+ * @param {string} jobId - Job ID
+ * @param {Object} event - Request the job was started from
+ * @returns {Object} - Final job record
+ */
+const rerunJob = async (jobId, event = MOCK_EVENT) => {
+  const input = { ...JSON.parse(event.body), async: true };
+  await handler({ exportJob: { jobId, input } }, MOCK_CONTEXT).catch(() => {});
+  return getJobStore().get(jobId);
+};
+
+const tests = {
+  "checkpoints record the uploaded PDF's hash, pdfUrl and email status": async () => {
+    answers = { email: [400] };
+    const accepted = await postExport({ async: true });
+    const job = await waitForJob(accepted.body.jobId);
+
+    assert.strictEqual(job.status, "failed");
+    const checkpoint = job.checkpoint.participants[PARTICIPANT_ID];
+    assert.strictEqual(checkpoint.pdfHash, hashPDF(PDF));
+    assert.strictEqual(checkpoint.pdfSize, PDF.length);
+    assert.match(checkpoint.pdfUrl, /exports\/1\.pdf$/);
+    assert.strictEqual(checkpoint.emailStatus, "failed");
+    assert.match(checkpoint.emailError, /Request failed with status code 400/);
+
+    const status = await handler({ httpMethod: "GET", pathParameters: { jobId: job.jobId } }, MOCK_CONTEXT);
+    assert.deepStrictEqual(JSON.parse(status.body).checkpoint.participants[PARTICIPANT_ID], checkpoint);
+  },
+
+  "an email-only retry reuses the uploaded pdfUrl without the browser": async () => {
+    answers = { email: [400, "ok"] };
+    const accepted = await postExport({ async: true });
+    const failed = await waitForJob(accepted.body.jobId);
+
+    const job = await rerunJob(failed.jobId);
+
+    assert.strictEqual(job.status, "done");
+    assert.strictEqual(job.pdfUrl, failed.checkpoint.participants[PARTICIPANT_ID].pdfUrl);
+    assert.strictEqual(job.checkpoint.participants[PARTICIPANT_ID].emailStatus, "sent");
+    assert.deepStrictEqual(calls.render, [PARTICIPANT_ID], "the PDF isn't generated again");
+    assert.strictEqual(calls.upload, 1, "the PDF isn't uploaded again");
+    assert.strictEqual(calls.email, 2);
+    assert.strictEqual(calls.login, 1, "the retry logs in through the API for its token");
+    assert.deepStrictEqual(calls.emailTokens, ["Bearer browser-token", "Bearer api-token"]);
+  },
+
+  "an email that timed out isn't sent again when the export resumes": async () => {
+    answers = { email: ["timeout", "ok"] };
+    const accepted = await postExport({ async: true });
+    const failed = await waitForJob(accepted.body.jobId);
+
+    assert.strictEqual(failed.status, "failed");
+    assert.strictEqual(failed.checkpoint.participants[PARTICIPANT_ID].emailStatus, "unknown");
+    assert.strictEqual(calls.email, 1, "a timed-out email isn't retried");
+
+    const job = await rerunJob(failed.jobId);
+
+    assert.strictEqual(job.status, "done");
+    assert.strictEqual(job.pdfUrl, failed.checkpoint.participants[PARTICIPANT_ID].pdfUrl);
+    assert.strictEqual(calls.email, 1, "the email isn't sent again");
+    assert.deepStrictEqual([calls.render.length, calls.upload], [1, 1]);
+  },
+
+  "a retried request resumes from its failed job's checkpoint": async () => {
+    answers = { email: [400, "ok"] };
+    const first = await postExport({ async: true });
+    assert.strictEqual((await waitForJob(first.body.jobId)).status, "failed");
+
+    const retried = await postExport({ async: true });
+    assert.notStrictEqual(retried.body.jobId, first.body.jobId);
+
+    const job = await waitForJob(retried.body.jobId);
+    assert.strictEqual(job.status, "done");
+    assert.strictEqual(calls.render.length, 1);
+    assert.strictEqual(calls.upload, 1);
+  },
+
+  "delivered participants aren't exported again": async () => {
+    const accepted = await postExport({ async: true });
+    const done = await waitForJob(accepted.body.jobId);
+    assert.strictEqual(done.status, "done");
+
+    const replayed = await rerunJob(done.jobId);
+
+    assert.strictEqual(replayed.status, "done");
+    assert.strictEqual(replayed.pdfUrl, done.pdfUrl);
+    assert.deepStrictEqual([calls.render.length, calls.upload, calls.email], [1, 1, 1]);
+  },
+
+  "batch retries only redo the participants that didn't finish": async () => {
+    answers = { upload: ["ok", 400] };
+    const accepted = await postExport({ async: true }, { event: MOCK_BATCH_EVENT });
+    const partial = await waitForJob(accepted.body.jobId);
+
+    assert.deepStrictEqual(
+      partial.results.map((result) => result.success),
+      [true, false]
+    );
+
+    answers = {};
+    const job = await rerunJob(partial.jobId, MOCK_BATCH_EVENT);
+
+    assert.deepStrictEqual(
+      job.results.map((result) => [result.participantId, result.success]),
+      [
+        ["test-participant-456", true],
+        ["test-participant-789", true],
+      ]
+    );
+    assert.deepStrictEqual(calls.render, ["test-participant-456", "test-participant-789", "test-participant-789"]);
+    assert.strictEqual(calls.email, 2);
+  },
+
+  "an export handed off by the deadline continues from its checkpoint": async () => {
+    process.env.DEADLINE_SAFETY_MARGIN_MS = "15000";
+    clock.remainingMs = 31000;
+    clock.uploadCostMs = 12000;
+
+    try {
+      // The upload leaves too little time for the email, so only the email is left to the job
+      const response = await postExport({}, { context: deadlineContext });
+      assert.strictEqual(response.statusCode, 202);
+
+      const job = await waitForJob(response.body.jobId);
+      assert.strictEqual(job.status, "done");
+      assert.deepStrictEqual([calls.render.length, calls.upload, calls.email], [1, 1, 1]);
+    } finally {
+      delete process.env.DEADLINE_SAFETY_MARGIN_MS;
+    }
+  },
+
+  "a retried synchronous request resumes from the checkpoint kept under its idempotency key": async () => {
+    answers = { email: [400, "ok"] };
+
+    const failed = await postExport({ idempotencyKey: "sync-retry" });
+    const retried = await postExport({ idempotencyKey: "sync-retry" });
+
+    assert.strictEqual(failed.statusCode, 500);
+    assert.strictEqual(retried.statusCode, 200);
+    assert.match(retried.body.pdfUrl, /exports\/1\.pdf$/);
+    assert.deepStrictEqual([calls.render.length, calls.upload, calls.email], [1, 1, 2]);
+  },
+
+  "a redelivered SQS message resumes from the checkpoint kept under its message ID": async () => {
+    answers = { email: [400, "ok"] };
+    const record = {
+      messageId: "message-1",
+      body: JSON.stringify({ ...JSON.parse(MOCK_EVENT.body), async: undefined }),
+      attributes: { ApproximateReceiveCount: "1" },
+      eventSource: "aws:sqs",
+    };
+
+    const failed = await handler({ Records: [record] }, MOCK_CONTEXT);
+    const redelivered = await handler({ Records: [record] }, MOCK_CONTEXT);
+
+    assert.deepStrictEqual(failed.batchItemFailures, [{ itemIdentifier: "message-1" }]);
+    assert.deepStrictEqual(redelivered.batchItemFailures, []);
+    assert.deepStrictEqual([calls.render.length, calls.upload, calls.email], [1, 1, 2]);
+  },
+
+  "checkpoint saves are best effort": async () => {
+    const checkpoint = new ExportCheckpoint(
+      {},
+      {
+        onChange: async () => {
+          throw new Error("store unavailable");
+        },
+      }
+    );
+
+    await checkpoint.uploaded(PARTICIPANT_ID, PDF, "https://storage.test/1.pdf");
+
+    assert.strictEqual(checkpoint.resumeStage(PARTICIPANT_ID), "email");
+    assert.strictEqual(checkpoint.resumeStage("someone-else"), "render");
+  },
+};
+
+async function runCheckpointTests() {
+  mockPipeline();
+
+  await runTests("checkpoint", tests, {
+    beforeEach: () => {
+      Object.assign(calls, { render: [], login: 0, upload: 0, email: 0, emailTokens: [] });
+      Object.assign(clock, { remainingMs: Infinity, uploadCostMs: 0 });
+      answers = {};
+      setJobStore(new MemoryJobStore());
+      setIdempotencyStore(new MemoryIdempotencyStore());
+      setSessionCache(new SessionCache());
+    },
+  });
+}
+
+if (require.main === module) {
+  runCheckpointTests();
+}
+
+module.exports = { runCheckpointTests };
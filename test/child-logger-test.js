@@ -0,0 +1,191 @@
+/**
+ * Local tests for child loggers: request, job, survey, participant, environment and stage context is
+ * bound once and merged into every log entry, so all lines of an export can be correlated
+ *
+ * Usage:
+ *   node test/child-logger-test.js
+ */
+
+const assert = require("assert");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = "debug";
+process.env.IS_LOCAL = "true";
+process.env.LOG_PII_UNMASKED = "true";
+process.env.RETRY_BASE_DELAY_MS = "5";
+
+const { handler } = require("../src/index");
+const { MemoryJobStore, setJobStore } = require("../src/services/job-store");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { getSecretsProvider } = require("../src/services/secrets-provider");
+const { logger, toLogger } = require("../src/utils/logger");
+const { setupGlobalErrorHandling } = require("../src/utils/error-handler");
+const { MOCK_EVENT, MOCK_BATCH_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { postExport, waitForJob, captureOutput, mockRenderer, mockBackend, httpError } = require("./test-helpers");
+
+const REQUEST_ID = MOCK_CONTEXT.awsRequestId;
+const PIPELINE_MESSAGES = ["Starting PDF upload", "Upload response received", "Starting email notifications"];
+
+let uploadFailures = 0;
+
+/**
+ * Run a function and collect the log entries it writes to stdout and stderr
+ * @param {Function} fn - Function to run
+ * @returns {Array} - Parsed log entries
+ */
+const captureEntries = async (fn) =>
+  (await captureOutput(fn))
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+/**
+ * Replace the browser, and a backend whose upload fails `uploadFailures` times with a 503 before succeeding
+ */
+const mockPipeline = () => {
+  mockRenderer();
+  mockBackend((endpoint) => {
+    if (endpoint === "upload" && uploadFailures > 0) {
+      uploadFailures--;
+      throw httpError(503);
+    }
+  });
+};
+
+const tests = {
+  "child loggers merge their bound fields into every entry": async () => {
+    const log = logger.child({ requestId: "req-1" }).child({ surveyId: "survey-1", participantId: undefined });
+
+    const [entry] = await captureEntries(() => log.info("Bound", { pdfUrl: "https://storage.test/1.pdf" }));
+
+    assert.strictEqual(entry.requestId, "req-1");
+    assert.strictEqual(entry.surveyId, "survey-1");
+    assert.strictEqual(entry.pdfUrl, "https://storage.test/1.pdf");
+    assert.ok(!("participantId" in entry), "undefined fields aren't bound");
+    assert.deepStrictEqual(log.bindings, { requestId: "req-1", surveyId: "survey-1" });
+  },
+
+  "fields passed at the call site win over bound ones": async () => {
+    const log = logger.child({ requestId: "req-1", stage: "upload" });
+
+    const [entry] = await captureEntries(() => log.warn("Override", { stage: "email" }));
+
+    assert.strictEqual(entry.stage, "email");
+    assert.strictEqual(entry.requestId, "req-1");
+  },
+
+  "services still accept a request ID": async () => {
+    const log = toLogger("req-2");
+
+    assert.deepStrictEqual(log.bindings, { requestId: "req-2" });
+    assert.strictEqual(toLogger(log), log, "child loggers are used as they are");
+  },
+
+  "every line of an export carries the request and export context": async () => {
+    const entries = await captureEntries(() => handler(MOCK_EVENT, MOCK_CONTEXT));
+
+    assert.ok(entries.length > 5);
+    for (const entry of entries) {
+      assert.strictEqual(entry.requestId, REQUEST_ID, `"${entry.message}" has no requestId`);
+    }
+
+    const pipeline = entries.filter((entry) => PIPELINE_MESSAGES.includes(entry.message));
+    assert.deepStrictEqual([...new Set(pipeline.map((entry) => entry.message))].sort(), [...PIPELINE_MESSAGES].sort());
+    for (const entry of pipeline) {
+      assert.strictEqual(entry.surveyId, "test-survey-123", `"${entry.message}" has no surveyId`);
+      assert.strictEqual(entry.participantId, "test-participant-456", `"${entry.message}" has no participantId`);
+      assert.strictEqual(entry.env, "dev", `"${entry.message}" has no env`);
+    }
+  },
+
+  "stage retries are tagged with their stage": async () => {
+    uploadFailures = 1;
+
+    const entries = await captureEntries(() => handler(MOCK_EVENT, MOCK_CONTEXT));
+    const failed = entries.find((entry) => entry.message === "upload attempt failed");
+
+    assert.ok(failed, "the upload was retried");
+    assert.strictEqual(failed.stage, "upload");
+    assert.strictEqual(failed.requestId, REQUEST_ID);
+    assert.strictEqual(failed.participantId, "test-participant-456");
+  },
+
+  "batch entries carry the participant they are about": async () => {
+    const entries = await captureEntries(() => handler(MOCK_BATCH_EVENT, MOCK_CONTEXT));
+    const uploads = entries.filter((entry) => entry.message === "PDF uploaded successfully");
+
+    assert.deepStrictEqual(
+      uploads.map((entry) => entry.participantId),
+      ["test-participant-456", "test-participant-789"]
+    );
+  },
+
+  "global handlers log uncaught exceptions and unhandled rejections": async () => {
+    const listeners = {
+      uncaughtException: process.listeners("uncaughtException"),
+      unhandledRejection: process.listeners("unhandledRejection"),
+    };
+    const exit = process.exit;
+    const exitCodes = [];
+
+    setupGlobalErrorHandling();
+    process.exit = (code) => exitCodes.push(code);
+
+    try {
+      const entries = await captureEntries(async () => {
+        process.emit("uncaughtException", new Error("Browser crashed"));
+        process.emit("unhandledRejection", new Error("Upload never settled"), Promise.resolve());
+      });
+
+      assert.deepStrictEqual(
+        entries.map((entry) => [entry.message, entry.error || entry.reason]),
+        [
+          ["Uncaught exception", "Browser crashed"],
+          ["Unhandled promise rejection", "Upload never settled"],
+        ]
+      );
+      assert.deepStrictEqual(exitCodes, [1, 1]);
+    } finally {
+      process.exit = exit;
+      for (const [event, previous] of Object.entries(listeners)) {
+        process
+          .listeners(event)
+          .filter((listener) => !previous.includes(listener))
+          .forEach((listener) => process.removeListener(event, listener));
+      }
+    }
+  },
+
+  "background job entries carry the job ID": async () => {
+    const entries = await captureEntries(async () => {
+      const response = await postExport({ async: true });
+      await waitForJob(response.body.jobId);
+    });
+    const jobEntries = entries.filter((entry) => entry.jobId);
+
+    assert.ok(entries.some((entry) => entry.message === "Export job completed"));
+    assert.ok(jobEntries.some((entry) => entry.message === "Starting PDF upload"));
+    assert.ok(jobEntries.every((entry) => entry.requestId === REQUEST_ID));
+  },
+};
+
+async function runChildLoggerTests() {
+  mockPipeline();
+  // Created once per container, so its entry belongs to no request
+  getSecretsProvider();
+
+  await runTests("child logger", tests, {
+    beforeEach: () => {
+      uploadFailures = 0;
+      setJobStore(new MemoryJobStore());
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+  });
+}
+
+if (require.main === module) {
+  runChildLoggerTests();
+}
+
+module.exports = { runChildLoggerTests };
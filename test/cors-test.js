@@ -0,0 +1,159 @@
+/**
+ * Local tests for CORS: only allow-listed origins are echoed back, on every response path,
+ * and preflights are answered before request authentication
+ *
+ * Usage:
+ *   node test/cors-test.js
+ */
+
+const assert = require("assert");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { handler, corsHandler } = require("../src/index");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { ErrorHandler, ValidationError } = require("../src/utils/error-handler");
+const { withCorsHeaders } = require("../src/utils/http-response");
+const { MOCK_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { mockRenderer, mockDelivery } = require("./test-helpers");
+
+const DEV_ORIGIN = "https://dev.survey.59club.studiographene.xyz";
+const STAGING_ORIGIN = "https://staging.surveys.59club.com";
+
+/**
+ * Call the handler from a browser origin
+ * @param {string} origin - Origin header
+ * @param {Object} overrides - Event overrides
+ * @returns {Object} - API Gateway response
+ */
+const request = (origin, overrides = {}) =>
+  handler({ ...MOCK_EVENT, headers: { ...MOCK_EVENT.headers, origin }, ...overrides }, MOCK_CONTEXT);
+
+/**
+ * Preflight from a browser origin (API Gateway v1 header casing)
+ * @param {string} origin - Origin header
+ * @param {string} method - Access-Control-Request-Method
+ * @param {string} headers - Access-Control-Request-Headers
+ * @returns {Object} - API Gateway response
+ */
+const preflight = (origin, method = "POST", headers = "content-type,x-api-key") =>
+  handler(
+    {
+      httpMethod: "OPTIONS",
+      path: "/export",
+      headers: { Origin: origin, "Access-Control-Request-Method": method, "Access-Control-Request-Headers": headers },
+    },
+    MOCK_CONTEXT
+  );
+
+const tests = {
+  "the environment's frontend origin is echoed back": async () => {
+    const response = await request(DEV_ORIGIN);
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers["Access-Control-Allow-Origin"], DEV_ORIGIN);
+    assert.strictEqual(response.headers.Vary, "Origin");
+  },
+
+  "other origins get no CORS headers": async () => {
+    for (const origin of ["https://evil.test", STAGING_ORIGIN, undefined]) {
+      const response = await request(origin);
+
+      assert.strictEqual(response.headers["Access-Control-Allow-Origin"], undefined, `${origin} must not be allowed`);
+      assert.strictEqual(response.headers.Vary, "Origin");
+    }
+  },
+
+  "origins are configurable globally and per environment": async () => {
+    process.env.CORS_ALLOWED_ORIGINS = "https://admin.59club.test";
+    process.env.CORS_ALLOWED_ORIGINS_DEV = "http://localhost:3000";
+
+    try {
+      const allowed = async (origin) => (await request(origin)).headers["Access-Control-Allow-Origin"];
+
+      assert.strictEqual(await allowed("https://admin.59club.test"), "https://admin.59club.test");
+      assert.strictEqual(await allowed("http://localhost:3000"), "http://localhost:3000");
+      assert.strictEqual(await allowed(DEV_ORIGIN), undefined, "the override replaces the default frontend origin");
+    } finally {
+      delete process.env.CORS_ALLOWED_ORIGINS;
+      delete process.env.CORS_ALLOWED_ORIGINS_DEV;
+    }
+  },
+
+  "error responses carry the same headers": async () => {
+    const invalid = await request(DEV_ORIGIN, { body: JSON.stringify({ env: "dev" }) });
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.headers["Access-Control-Allow-Origin"], DEV_ORIGIN);
+
+    const malformed = await request(DEV_ORIGIN, { body: "{" });
+    assert.strictEqual(malformed.statusCode, 400);
+    assert.strictEqual(malformed.headers.Vary, "Origin");
+
+    process.env.REQUEST_AUTH_REQUIRED = "true";
+    try {
+      const unauthorized = await request(STAGING_ORIGIN, { httpMethod: "GET", pathParameters: { jobId: "job-1" } });
+      assert.strictEqual(unauthorized.statusCode, 401);
+      assert.strictEqual(unauthorized.headers["Access-Control-Allow-Origin"], STAGING_ORIGIN);
+    } finally {
+      delete process.env.REQUEST_AUTH_REQUIRED;
+    }
+
+    const event = { headers: { origin: DEV_ORIGIN } };
+    const errorResponse = new ErrorHandler("cors-test").formatErrorResponse(new ValidationError("Invalid"));
+    const formatted = withCorsHeaders(event, errorResponse);
+    assert.strictEqual(formatted.headers["Access-Control-Allow-Origin"], DEV_ORIGIN);
+  },
+
+  "preflights from allowed origins get 204 without credentials": async () => {
+    process.env.REQUEST_AUTH_REQUIRED = "true";
+    try {
+      const response = await preflight(STAGING_ORIGIN);
+
+      assert.strictEqual(response.statusCode, 204);
+      assert.strictEqual(response.headers["Access-Control-Allow-Origin"], STAGING_ORIGIN);
+      assert.match(response.headers["Access-Control-Allow-Headers"], /X-Api-Key/);
+      assert.strictEqual(response.headers["Access-Control-Max-Age"], "600");
+    } finally {
+      delete process.env.REQUEST_AUTH_REQUIRED;
+    }
+  },
+
+  "preflights for other origins, methods or headers get 403": async () => {
+    const refused = [
+      await preflight("https://evil.test"),
+      await preflight(DEV_ORIGIN, "DELETE"),
+      await preflight(DEV_ORIGIN, "POST", "content-type,x-custom-header"),
+    ];
+
+    for (const response of refused) {
+      assert.strictEqual(response.statusCode, 403);
+      assert.strictEqual(response.headers["Access-Control-Allow-Origin"], undefined);
+    }
+  },
+
+  "corsHandler answers preflights the same way": async () => {
+    const event = { headers: { origin: DEV_ORIGIN, "access-control-request-method": "GET" } };
+
+    assert.strictEqual((await corsHandler(event, MOCK_CONTEXT)).statusCode, 204);
+    assert.strictEqual((await corsHandler({ ...event, headers: { origin: "https://evil.test" } })).statusCode, 403);
+  },
+};
+
+async function runCorsTests() {
+  // Exports complete without a browser or backend
+  mockRenderer();
+  mockDelivery();
+
+  await runTests("CORS", tests, {
+    beforeEach: () => setIdempotencyStore(new MemoryIdempotencyStore()),
+  });
+}
+
+if (require.main === module) {
+  runCorsTests();
+}
+
+module.exports = { runCorsTests };
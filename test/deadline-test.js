@@ -0,0 +1,196 @@
+/**
+ * Local tests for deadline-aware execution: stages are only started when the rest of the pipeline
+ * can still finish before the Lambda timeout, and exports that run out of time are checkpointed
+ * and continued as background jobs
+ *
+ * Usage:
+ *   node test/deadline-test.js
+ */
+
+const assert = require("assert");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+process.env.DEADLINE_SAFETY_MARGIN_MS = "15000";
+
+const { handler } = require("../src/index");
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { MemoryJobStore, setJobStore, getJobStore, createJobRecord } = require("../src/services/job-store");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { DeadlineExceededError } = require("../src/utils/error-handler");
+const { createDeadline } = require("../src/utils/deadline");
+const { runStage } = require("../src/utils/stage-policy");
+const { MOCK_EVENT, MOCK_BATCH_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { PDF, postExport, waitForJob, mockBrowserPool, mockBackend } = require("./test-helpers");
+
+// Time left in the invocation as reported by the mock context; each render uses up `renderCostMs`
+const clock = { remainingMs: Infinity, renderCostMs: 0 };
+const renders = [];
+
+/**
+ * Replace the browser with one whose renders use up time on the mock clock, and answer
+ * upload and email requests successfully
+ */
+const mockPipeline = () => {
+  mockBrowserPool();
+
+  PuppeteerService.prototype.authenticate = async () => ({ accessToken: "service-token" });
+  PuppeteerService.prototype.exportAuthenticated = async (context, auth, { participantId }) => {
+    renders.push(participantId);
+    clock.remainingMs -= clock.renderCostMs;
+    return PDF;
+  };
+
+  mockBackend();
+};
+
+const context = { ...MOCK_CONTEXT, getRemainingTimeInMillis: () => clock.remainingMs };
+
+const tests = {
+  "stage budgets leave room for the stages after them": async () => {
+    const deadline = createDeadline({ getRemainingTimeInMillis: () => 100000 }, { safetyMarginMs: 10000 });
+
+    assert.strictEqual(deadline.remainingMs(), 90000);
+    assert.strictEqual(deadline.budgetFor("auth"), 45000, "render, upload and email minimums are held back");
+    assert.strictEqual(deadline.budgetFor("email"), 90000);
+    assert.strictEqual(createDeadline({}).remainingMs(), Infinity, "no deadline without a Lambda context");
+
+    const tight = createDeadline({ getRemainingTimeInMillis: () => 50000 }, { safetyMarginMs: 10000 });
+    assert.strictEqual(tight.canStart("auth"), false);
+    assert.strictEqual(tight.canStart("upload"), true);
+    assert.throws(() => tight.checkStage("render"), DeadlineExceededError);
+  },
+
+  "stages that can't finish in time aren't started": async () => {
+    const deadline = createDeadline({ getRemainingTimeInMillis: () => 16000 });
+    let called = false;
+
+    await assert.rejects(
+      runStage("email", async () => (called = true), "deadline-test", deadline),
+      (error) => error.errorCode === "DEADLINE_EXCEEDED" && error.context.stage === "email"
+    );
+    assert.strictEqual(called, false);
+  },
+
+  "a synchronous export that runs out of time continues as a job": async () => {
+    clock.remainingMs = 200000;
+    clock.renderCostMs = 180000;
+
+    const response = await postExport({}, { context });
+
+    assert.strictEqual(response.statusCode, 202);
+    assert.match(response.body.message, /continues as a background job/);
+    assert.strictEqual(response.body.statusUrl, `/export/${response.body.jobId}`);
+
+    const job = await waitForJob(response.body.jobId);
+    assert.strictEqual(job.status, "done");
+    assert.strictEqual(job.continuations, 1);
+    assert.match(job.pdfUrl, /exports\/mock\.pdf$/);
+  },
+
+  "an export with the request's own password isn't handed to a job": async () => {
+    clock.remainingMs = 200000;
+    clock.renderCostMs = 180000;
+    const response = await postExport(
+      { serviceEmail: "service@test.com", servicePassword: "own-password" },
+      { context }
+    );
+
+    assert.strictEqual(response.statusCode, 504);
+    assert.strictEqual(response.body.error, "DEADLINE_EXCEEDED");
+  },
+
+  "batch participants the deadline cuts off continue as a job with the results so far": async () => {
+    clock.remainingMs = 200000;
+    clock.renderCostMs = 150000;
+
+    const response = await postExport({}, { event: MOCK_BATCH_EVENT, context });
+
+    assert.strictEqual(response.statusCode, 202);
+    assert.deepStrictEqual(
+      response.body.results.map((result) => result.participantId),
+      ["test-participant-456"],
+      "the first participant was delivered before the hand-off"
+    );
+
+    const job = await waitForJob(response.body.jobId);
+    assert.strictEqual(job.status, "done");
+    assert.deepStrictEqual(job.participantIds, ["test-participant-456", "test-participant-789"]);
+    assert.deepStrictEqual(
+      job.results.map((result) => [result.participantId, result.success]),
+      [
+        ["test-participant-456", true],
+        ["test-participant-789", true],
+      ]
+    );
+    assert.deepStrictEqual(renders, ["test-participant-456", "test-participant-789"], "nobody is rendered twice");
+  },
+
+  "background jobs checkpoint and re-queue themselves": async () => {
+    clock.remainingMs = 40000;
+    const input = JSON.parse(MOCK_EVENT.body);
+    const queued = await getJobStore().create(createJobRecord({ surveyId: input.surveyId, requestId: "r" }));
+
+    const requeued = await handler({ exportJob: { jobId: queued.jobId, input } }, context);
+
+    assert.strictEqual(requeued.status, "queued");
+    assert.strictEqual(requeued.checkpoint.stage, "auth");
+    assert.strictEqual(requeued.continuations, 1);
+
+    const job = await waitForJob(queued.jobId);
+    assert.strictEqual(job.status, "done");
+    assert.strictEqual(job.continuations, 1);
+  },
+
+  "without continuations left the export fails with DEADLINE_EXCEEDED": async () => {
+    clock.remainingMs = 40000;
+    process.env.JOB_MAX_CONTINUATIONS = "0";
+
+    try {
+      const response = await postExport({}, { context });
+      assert.strictEqual(response.statusCode, 504);
+      assert.strictEqual(response.body.error, "DEADLINE_EXCEEDED");
+
+      const input = JSON.parse(MOCK_EVENT.body);
+      const queued = await getJobStore().create(createJobRecord({ surveyId: input.surveyId, requestId: "r" }));
+
+      const job = await handler({ exportJob: { jobId: queued.jobId, input } }, context);
+      assert.strictEqual(job.status, "failed", "failed jobs aren't thrown for Lambda to retry");
+      assert.strictEqual((await getJobStore().get(queued.jobId)).errorCode, "DEADLINE_EXCEEDED");
+    } finally {
+      delete process.env.JOB_MAX_CONTINUATIONS;
+    }
+  },
+
+  "SQS messages there's no time left for are handed back to the queue": async () => {
+    clock.remainingMs = 40000;
+    const records = ["m1", "m2"].map((messageId) => ({ messageId, eventSource: "aws:sqs", body: MOCK_EVENT.body }));
+
+    const response = await handler({ Records: records }, context);
+
+    assert.deepStrictEqual(response.batchItemFailures, [{ itemIdentifier: "m1" }, { itemIdentifier: "m2" }]);
+    assert.strictEqual(renders.length, 0);
+  },
+};
+
+async function runDeadlineTests() {
+  mockPipeline();
+
+  await runTests("deadline", tests, {
+    beforeEach: () => {
+      clock.remainingMs = Infinity;
+      clock.renderCostMs = 0;
+      renders.length = 0;
+      setJobStore(new MemoryJobStore());
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+  });
+}
+
+if (require.main === module) {
+  runDeadlineTests();
+}
+
+module.exports = { runDeadlineTests };
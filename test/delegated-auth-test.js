@@ -0,0 +1,268 @@
+/**
+ * Local tests for pre-issued tokens: requests with an accessToken or a signed delegationToken are
+ * verified and exported with that token instead of service credentials
+ *
+ * Usage:
+ *   node test/delegated-auth-test.js
+ */
+
+const assert = require("assert");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+process.env.DELEGATION_TOKEN_SECRET = "test-delegation-secret";
+
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { BrowserPool } = require("../src/services/browser-pool");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { SecretsProvider, getSecretsProvider, setSecretsProvider } = require("../src/services/secrets-provider");
+const { createDelegationToken, verifyRequestToken } = require("../src/services/delegated-auth");
+const { runExportJob } = require("../src/services/export-service");
+const { validateInput } = require("../src/utils/validation");
+const { MOCK_EVENT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { PDF, postExport, mockDelivery, startFixtureServer } = require("./test-helpers");
+
+/**
+ * Build an unsigned backend JWT
+ * @param {Object} claims - Extra claims
+ * @param {number} expiresInSeconds - Token lifetime
+ * @returns {string} - JWT
+ */
+const backendToken = (claims = {}, expiresInSeconds = 600) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const iat = Math.floor(Date.now() / 1000);
+  return `${encode({ alg: "RS256" })}.${encode({ sub: "service", iat, exp: iat + expiresInSeconds, ...claims })}.sig`;
+};
+
+const calls = {};
+
+/**
+ * Replace the browser, upload and email steps with ones that record the credentials they were given
+ */
+const mockPipeline = () => {
+  PuppeteerService.prototype.generatePDF = async function (params) {
+    calls.generatePDF = params;
+    return { pdfBuffer: PDF, accessToken: params.accessToken || "password-login-token" };
+  };
+  mockDelivery({
+    onUpload() {
+      calls.uploadToken = this.accessToken;
+    },
+    onEmail() {
+      calls.emailToken = this.accessToken;
+    },
+  });
+};
+
+const withoutPassword = { serviceEmail: undefined, servicePassword: undefined };
+
+const tests = {
+  "delegation tokens are verified and unwrapped": async () => {
+    const input = { surveyId: "survey-1", env: "dev" };
+    const token = await createDelegationToken({
+      token: "backend-token",
+      surveyId: "survey-1",
+      env: "dev",
+      sub: "admin@test.com",
+    });
+
+    const verified = await verifyRequestToken({ ...input, delegationToken: token });
+    assert.strictEqual(verified.accessToken, "backend-token");
+    assert.strictEqual(verified.type, "delegation");
+    assert.strictEqual(verified.subject, "admin@test.com");
+
+    const [header, claims] = token.split(".");
+    const reject = (delegationToken, pattern, overrides = {}) =>
+      assert.rejects(verifyRequestToken({ ...input, ...overrides, delegationToken }), pattern);
+
+    await reject(`${header}.${claims}.${"A".repeat(43)}`, /Invalid delegation token signature/);
+    await reject(await createDelegationToken({ token: "t" }, "other-secret"), /Invalid delegation token signature/);
+    await reject(await createDelegationToken({ token: "t" }, undefined, -10), /expired/);
+    await reject(await createDelegationToken({ token: "t" }, undefined, 24 * 3600), /lifetime exceeds/);
+    await reject(token, /different survey/, { surveyId: "survey-2" });
+    await reject(token, /different environment/, { env: "prod" });
+    await reject(await createDelegationToken({ surveyId: "survey-1" }), /does not carry an access token/);
+    const unsigned = `${Buffer.from('{"alg":"none"}').toString("base64url")}.${claims}.`;
+    await reject(unsigned, /Unsupported delegation token algorithm/);
+  },
+
+  "the delegation secret comes from the secrets provider": async () => {
+    const input = { surveyId: "survey-1", env: "dev" };
+    const environmentToken = await createDelegationToken({ token: "backend-token" });
+    const previous = getSecretsProvider();
+
+    setSecretsProvider(new SecretsProvider({ load: async () => ({ DELEGATION_TOKEN_SECRET: "rotated-secret" }) }));
+    try {
+      const rotatedToken = await createDelegationToken({ token: "backend-token" });
+
+      assert.strictEqual((await verifyRequestToken({ ...input, delegationToken: rotatedToken })).type, "delegation");
+      await assert.rejects(
+        verifyRequestToken({ ...input, delegationToken: environmentToken }),
+        /Invalid delegation token signature/
+      );
+
+      setSecretsProvider(new SecretsProvider({ load: async () => ({}) }));
+      await assert.rejects(verifyRequestToken({ ...input, delegationToken: rotatedToken }), /not enabled/);
+    } finally {
+      setSecretsProvider(previous);
+    }
+  },
+
+  "bearer tokens must be short-lived JWTs": async () => {
+    assert.strictEqual((await verifyRequestToken({ accessToken: backendToken() })).type, "bearer");
+    assert.strictEqual(await verifyRequestToken({ serviceEmail: "s@test.com", servicePassword: "p" }), null);
+
+    await assert.rejects(verifyRequestToken({ accessToken: "opaque-token" }), /must be a JWT with an exp claim/);
+    await assert.rejects(verifyRequestToken({ accessToken: backendToken({}, -10) }), /expired/);
+    await assert.rejects(verifyRequestToken({ accessToken: backendToken({}, 7 * 24 * 3600) }), /lifetime exceeds/);
+  },
+
+  "tokens replace the service credentials in validation": async () => {
+    const input = { ...JSON.parse(MOCK_EVENT.body), serviceEmail: undefined, servicePassword: undefined };
+
+    assert.ok(validateInput({ ...input, accessToken: backendToken() }).isValid);
+    assert.deepStrictEqual(
+      validateInput({ ...input, accessToken: "a", delegationToken: "", servicePassword: "p" }).errors,
+      [
+        "delegationToken must be a non-empty string",
+        "Provide either accessToken or delegationToken, not both",
+        "servicePassword cannot be combined with accessToken or delegationToken",
+      ]
+    );
+  },
+
+  "the token is used for the browser, upload and email": async () => {
+    const delegationToken = await createDelegationToken({
+      token: "delegated-backend-token",
+      surveyId: "test-survey-123",
+    });
+    const response = await postExport({ ...withoutPassword, delegationToken });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(calls.generatePDF.accessToken, "delegated-backend-token");
+    assert.strictEqual(calls.generatePDF.servicePassword, undefined);
+    assert.strictEqual(calls.uploadToken, "delegated-backend-token");
+    assert.strictEqual(calls.emailToken, "delegated-backend-token");
+  },
+
+  "service passwords from the environment are not used with a token": async () => {
+    process.env.SERVICE_EMAIL = "env-service@test.com";
+    process.env.SERVICE_PASSWORD = "env-password";
+
+    try {
+      const accessToken = backendToken();
+      await postExport({ ...withoutPassword, accessToken });
+
+      assert.strictEqual(calls.generatePDF.accessToken, accessToken);
+      assert.strictEqual(calls.generatePDF.serviceEmail, undefined);
+      assert.strictEqual(calls.generatePDF.servicePassword, undefined);
+    } finally {
+      delete process.env.SERVICE_EMAIL;
+      delete process.env.SERVICE_PASSWORD;
+    }
+  },
+
+  "background jobs are dispatched without the access token and verify the delegation token again": async () => {
+    const { LambdaClient } = require("@aws-sdk/client-lambda");
+    const send = LambdaClient.prototype.send;
+    const payloads = [];
+    LambdaClient.prototype.send = async (command) => {
+      payloads.push(JSON.parse(Buffer.from(command.input.Payload).toString()));
+      return { StatusCode: 202 };
+    };
+    process.env.JOB_DISPATCH_MODE = "lambda";
+
+    try {
+      const delegationToken = await createDelegationToken({
+        token: "delegated-backend-token",
+        surveyId: "test-survey-123",
+      });
+      const accepted = await postExport({ ...withoutPassword, async: true, delegationToken });
+      const [{ exportJob }] = payloads;
+
+      assert.strictEqual(accepted.statusCode, 202);
+      assert.strictEqual(exportJob.input.delegationToken, delegationToken);
+      assert.ok(!("accessToken" in exportJob.input));
+      assert.ok(!("servicePassword" in exportJob.input));
+
+      const job = await runExportJob(exportJob, "job-request-id");
+
+      assert.strictEqual(job.status, "done");
+      assert.strictEqual(calls.generatePDF.accessToken, "delegated-backend-token");
+    } finally {
+      LambdaClient.prototype.send = send;
+      process.env.JOB_DISPATCH_MODE = "inline";
+    }
+  },
+
+  "background jobs can't use the request's own password or access token": async () => {
+    const withPassword = await postExport({
+      async: true,
+      serviceEmail: "service@test.com",
+      servicePassword: "own-password",
+    });
+    const withToken = await postExport({ ...withoutPassword, async: true, accessToken: backendToken() });
+
+    for (const response of [withPassword, withToken]) {
+      assert.strictEqual(response.statusCode, 400);
+      assert.match(response.body.details[0], /servicePassword and accessToken require "async": false/);
+    }
+    assert.strictEqual(calls.generatePDF, undefined);
+  },
+
+  "rejected tokens get 401 before any export starts": async () => {
+    const delegationToken = await createDelegationToken({ token: "t" }, "forged");
+    const response = await postExport({ ...withoutPassword, delegationToken });
+
+    assert.strictEqual(response.statusCode, 401);
+    assert.strictEqual(response.body.message, "Invalid delegation token signature");
+    assert.strictEqual(calls.generatePDF, undefined);
+  },
+
+  "the browser is seeded with the token instead of logging in": async () => {
+    const requests = [];
+    const { server, url: frontendUrl } = await startFixtureServer((req, res) => {
+      requests.push(req.url);
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<html></html>");
+    });
+
+    const pool = new BrowserPool({ reuse: true });
+    const service = new PuppeteerService("delegated-auth-test");
+    const accessToken = backendToken();
+
+    try {
+      const session = await pool.acquire("delegated-auth-test", () => service.launchBrowser());
+      const page = await session.context.newPage();
+      const auth = await service.authenticate(page, frontendUrl, undefined, undefined, frontendUrl, accessToken);
+
+      await page.goto(`${frontendUrl}/en-GB/surveys`);
+      assert.strictEqual(auth.accessToken, accessToken);
+      assert.strictEqual(await page.evaluate(() => localStorage.getItem("authToken")), accessToken);
+      assert.deepStrictEqual(requests, ["/en-GB/surveys"], "neither the login page nor /users/login should load");
+      await session.release();
+    } finally {
+      await pool.close();
+      server.close();
+    }
+  },
+};
+
+async function runDelegatedAuthTests() {
+  mockPipeline();
+
+  await runTests("delegated auth", tests, {
+    beforeEach: () => {
+      Object.keys(calls).forEach((key) => delete calls[key]);
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+  });
+}
+
+if (require.main === module) {
+  runDelegatedAuthTests();
+}
+
+module.exports = { runDelegatedAuthTests };
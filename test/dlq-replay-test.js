@@ -0,0 +1,178 @@
+/**
+ * Local tests for the dead-letter queue replay tool, run against an in-memory queue stub
+ *
+ * Usage:
+ *   node test/dlq-replay-test.js
+ */
+
+const assert = require("assert");
+
+const { describeMessage, replayMessages, listMessages } = require("../scripts/replay-dlq");
+const { runTests } = require("./test-runner");
+
+/**
+ * In-memory stand-in for the SQS queue adapter
+ */
+class MemoryQueue {
+  constructor(messages) {
+    this.messages = messages.map((message) => ({ ...message, receiptHandle: `receipt-${message.messageId}` }));
+    this.inFlight = new Set();
+    this.deleted = [];
+  }
+
+  async receive(maxMessages) {
+    const visible = this.messages.filter((message) => !this.inFlight.has(message.messageId)).slice(0, Math.min(maxMessages, 10));
+    visible.forEach((message) => this.inFlight.add(message.messageId));
+    return visible;
+  }
+
+  async delete(message) {
+    this.messages = this.messages.filter((item) => item.messageId !== message.messageId);
+    this.inFlight.delete(message.messageId);
+    this.deleted.push(message.messageId);
+  }
+
+  async release(message) {
+    this.inFlight.delete(message.messageId);
+  }
+
+  async extend(message, visibilityTimeout) {
+    if (visibilityTimeout === 0) this.inFlight.delete(message.messageId);
+  }
+}
+
+const exportRequest = {
+  surveyId: "survey-1",
+  participantId: "participant-1",
+  adminEmails: ["admin@test.com"],
+  env: "dev",
+};
+
+const createMessages = () => [
+  {
+    messageId: "job-message",
+    body: JSON.stringify({ exportJob: { jobId: "job-1", input: { ...exportRequest, participantId: "participant-2" } } }),
+    attributes: { ApproximateReceiveCount: "1" },
+    messageAttributes: {
+      ErrorCode: { StringValue: "200" },
+      ErrorMessage: { StringValue: "Export job job-1 failed: Upload timeout exceeded" },
+    },
+  },
+  {
+    messageId: "request-message",
+    body: JSON.stringify(exportRequest),
+    attributes: { ApproximateReceiveCount: "3" },
+    messageAttributes: {},
+  },
+  {
+    messageId: "broken-message",
+    body: "{not json",
+    attributes: {},
+    messageAttributes: {},
+  },
+];
+
+const tests = {
+  "describes async job failures with the Lambda error attributes": async () => {
+    const description = describeMessage(createMessages()[0]);
+
+    assert.strictEqual(description.kind, "job");
+    assert.strictEqual(description.jobId, "job-1");
+    assert.strictEqual(description.surveyId, "survey-1");
+    assert.deepStrictEqual(description.participants, ["participant-2"]);
+    assert.strictEqual(description.reason, "Export job job-1 failed: Upload timeout exceeded (200)");
+  },
+
+  "describes re-driven requests by their receive count": async () => {
+    const description = describeMessage(createMessages()[1]);
+
+    assert.strictEqual(description.kind, "request");
+    assert.match(description.reason, /received 3 times/);
+  },
+
+  "list leaves every message on the queue": async () => {
+    const queue = new MemoryQueue(createMessages());
+    const descriptions = await listMessages(queue);
+
+    assert.strictEqual(descriptions.length, 3);
+    assert.strictEqual(queue.inFlight.size, 0);
+    assert.strictEqual(queue.messages.length, 3);
+  },
+
+  "dry run submits and deletes nothing": async () => {
+    const queue = new MemoryQueue(createMessages());
+    const submitted = [];
+    const outcomes = await replayMessages(queue, async (payload) => submitted.push(payload), {
+      all: true,
+      dryRun: true,
+    });
+
+    assert.strictEqual(submitted.length, 0);
+    assert.strictEqual(queue.messages.length, 3);
+    assert.deepStrictEqual(
+      outcomes.map((outcome) => outcome.action),
+      ["would-replay", "would-replay", "skipped"]
+    );
+  },
+
+  "replays only selected messages and deletes them once accepted": async () => {
+    const queue = new MemoryQueue(createMessages());
+    const submitted = [];
+    const outcomes = await replayMessages(queue, async (payload) => submitted.push(payload), {
+      ids: ["job-message"],
+    });
+
+    assert.deepStrictEqual(submitted, [JSON.parse(createMessages()[0].body)]);
+    assert.deepStrictEqual(queue.deleted, ["job-message"]);
+    assert.strictEqual(outcomes.find((outcome) => outcome.messageId === "request-message").action, "skipped");
+  },
+
+  "replays one batch of at most 10 messages at a time": async () => {
+    const requests = Array.from({ length: 25 }, (value, index) => ({
+      messageId: `request-${index}`,
+      body: JSON.stringify({ ...exportRequest, participantId: `participant-${index}` }),
+      attributes: {},
+      messageAttributes: {},
+    }));
+    const queue = new MemoryQueue(requests);
+    let maxInFlight = 0;
+
+    const outcomes = await replayMessages(
+      queue,
+      async () => {
+        maxInFlight = Math.max(maxInFlight, queue.inFlight.size);
+      },
+      { all: true }
+    );
+
+    assert.strictEqual(outcomes.filter((outcome) => outcome.action === "replayed").length, 25);
+    assert.strictEqual(queue.messages.length, 0);
+    assert.ok(maxInFlight <= 10, `${maxInFlight} messages were held while replaying`);
+    assert.strictEqual(queue.inFlight.size, 0);
+  },
+
+  "keeps messages whose re-submission failed": async () => {
+    const queue = new MemoryQueue(createMessages());
+    const outcomes = await replayMessages(
+      queue,
+      async () => {
+        throw new Error("Invocation returned status: 500");
+      },
+      { ids: ["request-message"] }
+    );
+
+    assert.strictEqual(outcomes.find((outcome) => outcome.messageId === "request-message").action, "failed");
+    assert.strictEqual(queue.deleted.length, 0);
+    assert.strictEqual(queue.inFlight.size, 0);
+  },
+};
+
+async function runDlqReplayTests() {
+  await runTests("DLQ replay", tests);
+}
+
+if (require.main === module) {
+  runDlqReplayTests();
+}
+
+module.exports = { runDlqReplayTests, MemoryQueue };
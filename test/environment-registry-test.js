@@ -0,0 +1,163 @@
+/**
+ * Local tests for the environment registry: environments, their URLs, asset domain, locale and
+ * CORS origins come from a config file with env var overrides, so no code changes are needed
+ * to add or promote an environment
+ *
+ * Usage:
+ *   node test/environment-registry-test.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { handler } = require("../src/index");
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { getExportUrl } = require("../src/services/capture-strategies/urls");
+const { validateInput } = require("../src/utils/validation");
+const {
+  getEnvironmentRegistry,
+  setEnvironmentRegistry,
+  loadEnvironmentRegistry,
+} = require("../src/config/environment-registry");
+const { MOCK_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+
+const UAT = {
+  frontendUrl: "https://uat.surveys.59club.com/",
+  backendUrl: "https://uat.api.surveys.59club.com/api",
+  assetDomain: "assets.uat.surveys.59club.com",
+  locale: "en-US",
+  allowedOrigins: ["https://uat.surveys.59club.com", "https://admin.uat.surveys.59club.com"],
+};
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "environment-registry-test-"));
+
+/**
+ * Write an environments config file and make it the one the registry loads
+ * @param {Object|string} environments - Config contents
+ * @returns {string} - Config file path
+ */
+const useConfig = (environments) => {
+  const configPath = path.join(tempDir, `environments-${Date.now()}.json`);
+  fs.writeFileSync(configPath, typeof environments === "string" ? environments : JSON.stringify(environments));
+
+  process.env.ENVIRONMENTS_CONFIG_PATH = configPath;
+  setEnvironmentRegistry(null);
+  return configPath;
+};
+
+const validInput = (env) => ({ ...JSON.parse(MOCK_EVENT.body), env });
+
+const tests = {
+  "the bundled config has every environment's settings": async () => {
+    const registry = getEnvironmentRegistry();
+
+    assert.deepStrictEqual(registry.names(), ["local", "dev", "qa", "staging", "prod"]);
+    assert.deepStrictEqual(registry.get("dev"), {
+      name: "dev",
+      frontendUrl: "https://dev.survey.59club.studiographene.xyz",
+      backendUrl: "https://dev.surveyapi.59club.studiographene.xyz/api",
+      assetDomain: "dev.assets.59club.studiographene.xyz",
+      locale: "en-GB",
+      allowedOrigins: ["https://dev.survey.59club.studiographene.xyz"],
+    });
+    assert.throws(() => registry.get("uat"), /Unknown environment: uat. Must be one of: local, dev, qa, staging, prod/);
+  },
+
+  "env vars override an environment's settings": async () => {
+    process.env.BACKEND_URL_QA = "https://qa-2.surveyapi.59club.test/api/";
+    process.env.ASSET_DOMAIN_QA = "qa-2.assets.59club.test";
+    process.env.LOCALE_QA = "fr-FR";
+    process.env.CORS_ALLOWED_ORIGINS_QA = "http://localhost:3000, https://qa-2.survey.59club.test/";
+
+    try {
+      const qa = getEnvironmentRegistry().get("qa");
+
+      assert.strictEqual(qa.backendUrl, "https://qa-2.surveyapi.59club.test/api");
+      assert.strictEqual(qa.assetDomain, "qa-2.assets.59club.test");
+      assert.strictEqual(qa.locale, "fr-FR");
+      assert.deepStrictEqual(qa.allowedOrigins, ["http://localhost:3000", "https://qa-2.survey.59club.test"]);
+      assert.strictEqual(qa.frontendUrl, "https://qa.survey.59club.studiographene.xyz", "other settings are kept");
+    } finally {
+      delete process.env.BACKEND_URL_QA;
+      delete process.env.ASSET_DOMAIN_QA;
+      delete process.env.LOCALE_QA;
+      delete process.env.CORS_ALLOWED_ORIGINS_QA;
+    }
+  },
+
+  "environments are added through the config file": async () => {
+    useConfig({ uat: UAT });
+
+    assert.strictEqual(validateInput(validInput("uat")).isValid, true);
+    assert.deepStrictEqual(validateInput(validInput("dev")).errors, ["Invalid environment: dev. Must be one of: uat"]);
+    assert.strictEqual(
+      getExportUrl({ ...getEnvironmentRegistry().get("uat"), surveyId: "s1", participantId: "p1" }),
+      "https://uat.surveys.59club.com/en-US/surveys/s1/results/by-user?download=pdf&participantIds=p1&asyncExport=true"
+    );
+  },
+
+  "exports use the registry's URLs, locale and asset domain": async () => {
+    useConfig({ uat: UAT });
+    const seen = { posts: [] };
+
+    PuppeteerService.prototype.generatePDF = async function (params) {
+      Object.assign(seen, { frontendUrl: params.frontendUrl, locale: this.locale });
+      return { pdfBuffer: Buffer.from("%PDF-1.4"), accessToken: "t" };
+    };
+    axios.post = async (url) => {
+      seen.posts.push(url);
+      return { status: 200, data: { fileLocation: "/exports/report.pdf" }, headers: {} };
+    };
+
+    const body = JSON.stringify(validInput("uat"));
+    const response = await handler(
+      { ...MOCK_EVENT, body, headers: { ...MOCK_EVENT.headers, origin: UAT.allowedOrigins[1] } },
+      MOCK_CONTEXT
+    );
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(JSON.parse(response.body).pdfUrl, "https://assets.uat.surveys.59club.com/exports/report.pdf");
+    assert.strictEqual(response.headers["Access-Control-Allow-Origin"], "https://admin.uat.surveys.59club.com");
+    assert.strictEqual(seen.frontendUrl, "https://uat.surveys.59club.com");
+    assert.strictEqual(seen.locale, "en-US");
+    assert.strictEqual(seen.posts.length, 2);
+    assert.ok(
+      seen.posts.every((url) => url.startsWith("https://uat.api.surveys.59club.com/api/")),
+      "upload and email go to the environment's backend"
+    );
+  },
+
+  "invalid config files are rejected": async () => {
+    const missing = useConfig({ uat: { frontendUrl: UAT.frontendUrl } });
+    assert.throws(() => loadEnvironmentRegistry(missing), /Environment 'uat' in .* is missing: backendUrl, assetDomain/);
+
+    const malformed = useConfig("{ uat");
+    assert.throws(() => loadEnvironmentRegistry(malformed), /Failed to load environments config/);
+  },
+};
+
+async function runEnvironmentRegistryTests() {
+  await runTests("environment registry", tests, {
+    beforeEach: () => {
+      delete process.env.ENVIRONMENTS_CONFIG_PATH;
+      setEnvironmentRegistry(null);
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+    teardown: () => fs.rmSync(tempDir, { recursive: true, force: true }),
+  });
+}
+
+if (require.main === module) {
+  runEnvironmentRegistryTests();
+}
+
+module.exports = { runEnvironmentRegistryTests };
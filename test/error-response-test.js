@@ -0,0 +1,157 @@
+/**
+ * Local tests for typed error responses: failures come back with the status code and errorCode of
+ * the stage that failed, so callers can tell a bad request or login from an upload or email outage
+ *
+ * Usage:
+ *   node test/error-response-test.js
+ */
+
+const assert = require("assert");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+process.env.RETRY_BASE_DELAY_MS = "1";
+
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { loginViaApi } = require("../src/services/api-login");
+const { MemoryJobStore, setJobStore } = require("../src/services/job-store");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { runTests } = require("./test-runner");
+const { PDF, postExport, waitForJob, mockBackend, httpError, networkError } = require("./test-helpers");
+
+const backend = {};
+
+/**
+ * Replace the browser with an API login, and the backend with one whose login, upload and email
+ * endpoints throw the error set in `backend` ({ login, upload, email }) and succeed otherwise
+ */
+const mockPipeline = () => {
+  PuppeteerService.prototype.generatePDF = async function (params) {
+    const session = await loginViaApi({ ...params, log: this.log });
+    return { pdfBuffer: PDF, accessToken: session.accessToken };
+  };
+
+  mockBackend((endpoint) => {
+    if (backend[endpoint]) throw backend[endpoint];
+  });
+};
+
+const tests = {
+  "invalid requests get 400 with the validation details": async () => {
+    const response = await postExport({ adminEmails: [] });
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(response.body.error, "VALIDATION_ERROR");
+    assert.strictEqual(response.body.message, "Invalid input parameters");
+    assert.ok(response.body.details.length > 0);
+
+    const malformed = await postExport({}, { body: "{ not json" });
+    assert.strictEqual(malformed.statusCode, 400);
+    assert.strictEqual(malformed.body.message, "Request body must be valid JSON");
+  },
+
+  "batches that list a participant twice get 400": async () => {
+    const response = await postExport({ participantId: undefined, participantIds: ["p-1", "p-2", "p-1", "p-1"] });
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.deepStrictEqual(response.body.details, ["participantIds must not contain duplicates: p-1"]);
+  },
+
+  "a rejected service login gets 401": async () => {
+    backend.login = httpError(401);
+    const response = await postExport();
+
+    assert.strictEqual(response.statusCode, 401);
+    assert.strictEqual(response.body.error, "AUTHENTICATION_ERROR");
+    assert.match(response.body.message, /Login failed: 401/);
+  },
+
+  "browser login failures other than a rejected login keep their own error": async () => {
+    const navigationError = new Error("Navigation timeout of 30000 ms exceeded");
+    const page = {
+      setUserAgent: async () => {},
+      goto: async () => {
+        throw navigationError;
+      },
+      removeAllListeners: () => {},
+    };
+
+    await assert.rejects(
+      new PuppeteerService("error-test").authenticateViaPuppeteer(
+        page,
+        "https://api.test",
+        "service@test.com",
+        "service-password",
+        "https://app.test"
+      ),
+      (error) => error === navigationError
+    );
+  },
+
+  "an unreachable upload service gets 503": async () => {
+    backend.upload = networkError("ECONNREFUSED");
+    const response = await postExport();
+
+    assert.strictEqual(response.statusCode, 503);
+    assert.strictEqual(response.body.error, "SERVICE_UNAVAILABLE");
+    assert.strictEqual(response.body.context.service, "upload");
+  },
+
+  "rejected uploads, email failures and timeouts keep their own codes": async () => {
+    backend.upload = httpError(413);
+    assert.strictEqual((await postExport()).body.error, "UPLOAD_ERROR");
+
+    delete backend.upload;
+    backend.email = httpError(400);
+    assert.strictEqual((await postExport()).body.error, "EMAIL_ERROR");
+
+    backend.email = networkError("ECONNABORTED");
+    const timedOut = await postExport();
+    assert.strictEqual(timedOut.statusCode, 408);
+    assert.strictEqual(timedOut.body.context.operation, "email");
+  },
+
+  "failed jobs record the errorCode": async () => {
+    backend.upload = httpError(503);
+    const accepted = await postExport({ async: true });
+    assert.strictEqual(accepted.statusCode, 202);
+
+    const job = await waitForJob(accepted.body.jobId);
+    assert.strictEqual(job.status, "failed");
+    assert.strictEqual(job.errorCode, "SERVICE_UNAVAILABLE");
+  },
+
+  "production responses leave out the context and stack": async () => {
+    backend.login = httpError(401);
+    process.env.NODE_ENV = "production";
+
+    try {
+      const response = await postExport();
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(response.body.context, undefined);
+      assert.strictEqual(response.body.stack, undefined);
+    } finally {
+      delete process.env.NODE_ENV;
+    }
+  },
+};
+
+async function runErrorResponseTests() {
+  mockPipeline();
+
+  await runTests("error response", tests, {
+    beforeEach: () => {
+      Object.keys(backend).forEach((key) => delete backend[key]);
+      setJobStore(new MemoryJobStore());
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+  });
+}
+
+if (require.main === module) {
+  runErrorResponseTests();
+}
+
+module.exports = { runErrorResponseTests };
@@ -53,10 +53,7 @@ async function callLambda(environment = "local", requestData) {
     };
 
     console.log(`📡 Calling ${environment} Lambda at: ${url}`);
-    console.log(`📦 Payload:`, {
-      ...requestData,
-      servicePassword: "***HIDDEN***",
-    });
+    console.log(`📦 Payload:`, requestData);
 
     const req = httpModule.request(options, (res) => {
       let responseBody = "";
@@ -106,8 +103,7 @@ function createExampleRequest() {
     participantId: "participant-456",
     adminEmails: ["admin@test.com", "manager@test.com"],
     env: "dev", // Environment: local, dev, qa, staging, prod
-    serviceEmail: "service@test.com",
-    servicePassword: "your-service-password",
+    // The service account comes from the Lambda's secrets provider
   };
 }
 
@@ -170,9 +166,7 @@ function showFrontendCode() {
   console.log(`        surveyId,`);
   console.log(`        participantId,`);
   console.log(`        adminEmails,`);
-  console.log(`        env: 'prod', // or 'dev', 'qa', 'staging'`);
-  console.log(`        serviceEmail: process.env.REACT_APP_SERVICE_EMAIL,`);
-  console.log(`        servicePassword: process.env.REACT_APP_SERVICE_PASSWORD`);
+  console.log(`        env: 'prod' // or 'dev', 'qa', 'staging'`);
   console.log(`      })`);
   console.log(`    });`);
   console.log(``);
@@ -0,0 +1,263 @@
+/**
+ * Local tests for idempotency keys: repeated POST /export requests get the original
+ * job or response instead of a second PDF and email
+ *
+ * Usage:
+ *   node test/idempotency-test.js
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { JOB_STATES, MemoryJobStore, setJobStore } = require("../src/services/job-store");
+const {
+  IDEMPOTENCY_STATES,
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  getIdempotencyKey,
+  setIdempotencyStore,
+} = require("../src/services/idempotency-store");
+const { MOCK_EVENT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { delay, postExport, waitForJob, fakeExport, mockExportPipeline } = require("./test-helpers");
+
+let exportCount = 0;
+
+/**
+ * Replace the real pipeline with one that counts exports; participants named "fail-*" fail
+ */
+const mockPipeline = () => {
+  mockExportPipeline(async (input) => {
+    exportCount++;
+    await delay(20);
+    return fakeExport(input);
+  });
+};
+
+const resetStores = () => {
+  exportCount = 0;
+  setJobStore(new MemoryJobStore());
+  setIdempotencyStore(new MemoryIdempotencyStore());
+};
+
+const tests = {
+  "default keys are shared by the same survey and participants within a window": async () => {
+    const input = { surveyId: "s1", participantIds: ["p2", "p1"] };
+    const now = 10 * 60 * 1000 * 1000;
+
+    const first = getIdempotencyKey(input, { windowMs: 60000, now });
+    const reordered = getIdempotencyKey(
+      { ...input, participantIds: ["p1", "p2"] },
+      { windowMs: 60000, now: now + 1000 }
+    );
+    const nextWindow = getIdempotencyKey(input, { windowMs: 60000, now: now + 60000 });
+
+    assert.strictEqual(first.key, reordered.key);
+    assert.notStrictEqual(first.key, nextWindow.key);
+    assert.strictEqual(first.ttlMs, 60000);
+    assert.strictEqual(getIdempotencyKey({ ...input, idempotencyKey: "abc" }, { ttlMs: 5000 }).key, "key:abc");
+  },
+
+  "default keys differ per environment": async () => {
+    const input = { surveyId: "s1", participantId: "p1" };
+
+    assert.notStrictEqual(
+      getIdempotencyKey({ ...input, env: "dev" }).key,
+      getIdempotencyKey({ ...input, env: "prod" }).key
+    );
+  },
+
+  "explicit keys carry a hash of the payload, not of credentials": async () => {
+    const input = { surveyId: "s1", participantId: "p1", env: "dev", pdfOptions: { format: "A4", landscape: true } };
+    const { payloadHash } = getIdempotencyKey({ ...input, idempotencyKey: "abc" });
+
+    const reordered = {
+      pdfOptions: { landscape: true, format: "A4" },
+      env: "dev",
+      participantId: "p1",
+      surveyId: "s1",
+    };
+    assert.strictEqual(
+      getIdempotencyKey({ ...reordered, idempotencyKey: "abc", accessToken: "fresh" }).payloadHash,
+      payloadHash
+    );
+    assert.notStrictEqual(
+      getIdempotencyKey({ ...input, participantId: "p2", idempotencyKey: "abc" }).payloadHash,
+      payloadHash
+    );
+    assert.strictEqual(getIdempotencyKey(input).payloadHash, undefined);
+  },
+
+  "file store claims a key once across instances": async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "export-idempotency-"));
+
+    try {
+      const first = await new FileIdempotencyStore(directory).claim("key:a", { jobId: "job-1" }, 60000);
+      const second = await new FileIdempotencyStore(directory).claim("key:a", { jobId: "job-2" }, 60000);
+
+      assert.strictEqual(first.claimed, true);
+      assert.strictEqual(second.claimed, false);
+      assert.strictEqual(second.record.jobId, "job-1");
+
+      await new FileIdempotencyStore(directory).complete("key:a", { response: { statusCode: 200 } });
+      const completed = await new FileIdempotencyStore(directory).claim("key:a", {}, 60000);
+      assert.strictEqual(completed.record.status, IDEMPOTENCY_STATES.COMPLETED);
+
+      // Expired records can be claimed again
+      await new FileIdempotencyStore(directory).claim("key:b", { jobId: "job-3" }, -1);
+      assert.strictEqual((await new FileIdempotencyStore(directory).claim("key:b", {}, 60000)).claimed, true);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  },
+
+  "a repeated async request returns the original job": async () => {
+    resetStores();
+
+    const first = await postExport({ async: true, idempotencyKey: "retry-1" });
+    const inFlight = await postExport({ async: true, idempotencyKey: "retry-1" });
+
+    assert.strictEqual(first.statusCode, 202);
+    assert.strictEqual(inFlight.statusCode, 202);
+    assert.strictEqual(inFlight.body.jobId, first.body.jobId);
+    assert.strictEqual(inFlight.body.idempotentReplay, true);
+
+    await waitForJob(first.body.jobId);
+    const completed = await postExport({ async: true, idempotencyKey: "retry-1" });
+
+    assert.strictEqual(completed.statusCode, 200);
+    assert.strictEqual(completed.body.jobId, first.body.jobId);
+    assert.strictEqual(completed.body.status, JOB_STATES.DONE);
+    assert.strictEqual(exportCount, 1);
+  },
+
+  "requests without a key are deduplicated by survey and participant": async () => {
+    resetStores();
+
+    const first = await postExport({ async: true });
+    const second = await postExport({ async: true });
+    const otherParticipant = await postExport({ async: true, participantId: "other-participant" });
+
+    assert.strictEqual(second.body.jobId, first.body.jobId);
+    assert.notStrictEqual(otherParticipant.body.jobId, first.body.jobId);
+
+    await waitForJob(first.body.jobId);
+    await waitForJob(otherParticipant.body.jobId);
+    assert.strictEqual(exportCount, 2);
+  },
+
+  "a failed job can be retried with the same key": async () => {
+    resetStores();
+
+    const first = await postExport({ async: true, participantId: "fail-1" });
+    assert.strictEqual((await waitForJob(first.body.jobId)).status, JOB_STATES.FAILED);
+
+    const retry = await postExport({ async: true, participantId: "fail-1" });
+    assert.strictEqual(retry.statusCode, 202);
+    assert.notStrictEqual(retry.body.jobId, first.body.jobId);
+    assert.ok(!retry.body.idempotentReplay);
+
+    await waitForJob(retry.body.jobId);
+  },
+
+  "a key taken over from a failed job still can't be re-used for a different request": async () => {
+    resetStores();
+
+    const first = await postExport({ async: true, participantId: "fail-3", idempotencyKey: "retried" });
+    assert.strictEqual((await waitForJob(first.body.jobId)).status, JOB_STATES.FAILED);
+
+    const retry = await postExport({ async: true, participantId: "fail-3", idempotencyKey: "retried" });
+    assert.strictEqual(retry.statusCode, 202);
+    await waitForJob(retry.body.jobId);
+
+    const other = await postExport({ async: true, participantId: "other-participant", idempotencyKey: "retried" });
+    assert.strictEqual(other.statusCode, 422);
+    assert.strictEqual(other.body.error, "IDEMPOTENCY_KEY_REUSED");
+  },
+
+  "a sync request abandoned by a killed invocation can be retried once it must have ended": async () => {
+    resetStores();
+    const store = new MemoryIdempotencyStore();
+    setIdempotencyStore(store);
+
+    const { key, ttlMs } = getIdempotencyKey(JSON.parse(MOCK_EVENT.body));
+    await store.claim(key, { requestId: "killed", runsUntil: Date.now() + 60000 }, ttlMs);
+    assert.strictEqual((await postExport()).statusCode, 409, "the invocation may still be running");
+
+    await store.release(key);
+    await store.claim(key, { requestId: "killed", runsUntil: Date.now() - 1 }, ttlMs);
+    const retry = await postExport();
+
+    assert.strictEqual(retry.statusCode, 200);
+    assert.strictEqual(exportCount, 1);
+  },
+
+  "a repeated sync request returns the original response": async () => {
+    resetStores();
+
+    const [first, concurrent] = await Promise.all([postExport(), postExport()]);
+    const repeated = await postExport();
+
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(concurrent.statusCode, 409);
+    assert.strictEqual(repeated.statusCode, 200);
+    assert.strictEqual(repeated.body.pdfUrl, first.body.pdfUrl);
+    assert.strictEqual(repeated.body.idempotentReplay, true);
+    assert.strictEqual(exportCount, 1);
+  },
+
+  "a failed sync request is not remembered": async () => {
+    resetStores();
+
+    const first = await postExport({ participantId: "fail-2" });
+    const retry = await postExport({ participantId: "fail-2" });
+
+    assert.strictEqual(first.statusCode, 500);
+    assert.strictEqual(retry.statusCode, 500);
+    assert.strictEqual(exportCount, 2);
+  },
+
+  "a key re-used for a different request is rejected": async () => {
+    resetStores();
+
+    const first = await postExport({ async: true, idempotencyKey: "reused" });
+    const other = await postExport({ async: true, idempotencyKey: "reused", participantId: "other-participant" });
+    const otherSync = await postExport({ idempotencyKey: "reused", env: "prod" });
+
+    assert.strictEqual(first.statusCode, 202);
+    assert.strictEqual(other.statusCode, 422);
+    assert.strictEqual(other.body.error, "IDEMPOTENCY_KEY_REUSED");
+    assert.strictEqual(otherSync.statusCode, 422);
+
+    await waitForJob(first.body.jobId);
+    assert.strictEqual((await postExport({ async: true, idempotencyKey: "reused" })).body.idempotentReplay, true);
+    assert.strictEqual(exportCount, 1);
+  },
+
+  "invalid idempotency keys are rejected": async () => {
+    resetStores();
+
+    const response = await postExport({ idempotencyKey: 42 });
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.ok(response.body.details.includes("idempotencyKey must be a non-empty string"));
+  },
+};
+
+async function runIdempotencyTests() {
+  mockPipeline();
+
+  await runTests("idempotency", tests);
+}
+
+if (require.main === module) {
+  runIdempotencyTests();
+}
+
+module.exports = { runIdempotencyTests };
@@ -0,0 +1,192 @@
+/**
+ * Local tests for async export jobs: job stores, 202 job creation and GET /export/{jobId}
+ *
+ * Usage:
+ *   node test/job-test.js
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { handler } = require("../src/index");
+const {
+  JOB_STATES,
+  MemoryJobStore,
+  FileJobStore,
+  createJobRecord,
+  setJobStore,
+} = require("../src/services/job-store");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const {
+  delay,
+  postExport,
+  waitForJob,
+  mockExportPipeline,
+  startFixtureServer,
+  readJsonBody,
+} = require("./test-helpers");
+
+const MOCK_PDF_URL = "https://storage.test.com/exports/mock.pdf";
+
+/**
+ * Replace the real pipeline with one that walks through every stage without a browser
+ */
+const mockPipeline = () => {
+  mockExportPipeline(async function () {
+    for (const stage of [JOB_STATES.AUTHENTICATING, JOB_STATES.RENDERING, JOB_STATES.UPLOADING, JOB_STATES.EMAILING]) {
+      await this.reportStage(stage);
+
+      if (stage === JOB_STATES.RENDERING && this.onProgress) {
+        await this.onProgress({ participantId: "test-participant-456", progress: 50, progressText: "50% complete" });
+      }
+    }
+    return { pdfUrl: MOCK_PDF_URL };
+  });
+};
+
+const tests = {
+  "memory store round-trips jobs": async () => {
+    const store = new MemoryJobStore();
+    const job = await store.create(createJobRecord({ surveyId: "s1", participantId: "p1" }));
+
+    assert.strictEqual(job.status, JOB_STATES.QUEUED);
+    await store.update(job.jobId, { status: JOB_STATES.RENDERING });
+    assert.strictEqual((await store.get(job.jobId)).status, JOB_STATES.RENDERING);
+    assert.strictEqual(await store.get("missing"), null);
+  },
+
+  "file store persists jobs across instances": async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "export-jobs-"));
+
+    try {
+      const job = await new FileJobStore(directory).create(createJobRecord({ surveyId: "s1" }));
+      await new FileJobStore(directory).update(job.jobId, { status: JOB_STATES.DONE, pdfUrl: MOCK_PDF_URL });
+
+      const reloaded = await new FileJobStore(directory).get(job.jobId);
+      assert.strictEqual(reloaded.status, JOB_STATES.DONE);
+      assert.strictEqual(reloaded.pdfUrl, MOCK_PDF_URL);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  },
+
+  "concurrent file store updates of a job keep every change": async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "export-jobs-"));
+
+    try {
+      const store = new FileJobStore(directory);
+      const job = await store.create(createJobRecord({ surveyId: "s1" }));
+
+      await Promise.all([
+        store.update(job.jobId, { status: JOB_STATES.RENDERING }),
+        store.update(job.jobId, { progress: { percent: 50 } }),
+        store.update(job.jobId, { stages: { authenticating: { durationMs: 10 } } }),
+        assert.rejects(store.update("missing", { status: JOB_STATES.DONE }), /Job not found/),
+      ]);
+
+      const updated = await store.get(job.jobId);
+      assert.strictEqual(updated.status, JOB_STATES.RENDERING);
+      assert.deepStrictEqual(updated.progress, { percent: 50 });
+      assert.deepStrictEqual(updated.stages, { authenticating: { durationMs: 10 } });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  },
+
+  "POST /export returns 202 and the job completes in the background": async () => {
+    const store = new MemoryJobStore();
+    const seenStatuses = new Set();
+    const update = store.update.bind(store);
+    store.update = async (jobId, changes) => {
+      if (changes.status) seenStatuses.add(changes.status);
+      return update(jobId, changes);
+    };
+    setJobStore(store);
+
+    const response = await postExport({ async: undefined });
+    const accepted = response.body;
+
+    assert.strictEqual(response.statusCode, 202);
+    assert.ok(accepted.jobId);
+    assert.strictEqual(accepted.status, JOB_STATES.QUEUED);
+
+    const job = await waitForJob(accepted.jobId);
+    assert.strictEqual(job.status, JOB_STATES.DONE);
+    assert.strictEqual(job.pdfUrl, MOCK_PDF_URL);
+    assert.deepStrictEqual(
+      [...seenStatuses],
+      [JOB_STATES.AUTHENTICATING, JOB_STATES.RENDERING, JOB_STATES.UPLOADING, JOB_STATES.EMAILING, JOB_STATES.DONE]
+    );
+  },
+
+  "jobs record stage timings and progress, and notify the callback URL": async () => {
+    setJobStore(new MemoryJobStore());
+
+    const callbacks = [];
+    const { server, url } = await startFixtureServer(async (req, res) => {
+      callbacks.push(await readJsonBody(req));
+      res.writeHead(204);
+      res.end();
+    });
+
+    try {
+      const response = await postExport({ async: true, callbackUrl: `${url}/progress` });
+      const job = await waitForJob(response.body.jobId);
+      assert.strictEqual(job.status, JOB_STATES.DONE);
+      assert.strictEqual(job.progress.percent, 50);
+      for (const stage of [JOB_STATES.AUTHENTICATING, JOB_STATES.RENDERING, JOB_STATES.UPLOADING, JOB_STATES.EMAILING]) {
+        assert.ok(job.stages[stage].completedAt, `stage ${stage} should be completed`);
+        assert.strictEqual(typeof job.stages[stage].durationMs, "number");
+      }
+
+      // The final callback is sent right after the job record is saved
+      for (let i = 0; i < 250 && callbacks.length < 6; i++) {
+        await delay(20);
+      }
+
+      assert.deepStrictEqual(
+        callbacks.map((callback) => callback.event),
+        ["stage", "stage", "progress", "stage", "stage", "done"]
+      );
+      assert.strictEqual(callbacks[callbacks.length - 1].pdfUrl, MOCK_PDF_URL);
+    } finally {
+      server.close();
+    }
+  },
+
+  "GET /export/{jobId} returns 404 for unknown jobs": async () => {
+    setJobStore(new MemoryJobStore());
+
+    const response = await handler(
+      { version: "2.0", rawPath: "/export/unknown-job", requestContext: { http: { method: "GET" } } },
+      MOCK_CONTEXT
+    );
+
+    assert.strictEqual(response.statusCode, 404);
+  },
+};
+
+async function runJobTests() {
+  mockPipeline();
+
+  await runTests("job", tests, {
+    beforeEach: () => {
+      // Every test posts the same request, so each one needs a fresh idempotency store
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+  });
+}
+
+if (require.main === module) {
+  runJobTests();
+}
+
+module.exports = { runJobTests };
@@ -21,7 +21,8 @@ require("dotenv").config();
 const http = require("http");
 const url = require("url");
 const { handler } = require("../src/index");
-const { getEnvironmentUrls } = require("../src/utils/validation");
+const { getBrowserPool } = require("../src/services/browser-pool");
+const { getEnvironmentRegistry } = require("../src/config/environment-registry");
 
 const PORT = process.env.PORT || 3002;
 const HOST = process.env.HOST || "localhost";
@@ -52,11 +53,13 @@ function createMockContext() {
  */
 function createLambdaEvent(req, body, requestId) {
   const parsedUrl = url.parse(req.url, true);
+  const jobMatch = parsedUrl.pathname.match(/^\/export\/([^/]+)$/);
+  const routeKey = jobMatch ? "GET /export/{jobId}" : "POST /export";
 
   return {
     version: "2.0",
-    routeKey: "POST /export",
-    rawPath: "/export",
+    routeKey,
+    rawPath: parsedUrl.pathname,
     rawQueryString: "",
     headers: {
       accept: req.headers.accept || "*/*",
@@ -71,6 +74,12 @@ function createLambdaEvent(req, body, requestId) {
       "x-forwarded-for": "127.0.0.1",
       "x-forwarded-port": PORT.toString(),
       "x-forwarded-proto": "http",
+      // Caller credentials checked by the handler's request authentication
+      ...Object.fromEntries(
+        ["authorization", "x-api-key", "x-export-timestamp", "x-export-signature"]
+          .filter((name) => req.headers[name])
+          .map((name) => [name, req.headers[name]])
+      ),
     },
     queryStringParameters: parsedUrl.query,
     requestContext: {
@@ -80,19 +89,19 @@ function createLambdaEvent(req, body, requestId) {
       domainPrefix: "local-api",
       http: {
         method: req.method,
-        path: "/export",
+        path: parsedUrl.pathname,
         protocol: "HTTP/1.1",
         sourceIp: "127.0.0.1",
         userAgent: req.headers["user-agent"] || "local-test-client",
       },
       requestId: requestId,
-      routeKey: "POST /export",
+      routeKey,
       stage: "local",
       time: new Date().toISOString(),
       timeEpoch: Date.now(),
     },
     body: body,
-    pathParameters: null,
+    pathParameters: jobMatch ? { jobId: jobMatch[1] } : null,
     isBase64Encoded: false,
     stageVariables: null,
   };
@@ -124,13 +133,13 @@ function logRequest(req, body, requestId) {
     console.log(`   Environment: ${requestData.env || "Not provided"}`);
 
     // Resolve URLs based on environment
-    if (requestData.env) {
-      const { frontendUrl, backendUrl } = getEnvironmentUrls(requestData.env);
+    if (requestData.env && getEnvironmentRegistry().has(requestData.env)) {
+      const { frontendUrl, backendUrl } = getEnvironmentRegistry().get(requestData.env);
       console.log(`   Frontend URL (${requestData.env}): ${frontendUrl}`);
       console.log(`   Backend URL (${requestData.env}): ${backendUrl}`);
     } else {
-      console.log(`   Frontend URL: Cannot resolve without environment`);
-      console.log(`   Backend URL: Cannot resolve without environment`);
+      console.log(`   Frontend URL: Cannot resolve without a known environment`);
+      console.log(`   Backend URL: Cannot resolve without a known environment`);
     }
 
     // Show service credentials (from request or environment)
@@ -156,7 +165,10 @@ async function handleRequest(req, res) {
   // Set CORS headers
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, X-Requested-With, X-Api-Key, X-Export-Timestamp, X-Export-Signature"
+  );
 
   // Handle OPTIONS requests (CORS preflight)
   if (req.method === "OPTIONS") {
@@ -165,6 +177,17 @@ async function handleRequest(req, res) {
     return;
   }
 
+  // Job status polling: GET /export/{jobId}
+  if (req.method === "GET" && /^\/export\/[^/]+$/.test(req.url)) {
+    const result = await handler(createLambdaEvent(req, null, requestId), createMockContext());
+    res.writeHead(result.statusCode, {
+      "Content-Type": "application/json",
+      "X-Request-ID": requestId,
+    });
+    res.end(result.body);
+    return;
+  }
+
   // Only handle POST requests to /export
   if (req.method !== "POST" || req.url !== "/export") {
     console.log(`❌ Invalid request: ${req.method} ${req.url}`);
@@ -172,7 +195,7 @@ async function handleRequest(req, res) {
     res.end(
       JSON.stringify({
         error: "Not Found",
-        message: "This endpoint only accepts POST requests to /export",
+        message: "This endpoint only accepts POST requests to /export and GET requests to /export/{jobId}",
         requestId: requestId,
       })
     );
@@ -204,7 +227,11 @@ async function handleRequest(req, res) {
       console.log(`\n✅ Lambda execution completed in ${duration}ms`);
       console.log(`📤 Response status: ${result.statusCode}`);
 
-      if (result.statusCode === 200) {
+      if (result.statusCode === 202) {
+        const responseBody = JSON.parse(result.body);
+        console.log(`🆔 Job ID: ${responseBody.jobId}`);
+        console.log(`🔍 Poll status: GET http://${HOST}:${PORT}${responseBody.statusUrl}`);
+      } else if (result.statusCode === 200) {
         const responseBody = JSON.parse(result.body);
         console.log(`📄 PDF URL: ${responseBody.pdfUrl || "Not provided"}`);
         console.log(`💬 Message: ${responseBody.message || "No message"}`);
@@ -266,14 +293,13 @@ server.listen(PORT, HOST, () => {
   console.log(`⏰ Started: ${timestamp}`);
   console.log(`🌐 Server running at: http://${HOST}:${PORT}`);
   console.log(`📡 Endpoint: http://${HOST}:${PORT}/export`);
+  console.log(`🔍 Job status: http://${HOST}:${PORT}/export/{jobId}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`📂 Working Directory: ${process.cwd()}`);
   console.log("\n📋 Usage:");
   console.log(`   curl -X POST http://${HOST}:${PORT}/export \\`);
   console.log(`     -H "Content-Type: application/json" \\`);
-  console.log(
-    `     -d '{"surveyId":"123","participantId":"456","adminEmails":["test@test.com"],"serviceEmail":"service@test.com","servicePassword":"password"}'`
-  );
+  console.log(`     -d '{"surveyId":"123","participantId":"456","adminEmails":["test@test.com"],"env":"local"}'`);
   console.log("\n⌨️  Press Ctrl+C to stop the server");
   console.log("🚀".repeat(40));
   console.log("\n🔍 Waiting for requests...\n");
@@ -282,7 +308,8 @@ server.listen(PORT, HOST, () => {
 // Graceful shutdown
 process.on("SIGINT", () => {
   console.log("\n\n🛑 Shutting down server...");
-  server.close(() => {
+  server.close(async () => {
+    await getBrowserPool().close();
     console.log("✅ Server closed. Goodbye!");
     process.exit(0);
   });
@@ -290,7 +317,8 @@ process.on("SIGINT", () => {
 
 process.on("SIGTERM", () => {
   console.log("\n\n🛑 Received SIGTERM. Shutting down gracefully...");
-  server.close(() => {
+  server.close(async () => {
+    await getBrowserPool().close();
     console.log("✅ Server closed. Goodbye!");
     process.exit(0);
   });
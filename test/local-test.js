@@ -5,6 +5,11 @@
 const { handler } = require("../src/index");
 const { loadConfig, validateRuntimeEnvironment, logConfiguration } = require("../src/config/environment");
 const { logger } = require("../src/utils/logger");
+const { getBrowserPool } = require("../src/services/browser-pool");
+
+// The service account comes from the secrets provider (env by default), which background jobs log in with
+process.env.SERVICE_EMAIL = process.env.SERVICE_EMAIL || "service@test.com";
+process.env.SERVICE_PASSWORD = process.env.SERVICE_PASSWORD || "test-password-123";
 
 // Mock data for testing
 const MOCK_EVENT = {
@@ -13,8 +18,7 @@ const MOCK_EVENT = {
     participantId: "test-participant-456",
     adminEmails: ["admin@test.com", "manager@test.com"],
     env: "dev",
-    serviceEmail: "service@test.com",
-    servicePassword: "test-password-123",
+    async: false, // Wait for the whole pipeline instead of creating a background job
   }),
   headers: {
     "Content-Type": "application/json",
@@ -25,6 +29,15 @@ const MOCK_EVENT = {
   },
 };
 
+const MOCK_BATCH_EVENT = {
+  ...MOCK_EVENT,
+  body: JSON.stringify({
+    ...JSON.parse(MOCK_EVENT.body),
+    participantId: undefined,
+    participantIds: ["test-participant-456", "test-participant-789"],
+  }),
+};
+
 const MOCK_CONTEXT = {
   awsRequestId: "test-aws-request-id",
   functionName: "59club-async-export-lambda-test",
@@ -291,6 +304,15 @@ async function runSpecificTest(testName) {
       const result = await handler(MOCK_EVENT, MOCK_CONTEXT);
       console.log("Lambda result:", result);
     },
+
+    batch: async () => {
+      const { validateInput } = require("../src/utils/validation");
+      console.log("Batch input validation:", validateInput(JSON.parse(MOCK_BATCH_EVENT.body)));
+
+      console.log("Running batch Lambda handler test...");
+      const result = await handler(MOCK_BATCH_EVENT, MOCK_CONTEXT);
+      console.log("Lambda result:", result);
+    },
   };
 
   if (tests[testName]) {
@@ -311,11 +333,10 @@ if (require.main === module) {
 
   const testName = process.argv[2];
 
-  if (testName) {
-    runSpecificTest(testName).catch(console.error);
-  } else {
-    runLocalTests().catch(console.error);
-  }
+  const run = testName ? runSpecificTest(testName) : runLocalTests();
+
+  // The pooled browser outlives the handler, like it would in a warm Lambda container
+  run.catch(console.error).finally(() => getBrowserPool().close());
 }
 
 module.exports = {
@@ -323,5 +344,6 @@ module.exports = {
   runSpecificTest,
   MockServices,
   MOCK_EVENT,
+  MOCK_BATCH_EVENT,
   MOCK_CONTEXT,
 };
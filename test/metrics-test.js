@@ -0,0 +1,210 @@
+/**
+ * Local tests for pipeline metrics: browser launch, auth, render, upload and email durations, retry counts
+ * and PDF sizes are written as CloudWatch Embedded Metric Format records with env, stage and outcome dimensions
+ *
+ * Usage:
+ *   node test/metrics-test.js
+ */
+
+const assert = require("assert");
+const chromium = require("@sparticuz/chromium");
+const puppeteer = require("puppeteer-core");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+process.env.RETRY_BASE_DELAY_MS = "5";
+
+const { handler } = require("../src/index");
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { formatMetricEntry, createMetrics } = require("../src/utils/metrics");
+const { runStage } = require("../src/utils/stage-policy");
+const { MOCK_EVENT, MOCK_BATCH_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { PDF, captureOutput, mockBrowserPool, mockBackend, httpError } = require("./test-helpers");
+
+const METRICS_ENV_VARS = ["METRICS_ENABLED", "METRICS_NAMESPACE", "EMAIL_TIMEOUT_MS", "EMAIL_MAX_RETRIES"];
+
+// Backend answers per endpoint: "ok", or a status code to fail every request with; `failures` limits how many
+let answers = {};
+
+/**
+ * Run a function and collect the EMF records it writes
+ * @param {Function} fn - Function to run
+ * @returns {Array} - Parsed records
+ */
+const captureMetrics = async (fn) =>
+  (await captureOutput(fn))
+    .split("\n")
+    .filter((line) => line.includes('"_aws"'))
+    .map((line) => JSON.parse(line));
+
+const findRecords = (records, stage, metric) =>
+  records.filter((record) => record.stage === stage && record[metric] !== undefined);
+
+/**
+ * Replace Chrome with one that launches instantly, a browser pool that launches it for every export,
+ * and a backend that answers upload and email requests as set in `answers`
+ */
+const mockPipeline = () => {
+  chromium.executablePath = async () => "/nonexistent/chromium";
+  puppeteer.launch = async () => ({});
+
+  mockBrowserPool((log, launch) => launch());
+
+  PuppeteerService.prototype.authenticate = async () => ({ accessToken: "service-token" });
+  PuppeteerService.prototype.exportAuthenticated = async () => PDF;
+
+  mockBackend((endpoint) => {
+    const answer = answers[endpoint];
+
+    if (answer && answer.failures > 0) {
+      answer.failures--;
+      throw httpError(answer.status);
+    }
+  });
+};
+
+const tests = {
+  "records are EMF with env, stage and outcome dimensions": async () => {
+    const record = JSON.parse(
+      formatMetricEntry(
+        { env: "dev", stage: "upload", outcome: "success" },
+        { Duration: 1200, Retries: 1, PdfSize: undefined },
+        { requestId: "req-1", jobId: undefined }
+      )
+    );
+
+    const { _aws: emf, ...fields } = record;
+
+    assert.ok(Number.isInteger(emf.Timestamp));
+    assert.deepStrictEqual(emf.CloudWatchMetrics, [
+      {
+        Namespace: "59club/AsyncExport",
+        Dimensions: [["env", "stage", "outcome"]],
+        Metrics: [
+          { Name: "Duration", Unit: "Milliseconds" },
+          { Name: "Retries", Unit: "Count" },
+        ],
+      },
+    ]);
+    assert.deepStrictEqual(fields, {
+      requestId: "req-1",
+      env: "dev",
+      stage: "upload",
+      outcome: "success",
+      Duration: 1200,
+      Retries: 1,
+    });
+
+    const withoutEnv = JSON.parse(formatMetricEntry({ stage: "render", outcome: "success" }, { PdfSize: 10 }));
+    assert.deepStrictEqual(withoutEnv._aws.CloudWatchMetrics[0].Dimensions, [["stage", "outcome"]]);
+  },
+
+  "an export records every stage": async () => {
+    let response;
+    const records = await captureMetrics(async () => {
+      response = await handler(MOCK_EVENT, MOCK_CONTEXT);
+    });
+
+    assert.strictEqual(response.statusCode, 200);
+    for (const stage of ["launch", "auth", "render", "upload", "email"]) {
+      const [record] = findRecords(records, stage, "Duration");
+
+      assert.ok(record, `no ${stage} duration`);
+      assert.strictEqual(record.env, "dev");
+      assert.strictEqual(record.outcome, "success");
+      assert.strictEqual(record.requestId, MOCK_CONTEXT.awsRequestId);
+    }
+    assert.strictEqual(findRecords(records, "upload", "Retries")[0].Retries, 0);
+    assert.strictEqual(findRecords(records, "render", "PdfSize")[0].PdfSize, PDF.length);
+    assert.ok(
+      records.every((record) => !JSON.stringify(record).includes("test-participant-456")),
+      "records carry no personal data"
+    );
+  },
+
+  "batch exports record each participant's render and delivery": async () => {
+    const records = await captureMetrics(() => handler(MOCK_BATCH_EVENT, MOCK_CONTEXT));
+
+    assert.strictEqual(findRecords(records, "auth", "Duration").length, 1);
+    assert.strictEqual(findRecords(records, "render", "PdfSize").length, 2);
+    assert.strictEqual(findRecords(records, "upload", "Duration").length, 2);
+    assert.strictEqual(findRecords(records, "email", "Duration").length, 2);
+  },
+
+  "retries and failed stages are counted": async () => {
+    answers = { upload: { status: 503, failures: 1 }, email: { status: 503, failures: Infinity } };
+
+    const records = await captureMetrics(() => handler(MOCK_EVENT, MOCK_CONTEXT));
+    const [upload] = findRecords(records, "upload", "Retries");
+    const [email] = findRecords(records, "email", "Retries");
+
+    assert.deepStrictEqual([upload.Retries, upload.outcome], [1, "success"]);
+    assert.deepStrictEqual([email.Retries, email.outcome], [2, "failure"]);
+  },
+
+  "stage timeouts are recorded as timeouts": async () => {
+    process.env.EMAIL_TIMEOUT_MS = "20";
+    process.env.EMAIL_MAX_RETRIES = "1";
+    const records = [];
+    const metrics = { record: (values, fields) => records.push({ ...values, ...fields }) };
+
+    await assert.rejects(
+      runStage("email", () => new Promise((resolve) => setTimeout(resolve, 200)), "metrics-test", null, metrics),
+      /timed out/
+    );
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].outcome, "timeout");
+    assert.strictEqual(records[0].Retries, 0);
+  },
+
+  "failed browser launches are recorded": async () => {
+    puppeteer.launch = async () => {
+      throw new Error("Failed to launch the browser process");
+    };
+
+    try {
+      const records = await captureMetrics(() => handler(MOCK_EVENT, MOCK_CONTEXT));
+      const [launch] = findRecords(records, "launch", "Duration");
+
+      assert.strictEqual(launch.outcome, "failure");
+      assert.strictEqual(launch.env, "dev");
+    } finally {
+      puppeteer.launch = async () => ({});
+    }
+  },
+
+  "METRICS_NAMESPACE and METRICS_ENABLED configure the records": async () => {
+    process.env.METRICS_NAMESPACE = "59club/AsyncExport/qa";
+    const [record] = await captureMetrics(() =>
+      createMetrics({ env: "qa" }).record({ Duration: 1 }, { stage: "auth" })
+    );
+    assert.strictEqual(record._aws.CloudWatchMetrics[0].Namespace, "59club/AsyncExport/qa");
+
+    process.env.METRICS_ENABLED = "false";
+    const records = await captureMetrics(() => handler(MOCK_EVENT, MOCK_CONTEXT));
+    assert.deepStrictEqual(records, []);
+  },
+};
+
+async function runMetricsTests() {
+  mockPipeline();
+
+  await runTests("metrics", tests, {
+    beforeEach: () => {
+      answers = {};
+      METRICS_ENV_VARS.forEach((name) => delete process.env[name]);
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+    teardown: () => METRICS_ENV_VARS.forEach((name) => delete process.env[name]),
+  });
+}
+
+if (require.main === module) {
+  runMetricsTests();
+}
+
+module.exports = { runMetricsTests };
@@ -0,0 +1,177 @@
+/**
+ * Local tests for PII masking: recipient and service account emails and participant IDs are hashed,
+ * partially masked or dropped in every log entry, and only local runs can turn masking off
+ *
+ * Usage:
+ *   node test/pii-masking-test.js
+ */
+
+const assert = require("assert");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = "debug";
+process.env.IS_LOCAL = "true";
+
+const { handler } = require("../src/index");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { logger, setPIIPolicy } = require("../src/utils/logger");
+const { PII_MODES, createPIIPolicy, createPIIPolicyFromEnv, maskPII } = require("../src/utils/pii");
+const { MOCK_EVENT, MOCK_BATCH_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { captureOutput, mockRenderer, mockBackend } = require("./test-helpers");
+
+const PERSONAL_DATA = ["admin@test.com", "manager@test.com", "service@test.com", "test-participant-456"];
+const PII_ENV_VARS = [
+  "LOG_PII_MODE",
+  "LOG_PII_EMAIL_MODE",
+  "LOG_PII_PARTICIPANT_MODE",
+  "LOG_PII_HASH_SALT",
+  "LOG_PII_UNMASKED",
+  "AWS_LAMBDA_FUNCTION_NAME",
+];
+
+/**
+ * Use a PII policy built from the given environment variables
+ * @param {Object} env - LOG_PII_* settings
+ */
+const usePolicyFromEnv = (env) => {
+  Object.assign(process.env, env);
+  setPIIPolicy(null);
+};
+
+const tests = {
+  "an export's logs contain no emails or participant IDs": async () => {
+    const body = JSON.stringify({ ...JSON.parse(MOCK_EVENT.body), serviceEmail: "service@test.com" });
+    let response;
+
+    const output = await captureOutput(async () => {
+      response = await handler({ ...MOCK_EVENT, body }, MOCK_CONTEXT);
+    });
+
+    assert.strictEqual(response.statusCode, 200);
+    for (const value of PERSONAL_DATA) {
+      assert.ok(!output.includes(value), `output contains ${value}`);
+    }
+    assert.ok(output.includes("a***@test.com"), "emails are masked by default");
+    assert.ok(output.includes("hash:"), "participant IDs are hashed by default");
+    assert.ok(output.includes("test-survey-123"), "everything else is still logged");
+  },
+
+  "batch exports mask every participant": async () => {
+    const output = await captureOutput(() => handler(MOCK_BATCH_EVENT, MOCK_CONTEXT));
+
+    assert.ok(!output.includes("test-participant-456"));
+    assert.ok(!output.includes("test-participant-789"));
+  },
+
+  "each mode hashes, masks or drops": async () => {
+    const metadata = {
+      serviceEmail: "service@test.com",
+      recipientEmails: ["admin@test.com"],
+      participantId: "test-participant-456",
+      adminEmailCount: 1,
+      endpoint: "https://api.test/responses/s1/participants/test-participant-456/send-report-with-pdf",
+    };
+
+    const hashed = maskPII(metadata, createPIIPolicy({ emailMode: "hash", participantMode: "hash", hashSalt: "s" }));
+    assert.match(hashed.serviceEmail, /^hash:[0-9a-f]{12}$/);
+    assert.strictEqual(hashed.participantId, maskPII(metadata, createPIIPolicy({ hashSalt: "s" })).participantId);
+    const unsalted = maskPII(metadata, createPIIPolicy());
+    assert.notStrictEqual(hashed.participantId, unsalted.participantId, "hashes are salted");
+    assert.ok(hashed.endpoint.endsWith(`/participants/${hashed.participantId}/send-report-with-pdf`));
+
+    const masked = maskPII(metadata, createPIIPolicy({ emailMode: "mask", participantMode: "mask" }));
+    assert.deepStrictEqual(masked, {
+      serviceEmail: "s***@test.com",
+      recipientEmails: ["a***@test.com"],
+      participantId: "te***56",
+      adminEmailCount: 1,
+      endpoint: "https://api.test/responses/s1/participants/te***56/send-report-with-pdf",
+    });
+
+    const dropped = maskPII(metadata, createPIIPolicy({ emailMode: "drop", participantMode: "drop" }));
+    assert.deepStrictEqual(dropped, {
+      adminEmailCount: 1,
+      endpoint: "https://api.test/responses/s1/participants/[PARTICIPANT]/send-report-with-pdf",
+    });
+    assert.strictEqual(maskPII("Sent to admin@test.com", createPIIPolicy({ emailMode: "drop" })), "Sent to [EMAIL]");
+  },
+
+  "URLs and filenames mask every listed participant": async () => {
+    const url = "https://app.test/en-GB/surveys/s1/results/by-user?participantIds=p-0001,p-0002&asyncExport=true";
+
+    assert.strictEqual(
+      maskPII(url, createPIIPolicy({ participantMode: "mask" })),
+      "https://app.test/en-GB/surveys/s1/results/by-user?participantIds=p-***01,p-***02&asyncExport=true"
+    );
+    assert.strictEqual(
+      maskPII("survey_s1_participant_p-0001.pdf", createPIIPolicy({ participantMode: "mask" })),
+      "survey_s1_participant_p-***01.pdf"
+    );
+  },
+
+  "modes are configured per kind from the environment": async () => {
+    usePolicyFromEnv({ LOG_PII_MODE: "mask", LOG_PII_EMAIL_MODE: "drop" });
+
+    const output = await captureOutput(() =>
+      logger.info("Starting email notifications", { adminEmails: ["admin@test.com"], participantId: "participant-1" })
+    );
+
+    assert.deepStrictEqual(JSON.parse(output).participantId, "pa***-1");
+    assert.strictEqual(JSON.parse(output).adminEmails, undefined);
+  },
+
+  "unknown modes drop the values": async () => {
+    usePolicyFromEnv({ LOG_PII_MODE: "hashh" });
+
+    assert.deepStrictEqual(createPIIPolicyFromEnv(), {
+      emailMode: PII_MODES.DROP,
+      participantMode: PII_MODES.DROP,
+      hashSalt: "",
+      unmasked: false,
+    });
+    assert.throws(() => createPIIPolicy({ emailMode: "hashh" }), /Invalid PII mode: hashh/);
+  },
+
+  "unmasked logs are only allowed in local runs": async () => {
+    usePolicyFromEnv({ LOG_PII_UNMASKED: "true" });
+    const local = await captureOutput(() => logger.info("Local", { serviceEmail: "service@test.com" }));
+    assert.ok(local.includes("service@test.com"));
+
+    usePolicyFromEnv({ AWS_LAMBDA_FUNCTION_NAME: "59club-async-export-lambda" });
+    const lambda = await captureOutput(() => logger.info("Lambda", { serviceEmail: "service@test.com" }));
+    assert.ok(!lambda.includes("service@test.com"));
+
+    delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    usePolicyFromEnv({ IS_LOCAL: "false" });
+    try {
+      const deployed = await captureOutput(() => logger.info("Deployed", { serviceEmail: "service@test.com" }));
+      assert.ok(!deployed.includes("service@test.com"));
+    } finally {
+      process.env.IS_LOCAL = "true";
+    }
+  },
+};
+
+async function runPIIMaskingTests() {
+  mockRenderer();
+  mockBackend();
+
+  await runTests("PII masking", tests, {
+    beforeEach: () => {
+      PII_ENV_VARS.forEach((name) => delete process.env[name]);
+      setPIIPolicy(null);
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+    teardown: () => {
+      PII_ENV_VARS.forEach((name) => delete process.env[name]);
+      setPIIPolicy(null);
+    },
+  });
+}
+
+if (require.main === module) {
+  runPIIMaskingTests();
+}
+
+module.exports = { runPIIMaskingTests };
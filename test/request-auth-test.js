@@ -0,0 +1,266 @@
+/**
+ * Local tests for request authentication: callers of /export must send an HMAC signature,
+ * an API key or a backend JWT, and get 401 otherwise
+ *
+ * Usage:
+ *   node test/request-auth-test.js
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+process.env.REQUEST_AUTH_REQUIRED = "true";
+
+const { handler } = require("../src/index");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { SecretsProvider, setSecretsProvider } = require("../src/services/secrets-provider");
+const { authenticateRequest } = require("../src/services/request-auth");
+const { createSubmitter, replayMessages } = require("../scripts/replay-dlq");
+const { MemoryQueue } = require("./dlq-replay-test");
+const { MOCK_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { postExport, mockRenderer, mockDelivery } = require("./test-helpers");
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const secrets = {
+  REQUEST_SIGNING_SECRET: "signing-secret",
+  API_KEYS: "portal:portal-key,legacy-key",
+  REQUEST_JWT_SECRET: "jwt-secret",
+  REQUEST_JWT_PUBLIC_KEY: publicKey.export({ type: "spki", format: "pem" }),
+  SERVICE_EMAIL: "service@test.com",
+  SERVICE_PASSWORD: "test-password-123",
+};
+
+/**
+ * Sign a JWT the way the backend would
+ * @param {Object} claims - Claims, exp defaults to 10 minutes from now
+ * @param {string} alg - HS256 or RS256
+ * @param {string|Object} key - HMAC secret or RSA private key
+ * @returns {string} - JWT
+ */
+const signJwt = (claims, alg = "HS256", key = secrets.REQUEST_JWT_SECRET) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg, typ: "JWT" })}.${encode({ exp: Math.floor(Date.now() / 1000) + 600, ...claims })}`;
+  const signature =
+    alg === "HS256"
+      ? crypto.createHmac("sha256", key).update(unsigned).digest()
+      : crypto.sign("sha256", Buffer.from(unsigned), key);
+
+  return `${unsigned}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Headers of an HMAC-signed request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {string} body - Raw body
+ * @param {Object} options - { secret, timestamp } overrides
+ * @returns {Object} - Headers
+ */
+const signedHeaders = (method, path, body, options = {}) => {
+  const timestamp = String(options.timestamp || Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac("sha256", options.secret || secrets.REQUEST_SIGNING_SECRET)
+    .update(`${timestamp}.${method}.${path}.${body}`)
+    .digest("hex");
+
+  return { "X-Export-Timestamp": timestamp, "X-Export-Signature": `sha256=${signature}` };
+};
+
+const calls = {};
+
+/**
+ * Replace the browser, upload and email steps so an accepted request completes without a backend
+ */
+const mockPipeline = () => {
+  mockRenderer({
+    accessToken: "service-token",
+    onRender: () => {
+      calls.exports = (calls.exports || 0) + 1;
+    },
+  });
+  mockDelivery();
+};
+
+/**
+ * POST /export with the given headers
+ * @param {Object} headers - Extra request headers
+ * @param {string} body - Raw body, defaults to the mock request
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+const post = (headers, body) => postExport({}, { headers, body });
+
+const tests = {
+  "signed requests are accepted": async () => {
+    const response = await post(signedHeaders("POST", "/export", MOCK_EVENT.body));
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(calls.exports, 1);
+  },
+
+  "tampered, stale or foreign signatures are rejected": async () => {
+    const headers = signedHeaders("POST", "/export", MOCK_EVENT.body);
+    const tampered = MOCK_EVENT.body.replace("test-participant-456", "other-participant");
+    const stale = Math.floor(Date.now() / 1000) - 600;
+
+    assert.strictEqual((await post(headers, tampered)).body.message, "Invalid request signature");
+    assert.strictEqual(
+      (await post(signedHeaders("POST", "/export", MOCK_EVENT.body, { timestamp: stale }))).body.message,
+      "Request signature timestamp is outside the allowed window"
+    );
+    assert.strictEqual(
+      (await post(signedHeaders("POST", "/export", MOCK_EVENT.body, { secret: "other" }))).statusCode,
+      401
+    );
+    assert.strictEqual(calls.exports, undefined);
+  },
+
+  "API keys are accepted by name": async () => {
+    const event = { headers: { "x-api-key": "portal-key" }, httpMethod: "POST", requestContext: {} };
+    assert.deepStrictEqual(await authenticateRequest(event, "test"), { method: "apikey", caller: "portal" });
+
+    event.headers["x-api-key"] = "legacy-key";
+    assert.deepStrictEqual(await authenticateRequest(event, "test"), { method: "apikey", caller: "key-2" });
+
+    assert.strictEqual((await post({ "X-Api-Key": "portal-key" })).statusCode, 200);
+    assert.strictEqual((await post({ "X-Api-Key": "wrong-key" })).body.message, "Invalid API key");
+  },
+
+  "backend JWTs are verified": async () => {
+    const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+    assert.strictEqual((await post(bearer(signJwt({ sub: "backend" })))).statusCode, 200);
+    assert.strictEqual((await post(bearer(signJwt({ sub: "backend" }, "RS256", privateKey)))).statusCode, 200);
+
+    const rejected = async (token) => (await post(bearer(token))).body.message;
+    assert.strictEqual(await rejected(signJwt({}, "HS256", "other-secret")), "Invalid bearer token signature");
+    const expired = signJwt({ exp: Math.floor(Date.now() / 1000) - 10 });
+    assert.strictEqual(await rejected(expired), "Bearer token has expired");
+    assert.strictEqual(await rejected("not-a-jwt"), "Malformed bearer token");
+
+    process.env.REQUEST_JWT_ISSUER = "https://api.59club.test";
+    try {
+      const foreign = signJwt({ iss: "https://evil.test" });
+      assert.strictEqual(await rejected(foreign), "Bearer token was issued by a different issuer");
+      assert.strictEqual((await post(bearer(signJwt({ iss: "https://api.59club.test" })))).statusCode, 200);
+    } finally {
+      delete process.env.REQUEST_JWT_ISSUER;
+    }
+  },
+
+  "malformed bearer tokens get 401, not 500": async () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    const valid = signJwt({ sub: "backend" });
+    const [header, claims, signature] = valid.split(".");
+    const malformed = [
+      `${encode(null)}.${claims}.${signature}`,
+      `${header}.${encode(null)}.${signature}`,
+      `${encode(42)}.${encode("claims")}.${signature}`,
+      `${header}.${encode([])}.${signature}`,
+      `${valid}.extra`,
+      `${header}.${claims}`,
+      `${header}..${claims}.${signature}`,
+    ];
+
+    for (const token of malformed) {
+      const response = await post({ Authorization: `Bearer ${token}` });
+
+      assert.strictEqual(response.statusCode, 401, token);
+      assert.strictEqual(response.body.message, "Malformed bearer token", token);
+    }
+    assert.strictEqual(calls.exports, undefined);
+  },
+
+  "requests without credentials get 401": async () => {
+    const response = await post({});
+
+    assert.strictEqual(response.statusCode, 401);
+    assert.strictEqual(response.body.error, "AUTHENTICATION_ERROR");
+    assert.strictEqual(response.body.message, "Missing request credentials");
+    assert.strictEqual(calls.exports, undefined);
+  },
+
+  "job status polling needs credentials too": async () => {
+    const event = {
+      httpMethod: "GET",
+      path: "/export/missing-job",
+      pathParameters: { jobId: "missing-job" },
+      requestContext: { requestId: "test-request-id" },
+    };
+
+    assert.strictEqual((await handler({ ...event, headers: {} }, MOCK_CONTEXT)).statusCode, 401);
+
+    const headers = signedHeaders("GET", "/export/missing-job", "");
+    assert.strictEqual((await handler({ ...event, headers }, MOCK_CONTEXT)).statusCode, 404);
+  },
+
+  "direct invocations are trusted, API Gateway events without credentials aren't": async () => {
+    const input = { ...JSON.parse(MOCK_EVENT.body), async: false };
+
+    assert.strictEqual((await handler(input, MOCK_CONTEXT)).statusCode, 200);
+    assert.strictEqual((await handler({ ...input, requestContext: {} }, MOCK_CONTEXT)).statusCode, 401);
+    assert.strictEqual(calls.exports, 1);
+  },
+
+  "DLQ replays of requests and expired signed API events pass through the handler": async () => {
+    const body = JSON.stringify({ ...JSON.parse(MOCK_EVENT.body), participantId: "replayed-participant" });
+    const expired = signedHeaders("POST", "/export", body, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    const queue = new MemoryQueue([
+      { messageId: "request-message", body: JSON.stringify({ ...JSON.parse(MOCK_EVENT.body), async: false }) },
+      { messageId: "api-message", body: JSON.stringify({ ...MOCK_EVENT, path: "/export", body, headers: expired }) },
+    ]);
+
+    const outcomes = await replayMessages(queue, createSubmitter({ local: true }), { all: true });
+
+    assert.deepStrictEqual(
+      outcomes.map((outcome) => [outcome.messageId, outcome.action, outcome.error]),
+      [
+        ["request-message", "replayed", undefined],
+        ["api-message", "replayed", undefined],
+      ]
+    );
+    assert.deepStrictEqual(queue.deleted, ["request-message", "api-message"]);
+    assert.strictEqual(calls.exports, 2);
+  },
+
+  "anonymous requests are accepted when authentication isn't required": async () => {
+    process.env.REQUEST_AUTH_REQUIRED = "false";
+    try {
+      assert.strictEqual((await post({})).statusCode, 200);
+      assert.strictEqual((await post({ "X-Api-Key": "wrong-key" })).statusCode, 401, "bad credentials still fail");
+    } finally {
+      process.env.REQUEST_AUTH_REQUIRED = "true";
+    }
+  },
+
+  "methods without a configured secret are refused": async () => {
+    setSecretsProvider(new SecretsProvider({ load: async () => ({}) }));
+
+    assert.strictEqual(
+      (await post({ "X-Api-Key": "portal-key" })).body.message,
+      "API keys are not enabled (API_KEYS is not set)"
+    );
+  },
+};
+
+async function runRequestAuthTests() {
+  mockPipeline();
+
+  await runTests("request authentication", tests, {
+    beforeEach: () => {
+      Object.keys(calls).forEach((key) => delete calls[key]);
+      setIdempotencyStore(new MemoryIdempotencyStore());
+      setSecretsProvider(new SecretsProvider({ load: async () => secrets }));
+    },
+  });
+}
+
+if (require.main === module) {
+  runRequestAuthTests();
+}
+
+module.exports = { runRequestAuthTests };
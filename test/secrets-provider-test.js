@@ -0,0 +1,185 @@
+/**
+ * Local tests for the secrets provider: service credentials are read from a JSON secrets file,
+ * cached for a TTL and picked up again after they rotate
+ *
+ * Usage:
+ *   node test/secrets-provider-test.js
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+delete process.env.SERVICE_EMAIL;
+delete process.env.SERVICE_PASSWORD;
+
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { createSecretsProvider, setSecretsProvider } = require("../src/services/secrets-provider");
+const { validateRuntimeEnvironment } = require("../src/config/environment");
+const { AuthenticationError } = require("../src/utils/error-handler");
+const { runTests } = require("./test-runner");
+const { PDF, delay, postExport, mockDelivery } = require("./test-helpers");
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "export-secrets-"));
+const secretsPath = path.join(directory, "secrets.json");
+
+/**
+ * Write the secrets file, as a rotation would
+ * @param {Object} secrets - { NAME: value }
+ */
+const writeSecrets = (secrets) => fs.writeFileSync(secretsPath, JSON.stringify(secrets));
+
+/**
+ * File provider whose backend reads are counted
+ * @param {number} ttlMs - Cache TTL
+ * @returns {Object} - { provider, reads }
+ */
+const countingProvider = (ttlMs) => {
+  const provider = createSecretsProvider({ type: "file", filePath: secretsPath, ttlMs });
+  const counter = { provider, reads: 0 };
+  const load = provider.backend.load.bind(provider.backend);
+
+  provider.backend.load = async () => {
+    counter.reads++;
+    return load();
+  };
+  return counter;
+};
+
+const calls = {};
+
+/**
+ * Replace the browser, upload and email steps with ones that record the credentials they were given
+ */
+const mockPipeline = () => {
+  PuppeteerService.prototype.generatePDF = async function (params) {
+    calls.logins = [...(calls.logins || []), { serviceEmail: params.serviceEmail, password: params.servicePassword }];
+
+    if (params.servicePassword !== calls.acceptedPassword) {
+      throw new AuthenticationError("Authentication failed: Login failed: 401 Unauthorized");
+    }
+    return { pdfBuffer: PDF, accessToken: "service-token" };
+  };
+  mockDelivery();
+};
+
+const tests = {
+  "secrets are cached until the TTL expires": async () => {
+    writeSecrets({ SERVICE_EMAIL: "service@test.com", SERVICE_PASSWORD: "password-1" });
+    const counter = countingProvider(100);
+
+    const credentials = await counter.provider.getServiceCredentials();
+    assert.deepStrictEqual(credentials, { serviceEmail: "service@test.com", servicePassword: "password-1" });
+
+    writeSecrets({ SERVICE_EMAIL: "service@test.com", SERVICE_PASSWORD: "password-2" });
+    await Promise.all([counter.provider.get("SERVICE_PASSWORD"), counter.provider.get("SERVICE_EMAIL")]);
+    assert.strictEqual(await counter.provider.get("SERVICE_PASSWORD"), "password-1");
+    assert.strictEqual(counter.reads, 1);
+
+    await delay(150);
+    assert.strictEqual(await counter.provider.get("SERVICE_PASSWORD"), "password-2", "rotated secret after the TTL");
+    assert.strictEqual(counter.reads, 2);
+  },
+
+  "concurrent lookups share one read": async () => {
+    writeSecrets({ SERVICE_PASSWORD: "password-1" });
+    const counter = countingProvider(60000);
+
+    await Promise.all([1, 2, 3].map(() => counter.provider.get("SERVICE_PASSWORD")));
+    assert.strictEqual(counter.reads, 1);
+  },
+
+  "a failed reload keeps the previous secrets": async () => {
+    writeSecrets({ SERVICE_PASSWORD: "password-1" });
+    const counter = countingProvider(60000);
+    await counter.provider.get("SERVICE_PASSWORD");
+
+    fs.writeFileSync(secretsPath, "{ not json");
+    counter.provider.invalidate();
+    assert.strictEqual(await counter.provider.get("SERVICE_PASSWORD"), "password-1");
+    assert.strictEqual(counter.reads, 2);
+
+    const cold = createSecretsProvider({ type: "file", filePath: secretsPath });
+    await assert.rejects(cold.get("SERVICE_PASSWORD"), /Failed to load secrets from file/);
+  },
+
+  "providers are configured from the environment": async () => {
+    process.env.SERVICE_PASSWORD = "env-password";
+    try {
+      assert.strictEqual(await createSecretsProvider({ type: "env" }).get("SERVICE_PASSWORD"), "env-password");
+    } finally {
+      delete process.env.SERVICE_PASSWORD;
+    }
+
+    assert.throws(() => createSecretsProvider({ type: "vault" }), /Unknown secrets provider: vault/);
+    assert.throws(() => createSecretsProvider({ type: "file", filePath: "" }), /SECRETS_FILE_PATH must be set/);
+
+    process.env.SECRETS_PROVIDER = "ssm";
+    try {
+      const { issues } = validateRuntimeEnvironment();
+      assert.ok(issues.includes("SECRETS_SSM_PATH must be set when SECRETS_PROVIDER is ssm"));
+    } finally {
+      delete process.env.SECRETS_PROVIDER;
+    }
+  },
+
+  "requests without credentials use the secrets file": async () => {
+    writeSecrets({ SERVICE_EMAIL: "file-service@test.com", SERVICE_PASSWORD: "file-password" });
+    calls.acceptedPassword = "file-password";
+
+    const response = await postExport({ async: false });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(calls.logins, [{ serviceEmail: "file-service@test.com", password: "file-password" }]);
+  },
+
+  "requests are rejected when no credentials are available": async () => {
+    writeSecrets({ SERVICE_EMAIL: "file-service@test.com" });
+
+    const response = await postExport({ async: false });
+    assert.strictEqual(response.statusCode, 400);
+    assert.deepStrictEqual(response.body.details, [
+      "servicePassword must be provided in request or set as SERVICE_PASSWORD in the secrets provider",
+    ]);
+  },
+
+  "a rejected password is re-read before the TTL expires": async () => {
+    writeSecrets({ SERVICE_EMAIL: "file-service@test.com", SERVICE_PASSWORD: "old-password" });
+    calls.acceptedPassword = "old-password";
+    assert.strictEqual((await postExport({ async: false, idempotencyKey: "first" })).statusCode, 200);
+
+    // The password is rotated; the cached copy is still valid for another hour
+    writeSecrets({ SERVICE_EMAIL: "file-service@test.com", SERVICE_PASSWORD: "new-password" });
+    calls.acceptedPassword = "new-password";
+
+    assert.strictEqual((await postExport({ async: false, idempotencyKey: "second" })).statusCode, 401);
+    assert.strictEqual((await postExport({ async: false, idempotencyKey: "third" })).statusCode, 200);
+    assert.deepStrictEqual(
+      calls.logins.map((login) => login.password),
+      ["old-password", "old-password", "new-password"]
+    );
+  },
+};
+
+async function runSecretsProviderTests() {
+  mockPipeline();
+
+  await runTests("secrets provider", tests, {
+    beforeEach: () => {
+      Object.keys(calls).forEach((key) => delete calls[key]);
+      setIdempotencyStore(new MemoryIdempotencyStore());
+      setSecretsProvider(createSecretsProvider({ type: "file", filePath: secretsPath, ttlMs: 3600000 }));
+    },
+    teardown: () => fs.rmSync(directory, { recursive: true, force: true }),
+  });
+}
+
+if (require.main === module) {
+  runSecretsProviderTests();
+}
+
+module.exports = { runSecretsProviderTests };
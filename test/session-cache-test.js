@@ -0,0 +1,277 @@
+/**
+ * Local tests for the login session cache: exports for the same environment and service account
+ * reuse the cached token, cookies and localStorage instead of logging in through the UI again
+ *
+ * Usage:
+ *   node test/session-cache-test.js
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { BrowserPool, getBrowserPool, setBrowserPool } = require("../src/services/browser-pool");
+const {
+  getSessionCacheKey,
+  getTokenExpiry,
+  SessionCache,
+  EncryptedFileSessionStore,
+  createSessionCache,
+  setSessionCache,
+} = require("../src/services/session-cache");
+const { SecretsProvider, setSecretsProvider } = require("../src/services/secrets-provider");
+const { runTests } = require("./test-runner");
+const { startFixtureServer, redirectToLogin, exportFixturePDF } = require("./test-helpers");
+
+/**
+ * Build an unsigned JWT expiring in the given number of seconds
+ * @param {number} expiresInSeconds - Token lifetime
+ * @returns {string} - JWT
+ */
+const fixtureToken = (expiresInSeconds) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const exp = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  return `${encode({ alg: "none" })}.${encode({ sub: "service", exp, jti: crypto.randomUUID() })}.signature`;
+};
+
+const loginPage = `<!DOCTYPE html>
+<html>
+  <body>
+    <form id="login">
+      <input type="email" name="email" />
+      <input type="password" name="password" />
+      <button type="submit">Login</button>
+    </form>
+    <script>
+      document.getElementById("login").addEventListener("submit", async (event) => {
+        event.preventDefault();
+        const response = await fetch("/users/login", { method: "POST", body: "{}" });
+        const { data } = await response.json();
+        localStorage.setItem("accessToken", data.token);
+      });
+    </script>
+  </body>
+</html>`;
+
+// The frontend sends visitors without a token in localStorage back to the login page
+const resultsPage = `<!DOCTYPE html>
+<html>
+  <head>
+    <script>
+      if (!localStorage.getItem("accessToken")) location.href = "/en-GB/auth/login";
+    </script>
+  </head>
+  <body><h1>Survey results</h1></body>
+</html>`;
+
+/**
+ * Frontend and backend in one: a login form, POST /users/login (which sets an HttpOnly session
+ * cookie) and a results page that needs both the cookie and the localStorage token
+ */
+const startFrontend = async () => {
+  const fixture = { logins: 0, sessions: new Set(), tokenLifetime: 3600 };
+
+  const server = await startFixtureServer((req, res, url) => {
+    if (url.pathname === "/users/login" && req.method === "POST") {
+      fixture.logins++;
+      const sessionId = crypto.randomUUID();
+      fixture.sessions.add(sessionId);
+
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Set-Cookie": `session=${sessionId}; Path=/; HttpOnly`,
+      });
+      res.end(JSON.stringify({ data: { token: fixtureToken(fixture.tokenLifetime) } }));
+      return;
+    }
+
+    if (url.pathname.includes("/auth/login")) {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(loginPage);
+      return;
+    }
+
+    const sessionId = (req.headers.cookie || "").match(/session=([^;]+)/)?.[1];
+    if (!fixture.sessions.has(sessionId)) {
+      redirectToLogin(res);
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(resultsPage);
+  });
+
+  return Object.assign(fixture, server);
+};
+
+/**
+ * Export a participant from the fixture through the whole login and capture flow
+ * @param {Object} fixture - Fixture server
+ * @param {Object} credentials - Service account override
+ * @returns {Promise<Object>} - { pdfBuffer, accessToken }
+ */
+const exportPDF = (fixture, credentials) => exportFixturePDF(fixture, { name: "session-test", credentials });
+
+const tests = {
+  "token expiry is read from the JWT exp claim": async () => {
+    const token = fixtureToken(600);
+    const expiresAt = getTokenExpiry(token);
+
+    assert.ok(Math.abs(expiresAt - (Date.now() + 600000)) < 2000);
+    assert.strictEqual(getTokenExpiry("opaque-token"), null);
+    assert.strictEqual(getTokenExpiry("not.a.jwt"), null);
+  },
+
+  "sessions are cached until shortly before the token expires": async () => {
+    const cache = new SessionCache({ expiryMarginMs: 60000, ttlMs: 5000 });
+    const session = { cookies: [], localStorage: {}, origin: "http://localhost" };
+
+    await cache.set("valid", { ...session, accessToken: fixtureToken(600) });
+    await cache.set("expiring", { ...session, accessToken: fixtureToken(30) });
+    await cache.set("opaque", { ...session, accessToken: "opaque-token" });
+
+    assert.ok(await cache.get("valid"));
+    assert.strictEqual(await cache.get("expiring"), null);
+    assert.strictEqual(await cache.get("opaque"), null, "tokens without exp fall back to ttlMs, inside the margin");
+  },
+
+  "cache keys are HMACs per environment and account, without the password": async () => {
+    const params = { frontendUrl: "https://a", backendUrl: "https://api.a", serviceEmail: "s@a" };
+    const key = getSessionCacheKey(params, "secret-1");
+
+    assert.strictEqual(key, getSessionCacheKey({ ...params, servicePassword: "p" }, "secret-1"));
+    assert.notStrictEqual(key, getSessionCacheKey({ ...params, frontendUrl: "https://b" }, "secret-1"));
+    assert.notStrictEqual(key, getSessionCacheKey({ ...params, serviceEmail: "t@a" }, "secret-1"));
+    assert.notStrictEqual(key, getSessionCacheKey(params, "secret-2"), "the key can't be computed without the secret");
+  },
+
+  "SESSION_CACHE_SECRET is read from the secrets provider": async () => {
+    const params = { frontendUrl: "https://a", backendUrl: "https://api.a", serviceEmail: "s@a" };
+    setSecretsProvider(new SecretsProvider({ load: async () => ({ SESSION_CACHE_SECRET: "provided-secret" }) }));
+
+    try {
+      assert.strictEqual(await new SessionCache().getKey(params), getSessionCacheKey(params, "provided-secret"));
+    } finally {
+      setSecretsProvider(null);
+    }
+  },
+
+  "a session is only handed out for the password it logged in with": async () => {
+    const cache = new SessionCache({ secret: "secret-1" });
+    const key = await cache.getKey({ frontendUrl: "https://a", backendUrl: "https://api.a", serviceEmail: "s@a" });
+    const session = { accessToken: fixtureToken(600), cookies: [], localStorage: {}, origin: "http://localhost" };
+
+    const cached = await cache.set(key, session, "right-password");
+
+    assert.ok(!JSON.stringify(cached).includes("right-password"));
+    assert.strictEqual(await cache.get(key, "wrong-password"), null);
+    assert.strictEqual(await cache.get(key), null);
+    assert.strictEqual((await cache.get(key, "right-password")).accessToken, session.accessToken);
+  },
+
+  "the file store keeps sessions encrypted": async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "export-sessions-"));
+    const accessToken = fixtureToken(600);
+
+    try {
+      const cache = createSessionCache({ store: "file", path: directory, secret: "secret-1" });
+      await cache.set("key-1", { accessToken, cookies: [], localStorage: { accessToken }, origin: "http://localhost" });
+
+      const [file] = fs.readdirSync(directory);
+      assert.ok(!fs.readFileSync(path.join(directory, file)).toString("latin1").includes(accessToken));
+
+      // A cold container reads it back; a different secret can't
+      const coldCache = createSessionCache({ store: "file", path: directory, secret: "secret-1" });
+      assert.strictEqual((await coldCache.get("key-1")).accessToken, accessToken);
+      assert.strictEqual(await new EncryptedFileSessionStore(directory, "secret-2").read("key-1"), null);
+
+      setSecretsProvider(new SecretsProvider({ load: async () => ({}) }));
+      await assert.rejects(new EncryptedFileSessionStore(directory).read("key-1"), /SESSION_CACHE_SECRET/);
+    } finally {
+      setSecretsProvider(null);
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  },
+
+  "a second export restores the cached session instead of logging in": async (fixture) => {
+    const first = await exportPDF(fixture);
+    const loginsAfterFirst = fixture.logins;
+    const second = await exportPDF(fixture);
+
+    assert.ok(loginsAfterFirst > 0);
+    assert.strictEqual(fixture.logins, loginsAfterFirst, "the second export should not log in");
+    assert.strictEqual(second.accessToken, first.accessToken);
+    assert.strictEqual(second.pdfBuffer.subarray(0, 5).toString(), "%PDF-");
+  },
+
+  "other service accounts log in separately": async (fixture) => {
+    await exportPDF(fixture);
+    const loginsAfterFirst = fixture.logins;
+    await exportPDF(fixture, { serviceEmail: "other@test.com" });
+
+    assert.ok(fixture.logins > loginsAfterFirst);
+  },
+
+  "another password logs in instead of using the cached session": async (fixture) => {
+    await exportPDF(fixture);
+    const loginsAfterFirst = fixture.logins;
+    await exportPDF(fixture, { servicePassword: "other-password" });
+
+    assert.ok(fixture.logins > loginsAfterFirst);
+  },
+
+  "an expired token is not reused": async (fixture) => {
+    fixture.tokenLifetime = 30; // inside the expiry margin
+
+    const first = await exportPDF(fixture);
+    const loginsAfterFirst = fixture.logins;
+    const second = await exportPDF(fixture);
+
+    assert.ok(fixture.logins > loginsAfterFirst);
+    assert.notStrictEqual(second.accessToken, first.accessToken);
+  },
+
+  "a session the backend revoked is replaced by a new login": async (fixture) => {
+    const first = await exportPDF(fixture);
+    fixture.sessions.clear();
+
+    const loginsAfterFirst = fixture.logins;
+    const second = await exportPDF(fixture);
+    const third = await exportPDF(fixture);
+
+    assert.ok(fixture.logins > loginsAfterFirst);
+    assert.notStrictEqual(second.accessToken, first.accessToken);
+    assert.strictEqual(second.pdfBuffer.subarray(0, 5).toString(), "%PDF-");
+    assert.strictEqual(third.accessToken, second.accessToken, "the new session should be cached");
+  },
+};
+
+async function runSessionCacheTests() {
+  await runTests("session cache", tests, {
+    setup: async () => {
+      setBrowserPool(new BrowserPool({ reuse: true }));
+      return startFrontend();
+    },
+    beforeEach: (fixture) => {
+      fixture.logins = 0;
+      fixture.sessions.clear();
+      fixture.tokenLifetime = 3600;
+      setSessionCache(new SessionCache());
+    },
+    teardown: async (fixture) => {
+      await getBrowserPool().close();
+      fixture.server.close();
+    },
+  });
+}
+
+if (require.main === module) {
+  runSessionCacheTests();
+}
+
+module.exports = { runSessionCacheTests };
@@ -0,0 +1,89 @@
+/**
+ * Local tests for the SQS event source: each message is one export request and
+ * failed messages are reported through batchItemFailures
+ *
+ * Usage:
+ *   node test/sqs-test.js
+ */
+
+const assert = require("assert");
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+
+const { handler } = require("../src/index");
+const { MOCK_EVENT, MOCK_CONTEXT } = require("./local-test");
+const { runTests } = require("./test-runner");
+const { mockExportPipeline } = require("./test-helpers");
+
+const createSqsRecord = (messageId, body) => ({
+  messageId,
+  receiptHandle: `receipt-${messageId}`,
+  body: typeof body === "string" ? body : JSON.stringify(body),
+  attributes: { ApproximateReceiveCount: "1" },
+  eventSource: "aws:sqs",
+  eventSourceARN: "arn:aws:sqs:us-east-1:123456789:59club-async-export-lambda-requests",
+});
+
+const exportRequest = (overrides = {}) => ({ ...JSON.parse(MOCK_EVENT.body), async: undefined, ...overrides });
+
+const tests = {
+  "only failed messages are reported in batchItemFailures": async () => {
+    const result = await handler(
+      {
+        Records: [
+          createSqsRecord("msg-ok", exportRequest({ participantId: "p-1" })),
+          createSqsRecord("msg-fail", exportRequest({ participantId: "fail-2" })),
+          createSqsRecord("msg-ok-2", exportRequest({ participantId: "p-3" })),
+        ],
+      },
+      MOCK_CONTEXT
+    );
+
+    assert.deepStrictEqual(result, { batchItemFailures: [{ itemIdentifier: "msg-fail" }] });
+  },
+
+  "malformed and invalid messages are reported as failures": async () => {
+    const result = await handler(
+      {
+        Records: [
+          createSqsRecord("msg-not-json", "{not json"),
+          createSqsRecord("msg-invalid", exportRequest({ adminEmails: ["not-an-email"] })),
+        ],
+      },
+      MOCK_CONTEXT
+    );
+
+    assert.deepStrictEqual(result.batchItemFailures.map((failure) => failure.itemIdentifier), [
+      "msg-not-json",
+      "msg-invalid",
+    ]);
+  },
+
+  "batch messages fail only when no participant succeeded": async () => {
+    const result = await handler(
+      {
+        Records: [
+          createSqsRecord("msg-partial", exportRequest({ participantId: undefined, participantIds: ["p-1", "fail-2"] })),
+          createSqsRecord("msg-all-failed", exportRequest({ participantId: undefined, participantIds: ["fail-1", "fail-2"] })),
+        ],
+      },
+      MOCK_CONTEXT
+    );
+
+    assert.deepStrictEqual(result, { batchItemFailures: [{ itemIdentifier: "msg-all-failed" }] });
+  },
+};
+
+async function runSqsTests() {
+  // Participants named "fail-*" fail, everyone else succeeds
+  mockExportPipeline();
+
+  await runTests("SQS", tests);
+}
+
+if (require.main === module) {
+  runSqsTests();
+}
+
+module.exports = { runSqsTests };
@@ -0,0 +1,256 @@
+/**
+ * Local tests for the pipeline stage policy: each stage gets its own timeout and retries,
+ * with jittered backoff that honours Retry-After on 429 and 503 responses
+ *
+ * Usage:
+ *   node test/stage-policy-test.js
+ */
+
+const assert = require("assert");
+
+process.env.JOB_DISPATCH_MODE = "inline";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.IS_LOCAL = "true";
+process.env.RETRY_BASE_DELAY_MS = "5";
+
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { MemoryIdempotencyStore, setIdempotencyStore } = require("../src/services/idempotency-store");
+const { ErrorHandler, ServiceUnavailableError } = require("../src/utils/error-handler");
+const { getStagePolicy, parseRetryAfter, runStage } = require("../src/utils/stage-policy");
+const { runTests } = require("./test-runner");
+const { delay, postExport, mockRenderer, mockBackend, httpError, networkError } = require("./test-helpers");
+
+const calls = {};
+let answers = {};
+
+/**
+ * Replace the browser, and answer upload and email requests from `answers`: a list per endpoint whose
+ * entries are "ok", "hang", { status, retryAfter } to fail with, or { code } for a network error; the last entry repeats
+ */
+const mockPipeline = () => {
+  mockRenderer();
+
+  mockBackend(async (endpoint) => {
+    const script = answers[endpoint] || ["ok"];
+    const count = (calls[endpoint] = (calls[endpoint] || 0) + 1);
+    const answer = script[Math.min(count, script.length) - 1];
+
+    if (answer === "hang") {
+      await delay(200);
+    } else if (answer.code) {
+      throw networkError(answer.code);
+    } else if (answer !== "ok") {
+      throw httpError(answer.status, { "retry-after": answer.retryAfter });
+    }
+  });
+};
+
+const tests = {
+  "policies come from the configuration": async () => {
+    process.env.MAX_RETRIES = "4";
+    process.env.UPLOAD_MAX_RETRIES = "2";
+    process.env.EMAIL_TIMEOUT_MS = "1234";
+
+    try {
+      assert.strictEqual(getStagePolicy("upload").maxRetries, 2);
+      assert.strictEqual(getStagePolicy("auth").maxRetries, 4);
+      assert.strictEqual(getStagePolicy("render").maxRetries, 1, "renders aren't retried by default");
+      assert.strictEqual(getStagePolicy("email").timeoutMs, 1234);
+      assert.throws(() => getStagePolicy("print"), /Unknown pipeline stage: print/);
+    } finally {
+      delete process.env.MAX_RETRIES;
+      delete process.env.UPLOAD_MAX_RETRIES;
+      delete process.env.EMAIL_TIMEOUT_MS;
+    }
+  },
+
+  "outages are retried until the stage succeeds": async () => {
+    answers = { upload: [{ status: 503 }, { status: 502 }, "ok"], email: [{ status: 503 }, "ok"] };
+    const response = await postExport();
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(calls, { upload: 3, email: 2 });
+  },
+
+  "rejected requests are not retried": async () => {
+    answers = { upload: [{ status: 413 }] };
+    const response = await postExport();
+
+    assert.strictEqual(response.body.error, "UPLOAD_ERROR");
+    assert.strictEqual(calls.upload, 1);
+  },
+
+  "the last error is returned once the attempts run out": async () => {
+    answers = { email: [{ status: 503 }] };
+    const response = await postExport();
+
+    assert.strictEqual(response.statusCode, 503);
+    assert.strictEqual(response.body.context.attempts, 3);
+    assert.strictEqual(calls.email, 3);
+  },
+
+  "each attempt is cut off at the stage timeout": async () => {
+    process.env.UPLOAD_TIMEOUT_MS = "50";
+    process.env.UPLOAD_MAX_RETRIES = "2";
+    answers = { upload: ["hang"] };
+
+    try {
+      const response = await postExport();
+
+      assert.strictEqual(response.statusCode, 408);
+      assert.strictEqual(response.body.context.operation, "upload");
+      assert.strictEqual(calls.upload, 2);
+    } finally {
+      delete process.env.UPLOAD_TIMEOUT_MS;
+      delete process.env.UPLOAD_MAX_RETRIES;
+    }
+  },
+
+  "a timed-out attempt is aborted before the retry starts": async () => {
+    process.env.AUTH_TIMEOUT_MS = "50";
+    const signals = [];
+
+    try {
+      const result = await runStage(
+        "auth",
+        (signal) => {
+          signals.push(signal);
+          if (signals.length > 1) return "token";
+
+          assert.strictEqual(signals[0].aborted, false);
+          return new Promise(() => {});
+        },
+        "stage-test"
+      );
+
+      assert.strictEqual(result, "token");
+      assert.strictEqual(signals[0].aborted, true);
+      assert.strictEqual(signals[0].reason.context.operation, "auth");
+      assert.strictEqual(signals[1].aborted, false);
+    } finally {
+      delete process.env.AUTH_TIMEOUT_MS;
+    }
+  },
+
+  "an auth attempt that times out has its page closed before the retry logs in": async () => {
+    process.env.AUTH_TIMEOUT_MS = "50";
+    const pages = [];
+    const context = {
+      newPage: async () => {
+        const page = { closed: false, close: async () => (page.closed = true) };
+        pages.push(page);
+        return page;
+      },
+    };
+    const service = new PuppeteerService("stage-test");
+    service.authenticate = async (page) => {
+      if (pages.length === 1) return new Promise(() => {});
+
+      assert.strictEqual(pages[0].closed, true);
+      return { accessToken: "token", page };
+    };
+
+    try {
+      const auth = await runStage("auth", (signal) => service.authenticateOnNewPage(context, signal), "stage-test");
+
+      assert.strictEqual(auth.page, pages[1]);
+      assert.strictEqual(pages[1].closed, false);
+    } finally {
+      delete process.env.AUTH_TIMEOUT_MS;
+    }
+  },
+
+  "emails are only retried when the backend can't have sent them": async () => {
+    process.env.EMAIL_TIMEOUT_MS = "50";
+    const attempts = async (script) => {
+      calls.email = 0;
+      answers = { email: script };
+      setIdempotencyStore(new MemoryIdempotencyStore());
+      await postExport();
+      return calls.email;
+    };
+
+    try {
+      assert.strictEqual(await attempts([{ status: 500 }, "ok"]), 1);
+      assert.strictEqual(await attempts([{ status: 502 }, "ok"]), 1);
+      assert.strictEqual(await attempts(["hang", "ok"]), 1, "a timed out email may have been sent");
+      assert.strictEqual(await attempts([{ code: "ECONNRESET" }, "ok"]), 1);
+      assert.strictEqual(await attempts([{ code: "ECONNREFUSED" }, "ok"]), 2);
+      assert.strictEqual(await attempts([{ status: 429, retryAfter: "0" }, "ok"]), 2);
+      assert.strictEqual(await attempts([{ status: 503 }, "ok"]), 2);
+    } finally {
+      delete process.env.EMAIL_TIMEOUT_MS;
+    }
+  },
+
+  "Retry-After is waited out, unless it's longer than the maximum delay": async () => {
+    answers = { upload: [{ status: 429, retryAfter: "1" }, "ok"] };
+    const startTime = Date.now();
+
+    assert.strictEqual((await postExport()).statusCode, 200);
+    assert.ok(Date.now() - startTime >= 1000, "waited for Retry-After");
+    assert.strictEqual(calls.upload, 2);
+
+    calls.upload = 0;
+    answers = { upload: [{ status: 503, retryAfter: "120" }, "ok"] };
+    setIdempotencyStore(new MemoryIdempotencyStore());
+
+    assert.strictEqual((await postExport()).statusCode, 503);
+    assert.strictEqual(calls.upload, 1);
+  },
+
+  "backoff delays are jittered": async () => {
+    const errorHandler = new ErrorHandler("stage-test");
+    const options = { baseDelayMs: 1000, maxDelayMs: 10000 };
+    const random = Math.random;
+
+    try {
+      Math.random = () => 0.5;
+      assert.strictEqual(errorHandler.getRetryDelay(1, new Error("x"), options), 500);
+      assert.strictEqual(errorHandler.getRetryDelay(3, new Error("x"), options), 2000);
+      assert.strictEqual(errorHandler.getRetryDelay(10, new Error("x"), options), 5000, "capped at maxDelayMs");
+
+      const limited = new ServiceUnavailableError("upload", "rate limited", { retryAfterMs: 3000 });
+      assert.strictEqual(errorHandler.getRetryDelay(1, limited, options), 3000);
+    } finally {
+      Math.random = random;
+    }
+
+    assert.strictEqual(parseRetryAfter("30"), 30000);
+    assert.strictEqual(parseRetryAfter(new Date(Date.now() + 60000).toUTCString(), Date.now()) > 58000, true);
+    assert.strictEqual(parseRetryAfter("soon"), undefined);
+  },
+
+  "stages can be run directly": async () => {
+    let attempts = 0;
+    const result = await runStage(
+      "auth",
+      async () => {
+        if (++attempts < 2) throw new Error("Navigation timeout of 30000 ms exceeded");
+        return "token";
+      },
+      "stage-test"
+    );
+
+    assert.strictEqual(result, "token");
+    assert.strictEqual(attempts, 2);
+  },
+};
+
+async function runStagePolicyTests() {
+  mockPipeline();
+
+  await runTests("stage policy", tests, {
+    beforeEach: () => {
+      Object.keys(calls).forEach((key) => delete calls[key]);
+      answers = {};
+      setIdempotencyStore(new MemoryIdempotencyStore());
+    },
+  });
+}
+
+if (require.main === module) {
+  runStagePolicyTests();
+}
+
+module.exports = { runStagePolicyTests };
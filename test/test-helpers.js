@@ -0,0 +1,297 @@
+/**
+ * Helpers shared by the local test suites: calling the handler, waiting for background jobs, stubbing the
+ * export pipeline and serving fixture pages. Require it after setting the environment the suite needs.
+ *
+ * Usage:
+ *   const { postExport, waitForJob, mockRenderer, mockBackend } = require("./test-helpers");
+ */
+
+const axios = require("axios");
+const http = require("http");
+
+const { handler } = require("../src/index");
+const { PuppeteerService } = require("../src/services/puppeteer-service");
+const { UploadService } = require("../src/services/upload-service");
+const { EmailService } = require("../src/services/email-service");
+const { ExportService } = require("../src/services/export-service");
+const { setBrowserPool } = require("../src/services/browser-pool");
+const { JOB_STATES } = require("../src/services/job-store");
+const { MOCK_EVENT, MOCK_CONTEXT } = require("./local-test");
+
+const PDF = Buffer.from("%PDF-1.4");
+const FINISHED = [JOB_STATES.DONE, JOB_STATES.FAILED];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call the handler and parse the JSON body of its response
+ * @param {Object} event - API Gateway event
+ * @param {Object} context - Lambda context
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+const invokeHandler = async (event, context = MOCK_CONTEXT) => {
+  const response = await handler(event, context);
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+/**
+ * POST /export with the mock request body
+ * @param {Object} overrides - Body fields to set; fields set to undefined are left out
+ * @param {Object} options - { event, context, headers, body } - event defaults to MOCK_EVENT and context to
+ *   MOCK_CONTEXT; headers are added to the event's; body sends a raw body instead of the merged fields
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+const postExport = async (overrides = {}, { event = MOCK_EVENT, context, headers, body } = {}) => {
+  const fields = { ...JSON.parse(event.body), ...overrides };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+
+  return invokeHandler(
+    {
+      ...event,
+      path: "/export",
+      headers: { ...event.headers, ...headers },
+      body: body ?? JSON.stringify(fields),
+    },
+    context
+  );
+};
+
+/**
+ * Poll GET /export/{jobId} until the job reaches one of the given statuses
+ * @param {string} jobId - Job ID
+ * @param {Object} options - { statuses, attempts } - statuses defaults to done and failed
+ * @returns {Promise<Object>} - Job status
+ */
+const waitForJob = async (jobId, { statuses = FINISHED, attempts = 250 } = {}) => {
+  for (let i = 0; i < attempts; i++) {
+    const { body } = await invokeHandler({ httpMethod: "GET", pathParameters: { jobId } });
+    if (statuses.includes(body.status)) return body;
+    await delay(20);
+  }
+  throw new Error(`Job ${jobId} never reached ${statuses.join("/")}`);
+};
+
+/**
+ * Run a function and collect everything it writes to stdout and stderr
+ * @param {Function} fn - Function to run
+ * @returns {Promise<string>} - Captured output
+ */
+const captureOutput = async (fn) => {
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  let output = "";
+
+  process.stdout.write = process.stderr.write = (chunk, ...args) => {
+    output += chunk;
+    const callback = args.find((arg) => typeof arg === "function");
+    if (callback) callback();
+    return true;
+  };
+
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+  return output;
+};
+
+/**
+ * Build the error axios throws for an HTTP error response
+ * @param {number} status - Response status
+ * @param {Object} headers - Response headers
+ * @returns {Error} - Axios-style error
+ */
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, statusText: "Error", headers, data: {} };
+  return error;
+};
+
+/**
+ * Build the error axios throws when the request never got a response
+ * @param {string} code - Network error code, e.g. "ECONNRESET" or "ECONNABORTED"
+ * @returns {Error} - Axios-style error
+ */
+const networkError = (code) => {
+  const error = new Error(code === "ECONNABORTED" ? "timeout of 30000ms exceeded" : `connect ${code} 127.0.0.1:443`);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Replace the browser with a renderer that returns a PDF for every participant
+ * @param {Object} options - { accessToken, pdfBuffer, onRender } - onRender(params) is called with the
+ *   parameters of every generatePDF and generateBatchPDFs call
+ */
+const mockRenderer = ({ accessToken = "t", pdfBuffer = PDF, onRender } = {}) => {
+  PuppeteerService.prototype.generatePDF = async (params) => {
+    if (onRender) await onRender(params);
+    return { pdfBuffer, accessToken };
+  };
+
+  PuppeteerService.prototype.generateBatchPDFs = async (params) => {
+    if (onRender) await onRender(params);
+    return {
+      accessToken,
+      results: params.participantIds.map((participantId) => ({ participantId, success: true, pdfBuffer })),
+    };
+  };
+};
+
+/**
+ * Replace the browser pool with one whose pages are never used, for suites that stub the export itself
+ * @param {Function} onAcquire - Optional (log, launch) hook called when a browser is acquired
+ */
+const mockBrowserPool = (onAcquire) => {
+  setBrowserPool({
+    acquire: async (log, launch) => {
+      if (onAcquire) await onAcquire(log, launch);
+      return { context: { newPage: async () => ({}) }, release: async () => {} };
+    },
+  });
+};
+
+/**
+ * Tell the backend endpoint of a request URL
+ * @param {string} url - Request URL
+ * @returns {string} - "login", "upload" or "email"
+ */
+const backendEndpoint = (url) => (url.endsWith("/users/login") ? "login" : url.endsWith("/media") ? "upload" : "email");
+
+/**
+ * Replace the backend behind axios.post
+ * @param {Function} respond - Optional (endpoint, { url, data, config }) handler; it may throw, and a response
+ *   it returns replaces the default one, which logs in and stores the PDF at exports/mock.pdf
+ */
+const mockBackend = (respond) => {
+  axios.post = async (url, data, config) => {
+    const endpoint = backendEndpoint(url);
+    const response = respond ? await respond(endpoint, { url, data, config }) : undefined;
+    if (response) return response;
+
+    if (endpoint === "login") {
+      return { status: 200, data: { accessToken: "service-token" }, headers: {} };
+    }
+    return { status: 200, data: { fileLocation: "exports/mock.pdf" }, headers: {} };
+  };
+};
+
+/**
+ * Replace the upload and email services
+ * @param {Object} options - { onUpload, onEmail } - called with the service as this, like the real methods
+ */
+const mockDelivery = ({ onUpload, onEmail } = {}) => {
+  UploadService.prototype.uploadPDF = async function (...args) {
+    if (onUpload) await onUpload.apply(this, args);
+    return "https://storage.test.com/exports/mock.pdf";
+  };
+  EmailService.prototype.sendNotifications = async function (...args) {
+    if (onEmail) await onEmail.apply(this, args);
+  };
+};
+
+/**
+ * Export stub: participants whose ID starts with "fail-" fail, everyone else gets a PDF URL
+ * @param {Object} input - Export input
+ * @returns {Promise<Object>} - Export result
+ */
+const fakeExport = async (input) => {
+  if (input.participantIds) {
+    const results = input.participantIds.map((participantId) =>
+      participantId.startsWith("fail-")
+        ? { participantId, success: false, error: "Mock failure" }
+        : { participantId, success: true, pdfUrl: `https://storage.test.com/${participantId}.pdf` }
+    );
+    return { results, successCount: results.filter((result) => result.success).length };
+  }
+
+  if (input.participantId.startsWith("fail-")) {
+    throw new Error("Mock export failure");
+  }
+  return { pdfUrl: `https://storage.test.com/${input.participantId}.pdf` };
+};
+
+/**
+ * Replace the whole export pipeline
+ * @param {Function} run - Replacement for ExportService#run, called with the service as this
+ */
+const mockExportPipeline = (run = fakeExport) => {
+  ExportService.prototype.run = run;
+};
+
+/**
+ * Serve fixture pages on a random local port
+ * @param {Function} route - (req, res, url) request handler
+ * @returns {Promise<Object>} - { server, url }
+ */
+const startFixtureServer = async (route) => {
+  const server = http.createServer((req, res) => route(req, res, new URL(req.url, "http://localhost")));
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+/**
+ * Read a request body as JSON
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body
+ */
+const readJsonBody = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(JSON.parse(body)));
+  });
+
+/**
+ * Send the browser to the fixture login page
+ * @param {http.ServerResponse} res - Response
+ */
+const redirectToLogin = (res) => {
+  res.writeHead(302, { Location: "/en-GB/auth/login" });
+  res.end();
+};
+
+/**
+ * Export one participant's results page from a fixture server through a real browser
+ * @param {Object} fixture - Fixture server, see startFixtureServer
+ * @param {Object} options - { name, serviceOptions, credentials } - name and serviceOptions are passed to
+ *   PuppeteerService; credentials override the service account
+ * @returns {Promise<Object>} - generatePDF result
+ */
+const exportFixturePDF = (fixture, { name, serviceOptions, credentials } = {}) => {
+  const service = new PuppeteerService(name, { captureStrategy: "direct-print", ...serviceOptions });
+  service.timeout = 15000;
+
+  return service.generatePDF({
+    surveyId: "survey-1",
+    participantId: "participant-1",
+    frontendUrl: fixture.url,
+    backendUrl: fixture.url,
+    serviceEmail: "service@test.com",
+    servicePassword: "service-password",
+    ...credentials,
+  });
+};
+
+module.exports = {
+  PDF,
+  delay,
+  invokeHandler,
+  postExport,
+  waitForJob,
+  captureOutput,
+  httpError,
+  networkError,
+  mockRenderer,
+  mockBrowserPool,
+  mockBackend,
+  mockDelivery,
+  fakeExport,
+  mockExportPipeline,
+  startFixtureServer,
+  readJsonBody,
+  redirectToLogin,
+  exportFixturePDF,
+};
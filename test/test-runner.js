@@ -0,0 +1,69 @@
+/**
+ * Shared runner for the local test suites: runs tests one after another, prints a ✅/❌ line per test
+ * and a 🎉/💥 summary, and exits with 1 when any test failed
+ *
+ * Usage:
+ *   const { runTests } = require("./test-runner");
+ *   runTests("job", tests, { beforeEach: () => setJobStore(new MemoryJobStore()) });
+ */
+
+/**
+ * Run tests in order and report each one
+ * @param {Object} tests - Async test functions by name
+ * @param {Object} options - { beforeEach, context, label } - beforeEach(context) runs before every test, which
+ *   is called with context; label prefixes the reported test names
+ * @returns {number} - Number of failed tests
+ */
+const runTestCases = async (tests, { beforeEach, context, label } = {}) => {
+  let failures = 0;
+
+  for (const [name, test] of Object.entries(tests)) {
+    const title = label ? `[${label}] ${name}` : name;
+
+    try {
+      if (beforeEach) await beforeEach(context);
+      await test(context);
+      console.log(`✅ ${title}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${title}`);
+      console.error(`   ${error.message}`);
+    }
+  }
+
+  return failures;
+};
+
+/**
+ * Print the summary of a suite and exit with its status
+ * @param {string} suite - Suite name, e.g. "job"
+ * @param {number} failures - Number of failed tests
+ */
+const reportResults = (suite, failures) => {
+  console.log(failures === 0 ? `\n🎉 All ${suite} tests passed!` : `\n💥 ${failures} ${suite} test(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+/**
+ * Run a test suite and exit
+ * @param {string} suite - Suite name, e.g. "job"
+ * @param {Object} tests - Async test functions by name
+ * @param {Object} options - { setup, beforeEach, teardown } - setup() runs once and its result is the context passed
+ *   to beforeEach and every test; teardown(context) runs once after the last test
+ */
+const runTests = async (suite, tests, { setup, beforeEach, teardown } = {}) => {
+  console.log(`🚀 Starting ${suite} tests...\n`);
+
+  const context = setup ? await setup() : undefined;
+  let failures;
+
+  try {
+    failures = await runTestCases(tests, { beforeEach, context });
+  } finally {
+    if (teardown) await teardown(context);
+  }
+
+  reportResults(suite, failures);
+};
+
+module.exports = { runTests, runTestCases, reportResults };
@@ -7,7 +7,7 @@ require("dotenv").config(); // Load environment variables from .env file
 
 const { handler } = require("../src/index");
 const { logger } = require("../src/utils/logger");
-const { getEnvironmentUrls } = require("../src/utils/validation");
+const { getEnvironmentRegistry } = require("../src/config/environment-registry");
 
 // Load configuration from environment variables
 const config = {
@@ -30,7 +30,7 @@ function validateConfig() {
   if (config.testAdminEmails.length === 0) errors.push("TEST_ADMIN_EMAILS not set in .env");
 
   // Validate environment
-  const validEnvironments = ["local", "dev", "qa", "staging", "prod"];
+  const validEnvironments = getEnvironmentRegistry().names();
   if (!validEnvironments.includes(config.environment)) {
     errors.push(`TEST_ENVIRONMENT must be one of: ${validEnvironments.join(", ")} (got: ${config.environment})`);
   }
@@ -53,6 +53,7 @@ function createTestEvent() {
       env: config.environment,
       serviceEmail: config.serviceEmail,
       servicePassword: config.servicePassword,
+      async: false, // Wait for the whole pipeline instead of creating a background job
     }),
     headers: {
       "Content-Type": "application/json",
@@ -82,7 +83,7 @@ async function testBackendConnectivity() {
 
   try {
     const axios = require("axios");
-    const { frontendUrl, backendUrl } = getEnvironmentUrls(config.environment);
+    const { frontendUrl, backendUrl } = getEnvironmentRegistry().get(config.environment);
 
     // Test backend health
     console.log(`   Testing ${backendUrl}...`);